@@ -0,0 +1,133 @@
+// ============================================
+// Alert Store
+// ============================================
+// Keeps every alert and the state of its deliveries in one JSON file,
+// so retries survive a restart and the case modal can show who
+// acknowledged it:
+//
+//   { id, ack_token, case_id, patient_id, doctor_id, risk_level, risk_score,
+//     summary: { patient_name, age, age_unit, sex, concerns, recommendation, clinician },
+//     created_at, repeat_case_ids: [...],
+//     deliveries: [{ channel, target, status, attempts, last_error,
+//                    next_attempt_at, sent_at }],
+//     acknowledged_at, acknowledged_by: { uid, name, via } }
+//
+// A delivery is `pending` until it is `sent`, `failed` (out of attempts,
+// or a permanent error) or `cancelled` (the alert was acknowledged first).
+//
+// The file holds clinical details (no names unless configured): keep it
+// on the server's protected disk, like the audit log.
+
+const fs = require('fs');
+const path = require('path');
+
+// Alerts kept in the file; the oldest are dropped beyond this
+const MAX_ALERTS = 5000;
+
+/**
+ * Creates an alert store backed by the JSON file at filePath
+ */
+function createAlertStore({ filePath }) {
+    let alerts = null;
+    // Writes are chained so they never interleave
+    let writing = Promise.resolve();
+
+    /**
+     * Loads the file once (no alerts if there is none)
+     */
+    async function load() {
+        if (alerts) return alerts;
+        try {
+            alerts = JSON.parse(await fs.promises.readFile(filePath, 'utf8')).alerts || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            alerts = [];
+        }
+        return alerts;
+    }
+
+    /**
+     * Writes the file (via a temporary file, so a crash never leaves half a file)
+     */
+    function save() {
+        if (alerts.length > MAX_ALERTS) alerts.splice(0, alerts.length - MAX_ALERTS);
+        const text = JSON.stringify({ alerts }, null, 2);
+        writing = writing.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const tmp = `${filePath}.tmp`;
+            await fs.promises.writeFile(tmp, text);
+            await fs.promises.rename(tmp, filePath);
+        });
+        return writing;
+    }
+
+    return {
+        filePath,
+
+        async get(id) {
+            return (await load()).find(alert => alert.id === id) || null;
+        },
+
+        async getByToken(token) {
+            return (await load()).find(alert => alert.ack_token === token) || null;
+        },
+
+        /**
+         * The alert raised for a case, or the one it was folded into
+         */
+        async findByCase(caseId) {
+            return (await load()).find(alert =>
+                alert.case_id === caseId || alert.repeat_case_ids.includes(caseId)) || null;
+        },
+
+        /**
+         * The newest unacknowledged alert for the patient raised at or after `since`
+         */
+        async findOpenForPatient(patientId, since) {
+            const matches = (await load()).filter(alert =>
+                alert.patient_id === patientId && !alert.acknowledged_at && alert.created_at >= since);
+            return matches[matches.length - 1] || null;
+        },
+
+        /**
+         * Alerts, newest first. filters: { caseId, doctorId, open, limit }
+         */
+        async list({ caseId, doctorId, open, limit } = {}) {
+            const matches = (await load()).filter(alert =>
+                (!caseId || alert.case_id === caseId || alert.repeat_case_ids.includes(caseId)) &&
+                (!doctorId || alert.doctor_id === doctorId) &&
+                (open === undefined || !alert.acknowledged_at === open)
+            ).reverse();
+            return limit ? matches.slice(0, limit) : matches;
+        },
+
+        /**
+         * Alerts with a delivery still pending (to resume after a restart)
+         */
+        async listPending() {
+            return (await load()).filter(alert => alert.deliveries.some(d => d.status === 'pending'));
+        },
+
+        async create(alert) {
+            (await load()).push(alert);
+            await save();
+            return alert;
+        },
+
+        /**
+         * Applies change(alert) to the stored alert and saves it
+         * Returns the alert, or null if there is none
+         */
+        async update(id, change) {
+            const alert = (await load()).find(a => a.id === id);
+            if (!alert) return null;
+            change(alert);
+            await save();
+            return alert;
+        }
+    };
+}
+
+module.exports = {
+    createAlertStore
+};
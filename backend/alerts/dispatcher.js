@@ -0,0 +1,270 @@
+// ============================================
+// Alert Dispatcher
+// ============================================
+// Raises an alert when a case at or above ALERT_MIN_RISK_LEVEL is saved
+// and delivers it to every configured channel target (each webhook URL,
+// email address and phone number is one delivery).
+//
+// - Retries: a failed delivery is tried again after 1x, 2x, 4x ...
+//   ALERT_RETRY_BASE_MS (at most 15 minutes apart) until it succeeds,
+//   fails permanently (e.g. a 4xx answer or a 5xx SMTP reply) or runs
+//   out of ALERT_MAX_ATTEMPTS. Pending deliveries resume after a restart.
+// - Deduplication: a case only ever raises one alert, however often it
+//   is reported. Another case for the same patient while their alert is
+//   still unacknowledged (within ALERT_DEDUP_MINUTES) is added to that
+//   alert instead of paging everyone again. Only the clinician who raised
+//   an alert (or an admin) ever gets it back or has cases added to it.
+// - Acknowledgement: from the case modal or the link in the message.
+//   Deliveries not yet made are cancelled: someone is already on it.
+
+const crypto = require('crypto');
+const logger = require('../logger');
+const { riskLevelRank } = require('../triage/riskLevels');
+const { buildAlertMessage } = require('./message');
+
+// Longest wait between two attempts of one delivery
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+
+// Key concerns copied into the alert
+const MAX_CONCERNS = 3;
+
+/**
+ * True if the signed-in clinician may see, acknowledge or add to the alert
+ */
+function canAccessAlert(user, alert) {
+    return user.role === 'admin' || alert.doctor_id === user.uid;
+}
+
+/**
+ * The result of reporting a case whose alert belongs to another clinician:
+ * nothing about that alert is given back
+ */
+const FORBIDDEN = { alert: null, status: 'forbidden' };
+
+/**
+ * Creates the dispatcher
+ *
+ * {
+ *   store, channels: [{ name, targets, send(message, target) }],
+ *   minRiskLevel, dedupMinutes, maxAttempts, retryBaseMs,
+ *   facility, publicUrl, includePatientName,
+ *   onDelivery(channel, status)        // 'sent' | 'retry' | 'failed', for metrics
+ * }
+ */
+function createAlertDispatcher({
+    store, channels, minRiskLevel, dedupMinutes, maxAttempts, retryBaseMs,
+    facility, publicUrl, includePatientName, onDelivery = () => {}
+}) {
+    const channelsByName = new Map(channels.map(channel => [channel.name, channel]));
+    // Alert id -> retry timer, so an alert is never scheduled twice
+    const timers = new Map();
+    // Case id -> notifyCase still running, so a case reported twice at
+    // once (by the app and the records API) still raises one alert
+    const inFlight = new Map();
+
+    /**
+     * Schedules the next delivery round for an alert at the earliest
+     * pending retry time
+     */
+    function schedule(alert) {
+        const next = alert.deliveries
+            .filter(d => d.status === 'pending')
+            .map(d => Date.parse(d.next_attempt_at))
+            .sort((a, b) => a - b)[0];
+        if (next === undefined || timers.has(alert.id)) return;
+
+        const timer = setTimeout(() => {
+            timers.delete(alert.id);
+            deliver(alert.id).catch(error => logger.error('alert_delivery_round_failed', { alert_id: alert.id, message: error.message }));
+        }, Math.max(0, next - Date.now()));
+        // Never keep the process alive just for a retry
+        timer.unref();
+        timers.set(alert.id, timer);
+    }
+
+    /**
+     * Tries every delivery of the alert that is due, records the
+     * outcomes and schedules the retries
+     */
+    async function deliver(alertId) {
+        const alert = await store.get(alertId);
+        if (!alert) return;
+
+        const now = Date.now();
+        const due = alert.deliveries.filter(d => d.status === 'pending' && Date.parse(d.next_attempt_at) <= now);
+        const message = buildAlertMessage(alert, { facility, publicUrl });
+
+        const outcomes = await Promise.all(due.map(async delivery => {
+            const channel = channelsByName.get(delivery.channel);
+            if (!channel) return { delivery, error: Object.assign(new Error('This channel is no longer configured'), { permanent: true }) };
+            try {
+                await channel.send(message, delivery.target);
+                return { delivery, error: null };
+            } catch (error) {
+                return { delivery, error };
+            }
+        }));
+
+        const updated = await store.update(alertId, stored => {
+            outcomes.forEach(({ delivery, error }) => {
+                const target = stored.deliveries.find(d => d.channel === delivery.channel && d.target === delivery.target);
+                // Acknowledged while this round was running
+                if (target.status !== 'pending') return;
+
+                target.attempts += 1;
+                if (!error) {
+                    Object.assign(target, { status: 'sent', sent_at: new Date().toISOString(), last_error: null, next_attempt_at: null });
+                } else if (error.permanent || target.attempts >= maxAttempts) {
+                    Object.assign(target, { status: 'failed', last_error: error.message, next_attempt_at: null });
+                } else {
+                    const delay = Math.min(retryBaseMs * 2 ** (target.attempts - 1), MAX_RETRY_DELAY_MS);
+                    Object.assign(target, { last_error: error.message, next_attempt_at: new Date(Date.now() + delay).toISOString() });
+                }
+
+                const status = target.status === 'pending' ? 'retry' : target.status;
+                onDelivery(target.channel, status);
+                const log = status === 'failed' ? logger.error : status === 'retry' ? logger.warn : logger.info;
+                log('alert_delivery', {
+                    alert_id: stored.id,
+                    channel: target.channel,
+                    status,
+                    attempts: target.attempts,
+                    ...(error ? { message: error.message } : {})
+                });
+            });
+        });
+
+        if (updated) schedule(updated);
+    }
+
+    /**
+     * The alert fields copied from a saved case
+     */
+    function summarise(caseRecord, user) {
+        const triage = caseRecord.triageData;
+        return {
+            patient_name: includePatientName ? caseRecord.patientName || null : null,
+            age: caseRecord.patientAge || null,
+            age_unit: caseRecord.patientAgeUnit || null,
+            sex: caseRecord.patientSex || null,
+            concerns: (triage.key_concerns || []).slice(0, MAX_CONCERNS),
+            recommendation: triage.triage_recommendation || null,
+            clinician: caseRecord.clinicianName || user.email || null
+        };
+    }
+
+    /**
+     * Raises the alert for a case (see notifyCase)
+     */
+    async function raise(caseRecord, user) {
+        const riskLevel = caseRecord.triageData.risk_level;
+        if (riskLevelRank(riskLevel) < riskLevelRank(minRiskLevel)) {
+            return { alert: null, status: 'below_threshold' };
+        }
+
+        const existing = await store.findByCase(caseRecord.id);
+        if (existing) return canAccessAlert(user, existing) ? { alert: existing, status: 'duplicate' } : FORBIDDEN;
+
+        if (caseRecord.patientId && dedupMinutes > 0) {
+            const since = new Date(Date.now() - dedupMinutes * 60 * 1000).toISOString();
+            const open = await store.findOpenForPatient(caseRecord.patientId, since);
+            // Another clinician's alert is left alone: this case pages on its own
+            if (open && canAccessAlert(user, open)) {
+                const merged = await store.update(open.id, alert => alert.repeat_case_ids.push(caseRecord.id));
+                logger.info('alert_merged', { alert_id: open.id, case_id: caseRecord.id });
+                return { alert: merged, status: 'merged' };
+            }
+        }
+
+        const now = new Date().toISOString();
+        const alert = await store.create({
+            id: crypto.randomUUID(),
+            ack_token: crypto.randomBytes(24).toString('hex'),
+            case_id: caseRecord.id,
+            patient_id: caseRecord.patientId || null,
+            doctor_id: caseRecord.doctorId || user.uid,
+            risk_level: riskLevel,
+            risk_score: caseRecord.triageData.risk_score,
+            summary: summarise(caseRecord, user),
+            created_at: now,
+            repeat_case_ids: [],
+            deliveries: channels.flatMap(channel => channel.targets.map(target => ({
+                channel: channel.name,
+                target,
+                status: 'pending',
+                attempts: 0,
+                last_error: null,
+                next_attempt_at: now,
+                sent_at: null
+            }))),
+            acknowledged_at: null,
+            acknowledged_by: null
+        });
+        logger.info('alert_raised', { alert_id: alert.id, case_id: alert.case_id, risk_level: riskLevel, deliveries: alert.deliveries.length });
+
+        // Deliver in the background: saving the case never waits on a slow gateway
+        schedule(alert);
+        return { alert, status: 'created' };
+    }
+
+    return {
+        minRiskLevel,
+        channelNames: channels.map(channel => channel.name),
+
+        /**
+         * Raises an alert for a saved case if its risk level calls for one
+         * caseRecord: the saved case ({ id, patientId, triageData, ... })
+         * Returns { alert, status: 'created' | 'duplicate' | 'merged' | 'below_threshold' | 'forbidden' }
+         * ('forbidden': the case's alert belongs to another clinician)
+         */
+        notifyCase(caseRecord, user) {
+            if (inFlight.has(caseRecord.id)) {
+                return inFlight.get(caseRecord.id).then(result =>
+                    result.alert && !canAccessAlert(user, result.alert) ? FORBIDDEN : result);
+            }
+            const raising = raise(caseRecord, user).finally(() => inFlight.delete(caseRecord.id));
+            inFlight.set(caseRecord.id, raising);
+            return raising;
+        },
+
+        /**
+         * Marks an alert acknowledged and cancels the deliveries not yet made
+         * by: { uid, name, via: 'app' | 'link' }
+         * Returns the alert (unchanged if it was already acknowledged), or null
+         */
+        async acknowledge(id, by) {
+            const alert = await store.update(id, stored => {
+                if (stored.acknowledged_at) return;
+                stored.acknowledged_at = new Date().toISOString();
+                stored.acknowledged_by = { uid: by.uid || null, name: by.name || null, via: by.via };
+                stored.deliveries.forEach(delivery => {
+                    if (delivery.status === 'pending') Object.assign(delivery, { status: 'cancelled', next_attempt_at: null });
+                });
+            });
+            if (alert) {
+                clearTimeout(timers.get(id));
+                timers.delete(id);
+                logger.info('alert_acknowledged', { alert_id: id, via: by.via, uid: by.uid || null });
+            }
+            return alert;
+        },
+
+        /**
+         * Schedules the deliveries left pending when the server last stopped
+         */
+        async resume() {
+            const pending = await store.listPending();
+            pending.forEach(schedule);
+            return pending.length;
+        },
+
+        get: id => store.get(id),
+        getByToken: token => store.getByToken(token),
+        list: filters => store.list(filters)
+    };
+}
+
+module.exports = {
+    canAccessAlert,
+    createAlertDispatcher
+};
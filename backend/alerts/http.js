@@ -0,0 +1,46 @@
+// ============================================
+// Alert Channels: HTTP Helper
+// ============================================
+// The webhook and SMS-gateway channels both POST JSON and treat any 2xx
+// answer as delivered.
+
+/**
+ * An HTTP delivery error; permanent for 4xx answers other than 408 and
+ * 429 (the request itself is wrong, so retrying will not help)
+ */
+class DeliveryError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'DeliveryError';
+        this.status = status;
+        this.permanent = status >= 400 && status < 500 && status !== 408 && status !== 429;
+    }
+}
+
+/**
+ * POSTs a JSON body (already serialised) and throws unless the answer is 2xx
+ */
+async function postJson(url, body, headers, timeoutMs) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body,
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+    } catch (error) {
+        const reason = error.name === 'TimeoutError' ? `no answer within ${timeoutMs} ms` : (error.cause || error).message;
+        throw new DeliveryError(`Could not reach ${new URL(url).host}: ${reason}`, null);
+    }
+
+    // The answer body is not kept: a receiver may echo the alert back
+    if (!response.ok) {
+        throw new DeliveryError(`${new URL(url).host} returned ${response.status}`, response.status);
+    }
+}
+
+module.exports = {
+    DeliveryError,
+    postJson
+};
@@ -0,0 +1,82 @@
+// ============================================
+// CareCompass AI - Critical-Case Alerts
+// ============================================
+// Pages the people on call when a high-risk case is saved. Channels
+// (any combination, each off until configured):
+//
+// - webhook: POST JSON to ALERT_WEBHOOK_URL
+// - email:   SMTP through ALERT_SMTP_HOST to ALERT_EMAIL_TO
+// - sms:     an HTTP SMS gateway at ALERT_SMS_URL to ALERT_SMS_TO
+//
+// Every channel exposes:
+//
+//   {
+//     name: string,                        // 'webhook' | 'email' | 'sms'
+//     targets: [string],                   // one delivery per target
+//     send(message, target) -> Promise     // throws on failure; error.permanent = do not retry
+//   }
+//
+// With no channel configured, alerts are still raised and can be
+// acknowledged in the app. See dispatcher.js for retries, deduplication
+// and acknowledgement.
+
+const { createWebhookChannel } = require('./webhook');
+const { createSmtpChannel } = require('./smtp');
+const { createSmsChannel } = require('./sms');
+const { createAlertStore } = require('./alertStore');
+const { canAccessAlert, createAlertDispatcher } = require('./dispatcher');
+const { RISK_LEVELS } = require('../triage/riskLevels');
+
+/**
+ * Creates the configured channels
+ * Throws if one is only partly configured
+ */
+function createAlertChannels(alertsConfig) {
+    const { webhook, smtp, sms, timeoutMs } = alertsConfig;
+    const channels = [];
+
+    if (webhook.url) {
+        channels.push(createWebhookChannel({ ...webhook, timeoutMs }));
+    }
+    if (smtp.host) {
+        if (!smtp.from || smtp.to.length === 0) {
+            throw new Error('ALERT_SMTP_HOST is set, so ALERT_EMAIL_FROM and ALERT_EMAIL_TO are required');
+        }
+        channels.push(createSmtpChannel({ ...smtp, timeoutMs }));
+    }
+    if (sms.url) {
+        if (sms.to.length === 0) {
+            throw new Error('ALERT_SMS_URL is set, so ALERT_SMS_TO is required');
+        }
+        channels.push(createSmsChannel({ ...sms, timeoutMs }));
+    }
+    return channels;
+}
+
+/**
+ * Creates the alert dispatcher from the alerts configuration
+ * Throws if the configuration is invalid
+ */
+function createAlerts(alertsConfig, { facility, onDelivery }) {
+    if (!RISK_LEVELS.includes(alertsConfig.minRiskLevel)) {
+        throw new Error(`Unknown ALERT_MIN_RISK_LEVEL "${alertsConfig.minRiskLevel}". Use one of: ${RISK_LEVELS.join(', ')}`);
+    }
+
+    return createAlertDispatcher({
+        store: createAlertStore({ filePath: alertsConfig.filePath }),
+        channels: createAlertChannels(alertsConfig),
+        minRiskLevel: alertsConfig.minRiskLevel,
+        dedupMinutes: alertsConfig.dedupMinutes,
+        maxAttempts: alertsConfig.maxAttempts,
+        retryBaseMs: alertsConfig.retryBaseMs,
+        facility,
+        publicUrl: alertsConfig.publicUrl,
+        includePatientName: alertsConfig.includePatientName,
+        onDelivery
+    });
+}
+
+module.exports = {
+    canAccessAlert,
+    createAlerts
+};
@@ -0,0 +1,98 @@
+// ============================================
+// Alert Messages
+// ============================================
+// Renders a stored alert for each channel: an email, a short SMS and a
+// JSON payload for webhooks. Alerts carry only what the person on call
+// needs to act: risk, age and sex, the key concerns, the recommendation,
+// who saved the case and how to acknowledge. The patient's name is
+// included only with ALERT_INCLUDE_PATIENT_NAME=true.
+
+// Texts longer than this are cut (most phones join up to ~3 SMS parts)
+const MAX_SMS_LENGTH = 300;
+
+/**
+ * "60 years, male" from the alert summary (parts that are missing are left out)
+ */
+function describePatient(summary) {
+    const parts = [];
+    if (summary.patient_name) parts.push(summary.patient_name);
+    if (summary.age) parts.push(`${summary.age} ${summary.age_unit || 'years'}`);
+    if (summary.sex && summary.sex !== 'unknown') parts.push(summary.sex);
+    return parts.join(', ') || 'Patient details not recorded';
+}
+
+/**
+ * The link that acknowledges the alert, or null without ALERT_PUBLIC_URL
+ */
+function acknowledgeUrl(alert, publicUrl) {
+    return publicUrl ? `${publicUrl.replace(/\/+$/, '')}/alerts/ack/${alert.ack_token}` : null;
+}
+
+/**
+ * Renders the alert: { email: { subject, text }, sms, payload }
+ */
+function buildAlertMessage(alert, { facility, publicUrl }) {
+    const { summary } = alert;
+    const ackUrl = acknowledgeUrl(alert, publicUrl);
+    const patient = describePatient(summary);
+    const level = alert.risk_level.toUpperCase();
+
+    const text = [
+        `${level} case saved at ${facility.name}`,
+        '',
+        `Risk: ${alert.risk_level} (score ${alert.risk_score}/100)`,
+        `Patient: ${patient}`,
+        `Saved by: ${summary.clinician || 'Not recorded'}`,
+        `Saved at: ${alert.created_at}`,
+        '',
+        'Key concerns:',
+        ...(summary.concerns.length > 0 ? summary.concerns.map(concern => `- ${concern}`) : ['- None listed']),
+        '',
+        `Recommendation: ${summary.recommendation || 'See the case'}`,
+        '',
+        `Case id: ${alert.case_id}`,
+        ackUrl ? `Acknowledge: ${ackUrl}` : 'Acknowledge it in CareCompass: open the case and click Acknowledge.',
+        '',
+        'AI-assisted triage support, not a diagnosis. Confirm clinically.'
+    ].join('\n');
+
+    let sms = `${level} (score ${alert.risk_score}) at ${facility.name}: ${patient}.`;
+    if (summary.concerns.length > 0) sms += ` ${summary.concerns[0]}.`;
+    const ackPart = ackUrl ? ` Ack: ${ackUrl}` : '';
+    if (sms.length + ackPart.length > MAX_SMS_LENGTH) {
+        sms = `${sms.slice(0, MAX_SMS_LENGTH - ackPart.length - 3)}...`;
+    }
+    sms += ackPart;
+
+    return {
+        email: {
+            subject: `[${level}] Case at ${facility.name}: ${patient}`,
+            text
+        },
+        sms,
+        payload: {
+            event: 'case.alert',
+            alert_id: alert.id,
+            case_id: alert.case_id,
+            patient_id: alert.patient_id,
+            facility: facility.name,
+            risk_level: alert.risk_level,
+            risk_score: alert.risk_score,
+            patient: {
+                name: summary.patient_name || null,
+                age: summary.age || null,
+                age_unit: summary.age_unit || null,
+                sex: summary.sex || null
+            },
+            key_concerns: summary.concerns,
+            triage_recommendation: summary.recommendation,
+            clinician: summary.clinician,
+            created_at: alert.created_at,
+            acknowledge_url: ackUrl
+        }
+    };
+}
+
+module.exports = {
+    buildAlertMessage
+};
@@ -0,0 +1,35 @@
+// ============================================
+// Alert Channel: SMS Gateway
+// ============================================
+// Sends a short text to each phone number through an HTTP SMS gateway,
+// one request per number:
+//
+//   POST <ALERT_SMS_URL>
+//   Authorization: Bearer <ALERT_SMS_TOKEN>
+//   { "to": "+919800000001", "from": "CareCompass", "message": "..." }
+//
+// Most gateways (or a small relay in front of them) accept this shape.
+
+const { postJson } = require('./http');
+
+/**
+ * Creates the SMS channel: { url, token, from, to: [...], timeoutMs }
+ */
+function createSmsChannel({ url, token, from, to, timeoutMs }) {
+    return {
+        name: 'sms',
+        targets: to,
+
+        /**
+         * Sends the alert's text message to one phone number
+         */
+        send(message, number) {
+            const body = JSON.stringify({ to: number, from, message: message.sms });
+            return postJson(url, body, token ? { Authorization: `Bearer ${token}` } : {}, timeoutMs);
+        }
+    };
+}
+
+module.exports = {
+    createSmsChannel
+};
@@ -0,0 +1,214 @@
+// ============================================
+// Alert Channel: SMTP Email
+// ============================================
+// Sends each alert as a plain-text email through an SMTP server, one
+// message per recipient. A small client over net/tls:
+//
+//   EHLO -> STARTTLS (if offered) -> EHLO -> AUTH PLAIN (if a user is set)
+//        -> MAIL FROM -> RCPT TO -> DATA -> QUIT
+//
+// With `secure` the connection is TLS from the start (port 465). The
+// password is never sent over a connection that is not encrypted.
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * An SMTP error; permanent for 5xx replies (retrying will not help)
+ */
+class SmtpError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'SmtpError';
+        this.code = code;
+        this.permanent = code >= 500;
+    }
+}
+
+/**
+ * Wraps a socket so replies can be awaited one at a time
+ * Returns { read() -> Promise<{ code, lines }>, socket, upgrade(tlsSocket) }
+ */
+function createReplyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+    let failure = null;
+
+    function onData(chunk) {
+        buffer += chunk.toString('utf8');
+        let end;
+        while ((end = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            lines.push(line.slice(4));
+            // "250-..." continues a reply, "250 ..." ends it
+            if (/^\d{3}( |$)/.test(line)) {
+                const reply = { code: parseInt(line.slice(0, 3), 10), lines };
+                lines = [];
+                if (waiting.length > 0) waiting.shift().resolve(reply);
+                else replies.push(reply);
+            }
+        }
+    }
+
+    function onFailure(error) {
+        failure = error;
+        waiting.splice(0).forEach(({ reject }) => reject(error));
+    }
+
+    const reader = {
+        socket,
+
+        read() {
+            if (replies.length > 0) return Promise.resolve(replies.shift());
+            if (failure) return Promise.reject(failure);
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        },
+
+        /**
+         * Switches to the TLS socket after STARTTLS
+         */
+        upgrade(tlsSocket) {
+            socket.removeListener('data', onData);
+            reader.socket = socket = tlsSocket;
+            attach(tlsSocket);
+        }
+    };
+
+    function attach(target) {
+        target.on('data', onData);
+        target.on('error', onFailure);
+        target.on('close', () => onFailure(new Error('The SMTP server closed the connection')));
+    }
+    attach(socket);
+
+    return reader;
+}
+
+/**
+ * Encodes a header value as RFC 2047 UTF-8 if it is not plain ASCII
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * The full message (headers and base64 body, so any language is safe)
+ */
+function buildMessage({ from, to, subject, text, domain }) {
+    const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+/**
+ * Creates the email channel
+ * { host, port, secure, user, password, from, to: [...], timeoutMs }
+ */
+function createSmtpChannel({ host, port, secure, user, password, from, to, timeoutMs }) {
+    const domain = from.split('@')[1] || os.hostname();
+
+    /**
+     * Sends a command (null: just wait for the greeting) and checks the
+     * reply code. `step` names it in errors, never the data sent.
+     */
+    async function command(reader, line, expected, step) {
+        if (line !== null) reader.socket.write(`${line}\r\n`);
+        const reply = await reader.read();
+        if (!expected.includes(reply.code)) {
+            throw new SmtpError(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+        }
+        return reply;
+    }
+
+    /**
+     * Opens the connection (TLS right away with `secure`)
+     */
+    function connect() {
+        return new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+                : net.connect({ host, port }, () => resolve(socket));
+            socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`The SMTP server did not answer within ${timeoutMs} ms`)));
+            socket.once('error', reject);
+        });
+    }
+
+    /**
+     * Sends one message to one recipient
+     */
+    async function deliver(recipient, message) {
+        const socket = await connect();
+        const reader = createReplyReader(socket);
+        let encrypted = secure;
+
+        try {
+            await command(reader, null, [220], 'greeting');
+            const hello = await command(reader, `EHLO ${os.hostname()}`, [250], 'EHLO');
+
+            if (!encrypted && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+                await command(reader, 'STARTTLS', [220], 'STARTTLS');
+                const tlsSocket = tls.connect({ socket: reader.socket, servername: host });
+                await new Promise((resolve, reject) => {
+                    tlsSocket.once('secureConnect', resolve);
+                    tlsSocket.once('error', reject);
+                });
+                tlsSocket.setTimeout(timeoutMs, () => tlsSocket.destroy(new Error(`The SMTP server did not answer within ${timeoutMs} ms`)));
+                reader.upgrade(tlsSocket);
+                encrypted = true;
+                await command(reader, `EHLO ${os.hostname()}`, [250], 'EHLO');
+            }
+
+            if (user) {
+                if (!encrypted) {
+                    throw new SmtpError('Refusing to send the SMTP password over a connection without TLS', 530);
+                }
+                const credentials = Buffer.from(`\0${user}\0${password || ''}`, 'utf8').toString('base64');
+                await command(reader, `AUTH PLAIN ${credentials}`, [235], 'AUTH');
+            }
+
+            await command(reader, `MAIL FROM:<${from}>`, [250], 'MAIL FROM');
+            await command(reader, `RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+            await command(reader, 'DATA', [354], 'DATA');
+
+            // Lines starting with a dot get a second one (RFC 5321 4.5.2)
+            const data = buildMessage({ from, to: recipient, domain, ...message }).replace(/^\./gm, '..');
+            await command(reader, `${data.replace(/\r\n$/, '')}\r\n.`, [250], 'message');
+            reader.socket.write('QUIT\r\n');
+        } finally {
+            reader.socket.end();
+        }
+    }
+
+    return {
+        name: 'email',
+        targets: to,
+
+        /**
+         * Sends the alert's email ({ subject, text } in the rendered
+         * message, see message.js) to one recipient
+         */
+        send(message, recipient) {
+            return deliver(recipient, message.email);
+        }
+    };
+}
+
+module.exports = {
+    SmtpError,
+    createSmtpChannel
+};
@@ -0,0 +1,44 @@
+// ============================================
+// Alert Channel: Webhook
+// ============================================
+// POSTs each alert as JSON to one URL (a paging system, a chat bot, the
+// hospital's integration engine). The body is the alert's `payload` (see
+// message.js). Headers:
+//
+//   X-CareCompass-Event:     case.alert
+//   X-CareCompass-Alert-Id:  the alert id, the same on every retry, so the
+//                            receiver can drop repeats
+//   X-CareCompass-Signature: sha256=<HMAC-SHA256 of the body> when
+//                            ALERT_WEBHOOK_SECRET is set
+
+const crypto = require('crypto');
+const { postJson } = require('./http');
+
+/**
+ * Creates the webhook channel: { url, secret, timeoutMs }
+ */
+function createWebhookChannel({ url, secret, timeoutMs }) {
+    return {
+        name: 'webhook',
+        targets: [url],
+
+        /**
+         * POSTs the alert's payload to the webhook URL
+         */
+        send(message) {
+            const body = JSON.stringify(message.payload);
+            const headers = {
+                'X-CareCompass-Event': 'case.alert',
+                'X-CareCompass-Alert-Id': message.payload.alert_id
+            };
+            if (secret) {
+                headers['X-CareCompass-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+            }
+            return postJson(url, body, headers, timeoutMs);
+        }
+    };
+}
+
+module.exports = {
+    createWebhookChannel
+};
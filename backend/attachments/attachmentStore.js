@@ -0,0 +1,107 @@
+// ============================================
+// Photo Attachment Store
+// ============================================
+// Photos clinicians attach to a case, kept as files in one folder:
+//
+//   <id>           the photo, metadata already removed (see image.js)
+//   <id>.thumb     the small version the timeline and case modal show
+//   <id>.json      { id, doctor_id, content_type, width, height, bytes,
+//                    thumbnail: { content_type, width, height, bytes } | null,
+//                    created_at }
+//
+// A case lists its photos by id (attachmentIds). Photos are patient
+// data: keep the folder on the server's protected disk, like the audit log.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Photos one case (and one triage request) may carry
+const MAX_ATTACHMENTS = 4;
+
+// Ids are UUIDs; anything else never reaches the file system
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Checks a list of attachment ids (from /analyze or a saved case)
+ * Returns { ids } (empty if none were sent) or { error }
+ */
+function parseAttachmentIds(value) {
+    if (value === undefined || value === null) return { ids: [] };
+    if (!Array.isArray(value) || value.length > MAX_ATTACHMENTS || !value.every(id => typeof id === 'string' && ID_PATTERN.test(id))) {
+        return { error: `attachment_ids must be a list of at most ${MAX_ATTACHMENTS} photo ids` };
+    }
+    return { ids: [...new Set(value)] };
+}
+
+/**
+ * Creates a store that keeps photos in the folder at dirPath
+ */
+function createAttachmentStore({ dirPath }) {
+    const fileOf = (id, suffix = '') => path.join(dirPath, `${id}${suffix}`);
+
+    /**
+     * Reads a photo's details, or null if there is none
+     */
+    async function get(id) {
+        if (!ID_PATTERN.test(id)) return null;
+        try {
+            return JSON.parse(await fs.promises.readFile(fileOf(id, '.json'), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    return {
+        dirPath,
+        get,
+
+        /**
+         * Saves a photo and its thumbnail (both already checked and
+         * cleaned: { contentType, width, height, data })
+         * Returns the photo's details
+         */
+        async create({ image, thumbnail, doctorId }) {
+            const id = crypto.randomUUID();
+            const describe = ({ contentType, width, height, data }) => ({
+                content_type: contentType, width, height, bytes: data.length
+            });
+            const attachment = {
+                id,
+                doctor_id: doctorId,
+                ...describe(image),
+                thumbnail: thumbnail ? describe(thumbnail) : null,
+                created_at: new Date().toISOString()
+            };
+
+            await fs.promises.mkdir(dirPath, { recursive: true });
+            await fs.promises.writeFile(fileOf(id), image.data);
+            if (thumbnail) await fs.promises.writeFile(fileOf(id, '.thumb'), thumbnail.data);
+            // Written last: a photo only exists once all its files do
+            await fs.promises.writeFile(fileOf(id, '.json'), JSON.stringify(attachment, null, 2));
+            return attachment;
+        },
+
+        /**
+         * Reads a photo, or its thumbnail (the photo itself if it has none)
+         * Returns { attachment, contentType, data } or null
+         */
+        async read(id, { thumbnail = false } = {}) {
+            const attachment = await get(id);
+            if (!attachment) return null;
+            const small = thumbnail && attachment.thumbnail;
+            return {
+                attachment,
+                contentType: small ? attachment.thumbnail.content_type : attachment.content_type,
+                data: await fs.promises.readFile(fileOf(id, small ? '.thumb' : ''))
+            };
+        }
+    };
+}
+
+module.exports = {
+    MAX_ATTACHMENTS,
+    parseAttachmentIds,
+    createAttachmentStore
+};
@@ -0,0 +1,255 @@
+// ============================================
+// Photo Checks and Metadata Stripping
+// ============================================
+// Reads the type and size of an uploaded photo from its own bytes (never
+// from what the browser claims), and removes everything that is not the
+// picture itself: EXIF (camera, time and GPS location), XMP, IPTC and
+// comments. Only JPEG, PNG and WebP are accepted.
+//
+// No image library is needed: metadata lives in its own segments
+// (JPEG) or chunks (PNG, WebP), which are dropped without touching the
+// pixels. The EXIF orientation goes too; the app draws photos upright
+// before uploading them.
+
+// Largest width x height accepted (protects browsers and the AI from huge decodes)
+const MAX_PIXELS = 40 * 1000 * 1000;
+
+/**
+ * A photo that cannot be accepted; the message is safe to show the clinician
+ */
+class ImageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImageError';
+    }
+}
+
+// ============================================
+// JPEG
+// ============================================
+
+// Start-of-frame markers (they carry the size); not DHT (C4), JPG (C8) or DAC (CC)
+const JPEG_FRAME_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+/**
+ * True if an application or comment segment should be kept: the colour
+ * profile (APP2 ICC_PROFILE), JFIF (APP0) and Adobe colour (APP14).
+ * EXIF and XMP (APP1), IPTC (APP13), comments (COM) and the rest go.
+ */
+function keepJpegSegment(marker, body) {
+    if (marker === 0xe0) return body.subarray(0, 5).toString('latin1') === 'JFIF\0';
+    if (marker === 0xe2) return body.subarray(0, 12).toString('latin1') === 'ICC_PROFILE\0';
+    if (marker === 0xee) return body.subarray(0, 5).toString('latin1') === 'Adobe';
+    return !(marker >= 0xe0 && marker <= 0xef) && marker !== 0xfe;
+}
+
+/**
+ * Finds where a scan's compressed data ends: the first marker that is not
+ * a stuffed 0xFF00 byte or a restart marker (RST0-7)
+ */
+function jpegScanEnd(buffer, start) {
+    let offset = buffer.indexOf(0xff, start);
+    while (offset !== -1 && offset + 1 < buffer.length) {
+        const next = buffer[offset + 1];
+        if (next !== 0x00 && next !== 0xff && !(next >= 0xd0 && next <= 0xd7)) return offset;
+        offset = buffer.indexOf(0xff, offset + 1);
+    }
+    throw new ImageError('The JPEG file is incomplete');
+}
+
+/**
+ * Reads a JPEG's size and copies it without its metadata segments.
+ * Progressive files have several scans, each followed by more segments;
+ * everything after the end-of-image marker (e.g. a second JPEG with its
+ * own EXIF appended to the first) is dropped.
+ */
+function readJpeg(buffer) {
+    const kept = [buffer.subarray(0, 2)];
+    let width = null;
+    let height = null;
+    let offset = 2;
+
+    while (offset + 2 <= buffer.length) {
+        if (buffer[offset] !== 0xff) throw new ImageError('The JPEG file is damaged');
+        const marker = buffer[offset + 1];
+        // Fill bytes before a marker
+        if (marker === 0xff) { offset += 1; continue; }
+
+        // End of image
+        if (marker === 0xd9) {
+            kept.push(buffer.subarray(offset, offset + 2));
+            return { width, height, data: Buffer.concat(kept) };
+        }
+
+        if (offset + 4 > buffer.length) break;
+        const length = buffer.readUInt16BE(offset + 2);
+        const end = offset + 2 + length;
+        if (length < 2 || end > buffer.length) throw new ImageError('The JPEG file is damaged');
+        const body = buffer.subarray(offset + 4, end);
+
+        if (JPEG_FRAME_MARKERS.has(marker) && body.length >= 5) {
+            height = body.readUInt16BE(1);
+            width = body.readUInt16BE(3);
+        }
+
+        // Start of scan: the header, then compressed data up to the next marker
+        if (marker === 0xda) {
+            const scanEnd = jpegScanEnd(buffer, end);
+            kept.push(buffer.subarray(offset, scanEnd));
+            offset = scanEnd;
+            continue;
+        }
+
+        if (keepJpegSegment(marker, body)) kept.push(buffer.subarray(offset, end));
+        offset = end;
+    }
+    throw new ImageError('The JPEG file is incomplete');
+}
+
+// ============================================
+// PNG
+// ============================================
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Chunks needed to draw the picture right; text (tEXt, zTXt, iTXt),
+// EXIF (eXIf), the time (tIME) and anything unknown are dropped
+const PNG_KEPT_CHUNKS = new Set([
+    'IHDR', 'PLTE', 'IDAT', 'IEND', 'tRNS', 'cHRM', 'gAMA', 'iCCP', 'sBIT', 'sRGB', 'bKGD', 'pHYs'
+]);
+
+/**
+ * Reads a PNG's size and copies it without its metadata chunks
+ */
+function readPng(buffer) {
+    const kept = [PNG_SIGNATURE];
+    let width = null;
+    let height = null;
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.subarray(offset + 4, offset + 8).toString('latin1');
+        const end = offset + 12 + length;
+        if (end > buffer.length) throw new ImageError('The PNG file is damaged');
+
+        if (type === 'IHDR') {
+            width = buffer.readUInt32BE(offset + 8);
+            height = buffer.readUInt32BE(offset + 12);
+        }
+        if (PNG_KEPT_CHUNKS.has(type)) kept.push(buffer.subarray(offset, end));
+        if (type === 'IEND') return { width, height, data: Buffer.concat(kept) };
+        offset = end;
+    }
+    throw new ImageError('The PNG file is incomplete');
+}
+
+// ============================================
+// WebP
+// ============================================
+
+// VP8X flags that announce EXIF and XMP chunks
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+/**
+ * Reads the size from a WebP image chunk (lossy, lossless or extended)
+ */
+function webpSize(type, body) {
+    if (type === 'VP8X' && body.length >= 10) {
+        return { width: body.readUIntLE(4, 3) + 1, height: body.readUIntLE(7, 3) + 1 };
+    }
+    if (type === 'VP8 ' && body.length >= 10) {
+        return { width: body.readUInt16LE(6) & 0x3fff, height: body.readUInt16LE(8) & 0x3fff };
+    }
+    if (type === 'VP8L' && body.length >= 5) {
+        const bits = body.readUInt32LE(1);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    return null;
+}
+
+/**
+ * Reads a WebP's size and copies it without its EXIF and XMP chunks
+ */
+function readWebp(buffer) {
+    const kept = [];
+    let size = null;
+    let offset = 12;
+    const riffEnd = Math.min(buffer.length, 8 + buffer.readUInt32LE(4));
+
+    while (offset + 8 <= riffEnd) {
+        const type = buffer.subarray(offset, offset + 4).toString('latin1');
+        const length = buffer.readUInt32LE(offset + 4);
+        // Chunks are padded to an even length
+        const end = offset + 8 + length + (length % 2);
+        if (offset + 8 + length > riffEnd) throw new ImageError('The WebP file is damaged');
+        const body = buffer.subarray(offset + 8, offset + 8 + length);
+
+        size = size || webpSize(type, body);
+        if (type === 'VP8X') {
+            const chunk = Buffer.from(buffer.subarray(offset, Math.min(end, riffEnd)));
+            chunk[8] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+            kept.push(chunk);
+        } else if (type !== 'EXIF' && type !== 'XMP ') {
+            kept.push(buffer.subarray(offset, Math.min(end, riffEnd)));
+        }
+        offset = end;
+    }
+    if (!size) throw new ImageError('The WebP file has no image');
+
+    const chunks = Buffer.concat(kept);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(chunks.length + 4, 4);
+    header.write('WEBP', 8, 'latin1');
+    return { ...size, data: Buffer.concat([header, chunks]) };
+}
+
+// ============================================
+// ENTRY POINT
+// ============================================
+
+const FORMATS = [
+    { contentType: 'image/jpeg', matches: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff, read: readJpeg },
+    { contentType: 'image/png', matches: b => b.subarray(0, 8).equals(PNG_SIGNATURE), read: readPng },
+    {
+        contentType: 'image/webp',
+        matches: b => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP',
+        read: readWebp
+    }
+];
+
+// Types the upload accepts, for messages and the file picker
+const CONTENT_TYPES = FORMATS.map(format => format.contentType);
+
+/**
+ * Checks a photo and removes its metadata
+ * Returns { contentType, width, height, data } (data without metadata)
+ * Throws ImageError if it is not a whole JPEG, PNG or WebP image
+ */
+function cleanImage(buffer) {
+    const format = buffer.length >= 12 && FORMATS.find(f => f.matches(buffer));
+    if (!format) throw new ImageError(`Only ${CONTENT_TYPES.join(', ')} photos can be attached`);
+
+    let image;
+    try {
+        image = format.read(buffer);
+    } catch (error) {
+        // A length field pointing past the end reads out of range
+        if (error instanceof ImageError) throw error;
+        throw new ImageError('The photo file is damaged');
+    }
+
+    if (!image.width || !image.height) throw new ImageError('The photo has no size');
+    if (image.width * image.height > MAX_PIXELS) {
+        throw new ImageError(`The photo is too large (${image.width}x${image.height}); at most ${MAX_PIXELS / 1000000} megapixels`);
+    }
+    return { contentType: format.contentType, width: image.width, height: image.height, data: image.data };
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    ImageError,
+    cleanImage
+};
@@ -0,0 +1,160 @@
+// ============================================
+// Triage Audit Trail
+// ============================================
+// Every /analyze call is written to an append-only JSON Lines file, one
+// record per line:
+//
+//   {
+//     id: string,                 // random UUID
+//     timestamp: string,          // ISO 8601
+//     uid: string,                // clinician who asked
+//     input_hash: string,         // sha256 of the redacted input
+//     redacted_input: object,     // what the AI saw (placeholders, no identifiers)
+//     prompt_version: string|null,
+//     prompt_hash: string|null,   // hash of the template text used
+//     provider: string,
+//     model: string,
+//     raw_responses: [string],    // raw model text, one per attempt
+//     parsed_result: object|null, // validated AI output before re-identification
+//     risk_level: string,         // final answer sent to the clinician
+//     risk_score: number,
+//     validation_status: string,
+//     fallback_used: boolean,
+//     latency_ms: number,
+//     photos: [{ id, content_type, bytes, sent_to_ai }],  // never the image itself
+//     prev_hash: string|null,     // record_hash of the line before
+//     record_hash: string         // sha256 of this record (without record_hash)
+//   }
+//
+// Records are chained by hash, so editing or deleting a line in the
+// middle of the file shows up in verify(). Records hold the redacted
+// input (so it can be replayed), never the patient's name or contact details.
+// Image data never goes in either: any data URL of an image that reaches
+// append() (e.g. pasted into the symptoms) is cut out first.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * sha256 of a value's JSON, hex encoded
+ */
+function hashJSON(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+// An image as a data URL (base64)
+const IMAGE_DATA_URL = /data:image\/[\w.+-]+;base64,[A-Za-z0-9+/=]+/g;
+
+/**
+ * A copy of the value with every image data URL replaced by a marker
+ */
+function withoutImageData(value) {
+    return JSON.parse(JSON.stringify(value).replace(IMAGE_DATA_URL, '[image removed]'));
+}
+
+/**
+ * Reads every record in the file (oldest first)
+ */
+async function readRecords(filePath) {
+    let text;
+    try {
+        text = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+/**
+ * Creates an audit store that appends to filePath
+ */
+function createAuditStore({ filePath }) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    // Appends run one at a time so each record can chain to the one before
+    let queue = Promise.resolve();
+    let lastHash;
+
+    /**
+     * Finds the hash of the last record already in the file (once, at first append)
+     */
+    async function loadLastHash() {
+        if (lastHash !== undefined) return lastHash;
+        const records = await readRecords(filePath);
+        lastHash = records.length > 0 ? records[records.length - 1].record_hash : null;
+        return lastHash;
+    }
+
+    return {
+        filePath,
+
+        /**
+         * Appends one triage record. Returns the stored record.
+         */
+        append(entry) {
+            const write = async () => {
+                const cleaned = withoutImageData(entry);
+                const record = {
+                    id: crypto.randomUUID(),
+                    timestamp: new Date().toISOString(),
+                    ...cleaned,
+                    input_hash: hashJSON(cleaned.redacted_input),
+                    prev_hash: await loadLastHash()
+                };
+                record.record_hash = hashJSON(record);
+
+                await fs.promises.appendFile(filePath, JSON.stringify(record) + '\n', 'utf8');
+                lastHash = record.record_hash;
+                return record;
+            };
+
+            const result = queue.then(write);
+            // Keep the queue going even if one write fails
+            queue = result.catch(() => {});
+            return result;
+        },
+
+        /**
+         * Returns records matching the filters, newest first
+         * Filters: { id, uid, provider, fallback (boolean), from, to (inclusive ISO date-times), limit }
+         */
+        async query({ id, uid, provider, fallback, from, to, limit } = {}) {
+            const records = await readRecords(filePath);
+            const fromTime = from ? Date.parse(from) : null;
+            const toTime = to ? Date.parse(to) : null;
+
+            const matches = records.filter(record => {
+                const time = Date.parse(record.timestamp);
+                if (id && record.id !== id) return false;
+                if (uid && record.uid !== uid) return false;
+                if (provider && record.provider !== provider) return false;
+                if (typeof fallback === 'boolean' && record.fallback_used !== fallback) return false;
+                if (fromTime !== null && time < fromTime) return false;
+                if (toTime !== null && time > toTime) return false;
+                return true;
+            }).reverse();
+
+            return limit ? matches.slice(0, limit) : matches;
+        },
+
+        /**
+         * Checks the hash chain. Returns { ok, records, broken_at? }
+         */
+        async verify() {
+            const records = await readRecords(filePath);
+            let prev = null;
+            for (let i = 0; i < records.length; i++) {
+                const { record_hash: recordHash, ...rest } = records[i];
+                if (rest.prev_hash !== prev || hashJSON(rest) !== recordHash) {
+                    return { ok: false, records: records.length, broken_at: records[i].id };
+                }
+                prev = recordHash;
+            }
+            return { ok: true, records: records.length };
+        }
+    };
+}
+
+module.exports = { createAuditStore };
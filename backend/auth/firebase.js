@@ -0,0 +1,71 @@
+// ============================================
+// Token Verifier: Firebase ID Tokens
+// ============================================
+// Verifies the ID token the signed-in user's Firebase client sends.
+// The clinician's role comes from a `role` custom claim if one is set,
+// otherwise from their Firestore users/{uid} document (the same place
+// the frontend reads it). Reading Firestore needs service account
+// credentials (GOOGLE_APPLICATION_CREDENTIALS); without them every
+// user is treated as 'doctor'.
+
+const { initializeApp, getApps, applicationDefault } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('../logger');
+
+// Roles rarely change, so cache them briefly to avoid a read per request
+const ROLE_CACHE_MS = 5 * 60 * 1000;
+
+/**
+ * Creates a verifier for Firebase ID tokens
+ */
+function createFirebaseVerifier({ projectId }) {
+    const options = { projectId };
+    if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+        options.credential = applicationDefault();
+    }
+    const app = getApps().length > 0 ? getApps()[0] : initializeApp(options);
+    const roleCache = new Map();
+
+    /**
+     * Looks up the user's role in Firestore (cached)
+     */
+    async function lookupRole(uid) {
+        const cached = roleCache.get(uid);
+        if (cached && cached.expires > Date.now()) {
+            return cached.role;
+        }
+
+        let role = 'doctor';
+        try {
+            const userDoc = await getFirestore(app).collection('users').doc(uid).get();
+            if (userDoc.exists && userDoc.data().role) {
+                role = userDoc.data().role;
+            }
+        } catch (error) {
+            logger.warn('role_lookup_failed', { uid, message: error.message });
+        }
+
+        roleCache.set(uid, { role, expires: Date.now() + ROLE_CACHE_MS });
+        return role;
+    }
+
+    return {
+        name: 'firebase',
+
+        /**
+         * Verifies the ID token and returns the user it identifies
+         * Throws if the token is invalid, expired or for another project
+         */
+        async verify(token) {
+            const decoded = await getAuth(app).verifyIdToken(token);
+            return {
+                uid: decoded.uid,
+                email: decoded.email || null,
+                role: decoded.role || await lookupRole(decoded.uid)
+            };
+        }
+    };
+}
+
+module.exports = { createFirebaseVerifier };
@@ -0,0 +1,76 @@
+// ============================================
+// CareCompass AI - Authentication
+// ============================================
+// Every protected endpoint needs an `Authorization: Bearer <ID token>`
+// header. The token is checked by a pluggable verifier:
+//
+//   {
+//     name: string,                                   // 'firebase' | 'local'
+//     verify(token) -> Promise<{ uid, email, role }>  // throws if invalid
+//   }
+//
+// - firebase: real Firebase ID tokens from the signed-in clinician
+// - local:    tokens signed with AUTH_LOCAL_SECRET, for tests and offline use
+
+const { createFirebaseVerifier } = require('./firebase');
+const { createLocalVerifier } = require('./local');
+const logger = require('../logger');
+
+const VERIFIER_FACTORIES = {
+    firebase: authConfig => createFirebaseVerifier(authConfig.firebase),
+    local: authConfig => createLocalVerifier(authConfig.local)
+};
+
+/**
+ * Creates the verifier named in the auth configuration
+ * Throws if the verifier is unknown or misconfigured
+ */
+function createVerifier(authConfig) {
+    const factory = VERIFIER_FACTORIES[authConfig.verifier];
+    if (!factory) {
+        throw new Error(`Unknown AUTH_VERIFIER "${authConfig.verifier}". Use one of: ${Object.keys(VERIFIER_FACTORIES).join(', ')}`);
+    }
+    return factory(authConfig);
+}
+
+/**
+ * Express middleware: rejects requests without a valid token and
+ * attaches the clinician to the request as req.user = { uid, email, role }
+ */
+function requireAuth(verifier) {
+    return async (req, res, next) => {
+        const header = req.get('Authorization') || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+
+        if (!match) {
+            return res.status(401).json({ error: 'Authentication required. Please sign in again.' });
+        }
+
+        try {
+            req.user = await verifier.verify(match[1].trim());
+        } catch (error) {
+            logger.warn('auth_rejected', { verifier: verifier.name, ip: req.ip, message: error.message });
+            return res.status(401).json({ error: 'Invalid or expired session. Please sign in again.' });
+        }
+        next();
+    };
+}
+
+/**
+ * Express middleware: only lets through users with the given role
+ * Must come after requireAuth
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user || req.user.role !== role) {
+            return res.status(403).json({ error: `This action requires the ${role} role.` });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    createVerifier,
+    requireAuth,
+    requireRole
+};
@@ -0,0 +1,44 @@
+// ============================================
+// Token Verifier: Local Stand-in Key
+// ============================================
+// Verifies HS256 tokens signed with a shared secret (AUTH_LOCAL_SECRET).
+// Used for tests, scripts and offline development where Firebase is not
+// reachable. NEVER use this verifier in production.
+
+const jwt = require('jsonwebtoken');
+
+/**
+ * Creates a verifier for tokens signed with the local secret
+ */
+function createLocalVerifier({ secret }) {
+    if (!secret) {
+        throw new Error('AUTH_LOCAL_SECRET is not set. It is required when AUTH_VERIFIER=local.');
+    }
+
+    return {
+        name: 'local',
+
+        /**
+         * Verifies the token and returns the user it identifies
+         * Throws if the signature is wrong or the token has expired
+         */
+        async verify(token) {
+            const claims = jwt.verify(token, secret, { algorithms: ['HS256'] });
+            return {
+                uid: claims.sub,
+                email: claims.email || null,
+                role: claims.role || 'doctor'
+            };
+        }
+    };
+}
+
+/**
+ * Signs a token the local verifier accepts
+ * e.g. for tests: signLocalToken(secret, { uid: 'doc-1', role: 'admin' })
+ */
+function signLocalToken(secret, { uid, email, role = 'doctor' }, expiresIn = '1h') {
+    return jwt.sign({ email, role }, secret, { algorithm: 'HS256', subject: uid, expiresIn });
+}
+
+module.exports = { createLocalVerifier, signLocalToken };
@@ -0,0 +1,264 @@
+// ============================================
+// CareCompass AI - Backend Configuration
+// ============================================
+// Loads the .env file that sits next to this script and collects every
+// setting the backend reads into ONE object, so every module works from
+// the same defaults.
+
+const path = require('path');
+const fs = require('fs');
+
+// Try standard dotenv
+const envPath = path.resolve(__dirname, '.env');
+// quiet: keeps the --json output of the command-line scripts clean
+require('dotenv').config({ path: envPath, quiet: true });
+
+// Fallback: If dotenv found nothing (likely encoding issue), read manual
+if (!process.env.GEMINI_API_KEY) {
+    try {
+        if (fs.existsSync(envPath)) {
+            console.log('⚠️ Standard dotenv failed. Attempting manual read...');
+            const raw = fs.readFileSync(envPath, 'utf8');
+            // Simple manual parse for GEMINI_API_KEY
+            const match = raw.match(/GEMINI_API_KEY\s*=\s*(.*)/);
+            if (match && match[1]) {
+                process.env.GEMINI_API_KEY = match[1].trim();
+                console.log('✅ Manually loaded GEMINI_API_KEY');
+            }
+        }
+    } catch (e) {
+        console.error('Manual read failed:', e);
+    }
+}
+
+/**
+ * Default model for each provider when AI_MODEL is not set
+ */
+const DEFAULT_MODELS = {
+    gemini: 'gemini-2.5-flash',
+    openai: 'gpt-4o-mini',
+    mock: 'mock-triage-v1'
+};
+
+/**
+ * Origins allowed by default: the Firebase Hosting site and local development
+ */
+const DEFAULT_CORS_ORIGINS = [
+    'https://carecompass-ai-b2be0.web.app',
+    'https://carecompass-ai-b2be0.firebaseapp.com',
+    'http://localhost:8000',
+    'http://127.0.0.1:8000'
+];
+
+/**
+ * Reads an integer setting, using the default if unset or invalid
+ * (0 is a valid value and means "no limit" for limits and quotas)
+ */
+function readInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * Reads TRUST_PROXY: a hop count, "true"/"false", or a list of addresses
+ */
+function parseTrustProxy(value) {
+    if (value === undefined || value === '' || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return value;
+}
+
+/**
+ * Reads a comma-separated list (empty list if unset)
+ */
+function readList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Reads a risk level in any case, e.g. "critical" -> "Critical"
+ */
+function readRiskLevel(value, fallback) {
+    if (!value) return fallback;
+    return value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+}
+
+/**
+ * Builds the configuration object from environment variables
+ */
+function loadConfig(env = process.env) {
+    const provider = (env.AI_PROVIDER || 'gemini').toLowerCase();
+
+    return {
+        port: env.PORT || 3000,
+        // Browser origins allowed to call the API (comma-separated)
+        corsOrigins: (env.CORS_ORIGINS || DEFAULT_CORS_ORIGINS.join(','))
+            .split(',')
+            .map(origin => origin.trim())
+            .filter(Boolean),
+        // Express "trust proxy" setting, so req.ip is the client behind a proxy
+        // (e.g. 1 on Render). Off by default.
+        trustProxy: parseTrustProxy(env.TRUST_PROXY),
+        limits: {
+            windowMs: readInt(env.RATE_LIMIT_WINDOW_MS, 60000),
+            perUser: readInt(env.RATE_LIMIT_PER_USER, 10),
+            perIp: readInt(env.RATE_LIMIT_PER_IP, 30),
+            global: readInt(env.RATE_LIMIT_GLOBAL, 120),
+            dailyQuotaPerUser: readInt(env.AI_DAILY_QUOTA_PER_USER, 200),
+            dailyQuotaGlobal: readInt(env.AI_DAILY_QUOTA_GLOBAL, 2000)
+        },
+        auth: {
+            verifier: (env.AUTH_VERIFIER || 'firebase').toLowerCase(),
+            firebase: {
+                projectId: env.FIREBASE_PROJECT_ID || 'carecompass-ai-b2be0'
+            },
+            local: {
+                secret: env.AUTH_LOCAL_SECRET
+            }
+        },
+        facility: {
+            name: env.FACILITY_NAME || 'CareCompass Clinic',
+            // Default locale for prompts when a request does not send one
+            locale: env.FACILITY_LOCALE || 'en-IN',
+            // IANA time zone, e.g. Asia/Kolkata; HL7 times without an offset are read in it
+            timeZone: env.FACILITY_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            // Plain text file with local treatment protocols, added to the prompt
+            protocolsFile: env.FACILITY_PROTOCOLS_FILE ? path.resolve(__dirname, env.FACILITY_PROTOCOLS_FILE) : null
+        },
+        prompts: {
+            // Template in prompts/templates/ used for triage
+            activeVersion: env.PROMPT_VERSION || 'triage-v8',
+            // Template used by clarifying-question mode
+            clarifyVersion: env.CLARIFY_PROMPT_VERSION || 'clarify-v2',
+            // Most follow-up questions asked before a triage
+            maxClarifyingQuestions: readInt(env.CLARIFY_MAX_QUESTIONS, 3)
+        },
+        audit: {
+            // Append-only JSON Lines file with one record per /analyze call
+            filePath: path.resolve(__dirname, env.AUDIT_LOG_PATH || 'data/audit.jsonl')
+        },
+        attachments: {
+            // Folder the photos attached to cases are kept in
+            dirPath: path.resolve(__dirname, env.ATTACHMENTS_DIR || 'data/attachments'),
+            // Largest photo accepted (the app shrinks photos before uploading them)
+            maxBytes: readInt(env.ATTACHMENT_MAX_BYTES, 5 * 1024 * 1024)
+        },
+        monitoring: {
+            // How long a readiness result is reused before the AI provider is probed again
+            readinessCacheMs: readInt(env.READINESS_CACHE_SECONDS, 30) * 1000,
+            readinessTimeoutMs: readInt(env.READINESS_TIMEOUT_MS, 5000),
+            // If set, GET /metrics needs it as a Bearer token
+            metricsToken: env.METRICS_TOKEN || null
+        },
+        hl7: {
+            // TCP port for the MLLP listener (0 = off)
+            mllpPort: readInt(env.HL7_MLLP_PORT, 0),
+            mllpHost: env.HL7_MLLP_HOST || '0.0.0.0',
+            // Bearer token the HIS sends to POST /hl7 (the HTTP listener is off without it)
+            httpToken: env.HL7_HTTP_TOKEN || null,
+            // Addresses allowed to send HL7 over either listener (empty = any)
+            allowedIps: readList(env.HL7_ALLOWED_IPS),
+            // Every message received (JSON Lines), and the registered patients and waiting list
+            messagesPath: path.resolve(__dirname, env.HL7_MESSAGES_PATH || 'data/hl7-messages.jsonl'),
+            registryPath: path.resolve(__dirname, env.INTAKE_REGISTRY_PATH || 'data/intake-registry.json')
+        },
+        smsIntake: {
+            // Token the SMS gateway sends to POST /sms/inbound (the endpoint is off without it)
+            token: env.SMS_INTAKE_TOKEN || null,
+            // Phones allowed to send cases (empty = any)
+            allowedSenders: readList(env.SMS_INTAKE_ALLOWED_SENDERS),
+            // Language of the advice in replies (ISO 639-1, see triage/languages.js)
+            language: (env.SMS_INTAKE_LANGUAGE || 'en').toLowerCase(),
+            // The gateway's outgoing API, for gateways that do not wait for the reply
+            replyUrl: env.SMS_INTAKE_REPLY_URL || null,
+            replyToken: env.SMS_INTAKE_REPLY_TOKEN || null,
+            replyFrom: env.SMS_INTAKE_REPLY_FROM || 'CareCompass',
+            timeoutMs: readInt(env.SMS_INTAKE_TIMEOUT_MS, 10000),
+            // Cases received by text, waiting for a clinician
+            filePath: path.resolve(__dirname, env.SMS_CASES_PATH || 'data/sms-cases.json')
+        },
+        records: {
+            // Where the /records endpoints keep patients and cases: firestore or sqlite
+            backend: (env.RECORDS_BACKEND || 'firestore').toLowerCase(),
+            firestore: {
+                projectId: env.FIREBASE_PROJECT_ID || 'carecompass-ai-b2be0'
+            },
+            sqlite: {
+                filePath: path.resolve(__dirname, env.RECORDS_SQLITE_PATH || 'data/records.sqlite')
+            }
+        },
+        alerts: {
+            // Cases at or above this level page the people on call
+            minRiskLevel: readRiskLevel(env.ALERT_MIN_RISK_LEVEL, 'Critical'),
+            // Another case for the same patient within this many minutes joins the open alert
+            dedupMinutes: readInt(env.ALERT_DEDUP_MINUTES, 30),
+            // Tries per delivery, and the wait before the first retry (doubled each time)
+            maxAttempts: readInt(env.ALERT_MAX_ATTEMPTS, 5),
+            retryBaseMs: readInt(env.ALERT_RETRY_BASE_MS, 30000),
+            timeoutMs: readInt(env.ALERT_TIMEOUT_MS, 10000),
+            // Address of this server as the people on call reach it, for the acknowledge link
+            publicUrl: env.ALERT_PUBLIC_URL || null,
+            includePatientName: env.ALERT_INCLUDE_PATIENT_NAME === 'true',
+            // Every alert and the state of its deliveries
+            filePath: path.resolve(__dirname, env.ALERTS_PATH || 'data/alerts.json'),
+            webhook: {
+                url: env.ALERT_WEBHOOK_URL || null,
+                // Signs each body (X-CareCompass-Signature) so the receiver can check it
+                secret: env.ALERT_WEBHOOK_SECRET || null
+            },
+            smtp: {
+                host: env.ALERT_SMTP_HOST || null,
+                port: readInt(env.ALERT_SMTP_PORT, 587),
+                // TLS from the start (port 465); otherwise STARTTLS when the server offers it
+                secure: env.ALERT_SMTP_SECURE === 'true',
+                user: env.ALERT_SMTP_USER || null,
+                password: env.ALERT_SMTP_PASSWORD || null,
+                from: env.ALERT_EMAIL_FROM || null,
+                to: readList(env.ALERT_EMAIL_TO)
+            },
+            sms: {
+                url: env.ALERT_SMS_URL || null,
+                token: env.ALERT_SMS_TOKEN || null,
+                from: env.ALERT_SMS_FROM || 'CareCompass',
+                to: readList(env.ALERT_SMS_TO)
+            }
+        },
+        fhirExport: {
+            // Largest request body POST /export/* accepts (a patient's
+            // full history can be bigger than the usual 100kb)
+            maxBodySize: env.EXPORT_MAX_BODY || '5mb'
+        },
+        eval: {
+            // Vignette set `npm run eval` uses, and where it keeps each run's report
+            vignetteSet: env.EVAL_VIGNETTE_SET || 'golden-v1',
+            resultsDir: path.resolve(__dirname, env.EVAL_RESULTS_DIR || 'data/eval')
+        },
+        ai: {
+            provider,
+            model: env.AI_MODEL || DEFAULT_MODELS[provider],
+            timeoutMs: parseInt(env.AI_TIMEOUT_MS, 10) || 30000,
+            // Re-prompts with the validation errors before falling back to the offline rules
+            maxRepairAttempts: readInt(env.AI_REPAIR_ATTEMPTS, 2),
+            // Send attached photos with the prompt (Gemini models take images;
+            // OpenAI-compatible endpoints only if the model does)
+            acceptsImages: env.AI_ACCEPTS_IMAGES ? env.AI_ACCEPTS_IMAGES === 'true' : provider === 'gemini',
+            gemini: {
+                apiKey: env.GEMINI_API_KEY
+            },
+            openai: {
+                baseUrl: env.OPENAI_BASE_URL || 'http://localhost:8080/v1',
+                apiKey: env.OPENAI_API_KEY
+            },
+            mock: {
+                responsesFile: env.MOCK_RESPONSES_FILE
+            }
+        }
+    };
+}
+
+module.exports = {
+    config: loadConfig(),
+    loadConfig,
+    DEFAULT_MODELS
+};
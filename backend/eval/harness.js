@@ -0,0 +1,263 @@
+// ============================================
+// CareCompass AI - Triage Evaluation Harness
+// ============================================
+// Runs a versioned set of clinical vignettes, each with the risk level
+// a clinician expects, through the same pipeline POST /analyze uses
+// (prepareTriageInput -> runTriage, vital-sign floor included), and
+// scores the answers:
+//
+// - under-triage: the final risk level is LOWER than expected (unsafe)
+// - over-triage:  the final risk level is HIGHER than expected (costly)
+// - a confusion matrix of expected against actual risk level
+// - schema failures: answers that never validated, so the fallback was used
+//
+// Under-triage of an expected Critical case is a hard failure.
+//
+// Vignette sets live in vignettes/<version>.json:
+//
+//   {
+//     "version": "golden-v1",
+//     "description": "...",
+//     "vignettes": [
+//       { "id": "...", "expected_risk_level": "Critical", "rationale": "...", "request": { ...POST /analyze body } }
+//     ]
+//   }
+//
+// Never edit a set that has been used: copy it to a new version.
+
+const fs = require('fs');
+const path = require('path');
+const { RISK_LEVELS, riskLevelRank } = require('../triage/riskLevels');
+const { prepareTriageInput, runTriage } = require('../triage/pipeline');
+
+const DEFAULT_VIGNETTES_DIR = path.join(__dirname, 'vignettes');
+
+/**
+ * Lists the vignette set versions available
+ */
+function listVignetteSets(directory = DEFAULT_VIGNETTES_DIR) {
+    return fs.readdirSync(directory)
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -'.json'.length))
+        .sort();
+}
+
+/**
+ * Loads and checks a vignette set. Throws if it is missing or malformed.
+ */
+function loadVignetteSet(version, directory = DEFAULT_VIGNETTES_DIR) {
+    const filePath = path.join(directory, `${version}.json`);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Unknown vignette set "${version}". Available: ${listVignetteSets(directory).join(', ')}`);
+    }
+
+    const set = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(set.vignettes) || set.vignettes.length === 0) {
+        throw new Error(`Vignette set ${version} has no vignettes`);
+    }
+
+    const ids = new Set();
+    set.vignettes.forEach(vignette => {
+        if (!vignette.id || ids.has(vignette.id)) {
+            throw new Error(`Vignette set ${version}: every vignette needs a unique id (${vignette.id || 'missing'})`);
+        }
+        if (!RISK_LEVELS.includes(vignette.expected_risk_level)) {
+            throw new Error(`Vignette ${vignette.id}: expected_risk_level must be one of ${RISK_LEVELS.join(', ')}`);
+        }
+        ids.add(vignette.id);
+    });
+
+    return { ...set, version: set.version || version };
+}
+
+/**
+ * Classifies an answer against the expected level
+ */
+function classifyOutcome(expected, actual) {
+    const difference = riskLevelRank(actual) - riskLevelRank(expected);
+    if (difference < 0) return 'under';
+    if (difference > 0) return 'over';
+    return 'correct';
+}
+
+/**
+ * Runs one vignette through the pipeline
+ * Returns { id, expected, actual, outcome, ... } or { id, expected, error }
+ */
+async function runVignette(provider, vignette, options) {
+    const expected = vignette.expected_risk_level;
+    const prepared = prepareTriageInput(vignette.request);
+    if (prepared.error) {
+        return { id: vignette.id, expected, error: `Invalid request: ${prepared.error}` };
+    }
+
+    const startedAt = Date.now();
+    try {
+        const { triageData, trace } = await runTriage(provider, prepared, options);
+        return {
+            id: vignette.id,
+            expected,
+            actual: triageData.risk_level,
+            risk_score: triageData.risk_score,
+            outcome: classifyOutcome(expected, triageData.risk_level),
+            // What the AI said before the vital-sign floor, if the floor raised it
+            ai_risk_level: triageData.risk_override ? triageData.risk_override.from_level : triageData.risk_level,
+            population: prepared.population.mode,
+            validation: triageData.validation.status,
+            attempts: triageData.validation.attempts,
+            fallback_used: trace.fallback_used,
+            latency_ms: Date.now() - startedAt
+        };
+    } catch (error) {
+        return { id: vignette.id, expected, error: error.message };
+    }
+}
+
+/**
+ * Runs every vignette of a set, one at a time (to stay inside provider
+ * rate limits), and returns the full report
+ *
+ * Options are passed to runTriage (prompts, maxRepairAttempts), plus:
+ * - onResult(result, index, total): called after each vignette
+ */
+async function runEvaluation(provider, set, { onResult, ...options } = {}) {
+    const startedAt = new Date();
+    const results = [];
+
+    for (const vignette of set.vignettes) {
+        const result = await runVignette(provider, vignette, options);
+        results.push(result);
+        if (onResult) onResult(result, results.length, set.vignettes.length);
+    }
+
+    return {
+        vignette_set: set.version,
+        prompt_version: options.prompts ? options.prompts.activeVersion : null,
+        provider: provider.name,
+        model: provider.model,
+        started_at: startedAt.toISOString(),
+        duration_ms: Date.now() - startedAt.getTime(),
+        summary: summariseResults(results),
+        results
+    };
+}
+
+/**
+ * Rounds a rate to 3 decimal places (0 when there is nothing to divide)
+ */
+function rate(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 1000 : 0;
+}
+
+/**
+ * Summary metrics for a list of vignette results
+ *
+ * {
+ *   total, scored, errors,
+ *   correct, under_triage, over_triage,        // counts
+ *   accuracy, under_triage_rate, over_triage_rate,
+ *   under_triage_by_level: { Critical: { expected, under, rate }, ... },
+ *   confusion_matrix: { <expected>: { <actual>: count } },
+ *   schema_failures, provider_errors, repaired, fallback_used,
+ *   critical_under_triage: [vignette id],      // hard failures
+ *   passed: boolean                            // no hard failures and no errors
+ * }
+ */
+function summariseResults(results) {
+    const scored = results.filter(r => !r.error);
+    const count = outcome => scored.filter(r => r.outcome === outcome).length;
+
+    const confusion = {};
+    const underByLevel = {};
+    RISK_LEVELS.forEach(expected => {
+        confusion[expected] = {};
+        RISK_LEVELS.forEach(actual => { confusion[expected][actual] = 0; });
+
+        const ofLevel = scored.filter(r => r.expected === expected);
+        const under = ofLevel.filter(r => r.outcome === 'under').length;
+        underByLevel[expected] = { expected: ofLevel.length, under, rate: rate(under, ofLevel.length) };
+    });
+    scored.forEach(r => {
+        if (confusion[r.expected] && confusion[r.expected][r.actual] !== undefined) {
+            confusion[r.expected][r.actual]++;
+        }
+    });
+
+    const criticalUnderTriage = scored
+        .filter(r => r.expected === 'Critical' && r.outcome === 'under')
+        .map(r => r.id);
+    const errors = results.length - scored.length;
+
+    return {
+        total: results.length,
+        scored: scored.length,
+        errors,
+        correct: count('correct'),
+        under_triage: count('under'),
+        over_triage: count('over'),
+        accuracy: rate(count('correct'), scored.length),
+        under_triage_rate: rate(count('under'), scored.length),
+        over_triage_rate: rate(count('over'), scored.length),
+        under_triage_by_level: underByLevel,
+        confusion_matrix: confusion,
+        schema_failures: scored.filter(r => r.validation === 'failed').length,
+        provider_errors: scored.filter(r => r.validation === 'error').length,
+        repaired: scored.filter(r => r.validation === 'repaired').length,
+        fallback_used: scored.filter(r => r.fallback_used).length,
+        critical_under_triage: criticalUnderTriage,
+        passed: criticalUnderTriage.length === 0 && errors === 0
+    };
+}
+
+// Summary metrics compared between runs
+const COMPARED_METRICS = [
+    'accuracy', 'under_triage_rate', 'over_triage_rate',
+    'schema_failures', 'provider_errors', 'fallback_used', 'errors'
+];
+
+/**
+ * Differences between a previous report and the current one
+ *
+ * {
+ *   previous: { started_at, prompt_version, provider, model },
+ *   metrics: [{ metric, before, after }],                 // only those that changed
+ *   changed: [{ id, before, after, before_outcome, after_outcome }],
+ *   added: [id], removed: [id]                            // vignettes not in both runs
+ * }
+ */
+function compareReports(previous, current) {
+    const before = new Map(previous.results.map(r => [r.id, r]));
+    const after = new Map(current.results.map(r => [r.id, r]));
+    const label = r => (r.error ? 'error' : r.actual);
+
+    return {
+        previous: {
+            started_at: previous.started_at,
+            prompt_version: previous.prompt_version,
+            provider: previous.provider,
+            model: previous.model
+        },
+        metrics: COMPARED_METRICS
+            .filter(metric => previous.summary[metric] !== current.summary[metric])
+            .map(metric => ({ metric, before: previous.summary[metric], after: current.summary[metric] })),
+        changed: current.results
+            .filter(r => before.has(r.id) && label(before.get(r.id)) !== label(r))
+            .map(r => ({
+                id: r.id,
+                before: label(before.get(r.id)),
+                after: label(r),
+                before_outcome: before.get(r.id).outcome || 'error',
+                after_outcome: r.outcome || 'error'
+            })),
+        added: current.results.filter(r => !before.has(r.id)).map(r => r.id),
+        removed: previous.results.filter(r => !after.has(r.id)).map(r => r.id)
+    };
+}
+
+module.exports = {
+    listVignetteSets,
+    loadVignetteSet,
+    runEvaluation,
+    summariseResults,
+    compareReports
+};
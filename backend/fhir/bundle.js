@@ -0,0 +1,423 @@
+// ============================================
+// FHIR R4 Export
+// ============================================
+// Turns saved cases (the Firestore `cases` and `patients` documents the
+// app sends) into FHIR R4 Bundles an EHR can import:
+//
+//   Bundle (type collection)
+//   ├─ Organization        the facility (FACILITY_NAME)
+//   ├─ Patient             name, sex, clinical reference
+//   ├─ AllergyIntolerance  one per listed allergy
+//   ├─ MedicationStatement one per regular medication
+//   ├─ Condition           one per chronic condition (problem list)
+//   └─ per case:
+//      ├─ Encounter        the triage visit, priority from the risk level
+//      ├─ Observation      age, and one per parsed vital (LOINC coded)
+//      ├─ Condition        the presenting symptoms (free text)
+//      └─ RiskAssessment   risk level, score, summary and recommendation
+//
+// Resource ids are derived from the case and patient ids, so exporting
+// the same case twice gives the same ids and the EHR can de-duplicate.
+// Every bundle is checked with validate.js before it is returned.
+
+const crypto = require('crypto');
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const CONDITION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/condition-category';
+const CONDITION_CLINICAL = 'http://terminology.hl7.org/CodeSystem/condition-clinical';
+const CONDITION_VERIFICATION = 'http://terminology.hl7.org/CodeSystem/condition-ver-status';
+const ACT_CODE = 'http://terminology.hl7.org/CodeSystem/v3-ActCode';
+const ACT_PRIORITY = 'http://terminology.hl7.org/CodeSystem/v3-ActPriority';
+const RISK_PROBABILITY = 'http://terminology.hl7.org/CodeSystem/risk-probability';
+
+// Identifier systems for this app's own ids
+const SYSTEMS = {
+    patient: 'urn:carecompass:patient-id',
+    clinicalRef: 'urn:carecompass:clinical-ref',
+    case: 'urn:carecompass:case-id'
+};
+
+// UCUM codes for the age units the app records
+const UCUM_AGE_UNITS = { years: 'a', months: 'mo', weeks: 'wk', days: 'd' };
+
+// One Observation per parsed vital: LOINC code and UCUM unit
+const VITAL_OBSERVATIONS = {
+    heart_rate: { code: '8867-4', display: 'Heart rate', unit: '/min', ucum: '/min' },
+    respiratory_rate: { code: '9279-1', display: 'Respiratory rate', unit: '/min', ucum: '/min' },
+    spo2: { code: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry', unit: '%', ucum: '%' },
+    temperature: { code: '8310-5', display: 'Body temperature', unit: 'Cel', ucum: 'Cel' },
+    glucose: { code: '15074-8', display: 'Glucose [Moles/volume] in Blood', unit: 'mmol/L', ucum: 'mmol/L', category: 'laboratory' },
+    gcs: { code: '9269-2', display: 'Glasgow coma score total', unit: '{score}', ucum: '{score}', category: 'survey' }
+};
+
+// Blood pressure is one Observation with two components
+const BLOOD_PRESSURE = { code: '85354-9', display: 'Blood pressure panel with all children optional' };
+const BP_COMPONENTS = {
+    systolic_bp: { code: '8480-6', display: 'Systolic blood pressure' },
+    diastolic_bp: { code: '8462-4', display: 'Diastolic blood pressure' }
+};
+
+// Encounter priority by risk level (v3 ActPriority)
+const PRIORITY = {
+    Critical: { code: 'EM', display: 'emergency' },
+    High: { code: 'UR', display: 'urgent' },
+    Moderate: { code: 'R', display: 'routine' },
+    Low: { code: 'R', display: 'routine' }
+};
+
+// RiskAssessment qualitative risk by risk level. FHIR has no "critical",
+// so Critical is "high" with the level kept in the text.
+const QUALITATIVE_RISK = {
+    Critical: 'high',
+    High: 'high',
+    Moderate: 'moderate',
+    Low: 'low'
+};
+
+const GENDERS = ['male', 'female', 'other', 'unknown'];
+
+/**
+ * A stable UUID made from a string, so the same case always gets the
+ * same resource ids
+ */
+function stableUuid(seed) {
+    const hex = crypto.createHash('sha1').update(seed).digest('hex');
+    // Shape it as a version 5 (name-based, SHA-1) UUID
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Reads a saved date: an ISO string, milliseconds, or a Firestore
+ * Timestamp as JSON ({ seconds } or { _seconds }). Returns an ISO
+ * string, or null.
+ */
+function toDateTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    let date;
+    if (typeof value === 'object' && (value.seconds !== undefined || value._seconds !== undefined)) {
+        date = new Date(Number(value.seconds !== undefined ? value.seconds : value._seconds) * 1000);
+    } else {
+        date = new Date(value);
+    }
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Bundle entry for a resource, addressed by urn:uuid
+ */
+function entry(resource) {
+    return { fullUrl: `urn:uuid:${resource.id}`, resource };
+}
+
+/**
+ * Reference to a resource in the same bundle
+ */
+function ref(resource, display) {
+    return display ? { reference: `urn:uuid:${resource.id}`, display } : { reference: `urn:uuid:${resource.id}` };
+}
+
+/**
+ * A CodeableConcept from free text only
+ */
+function text(value) {
+    return { text: String(value) };
+}
+
+/**
+ * Organization for the facility
+ */
+function buildOrganization(facility) {
+    const name = (facility && facility.name) || 'CareCompass Clinic';
+    return {
+        resourceType: 'Organization',
+        id: stableUuid(`organization:${name}`),
+        active: true,
+        name
+    };
+}
+
+/**
+ * Patient, plus their allergies, medications and chronic conditions
+ * `patient` is the patient document (may be empty); the latest case fills gaps
+ */
+function buildPatientResources(patient, latestCase, organization) {
+    const patientId = patient.id || latestCase.patientId || null;
+    const name = patient.name || latestCase.patientName;
+    const sex = patient.sex || latestCase.patientSex;
+
+    const resource = {
+        resourceType: 'Patient',
+        id: stableUuid(`patient:${patientId || name}`),
+        identifier: [],
+        active: true,
+        gender: GENDERS.includes(sex) ? sex : 'unknown',
+        managingOrganization: ref(organization)
+    };
+    if (patientId) resource.identifier.push({ system: SYSTEMS.patient, value: String(patientId) });
+    if (patient.clinicalRef) resource.identifier.push({ use: 'official', system: SYSTEMS.clinicalRef, value: String(patient.clinicalRef) });
+    if (resource.identifier.length === 0) delete resource.identifier;
+    if (name) resource.name = [{ text: String(name) }];
+
+    // The patient record's lists, or the latest visit's
+    const listOf = field => (Array.isArray(patient[field]) ? patient[field] : latestCase[field]) || [];
+    const subject = ref(resource, name);
+
+    const allergies = listOf('allergies').map(item => ({
+        resourceType: 'AllergyIntolerance',
+        id: stableUuid(`allergy:${resource.id}:${item.toLowerCase()}`),
+        clinicalStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical', code: 'active' }] },
+        verificationStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification', code: 'unconfirmed' }] },
+        code: text(item),
+        patient: subject
+    }));
+
+    const medications = listOf('medications').map(item => ({
+        resourceType: 'MedicationStatement',
+        id: stableUuid(`medication:${resource.id}:${item.toLowerCase()}`),
+        status: 'active',
+        medicationCodeableConcept: text(item),
+        subject
+    }));
+
+    const conditions = listOf('conditions').map(item => ({
+        resourceType: 'Condition',
+        id: stableUuid(`condition:${resource.id}:${item.toLowerCase()}`),
+        clinicalStatus: { coding: [{ system: CONDITION_CLINICAL, code: 'active' }] },
+        category: [{ coding: [{ system: CONDITION_CATEGORY, code: 'problem-list-item', display: 'Problem List Item' }] }],
+        code: text(item),
+        subject
+    }));
+
+    return { patient: resource, history: [...allergies, ...medications, ...conditions] };
+}
+
+/**
+ * Observation with the common fields filled in
+ */
+function observation(id, category, code, subject, encounter, effective) {
+    const resource = {
+        resourceType: 'Observation',
+        id,
+        status: 'final',
+        category: [{ coding: [{ system: OBSERVATION_CATEGORY, code: category }] }],
+        code,
+        subject,
+        encounter
+    };
+    if (effective) resource.effectiveDateTime = effective;
+    return resource;
+}
+
+/**
+ * Age at the visit as an Observation (FHIR Patient has no age, and
+ * the app records age rather than a birth date)
+ */
+function buildAgeObservation(caseData, caseKey, subject, encounter, effective) {
+    const age = parseFloat(caseData.patientAge);
+    if (Number.isNaN(age)) return null;
+    const unit = UCUM_AGE_UNITS[caseData.patientAgeUnit] ? caseData.patientAgeUnit : 'years';
+
+    const resource = observation(stableUuid(`${caseKey}:age`), 'social-history',
+        { coding: [{ system: LOINC, code: '30525-0', display: 'Age' }], text: 'Age' }, subject, encounter, effective);
+    resource.valueQuantity = { value: age, unit, system: UCUM, code: UCUM_AGE_UNITS[unit] };
+    return resource;
+}
+
+/**
+ * One Observation per parsed vital, LOINC coded
+ */
+function buildVitalObservations(vitals, caseKey, subject, encounter, effective) {
+    if (!vitals || typeof vitals !== 'object') return [];
+    const resources = [];
+
+    Object.entries(VITAL_OBSERVATIONS).forEach(([field, spec]) => {
+        if (typeof vitals[field] !== 'number') return;
+        const resource = observation(stableUuid(`${caseKey}:${field}`), spec.category || 'vital-signs',
+            { coding: [{ system: LOINC, code: spec.code, display: spec.display }], text: spec.display }, subject, encounter, effective);
+        resource.valueQuantity = { value: vitals[field], unit: spec.unit, system: UCUM, code: spec.ucum };
+        if (field === 'spo2' && vitals.on_oxygen) resource.note = [{ text: 'On supplemental oxygen' }];
+        resources.push(resource);
+    });
+
+    const components = Object.entries(BP_COMPONENTS)
+        .filter(([field]) => typeof vitals[field] === 'number')
+        .map(([field, spec]) => ({
+            code: { coding: [{ system: LOINC, code: spec.code, display: spec.display }] },
+            valueQuantity: { value: vitals[field], unit: 'mmHg', system: UCUM, code: 'mm[Hg]' }
+        }));
+    if (components.length > 0) {
+        const resource = observation(stableUuid(`${caseKey}:blood_pressure`), 'vital-signs',
+            { coding: [{ system: LOINC, code: BLOOD_PRESSURE.code, display: BLOOD_PRESSURE.display }], text: 'Blood pressure' },
+            subject, encounter, effective);
+        resource.component = components;
+        resources.push(resource);
+    }
+
+    if (typeof vitals.consciousness === 'string') {
+        const resource = observation(stableUuid(`${caseKey}:consciousness`), 'exam',
+            { coding: [{ system: LOINC, code: '80288-4', display: 'Level of consciousness' }], text: 'Level of consciousness (AVPU)' },
+            subject, encounter, effective);
+        resource.valueCodeableConcept = text(vitals.consciousness);
+        resources.push(resource);
+    }
+
+    return resources;
+}
+
+/**
+ * The presenting symptoms as a provisional, free-text Condition
+ */
+function buildSymptomsCondition(caseData, caseKey, subject, encounter, effective) {
+    if (typeof caseData.symptoms !== 'string' || !caseData.symptoms.trim()) return null;
+    const resource = {
+        resourceType: 'Condition',
+        id: stableUuid(`${caseKey}:symptoms`),
+        clinicalStatus: { coding: [{ system: CONDITION_CLINICAL, code: 'active' }] },
+        verificationStatus: { coding: [{ system: CONDITION_VERIFICATION, code: 'provisional' }] },
+        category: [{ coding: [{ system: CONDITION_CATEGORY, code: 'encounter-diagnosis', display: 'Encounter Diagnosis' }] }],
+        code: text(caseData.symptoms.trim()),
+        subject,
+        encounter
+    };
+    if (effective) resource.recordedDate = effective;
+    if (caseData.symptomsEnglish && caseData.symptomsEnglish !== caseData.symptoms) {
+        resource.note = [{ text: `English: ${caseData.symptomsEnglish}` }];
+    }
+    return resource;
+}
+
+/**
+ * RiskAssessment from triageData
+ */
+function buildRiskAssessment(triageData, caseKey, subject, encounter, effective, basis) {
+    const level = triageData.risk_level;
+    const method = triageData.source === 'rules'
+        ? `CareCompass offline rules (${triageData.ai_model || 'rules'})`
+        : `CareCompass AI triage (${[triageData.ai_provider, triageData.ai_model, triageData.prompt_version].filter(Boolean).join(', ')})`;
+
+    const notes = [];
+    if (typeof triageData.risk_score === 'number') notes.push(`Risk score ${triageData.risk_score}/100`);
+    const addList = (label, items) => {
+        if (Array.isArray(items) && items.length > 0) notes.push(`${label}: ${items.join('; ')}`);
+    };
+    addList('Key concerns', triageData.key_concerns);
+    addList('Tests advised', triageData.tests_advised);
+    addList('First aid', triageData.first_aid_steps);
+    if (triageData.when_to_refer) notes.push(`Refer to: ${triageData.when_to_refer}`);
+    (triageData.interaction_flags || []).forEach(flag => notes.push(`Flagged (${flag.severity} ${flag.type}): ${flag.message}`));
+    notes.push('Triage support only, not a diagnosis.');
+
+    const resource = {
+        resourceType: 'RiskAssessment',
+        id: stableUuid(`${caseKey}:risk`),
+        status: 'final',
+        method: text(method),
+        subject,
+        encounter,
+        prediction: [{
+            outcome: text('Need for urgent care'),
+            qualitativeRisk: {
+                coding: [{ system: RISK_PROBABILITY, code: QUALITATIVE_RISK[level] || 'moderate' }],
+                text: level
+            },
+            rationale: triageData.clinical_summary || undefined
+        }],
+        note: notes.map(note => ({ text: note }))
+    };
+    if (!resource.prediction[0].rationale) delete resource.prediction[0].rationale;
+    if (effective) resource.occurrenceDateTime = effective;
+    if (basis.length > 0) resource.basis = basis.map(r => ref(r));
+    if (triageData.triage_recommendation) resource.mitigation = triageData.triage_recommendation;
+    return resource;
+}
+
+/**
+ * Encounter, Observations, symptoms Condition and RiskAssessment for one case
+ */
+function buildCaseResources(caseData, patient, organization) {
+    const caseKey = `case:${caseData.id || stableUuid(JSON.stringify([caseData.patientName, caseData.createdAt, caseData.symptoms]))}`;
+    const triageData = caseData.triageData || {};
+    const effective = toDateTime(caseData.createdAt);
+    const subject = ref(patient, patient.name ? patient.name[0].text : undefined);
+    const priority = PRIORITY[triageData.risk_level];
+
+    const encounter = {
+        resourceType: 'Encounter',
+        id: stableUuid(`${caseKey}:encounter`),
+        status: 'finished',
+        class: { system: ACT_CODE, code: 'AMB', display: 'ambulatory' },
+        type: [text('Triage assessment')],
+        subject,
+        serviceProvider: ref(organization)
+    };
+    if (caseData.id) encounter.identifier = [{ system: SYSTEMS.case, value: String(caseData.id) }];
+    if (priority) encounter.priority = { coding: [{ system: ACT_PRIORITY, ...priority }], text: triageData.risk_level };
+    if (effective) encounter.period = { start: effective };
+    if (caseData.clinicianName) encounter.participant = [{ individual: { display: String(caseData.clinicianName) } }];
+
+    const encounterRef = ref(encounter);
+    const age = buildAgeObservation(caseData, caseKey, subject, encounterRef, effective);
+    const vitals = buildVitalObservations(caseData.vitals, caseKey, subject, encounterRef, effective);
+    const symptoms = buildSymptomsCondition(caseData, caseKey, subject, encounterRef, effective);
+    if (symptoms) encounter.reasonReference = [ref(symptoms)];
+
+    const basis = [...vitals, ...(symptoms ? [symptoms] : [])];
+    const resources = [encounter, ...(age ? [age] : []), ...vitals, ...(symptoms ? [symptoms] : [])];
+    if (triageData.risk_level) {
+        resources.push(buildRiskAssessment(triageData, caseKey, subject, encounterRef, effective, basis));
+    }
+    return resources;
+}
+
+/**
+ * Collection Bundle around a list of resources
+ */
+function buildBundle(resources) {
+    return {
+        resourceType: 'Bundle',
+        id: crypto.randomUUID(),
+        meta: { lastUpdated: new Date().toISOString() },
+        type: 'collection',
+        timestamp: new Date().toISOString(),
+        entry: resources.map(entry)
+    };
+}
+
+/**
+ * Bundle for one case
+ * `caseData` is the saved case; `patientData` the patient document if known
+ */
+function buildCaseBundle(caseData, patientData = {}, { facility } = {}) {
+    const organization = buildOrganization(facility);
+    const { patient, history } = buildPatientResources(patientData, caseData, organization);
+    return buildBundle([
+        organization,
+        patient,
+        ...history,
+        ...buildCaseResources(caseData, patient, organization)
+    ]);
+}
+
+/**
+ * Bundle for a patient's full history: every case, newest first
+ */
+function buildPatientBundle(patientData, cases, { facility } = {}) {
+    const sorted = [...cases].sort((a, b) => (toDateTime(b.createdAt) || '').localeCompare(toDateTime(a.createdAt) || ''));
+    const organization = buildOrganization(facility);
+    const { patient, history } = buildPatientResources(patientData, sorted[0] || {}, organization);
+    return buildBundle([
+        organization,
+        patient,
+        ...history,
+        ...sorted.flatMap(caseData => buildCaseResources(caseData, patient, organization))
+    ]);
+}
+
+module.exports = {
+    buildCaseBundle,
+    buildPatientBundle,
+    toDateTime
+};
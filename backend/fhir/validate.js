@@ -0,0 +1,221 @@
+// ============================================
+// FHIR R4 Validation
+// ============================================
+// Checks an exported Bundle against the published FHIR R4
+// StructureDefinitions (the @medplum/definitions copy of the
+// specification), with the @medplum/core validator:
+//
+// - elements, cardinality and data types of every resource, including
+//   primitive formats (dateTime, decimal, ...) and the FHIRPath invariants
+// - codes of every required binding to a `code` element (Bundle.type,
+//   Patient.gender, Observation.status, ...), from the published value sets
+//
+// On top of that, the R4 JSON and Bundle rules the validator leaves out:
+// no empty values, resource ids in the id format, unique fullUrls that
+// match the resource ids, and every urn:uuid reference pointing at an
+// entry in the bundle.
+//
+// The definitions are read on the first check (about a second).
+//
+// Returns { valid, issues: [{ path, message }] }
+
+const { indexStructureDefinitionBundle, validateResource, OperationOutcomeError } = require('@medplum/core');
+const { readJson } = require('@medplum/definitions');
+
+// Invariants the validator evaluates wrongly, by key, each with the test
+// that tells a real failure apart. ras-2 ("probability is decimal implies
+// probability <= 100") fails when a prediction has no probability at all.
+const MISREAD_INVARIANTS = {
+    'ras-2': prediction => prediction && typeof prediction.probabilityDecimal === 'number'
+};
+
+let definitions = null;
+
+/**
+ * The codes of a value set, or null if it cannot be listed without a
+ * terminology server (filters, or a code system that is not published)
+ */
+function valueSetCodes(url, valueSets, codeSystems) {
+    const valueSet = valueSets.get(url.split('|')[0]);
+    if (!valueSet || !valueSet.compose) return null;
+
+    const codes = [];
+    for (const include of valueSet.compose.include) {
+        if (include.filter || include.valueSet) return null;
+        if (include.concept) {
+            codes.push(...include.concept.map(concept => concept.code));
+            continue;
+        }
+        const codeSystem = codeSystems.get(include.system);
+        if (!codeSystem || !codeSystem.concept) return null;
+        const addAll = concepts => concepts.forEach(concept => {
+            codes.push(concept.code);
+            if (concept.concept) addAll(concept.concept);
+        });
+        addAll(codeSystem.concept);
+    }
+    return codes;
+}
+
+/**
+ * Indexes the StructureDefinitions for the validator, and keeps per
+ * resource type the `code` elements with a required binding and their codes
+ */
+function loadDefinitions() {
+    if (definitions) return definitions;
+
+    const types = readJson('fhir/r4/profiles-types.json');
+    const resources = readJson('fhir/r4/profiles-resources.json');
+    indexStructureDefinitionBundle(types);
+    indexStructureDefinitionBundle(resources);
+
+    const valueSets = new Map();
+    const codeSystems = new Map();
+    readJson('fhir/r4/valuesets.json').entry.forEach(({ resource }) => {
+        if (resource.resourceType === 'ValueSet') valueSets.set(resource.url, resource);
+        if (resource.resourceType === 'CodeSystem') codeSystems.set(resource.url, resource);
+    });
+
+    const bindings = new Map();
+    resources.entry
+        .map(item => item.resource)
+        .filter(resource => resource.resourceType === 'StructureDefinition' && resource.kind === 'resource')
+        .forEach(structure => {
+            const required = [];
+            structure.snapshot.element.forEach(element => {
+                const isCode = (element.type || []).length === 1 && element.type[0].code === 'code';
+                if (!isCode || !element.binding || element.binding.strength !== 'required' || element.path.endsWith('[x]')) return;
+                const codes = valueSetCodes(element.binding.valueSet, valueSets, codeSystems);
+                if (codes) required.push({ path: element.path, segments: element.path.split('.').slice(1), codes });
+            });
+            bindings.set(structure.type, required);
+        });
+
+    const idElement = types.entry.map(item => item.resource).find(resource => resource.id === 'id')
+        .snapshot.element.find(element => element.path === 'id.value');
+    const regex = idElement.type[0].extension.find(extension => extension.url.endsWith('/regex')).valueString;
+
+    definitions = { bindings, idPattern: new RegExp(`^${regex}$`) };
+    return definitions;
+}
+
+/**
+ * The value at a validator expression such as Bundle.entry[3].resource.prediction[0]
+ */
+function valueAt(bundle, expression) {
+    return expression.split('.').slice(1).reduce((value, part) => {
+        const [, name, index] = part.match(/^([^[]+)(?:\[(\d+)\])?$/) || [];
+        if (!value || !name) return undefined;
+        return index === undefined ? value[name] : (value[name] || [])[Number(index)];
+    }, bundle);
+}
+
+/**
+ * Runs the StructureDefinition validator over the whole bundle. Only
+ * errors count: its warnings are about urn:uuid references, whose target
+ * type it cannot see (they are checked against the entries instead).
+ */
+function checkStructure(bundle, issues) {
+    let found;
+    try {
+        found = validateResource(bundle);
+    } catch (error) {
+        if (!(error instanceof OperationOutcomeError)) throw error;
+        found = error.outcome.issue || [];
+    }
+
+    found
+        .filter(issue => issue.severity === 'error' || issue.severity === 'fatal')
+        .forEach(issue => {
+            const path = (issue.expression && issue.expression[0]) || 'Bundle';
+            const message = (issue.details && issue.details.text) || issue.diagnostics || 'Invalid';
+            const invariant = issue.code === 'invariant' && Object.keys(MISREAD_INVARIANTS).find(key => message.includes(`Constraint ${key} `));
+            if (invariant && !MISREAD_INVARIANTS[invariant](valueAt(bundle, path))) return;
+            issues.push({ path, message });
+        });
+}
+
+/**
+ * Checks the codes of one resource's required bindings
+ */
+function checkCodes(resource, path, issues) {
+    const required = loadDefinitions().bindings.get(resource.resourceType) || [];
+    required.forEach(binding => {
+        let values = [resource];
+        binding.segments.forEach(segment => {
+            values = values.flatMap(value => (value && value[segment] !== undefined ? [].concat(value[segment]) : []));
+        });
+        values
+            .filter(code => !binding.codes.includes(code))
+            .forEach(code => issues.push({ path: `${path}.${binding.segments.join('.')}`, message: `${code} is not a valid ${binding.path} code` }));
+    });
+}
+
+/**
+ * Walks every nested value: no empty values (R4 JSON has no empty
+ * strings, arrays or objects), and collects the references
+ */
+function checkValues(value, path, issues, references) {
+    if (Array.isArray(value)) {
+        if (value.length === 0) issues.push({ path, message: 'Empty arrays are not allowed' });
+        value.forEach((item, index) => checkValues(item, `${path}[${index}]`, issues, references));
+        return;
+    }
+    if (value === null || typeof value !== 'object') return;
+
+    Object.entries(value).forEach(([key, child]) => {
+        const childPath = `${path}.${key}`;
+        if (child === null || child === undefined || child === '') {
+            issues.push({ path: childPath, message: 'Empty values are not allowed' });
+            return;
+        }
+        if (key === 'reference' && typeof child === 'string') references.push({ path: childPath, reference: child });
+        checkValues(child, childPath, issues, references);
+    });
+}
+
+/**
+ * Checks an exported Bundle
+ */
+function validateBundle(bundle) {
+    const issues = [];
+    const references = [];
+
+    if (!bundle || bundle.resourceType !== 'Bundle') {
+        return { valid: false, issues: [{ path: 'Bundle', message: 'Not a Bundle' }] };
+    }
+    const { idPattern } = loadDefinitions();
+    checkStructure(bundle, issues);
+    checkCodes(bundle, 'Bundle', issues);
+
+    const fullUrls = new Set();
+    (bundle.entry || []).forEach((item, index) => {
+        const path = `Bundle.entry[${index}]`;
+        const resource = item.resource;
+        if (!resource || typeof resource.resourceType !== 'string') {
+            issues.push({ path, message: 'Entry has no resource' });
+            return;
+        }
+        if (fullUrls.has(item.fullUrl)) issues.push({ path: `${path}.fullUrl`, message: `Duplicate fullUrl ${item.fullUrl}` });
+        fullUrls.add(item.fullUrl);
+        if (item.fullUrl && item.fullUrl.startsWith('urn:uuid:') && item.fullUrl !== `urn:uuid:${resource.id}`) {
+            issues.push({ path: `${path}.fullUrl`, message: 'fullUrl does not match the resource id' });
+        }
+        if (resource.id !== undefined && (typeof resource.id !== 'string' || !idPattern.test(resource.id))) {
+            issues.push({ path: `${path}.resource.id`, message: `Not an R4 id: ${resource.id}` });
+        }
+
+        checkCodes(resource, `${path}.resource`, issues);
+        checkValues(resource, `${path}.resource`, issues, references);
+    });
+
+    references
+        .filter(({ reference }) => reference.startsWith('urn:uuid:') && !fullUrls.has(reference))
+        .forEach(({ path, reference }) => issues.push({ path, message: `Reference ${reference} is not in the bundle` }));
+
+    return { valid: issues.length === 0, issues };
+}
+
+module.exports = {
+    validateBundle
+};
@@ -0,0 +1,77 @@
+// ============================================
+// HL7 v2 Acknowledgements
+// ============================================
+// Every message gets an ACK in original acknowledgement mode:
+//
+//   MSA|AA|MSG00001                accepted
+//   MSA|AE|MSG00001|<reason>       error: could not be processed (e.g. no patient name)
+//   MSA|AR|MSG00001|<reason>       rejected: wrong message type, event or framing
+//
+// AE and AR (the "NAK") also carry an ERR segment with the HL7 table 0357
+// error code, so the sending system can show why.
+
+const RECEIVING_APPLICATION = 'CARECOMPASS';
+const DEFAULT_VERSION = '2.5';
+
+// HL7 table 0357 error code descriptions
+const ERROR_CODES = {
+    100: 'Segment sequence error',
+    101: 'Required field missing',
+    102: 'Data type error',
+    200: 'Unsupported message type',
+    201: 'Unsupported event code',
+    203: 'Unsupported version id',
+    207: 'Application internal error'
+};
+
+/**
+ * Current time as an HL7 timestamp (YYYYMMDDHHMMSS, UTC with +0000)
+ */
+function hl7Timestamp(date = new Date()) {
+    return `${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}+0000`;
+}
+
+/**
+ * Keeps separators out of text placed in a field
+ */
+function clean(text) {
+    return String(text || '').replace(/[|^~\\&\r\n]/g, ' ').trim();
+}
+
+/**
+ * Builds an ACK for a message
+ *
+ * header: what readHeader() returned (may be partial or empty if the
+ *         MSH could not be read)
+ * result: { code: 'AA' | 'AE' | 'AR', text?, errorCode? }
+ * facility: our facility name, for MSH-4
+ */
+function buildAck(header = {}, { code, text, errorCode }, facility) {
+    const segments = [
+        [
+            'MSH', '^~\\&',
+            RECEIVING_APPLICATION,
+            clean(facility),
+            clean(header.sending_application),
+            clean(header.sending_facility),
+            hl7Timestamp(),
+            '',
+            `ACK^${clean(header.event)}^ACK`,
+            `ACK${Date.now()}`,
+            clean(header.processing_id) || 'P',
+            clean(header.version) || DEFAULT_VERSION
+        ].join('|'),
+        ['MSA', code, clean(header.control_id), clean(text)].join('|').replace(/\|+$/, '')
+    ];
+
+    if (code !== 'AA') {
+        const errorCodeValue = errorCode || 207;
+        segments.push(['ERR', '', '', `${errorCodeValue}^${ERROR_CODES[errorCodeValue] || 'Error'}^HL70357`, 'E', '', '', '', clean(text)].join('|'));
+    }
+
+    return segments.join('\r') + '\r';
+}
+
+module.exports = {
+    buildAck
+};
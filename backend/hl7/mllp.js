@@ -0,0 +1,78 @@
+// ============================================
+// MLLP Listener
+// ============================================
+// HL7 v2 over TCP uses the Minimal Lower Layer Protocol: each message is
+// framed as
+//
+//   <VT 0x0b> message <FS 0x1c><CR 0x0d>
+//
+// and the reply (the ACK) is framed the same way on the same connection.
+// Messages on one connection are handled one at a time, in order.
+
+const net = require('net');
+const logger = require('../logger');
+
+const START_BLOCK = 0x0b;
+const END_BLOCK = Buffer.from([0x1c, 0x0d]);
+
+// Largest message accepted; a connection sending more is closed
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+/**
+ * Wraps a message in an MLLP frame
+ */
+function frame(text) {
+    return Buffer.concat([Buffer.from([START_BLOCK]), Buffer.from(text, 'utf8'), END_BLOCK]);
+}
+
+/**
+ * Creates (but does not start) an MLLP server
+ *
+ * handleMessage(text, { transport, remote }) must resolve to the ACK text.
+ * allowedIps: if not empty, connections from other addresses are closed.
+ */
+function createMllpServer({ handleMessage, allowedIps = [] }) {
+    return net.createServer(socket => {
+        const remote = (socket.remoteAddress || '').replace(/^::ffff:/, '');
+        if (allowedIps.length > 0 && !allowedIps.includes(remote)) {
+            logger.warn('hl7_connection_refused', { remote });
+            socket.destroy();
+            return;
+        }
+
+        let buffer = Buffer.alloc(0);
+        let queue = Promise.resolve();
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            let end;
+            while ((end = buffer.indexOf(END_BLOCK)) !== -1) {
+                const start = buffer.indexOf(START_BLOCK);
+                const message = buffer.slice(start === -1 || start > end ? 0 : start + 1, end).toString('utf8');
+                buffer = buffer.slice(end + END_BLOCK.length);
+
+                // Answer in the order the messages arrived
+                queue = queue
+                    .then(() => handleMessage(message, { transport: 'mllp', remote }))
+                    .then(ack => {
+                        if (!socket.destroyed) socket.write(frame(ack));
+                    })
+                    .catch(error => logger.error('hl7_mllp_failed', { remote, message: error.message }));
+            }
+
+            if (buffer.length > MAX_MESSAGE_BYTES) {
+                logger.warn('hl7_message_too_large', { remote, bytes: buffer.length });
+                socket.destroy();
+            }
+        });
+
+        socket.on('error', error => logger.warn('hl7_connection_error', { remote, message: error.message }));
+        socket.setTimeout(5 * 60 * 1000, () => socket.end());
+    });
+}
+
+module.exports = {
+    createMllpServer,
+    MAX_MESSAGE_BYTES
+};
@@ -0,0 +1,330 @@
+// ============================================
+// HL7 v2 Parsing
+// ============================================
+// Reads the pipe-delimited HL7 v2 messages a hospital information system
+// (HIS) sends when a patient is registered at the front desk, e.g.
+//
+//   MSH|^~\&|HIS|CITYHOSP|CARECOMPASS|CLINIC|20260105101500||ADT^A04^ADT_A01|MSG00001|P|2.5
+//   EVN|A04|20260105101500
+//   PID|1||MRN12345^^^CITYHOSP^MR||Patil^Ramesh^K||19800412|M
+//   PV1|1|E|ER^BAY2||||D123^Sharma^Anil
+//   PV2|||^Chest pain
+//   AL1|1|DA|^Penicillin|SV|Rash
+//
+// parseMessage() splits it into segments and fields; readRegistration()
+// pulls out what CareCompass needs to pre-register the patient.
+// Only ADT^A04 (register an outpatient) and ADT^A01 (admit) are accepted.
+//
+// Times without a UTC offset (20260105101500 above) are the sender's local
+// time: the offset on MSH-7 or EVN-2 if either has one, else the
+// facility's time zone (FACILITY_TIMEZONE).
+
+const SUPPORTED_EVENTS = ['A04', 'A01'];
+
+// The server's own zone, for times read without a facility zone
+const SERVER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// HL7 administrative sex (table 0001) -> the app's sex values
+const SEX_CODES = { F: 'female', M: 'male', O: 'other', A: 'other', U: 'unknown', N: 'unknown' };
+
+/**
+ * Error for a message that cannot be accepted. `code` is from HL7 table
+ * 0357 (message error condition codes) and goes into the NAK.
+ */
+class HL7Error extends Error {
+    constructor(message, code = 207, reject = false) {
+        super(message);
+        this.name = 'HL7Error';
+        this.code = code;
+        // AR (rejected: wrong type or version) rather than AE (could not process)
+        this.reject = reject;
+    }
+}
+
+/**
+ * Undoes HL7 escape sequences (\F\ \S\ \T\ \R\ \E\) in a value
+ */
+function unescape(value, encoding) {
+    if (!value || !value.includes(encoding.escape)) return value;
+    const map = { F: encoding.field, S: encoding.component, T: encoding.subcomponent, R: encoding.repetition, E: encoding.escape };
+    const e = encoding.escape.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return value.replace(new RegExp(`${e}([FSTRE])${e}`, 'g'), (match, code) => map[code]);
+}
+
+/**
+ * Splits a message into segments: [{ name, fields: [string] }]
+ * fields[n] is SEG-n. For MSH, fields[1] is the field separator and
+ * fields[2] the encoding characters, as in the standard's numbering.
+ * Returns { segments, encoding }. Throws HL7Error if there is no MSH.
+ */
+function parseMessage(text) {
+    const lines = String(text || '').split(/\r\n|\r|\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0 || !lines[0].startsWith('MSH') || lines[0].length < 8) {
+        throw new HL7Error('The message does not start with an MSH segment', 100, true);
+    }
+
+    const fieldSeparator = lines[0][3];
+    const chars = lines[0].slice(4).split(fieldSeparator)[0];
+    const encoding = {
+        field: fieldSeparator,
+        component: chars[0] || '^',
+        repetition: chars[1] || '~',
+        escape: chars[2] || '\\',
+        subcomponent: chars[3] || '&'
+    };
+
+    const segments = lines.map(line => {
+        const parts = line.split(fieldSeparator);
+        const name = parts[0];
+        // MSH-1 is the separator itself, so MSH fields shift by one
+        const fields = name === 'MSH' ? ['MSH', fieldSeparator, ...parts.slice(1)] : parts;
+        return { name, fields };
+    });
+
+    return { segments, encoding };
+}
+
+/**
+ * Helpers to read fields, components and repetitions of a parsed message
+ */
+function createReader({ segments, encoding }) {
+    const segment = name => segments.find(s => s.name === name) || null;
+    const all = name => segments.filter(s => s.name === name);
+
+    /**
+     * Raw text of SEG-n (null if missing or empty)
+     */
+    const field = (seg, n) => (seg && seg.fields[n]) || null;
+
+    /**
+     * Repetitions of a field, each split into unescaped components
+     */
+    const repetitions = (seg, n) => {
+        const raw = field(seg, n);
+        if (!raw) return [];
+        return raw.split(encoding.repetition).map(rep =>
+            rep.split(encoding.component).map(c => unescape(c.split(encoding.subcomponent)[0], encoding))
+        );
+    };
+
+    /**
+     * Component m (1-based) of the first repetition of SEG-n
+     */
+    const component = (seg, n, m = 1) => {
+        const reps = repetitions(seg, n);
+        return (reps[0] && reps[0][m - 1]) || null;
+    };
+
+    return { segment, all, field, repetitions, component };
+}
+
+/**
+ * True if the name is an IANA time zone this Node.js knows, e.g. Asia/Kolkata
+ */
+function isTimeZone(name) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: name });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Minutes east of UTC for an HL7 offset (+0530), or null if it is not one
+ */
+function offsetMinutes(offset) {
+    const match = String(offset || '').match(/^([+-])(\d{2})(\d{2})$/);
+    if (!match || Number(match[2]) > 14 || Number(match[3]) > 59) return null;
+    return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+}
+
+/**
+ * Minutes east of UTC of a time zone at an instant (changes with summer time)
+ */
+function zoneMinutes(timeZone, millis) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(millis)).forEach(part => { parts[part.type] = Number(part.value); });
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wall - Math.floor(millis / 1000) * 1000) / 60000);
+}
+
+/**
+ * HL7 timestamp (YYYYMMDD[HHMM[SS[.S]]][+/-ZZZZ]) as an ISO string, or null
+ * Without its own offset it is read with `offset` (the message's, e.g.
+ * from MSH-7), else as local time in `timeZone` (default: the server's).
+ */
+function parseTimestamp(value, { offset = null, timeZone = SERVER_TIME_ZONE } = {}) {
+    const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(?:(\d{2})(?:\.\d+)?)?)?([+-]\d{4})?$/);
+    if (!match) return null;
+    const [, y, mo, d, h = '00', mi = '00', s = '00', own] = match;
+    const wall = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}Z`).getTime();
+    if (Number.isNaN(wall)) return null;
+
+    let minutes;
+    if (own) {
+        minutes = offsetMinutes(own);
+        if (minutes === null) return null;
+    } else if (offsetMinutes(offset) !== null) {
+        minutes = offsetMinutes(offset);
+    } else {
+        // The zone's offset at the wall time itself, corrected once for a summer-time change
+        minutes = zoneMinutes(timeZone, wall - zoneMinutes(timeZone, wall) * 60000);
+    }
+    return new Date(wall - minutes * 60000).toISOString();
+}
+
+/**
+ * The UTC offset written on an HL7 timestamp (+0530), or null
+ */
+function timestampOffset(value) {
+    const match = String(value || '').match(/^\d{8,}(?:\.\d+)?([+-]\d{4})$/);
+    return match && offsetMinutes(match[1]) !== null ? match[1] : null;
+}
+
+/**
+ * HL7 date of birth (YYYYMMDD...) as YYYY-MM-DD, or null
+ */
+function parseBirthDate(value) {
+    const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) return null;
+    const date = `${match[1]}-${match[2]}-${match[3]}`;
+    return Number.isNaN(Date.parse(date)) ? null : date;
+}
+
+/**
+ * Age from a YYYY-MM-DD date of birth, in the app's form:
+ * { age, age_unit } with months under one year, or null
+ */
+function ageFromBirthDate(birthDate, now = new Date()) {
+    if (!birthDate) return null;
+    const [y, m, d] = birthDate.split('-').map(Number);
+    let months = (now.getFullYear() - y) * 12 + (now.getMonth() + 1 - m);
+    if (now.getDate() < d) months -= 1;
+    if (months < 0) return null;
+    return months < 12 ? { age: String(months), age_unit: 'months' } : { age: String(Math.floor(months / 12)), age_unit: 'years' };
+}
+
+/**
+ * The header fields needed for the ACK: { control_id, sending_application,
+ * sending_facility, receiving_application, receiving_facility, version,
+ * message_type, event }
+ * Throws HL7Error if the message type or control ID is missing.
+ */
+function readHeader(parsed) {
+    const r = createReader(parsed);
+    const msh = r.segment('MSH');
+    const header = {
+        sending_application: r.component(msh, 3),
+        sending_facility: r.component(msh, 4),
+        receiving_application: r.component(msh, 5),
+        receiving_facility: r.component(msh, 6),
+        message_type: r.component(msh, 9, 1),
+        event: r.component(msh, 9, 2),
+        control_id: r.field(msh, 10),
+        processing_id: r.component(msh, 11),
+        version: r.component(msh, 12)
+    };
+    if (!header.control_id) throw new HL7Error('MSH-10 (message control ID) is missing', 101, true);
+    if (!header.message_type) throw new HL7Error('MSH-9 (message type) is missing', 101, true);
+    return header;
+}
+
+/**
+ * A person's name from an XPN/XCN value: "given middle family"
+ */
+function personName(components, familyIndex, givenIndex) {
+    if (!components) return null;
+    const family = components[familyIndex];
+    const given = components[givenIndex];
+    const middle = components[givenIndex + 1];
+    const name = [given, middle, family].filter(Boolean).join(' ').trim();
+    return name || null;
+}
+
+/**
+ * Reads an ADT^A04/A01 message into a registration:
+ * {
+ *   event, control_id, registered_at,
+ *   patient: { mrn, assigning_authority, name, birth_date, sex, allergies },
+ *   visit: { patient_class, location, attending, visit_number, reason }
+ * }
+ * Times without an offset are read in `timeZone` (the facility's) unless
+ * MSH-7 or EVN-2 gives the sender's offset.
+ * Throws HL7Error for other message types or missing required fields.
+ */
+function readRegistration(parsed, { timeZone } = {}) {
+    const header = readHeader(parsed);
+    if (header.message_type !== 'ADT') {
+        throw new HL7Error(`Message type ${header.message_type} is not supported (only ADT)`, 200, true);
+    }
+    if (!SUPPORTED_EVENTS.includes(header.event)) {
+        throw new HL7Error(`Event ${header.event || '(none)'} is not supported (only ${SUPPORTED_EVENTS.join(' and ')})`, 201, true);
+    }
+
+    const r = createReader(parsed);
+    const pid = r.segment('PID');
+    if (!pid) throw new HL7Error('The message has no PID segment', 100);
+
+    // PID-3: the medical record number (identifier type MR), else the first identifier
+    const identifiers = r.repetitions(pid, 3).filter(cx => cx[0]);
+    const mrn = identifiers.find(cx => cx[4] === 'MR') || identifiers[0] || null;
+
+    const name = personName(r.repetitions(pid, 5)[0], 0, 1);
+    if (!name) throw new HL7Error('PID-5 (patient name) is missing', 101);
+    if (!mrn) throw new HL7Error('PID-3 (patient identifier) is missing', 101);
+
+    const pv1 = r.segment('PV1');
+    const pv2 = r.segment('PV2');
+    const location = pv1 ? r.repetitions(pv1, 3)[0] : null;
+    const attending = pv1 ? r.repetitions(pv1, 7)[0] : null;
+    // PV2-3 admit reason: the text, else the code
+    const reason = pv2 ? (r.component(pv2, 3, 2) || r.component(pv2, 3, 1)) : null;
+
+    // AL1-3: allergen text, else its code
+    const allergies = r.all('AL1')
+        .map(al1 => r.component(al1, 3, 2) || r.component(al1, 3, 1))
+        .filter(Boolean);
+
+    const evn = r.segment('EVN');
+    const messageTime = r.component(r.segment('MSH'), 7);
+    const eventTime = evn && r.component(evn, 2);
+    const zone = { offset: timestampOffset(messageTime) || timestampOffset(eventTime), timeZone };
+    const registeredAt = parseTimestamp(pv1 && r.field(pv1, 44), zone)
+        || parseTimestamp(eventTime, zone)
+        || parseTimestamp(messageTime, zone);
+
+    return {
+        event: header.event,
+        control_id: header.control_id,
+        registered_at: registeredAt,
+        patient: {
+            mrn: mrn[0],
+            assigning_authority: mrn[3] || header.sending_facility || null,
+            name,
+            birth_date: parseBirthDate(r.field(pid, 7)),
+            sex: SEX_CODES[(r.field(pid, 8) || '').toUpperCase()] || 'unknown',
+            allergies: [...new Set(allergies)]
+        },
+        visit: {
+            patient_class: pv1 ? r.component(pv1, 2) : null,
+            location: location ? location.slice(0, 3).filter(Boolean).join(' / ') || null : null,
+            attending: personName(attending, 1, 2),
+            visit_number: pv1 ? r.component(pv1, 19) : null,
+            reason
+        }
+    };
+}
+
+module.exports = {
+    HL7Error,
+    SUPPORTED_EVENTS,
+    parseMessage,
+    readHeader,
+    readRegistration,
+    isTimeZone,
+    parseTimestamp,
+    ageFromBirthDate
+};
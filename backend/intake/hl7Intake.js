@@ -0,0 +1,92 @@
+// ============================================
+// HL7 ADT Intake
+// ============================================
+// What happens to each HL7 message, whether it came over MLLP or HTTP:
+//
+// 1. read the MSH header (a message without one is rejected: AR)
+// 2. a message already processed (same sender and control ID) is
+//    acknowledged again without registering the patient twice
+// 3. ADT^A04/A01: create or match the patient and put them on the
+//    "waiting for triage" list
+// 4. store the message with the ACK code it got, then send the ACK
+//
+// A message that cannot be stored gets AE, so the HIS sends it again.
+
+const crypto = require('crypto');
+const logger = require('../logger');
+const { HL7Error, parseMessage, readHeader, readRegistration } = require('../hl7/parser');
+const { buildAck } = require('../hl7/ack');
+
+/**
+ * Creates the message handler shared by the MLLP and HTTP listeners
+ * handleMessage(text, { transport, remote }) resolves to the ACK text
+ */
+function createHl7Intake({ store, facility }) {
+    return async function handleMessage(text, { transport, remote }) {
+        const record = {
+            id: crypto.randomUUID(),
+            received_at: new Date().toISOString(),
+            transport,
+            remote: remote || null,
+            control_id: null,
+            message_type: null,
+            ack_code: null,
+            error: null,
+            registration_id: null,
+            duplicate: false,
+            raw: text
+        };
+
+        let header = {};
+        let result;
+        try {
+            header = readHeader(parseMessage(text));
+            record.control_id = header.control_id;
+            record.message_type = [header.message_type, header.event].filter(Boolean).join('^');
+
+            const processed = await store.findProcessed(header);
+            if (processed) {
+                record.registration_id = processed;
+                record.duplicate = true;
+                result = { code: 'AA', text: 'Duplicate message, already registered' };
+            } else {
+                const timeZone = facility && facility.timeZone;
+                const { registration, matched_by } = await store.register(readRegistration(parseMessage(text), { timeZone }), header);
+                record.registration_id = registration.id;
+                record.matched_by = matched_by;
+                result = { code: 'AA' };
+            }
+        } catch (error) {
+            if (error instanceof HL7Error) {
+                result = { code: error.reject ? 'AR' : 'AE', text: error.message, errorCode: error.code };
+            } else {
+                logger.error('hl7_processing_failed', { control_id: record.control_id, message: error.message });
+                result = { code: 'AE', text: 'The message could not be processed', errorCode: 207 };
+            }
+            record.error = result.text;
+        }
+
+        record.ack_code = result.code;
+        try {
+            await store.recordMessage(record);
+        } catch (error) {
+            logger.error('hl7_store_failed', { control_id: record.control_id, message: error.message });
+            result = { code: 'AE', text: 'The message could not be stored', errorCode: 207 };
+        }
+
+        logger.info('hl7_message', {
+            transport,
+            control_id: record.control_id,
+            message_type: record.message_type,
+            ack: result.code,
+            duplicate: record.duplicate,
+            matched_by: record.matched_by || null
+        });
+
+        return buildAck(header, result, facility && facility.name);
+    };
+}
+
+module.exports = {
+    createHl7Intake
+};
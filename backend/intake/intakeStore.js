@@ -0,0 +1,198 @@
+// ============================================
+// Front-Desk Intake Store
+// ============================================
+// Keeps what arrives from the hospital information system (HIS):
+//
+// - messages:  every HL7 message received, as JSON Lines (append-only),
+//              with the raw text and the ACK code it got
+// - registry:  one JSON file with the patients the HIS registered and
+//              the "waiting for triage" list
+//
+//   patients:      [{ id, mrn, assigning_authority, name, birth_date, sex,
+//                     allergies, created_at, updated_at }]
+//   registrations: [{ id, patient_id, event, control_id, registered_at,
+//                     received_at, visit, status, case_id, closed_by, closed_at }]
+//
+// A registration is `waiting` until a clinician triages it (`triaged`,
+// with the case id) or removes it from the list (`dismissed`).
+//
+// Both files hold patient identifiers: keep them on the server's
+// protected disk, like the audit log.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Message ids remembered for duplicate detection (HIS systems resend on timeout)
+const MAX_REMEMBERED_MESSAGES = 5000;
+
+const STATUSES = ['waiting', 'triaged', 'dismissed'];
+
+/**
+ * Creates an intake store with the given file paths
+ */
+function createIntakeStore({ messagesPath, registryPath }) {
+    let registry = null;
+    // Writes are chained so they never interleave
+    let writing = Promise.resolve();
+
+    /**
+     * Loads the registry file once (an empty registry if there is none)
+     */
+    async function load() {
+        if (registry) return registry;
+        try {
+            registry = JSON.parse(await fs.promises.readFile(registryPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            registry = {};
+        }
+        registry.patients = registry.patients || [];
+        registry.registrations = registry.registrations || [];
+        registry.processed = registry.processed || {};
+        return registry;
+    }
+
+    /**
+     * Writes the registry to disk (via a temporary file, so a crash never
+     * leaves half a file)
+     */
+    function save() {
+        const text = JSON.stringify(registry, null, 2);
+        writing = writing.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(registryPath), { recursive: true });
+            const tmp = `${registryPath}.tmp`;
+            await fs.promises.writeFile(tmp, text);
+            await fs.promises.rename(tmp, registryPath);
+        });
+        return writing;
+    }
+
+    /**
+     * Key identifying a message for duplicate detection
+     */
+    function messageKey(header) {
+        return [header.sending_application, header.sending_facility, header.control_id].join('|');
+    }
+
+    /**
+     * Finds the patient a registration belongs to: same MRN from the same
+     * authority, else same name and date of birth
+     * Returns { patient, matched_by } (patient null if new)
+     */
+    function matchPatient(incoming) {
+        const byMrn = registry.patients.find(p =>
+            p.mrn === incoming.mrn && (p.assigning_authority || null) === (incoming.assigning_authority || null));
+        if (byMrn) return { patient: byMrn, matched_by: 'mrn' };
+
+        if (incoming.birth_date) {
+            const byName = registry.patients.find(p =>
+                p.birth_date === incoming.birth_date && p.name.toLowerCase() === incoming.name.toLowerCase());
+            if (byName) return { patient: byName, matched_by: 'name_and_birth_date' };
+        }
+        return { patient: null, matched_by: null };
+    }
+
+    return {
+        messagesPath,
+        registryPath,
+
+        /**
+         * Appends one received message to the messages file
+         */
+        async recordMessage(record) {
+            await fs.promises.mkdir(path.dirname(messagesPath), { recursive: true });
+            await fs.promises.appendFile(messagesPath, JSON.stringify(record) + '\n');
+        },
+
+        /**
+         * The registration id an earlier copy of this message created, or null
+         */
+        async findProcessed(header) {
+            await load();
+            return registry.processed[messageKey(header)] || null;
+        },
+
+        /**
+         * Creates or updates the patient and puts them on the waiting list
+         * (updating their entry if they are already waiting)
+         * Returns { patient, registration, matched_by }
+         */
+        async register(incoming, header) {
+            await load();
+            const now = new Date().toISOString();
+
+            let { patient, matched_by } = matchPatient(incoming.patient);
+            if (patient) {
+                // The HIS is the source of truth for demographics; keep known allergies
+                Object.assign(patient, {
+                    name: incoming.patient.name,
+                    birth_date: incoming.patient.birth_date || patient.birth_date,
+                    sex: incoming.patient.sex !== 'unknown' ? incoming.patient.sex : patient.sex,
+                    allergies: [...new Set([...(patient.allergies || []), ...incoming.patient.allergies])],
+                    updated_at: now
+                });
+            } else {
+                patient = { id: crypto.randomUUID(), ...incoming.patient, created_at: now, updated_at: now };
+                registry.patients.push(patient);
+            }
+
+            let registration = registry.registrations.find(r => r.patient_id === patient.id && r.status === 'waiting');
+            const visit = {
+                event: incoming.event,
+                control_id: incoming.control_id,
+                registered_at: incoming.registered_at || now,
+                visit: incoming.visit
+            };
+            if (registration) {
+                Object.assign(registration, visit, { received_at: now });
+            } else {
+                registration = { id: crypto.randomUUID(), patient_id: patient.id, ...visit, received_at: now, status: 'waiting' };
+                registry.registrations.push(registration);
+            }
+
+            registry.processed[messageKey(header)] = registration.id;
+            const keys = Object.keys(registry.processed);
+            keys.slice(0, Math.max(0, keys.length - MAX_REMEMBERED_MESSAGES)).forEach(key => delete registry.processed[key]);
+
+            await save();
+            return { patient, registration, matched_by };
+        },
+
+        /**
+         * Registrations with their patient, newest first
+         * filters: { status } (default waiting)
+         */
+        async listRegistrations({ status = 'waiting' } = {}) {
+            await load();
+            const patients = new Map(registry.patients.map(p => [p.id, p]));
+            return registry.registrations
+                .filter(r => r.status === status)
+                .sort((a, b) => b.registered_at.localeCompare(a.registered_at))
+                .map(r => ({ ...r, patient: patients.get(r.patient_id) || null }));
+        },
+
+        /**
+         * Closes a waiting registration: { status: 'triaged' | 'dismissed', case_id?, uid }
+         * Returns the updated registration, or null if there is none
+         */
+        async closeRegistration(id, { status, caseId, uid }) {
+            await load();
+            const registration = registry.registrations.find(r => r.id === id);
+            if (!registration) return null;
+            Object.assign(registration, {
+                status,
+                case_id: caseId || null,
+                closed_by: uid,
+                closed_at: new Date().toISOString()
+            });
+            await save();
+            return registration;
+        }
+    };
+}
+
+module.exports = {
+    STATUSES,
+    createIntakeStore
+};
@@ -0,0 +1,166 @@
+// ============================================
+// Text-Message Case Store
+// ============================================
+// Cases field workers sent by text message, waiting for a clinician to
+// review and adopt them in the app. One JSON file:
+//
+//   cases: [{ id, reference, status, sender, sender_id, message_id,
+//             received_at, text, patient_name, request, triage, reply,
+//             case_id, closed_by, closed_at }]
+//
+// `reference` is the short code sent back to the field worker. A case is
+// `pending` until a clinician saves it as a case of their own
+// (`adopted`, with the case id) or removes it (`dismissed`).
+//
+// The file holds patient details and the workers' phone numbers: keep it
+// on the server's protected disk, like the audit log.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Message ids remembered for duplicate detection (gateways resend on timeout)
+const MAX_REMEMBERED_MESSAGES = 5000;
+
+const STATUSES = ['pending', 'adopted', 'dismissed'];
+
+// Reference codes avoid letters and digits that are easy to mix up (0/O, 1/I)
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERENCE_LENGTH = 6;
+
+/**
+ * A new short reference such as "K7Q2XM"
+ */
+function newReference() {
+    return Array.from(crypto.randomBytes(REFERENCE_LENGTH), byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+}
+
+/**
+ * Creates a store backed by the JSON file at filePath
+ */
+function createSmsCaseStore({ filePath }) {
+    let data = null;
+    // Writes are chained so they never interleave
+    let writing = Promise.resolve();
+
+    /**
+     * Loads the file once (empty if there is none)
+     */
+    async function load() {
+        if (data) return data;
+        try {
+            data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            data = {};
+        }
+        data.cases = data.cases || [];
+        data.processed = data.processed || {};
+        return data;
+    }
+
+    /**
+     * Writes the file (via a temporary file, so a crash never leaves half a file)
+     */
+    function save() {
+        const text = JSON.stringify(data, null, 2);
+        writing = writing.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const tmp = `${filePath}.tmp`;
+            await fs.promises.writeFile(tmp, text);
+            await fs.promises.rename(tmp, filePath);
+        });
+        return writing;
+    }
+
+    return {
+        filePath,
+
+        /**
+         * The case an earlier copy of this gateway message created, or null
+         */
+        async findProcessed(messageKey) {
+            await load();
+            const id = data.processed[messageKey];
+            return id ? data.cases.find(c => c.id === id) || null : null;
+        },
+
+        /**
+         * Saves a new pending case (remembering its gateway message key)
+         * Returns the case with its id and reference
+         */
+        async create(fields, messageKey) {
+            await load();
+            const smsCase = {
+                id: crypto.randomUUID(),
+                reference: newReference(),
+                status: 'pending',
+                ...fields,
+                received_at: new Date().toISOString(),
+                case_id: null,
+                closed_by: null,
+                closed_at: null
+            };
+            data.cases.push(smsCase);
+
+            if (messageKey) {
+                data.processed[messageKey] = smsCase.id;
+                const keys = Object.keys(data.processed);
+                keys.slice(0, Math.max(0, keys.length - MAX_REMEMBERED_MESSAGES)).forEach(key => delete data.processed[key]);
+            }
+
+            await save();
+            return smsCase;
+        },
+
+        /**
+         * Sets the reply that was sent for a case
+         */
+        async setReply(id, reply) {
+            await load();
+            const smsCase = data.cases.find(c => c.id === id);
+            if (!smsCase) return null;
+            smsCase.reply = reply;
+            await save();
+            return smsCase;
+        },
+
+        /**
+         * Cases with the given status (default pending), newest first
+         */
+        async list({ status = 'pending' } = {}) {
+            await load();
+            return data.cases
+                .filter(c => c.status === status)
+                .sort((a, b) => b.received_at.localeCompare(a.received_at));
+        },
+
+        async get(id) {
+            await load();
+            return data.cases.find(c => c.id === id) || null;
+        },
+
+        /**
+         * Closes a pending case: { status: 'adopted' | 'dismissed', caseId?, uid }
+         * Returns the updated case, or null if there is none
+         */
+        async close(id, { status, caseId, uid }) {
+            await load();
+            const smsCase = data.cases.find(c => c.id === id);
+            if (!smsCase) return null;
+            Object.assign(smsCase, {
+                status,
+                case_id: caseId || null,
+                closed_by: uid,
+                closed_at: new Date().toISOString()
+            });
+            await save();
+            return smsCase;
+        }
+    };
+}
+
+module.exports = {
+    STATUSES,
+    createSmsCaseStore
+};
@@ -0,0 +1,131 @@
+// ============================================
+// Text-Message Intake
+// ============================================
+// What happens to each text message the SMS gateway passes on:
+//
+// 1. a message the gateway already delivered (same message id) gets the
+//    same reply again, without triaging the case twice
+// 2. a phone not on SMS_INTAKE_ALLOWED_SENDERS gets a short refusal
+// 3. "HELP", or a message that cannot be read, gets the format back
+//    (see smsMessage.js)
+// 4. otherwise the case goes through the same triage as /analyze, is kept
+//    as a pending case for a clinician to review, and the reply gives the
+//    risk level, the first action and the case reference
+//
+// Phone numbers never reach the logs: they show a short hash instead.
+
+const crypto = require('crypto');
+const logger = require('../logger');
+const { HELP_TEXT, parseSmsMessage, buildTriageReply, buildErrorReply } = require('./smsMessage');
+
+const NOT_ALLOWED_REPLY = 'This number is not registered to send cases. Please contact the clinic.';
+const FAILED_REPLY = 'Sorry, the case could not be assessed. Please call the clinic.';
+
+/**
+ * A phone number without spaces, dashes or brackets, e.g. "+919812345678"
+ */
+function normaliseNumber(number) {
+    return String(number || '').replace(/[\s().-]/g, '');
+}
+
+/**
+ * A short, stable id for a phone number that is safe to log
+ */
+function senderId(number) {
+    return crypto.createHash('sha256').update(number).digest('hex').slice(0, 12);
+}
+
+/**
+ * Creates the message handler for the SMS gateway route
+ *
+ * triage(request, senderId) runs the /analyze pipeline for one message and
+ * resolves to { triageData }, { error, details } (invalid input) or
+ * { limited: { retryAfterSeconds } }.
+ *
+ * handleMessage({ from, text, messageId }) resolves to
+ * { reply, status, sms_case_id? }, status being one of triaged,
+ * duplicate, help, unreadable, not_allowed, limited or failed.
+ */
+function createSmsIntake({ store, triage, allowedSenders = [], outputLanguage = 'en' }) {
+    const allowed = new Set(allowedSenders.map(normaliseNumber));
+    // Message key -> reply still being worked out: gateways resend when the
+    // answer is slow, and the resend must not triage the case again
+    const inFlight = new Map();
+
+    /**
+     * Works out the reply and what became of the message
+     */
+    async function respond({ from, text, messageId }, sender, messageKey) {
+        if (messageKey) {
+            const earlier = await store.findProcessed(messageKey);
+            if (earlier) return { reply: earlier.reply, status: 'duplicate', sms_case_id: earlier.id };
+        }
+
+        if (allowed.size > 0 && !allowed.has(from)) {
+            return { reply: NOT_ALLOWED_REPLY, status: 'not_allowed' };
+        }
+
+        const parsed = parseSmsMessage(text);
+        if (parsed.help) return { reply: HELP_TEXT, status: 'help' };
+        if (parsed.error) return { reply: buildErrorReply(parsed.error), status: 'unreadable' };
+
+        const request = { ...parsed.request, patientName: parsed.name || undefined, output_language: outputLanguage };
+        const result = await triage(request, sender);
+        if (result.limited) {
+            const minutes = Math.ceil(result.limited.retryAfterSeconds / 60);
+            return { reply: `Too many messages from this phone. Please wait ${minutes} min and send again.`, status: 'limited' };
+        }
+        if (result.error) {
+            // Impossible vitals: name the first one so the worker can correct it
+            const first = (result.details || [])[0];
+            return { reply: buildErrorReply(first ? first.message : result.error), status: 'unreadable' };
+        }
+
+        const smsCase = await store.create({
+            sender: from,
+            sender_id: sender,
+            message_id: messageId || null,
+            text,
+            patient_name: parsed.name,
+            request: parsed.request,
+            triage: result.triageData,
+            reply: null
+        }, messageKey);
+        const reply = buildTriageReply(result.triageData, smsCase.reference);
+        await store.setReply(smsCase.id, reply);
+        return { reply, status: 'triaged', sms_case_id: smsCase.id, risk_level: result.triageData.risk_level };
+    }
+
+    return async function handleMessage(message) {
+        const from = normaliseNumber(message.from);
+        const sender = senderId(from);
+
+        const messageKey = message.messageId ? `${sender}:${message.messageId}` : null;
+
+        let outcome;
+        if (messageKey && inFlight.has(messageKey)) {
+            outcome = { ...(await inFlight.get(messageKey)), status: 'duplicate' };
+        } else {
+            const responding = respond({ ...message, from }, sender, messageKey).catch(error => {
+                logger.error('sms_processing_failed', { sender_id: sender, message: error.message });
+                return { reply: FAILED_REPLY, status: 'failed' };
+            });
+            if (messageKey) inFlight.set(messageKey, responding);
+            outcome = await responding;
+            if (messageKey) inFlight.delete(messageKey);
+        }
+
+        logger.info('sms_message', {
+            sender_id: sender,
+            status: outcome.status,
+            sms_case_id: outcome.sms_case_id || null,
+            risk_level: outcome.risk_level || null,
+            chars: String(message.text || '').length
+        });
+        return { reply: outcome.reply, status: outcome.status, sms_case_id: outcome.sms_case_id || null };
+    };
+}
+
+module.exports = {
+    createSmsIntake
+};
@@ -0,0 +1,183 @@
+// ============================================
+// Text-Message Case Format
+// ============================================
+// Field workers with basic phones send a case as one short text, in
+// parts separated by ";" (or new lines):
+//
+//   [TRIAGE] <age> <sex> [P|P<weeks>] [name] ; <symptoms> ; [vitals]
+//
+//   45 F; fever, cough 3 days; BP 100/70 HR 112 T 39.2 SpO2 93
+//   8m M; not feeding, fast breathing; RR 62 T 38.9
+//   TRIAGE 24Y F P32 Sita; headache, swollen feet; BP 160/110
+//
+// - age: a number, years by default; a letter straight after it sets the
+//   unit: 8m (months), 3w (weeks), 10d (days), 45y (years)
+// - sex: M, F or O (a separate word, so "8 M" is an 8-year-old male)
+// - P: pregnant, P32 pregnant at 32 weeks, NP not pregnant
+// - other words in the first part are kept as the patient's name
+// - vitals use the same notation as the app (BP, HR, RR, T, SpO2, GCS, ...)
+//
+// "HELP" (or "?") gets the format back.
+
+const { parseAge } = require('../triage/population');
+
+// Part separators: ";" or a line break
+const PART_SEPARATOR = /\s*(?:;|\r?\n)\s*/;
+
+const SEX_CODES = { m: 'male', male: 'male', f: 'female', female: 'female', o: 'other', other: 'other' };
+
+// 45, 45y, 8m, 3w, 10d, 2.5y
+const AGE_TOKEN = /^\d{1,3}(?:\.\d+)?(?:y|yr|yrs|m|mo|w|wk|d)?$/i;
+// P, P32, PREG, PREG32
+const PREGNANT_TOKEN = /^p(?:reg)?(\d{1,2})?$/i;
+
+// Longest reply sent back (two SMS parts)
+const MAX_REPLY_LENGTH = 300;
+
+// Advice texted instead of the AI's when the vital-sign safety floor raised
+// the risk: the AI's advice was written for the lower level. One entry per
+// language in triage/languages.js, so the reply stays in SMS_INTAKE_LANGUAGE.
+const OVERRIDE_ADVICE = {
+    en: {
+        High: { recommendation: 'Vitals abnormal: urgent review or refer now', firstStep: 'Recheck vitals and keep the patient under watch' },
+        Critical: { recommendation: 'Vitals dangerous: emergency, refer now', firstStep: 'Keep the airway clear and arrange transport' }
+    },
+    hi: {
+        High: { recommendation: 'वाइटल्स असामान्य: तुरंत जाँच कराएँ या अभी रेफर करें', firstStep: 'वाइटल्स दोबारा जाँचें और मरीज़ पर नज़र रखें' },
+        Critical: { recommendation: 'वाइटल्स खतरनाक: आपात स्थिति, अभी रेफर करें', firstStep: 'साँस का रास्ता साफ़ रखें और वाहन की व्यवस्था करें' }
+    },
+    mr: {
+        High: { recommendation: 'व्हायटल्स असामान्य: तातडीने तपासणी करा किंवा आत्ताच रेफर करा', firstStep: 'व्हायटल्स पुन्हा तपासा आणि रुग्णावर लक्ष ठेवा' },
+        Critical: { recommendation: 'व्हायटल्स धोकादायक: आणीबाणी, आत्ताच रेफर करा', firstStep: 'श्वसनमार्ग मोकळा ठेवा आणि वाहनाची व्यवस्था करा' }
+    },
+    bn: {
+        High: { recommendation: 'ভাইটালস অস্বাভাবিক: জরুরি পরীক্ষা করান বা এখনই রেফার করুন', firstStep: 'ভাইটালস আবার মাপুন এবং রোগীর উপর নজর রাখুন' },
+        Critical: { recommendation: 'ভাইটালস বিপজ্জনক: জরুরি অবস্থা, এখনই রেফার করুন', firstStep: 'শ্বাসনালী পরিষ্কার রাখুন এবং গাড়ির ব্যবস্থা করুন' }
+    },
+    gu: {
+        High: { recommendation: 'વાઇટલ્સ અસામાન્ય: તાત્કાલિક તપાસ કરાવો અથવા હમણાં જ રેફર કરો', firstStep: 'વાઇટલ્સ ફરી તપાસો અને દર્દી પર નજર રાખો' },
+        Critical: { recommendation: 'વાઇટલ્સ જોખમી: ઇમરજન્સી, હમણાં જ રેફર કરો', firstStep: 'શ્વાસનળી ખુલ્લી રાખો અને વાહનની વ્યવસ્થા કરો' }
+    },
+    ta: {
+        High: { recommendation: 'உயிர்க் குறிகள் அசாதாரணம்: உடனே பரிசோதிக்கவும் அல்லது இப்போதே பரிந்துரைக்கவும்', firstStep: 'உயிர்க் குறிகளை மீண்டும் சரிபார்த்து நோயாளியைக் கண்காணிக்கவும்' },
+        Critical: { recommendation: 'உயிர்க் குறிகள் ஆபத்தானவை: அவசரநிலை, இப்போதே பரிந்துரைக்கவும்', firstStep: 'சுவாசப் பாதையைத் தடையின்றி வைத்து வாகன ஏற்பாடு செய்யவும்' }
+    },
+    te: {
+        High: { recommendation: 'వైటల్స్ అసాధారణం: వెంటనే పరీక్షించండి లేదా ఇప్పుడే రిఫర్ చేయండి', firstStep: 'వైటల్స్ మళ్ళీ చూసి రోగిని గమనిస్తూ ఉండండి' },
+        Critical: { recommendation: 'వైటల్స్ ప్రమాదకరం: అత్యవసరం, ఇప్పుడే రిఫర్ చేయండి', firstStep: 'శ్వాస మార్గం తెరిచి ఉంచి వాహనం ఏర్పాటు చేయండి' }
+    },
+    kn: {
+        High: { recommendation: 'ವೈಟಲ್ಸ್ ಅಸಹಜ: ತಕ್ಷಣ ಪರೀಕ್ಷಿಸಿ ಅಥವಾ ಈಗಲೇ ರೆಫರ್ ಮಾಡಿ', firstStep: 'ವೈಟಲ್ಸ್ ಮತ್ತೆ ಪರಿಶೀಲಿಸಿ ಮತ್ತು ರೋಗಿಯ ಮೇಲೆ ನಿಗಾ ಇಡಿ' },
+        Critical: { recommendation: 'ವೈಟಲ್ಸ್ ಅಪಾಯಕಾರಿ: ತುರ್ತು ಸ್ಥಿತಿ, ಈಗಲೇ ರೆಫರ್ ಮಾಡಿ', firstStep: 'ಉಸಿರಾಟದ ಮಾರ್ಗ ತೆರೆದಿಡಿ ಮತ್ತು ವಾಹನ ವ್ಯವಸ್ಥೆ ಮಾಡಿ' }
+    }
+};
+
+const HELP_TEXT = 'Send: age sex; symptoms; vitals. Example: 45 F; fever, cough 3 days; BP 100/70 HR 112 T 39.2 SpO2 93. Age 8m = 8 months. P32 = pregnant 32 weeks.';
+
+/**
+ * Reads the first part: age, sex, pregnancy and an optional name
+ * Returns { profile, name } or { error }
+ */
+function parseDemographics(text) {
+    const profile = { sex: 'unknown', pregnancy_status: 'unknown', gestation_weeks: null };
+    const nameWords = [];
+
+    for (const token of text.split(/[\s,]+/).filter(Boolean)) {
+        const lower = token.toLowerCase();
+        if (profile.age === undefined && AGE_TOKEN.test(token)) {
+            const { age, error } = parseAge(token);
+            if (error) return { error: `Could not read the age "${token}"` };
+            profile.age = age.value;
+            profile.age_unit = age.unit;
+        } else if (SEX_CODES[lower] && profile.sex === 'unknown') {
+            profile.sex = SEX_CODES[lower];
+        } else if (PREGNANT_TOKEN.test(token)) {
+            const weeks = token.match(PREGNANT_TOKEN)[1];
+            profile.pregnancy_status = 'pregnant';
+            profile.gestation_weeks = weeks ? Number(weeks) : null;
+        } else if (lower === 'np') {
+            profile.pregnancy_status = 'not_pregnant';
+        } else if (/^[\p{L}.'-]+$/u.test(token)) {
+            nameWords.push(token);
+        } else {
+            return { error: `Could not read "${token}"` };
+        }
+    }
+
+    if (profile.age === undefined) return { error: 'The age is missing' };
+    return { profile, name: nameWords.join(' ') || null };
+}
+
+/**
+ * Reads a text-message case
+ *
+ * Returns one of:
+ *   { help: true }
+ *   { request, name }   // request: an /analyze body (age, sex, symptoms, vitals, ...)
+ *   { error }           // short enough to send back as is
+ */
+function parseSmsMessage(text) {
+    const trimmed = String(text || '').trim().replace(/^triage\b[\s:]*/i, '');
+    if (!trimmed || /^(help|\?)$/i.test(trimmed)) return { help: true };
+
+    const [first, symptoms, ...rest] = trimmed.split(PART_SEPARATOR);
+    const demographics = parseDemographics(first);
+    if (demographics.error) return { error: demographics.error };
+    if (!symptoms) return { error: 'The symptoms are missing' };
+
+    return {
+        request: {
+            ...demographics.profile,
+            symptoms,
+            vitals: rest.join(' ')
+        },
+        name: demographics.name
+    };
+}
+
+/**
+ * Cuts a reply to MAX_REPLY_LENGTH characters
+ */
+function shorten(text) {
+    return text.length <= MAX_REPLY_LENGTH ? text : `${text.slice(0, MAX_REPLY_LENGTH - 3)}...`;
+}
+
+/**
+ * The reply to a triaged message: risk level, first action and the
+ * reference the clinic will know the case by. When the vitals raised the
+ * risk above the AI's, the advice matches the raised level instead, in
+ * the language the AI answered in.
+ */
+function buildTriageReply(triageData, reference) {
+    const localAdvice = OVERRIDE_ADVICE[triageData.output_language] || OVERRIDE_ADVICE.en;
+    const override = triageData.risk_override && (localAdvice[triageData.risk_level] || localAdvice.High);
+    const recommendation = override ? override.recommendation : triageData.triage_recommendation;
+    const firstStep = override ? override.firstStep : (triageData.first_aid_steps || [])[0];
+    const parts = [
+        `${triageData.risk_level.toUpperCase()} risk (${triageData.risk_score}/100).`,
+        recommendation,
+        firstStep ? `First: ${firstStep}` : null,
+        `Ref ${reference}. A clinician will review.`
+    ].filter(Boolean).map(part => /[.!?]$/.test(part) ? part : `${part}.`);
+
+    // The reference must survive the cut: shorten the advice, not the ending
+    const ending = parts.pop();
+    const advice = parts.join(' ');
+    const room = MAX_REPLY_LENGTH - ending.length - 1;
+    return `${advice.length > room ? `${advice.slice(0, room - 3)}...` : advice} ${ending}`;
+}
+
+/**
+ * The reply to a message that could not be read
+ */
+function buildErrorReply(error) {
+    return shorten(`${error}. ${HELP_TEXT}`);
+}
+
+module.exports = {
+    HELP_TEXT,
+    MAX_REPLY_LENGTH,
+    parseSmsMessage,
+    buildTriageReply,
+    buildErrorReply
+};
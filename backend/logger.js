@@ -0,0 +1,40 @@
+// ============================================
+// CareCompass AI - Structured Logger
+// ============================================
+// Writes one JSON object per line, e.g.
+//
+//   {"time":"2026-01-05T10:00:00.000Z","level":"info","event":"triage_request","uid":"abc","symptoms_chars":84}
+//
+// Log events must NEVER contain patient data (names, symptoms text,
+// vitals text or AI answers). Log ids, counts, lengths and outcomes.
+//
+// LOG_LEVEL sets the minimum level written: debug | info | warn | error
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const minLevel = Math.max(LEVELS.indexOf((process.env.LOG_LEVEL || 'info').toLowerCase()), 0);
+
+/**
+ * Writes one log line if the level is enabled
+ */
+function write(level, event, fields = {}) {
+    if (LEVELS.indexOf(level) < minLevel) return;
+
+    const line = JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        event,
+        ...fields
+    });
+
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+}
+
+module.exports = {
+    debug: (event, fields) => write('debug', event, fields),
+    info: (event, fields) => write('info', event, fields),
+    warn: (event, fields) => write('warn', event, fields),
+    error: (event, fields) => write('error', event, fields)
+};
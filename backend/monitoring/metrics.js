@@ -0,0 +1,213 @@
+// ============================================
+// CareCompass AI - Prometheus Metrics
+// ============================================
+// Counters, gauges and histograms kept in memory and served by
+// GET /metrics in the Prometheus text format, e.g.
+//
+//   # HELP carecompass_triage_total Triage results by provider and validation status
+//   # TYPE carecompass_triage_total counter
+//   carecompass_triage_total{provider="gemini",validation="valid"} 42
+//
+// Rates are left to Prometheus. For example, the share of triage answers
+// that used the fallback over 15 minutes:
+//
+//   sum(rate(carecompass_triage_fallback_total[15m])) / sum(rate(carecompass_triage_total[15m]))
+//
+// Labels never carry patient data or user ids: only routes, providers,
+// statuses and risk levels, so the number of series stays small.
+
+const PREFIX = 'carecompass_';
+
+// Request latency buckets (seconds). Triage calls wait on the AI, so they get longer ones.
+const HTTP_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const TRIAGE_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60];
+
+/**
+ * Escapes a label value for the text format
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a label set as {a="1",b="2"} (empty string for no labels)
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Creates an empty metrics registry
+ *
+ * {
+ *   counter(name, help) -> { inc(labels?, amount?) }
+ *   gauge(name, help) -> { set(labels?, value) }
+ *   histogram(name, help, buckets) -> { observe(labels?, value) }
+ *   render() -> string                 // Prometheus text format
+ * }
+ */
+function createRegistry() {
+    const metrics = [];
+
+    /**
+     * Registers a metric whose series are kept by label set
+     */
+    function register(type, name, help, extra = {}) {
+        const metric = { type, name: `${PREFIX}${name}`, help, series: new Map(), ...extra };
+        metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * Returns the series for a label set, creating it if needed
+     */
+    function seriesFor(metric, labels, create) {
+        const key = formatLabels(labels);
+        if (!metric.series.has(key)) metric.series.set(key, { labels, ...create() });
+        return metric.series.get(key);
+    }
+
+    return {
+        counter(name, help) {
+            const metric = register('counter', name, help);
+            return {
+                inc(labels = {}, amount = 1) {
+                    seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+                }
+            };
+        },
+
+        gauge(name, help) {
+            const metric = register('gauge', name, help);
+            return {
+                set(labels = {}, value) {
+                    seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+                }
+            };
+        },
+
+        histogram(name, help, buckets) {
+            const metric = register('histogram', name, help, { buckets });
+            return {
+                observe(labels = {}, value) {
+                    const series = seriesFor(metric, labels, () => ({
+                        counts: buckets.map(() => 0),
+                        sum: 0,
+                        count: 0
+                    }));
+                    buckets.forEach((bound, i) => {
+                        if (value <= bound) series.counts[i]++;
+                    });
+                    series.sum += value;
+                    series.count++;
+                }
+            };
+        },
+
+        render() {
+            const lines = [];
+            metrics.forEach(metric => {
+                lines.push(`# HELP ${metric.name} ${metric.help}`);
+                lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+                metric.series.forEach(series => {
+                    if (metric.type !== 'histogram') {
+                        lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+                        return;
+                    }
+                    metric.buckets.forEach((bound, i) => {
+                        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+                    });
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                    lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                    lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+                });
+            });
+            return `${lines.join('\n')}\n`;
+        }
+    };
+}
+
+/**
+ * Creates the CareCompass metrics
+ *
+ * {
+ *   httpMiddleware(),                            // counts every request and its latency
+ *   recordTriage(triageData, trace, latencyMs),  // one finished /analyze call
+ *   recordAuditWriteFailure(),
+ *   recordReadiness(checks),                     // latest readiness result per check
+ *   render() -> string
+ * }
+ */
+function createMetrics() {
+    const registry = createRegistry();
+
+    const httpRequests = registry.counter('http_requests_total', 'HTTP requests by method, route and status code');
+    const httpDuration = registry.histogram('http_request_duration_seconds', 'HTTP request latency by method and route', HTTP_BUCKETS);
+
+    const triageTotal = registry.counter('triage_total', 'Triage results by provider and validation status (valid, repaired, failed, error, skipped)');
+    const triageFallbacks = registry.counter('triage_fallback_total', 'Triage results that used the fallback instead of an AI answer, by reason (the validation status)');
+    const schemaFailures = registry.counter('triage_schema_failures_total', 'AI answers that never passed schema validation, even after repair prompts');
+    const triageDuration = registry.histogram('triage_duration_seconds', 'Time to a final triage result, AI calls and repairs included', TRIAGE_BUCKETS);
+    const riskLevels = registry.counter('triage_risk_level_total', 'Final triage results by risk level');
+    const riskOverrides = registry.counter('triage_risk_overrides_total', 'Triage results whose risk level was raised by the vital-sign rules');
+    const auditFailures = registry.counter('audit_write_failures_total', 'Audit records that could not be written');
+    const alertDeliveries = registry.counter('alert_deliveries_total', 'Critical-case alert delivery attempts by channel and outcome (sent, retry, failed)');
+    const readiness = registry.gauge('readiness_check', 'Latest readiness result per check (1 = ok, 0 = failing)');
+    const startTime = registry.gauge('process_start_time_seconds', 'When the server started, in seconds since the epoch');
+
+    startTime.set({}, Math.floor(Date.now() / 1000));
+
+    return {
+        httpMiddleware() {
+            return (req, res, next) => {
+                const startedAt = process.hrtime.bigint();
+                res.on('finish', () => {
+                    // The route pattern (e.g. /admin/audit/:id), never the raw URL
+                    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+                    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+                    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+                    httpDuration.observe({ method: req.method, route }, seconds);
+                });
+                next();
+            };
+        },
+
+        recordTriage(triageData, trace, latencyMs) {
+            const provider = triageData.ai_provider;
+            const status = triageData.validation.status;
+
+            triageTotal.inc({ provider, validation: status });
+            if (trace.fallback_used) triageFallbacks.inc({ provider, reason: status });
+            if (status === 'failed') schemaFailures.inc({ provider });
+            triageDuration.observe({ provider }, latencyMs / 1000);
+            riskLevels.inc({ risk_level: triageData.risk_level });
+            if (triageData.risk_override) riskOverrides.inc();
+        },
+
+        recordAuditWriteFailure() {
+            auditFailures.inc();
+        },
+
+        recordAlertDelivery(channel, status) {
+            alertDeliveries.inc({ channel, status });
+        },
+
+        recordReadiness(checks) {
+            Object.entries(checks).forEach(([check, result]) => {
+                readiness.set({ check }, result.status === 'ok' ? 1 : 0);
+            });
+        },
+
+        render() {
+            return registry.render();
+        }
+    };
+}
+
+module.exports = {
+    createRegistry,
+    createMetrics
+};
@@ -0,0 +1,83 @@
+// ============================================
+// CareCompass AI - Readiness Checks
+// ============================================
+// Liveness only says the process is up. Readiness says it can actually
+// triage: the AI provider accepts our key and model, the prompt
+// templates render, and the audit log can be written.
+//
+// Probing the AI provider costs a network round trip, so the result is
+// cached for READINESS_CACHE_SECONDS and load balancers can poll freely.
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+/**
+ * Rejects if the promise takes longer than `ms`
+ */
+function withTimeout(promise, ms, what) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} did not answer within ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Creates the readiness check
+ *
+ * run({ fresh }) -> Promise<{ ready, checked_at, checks: { <name>: { status, latency_ms, error? } } }>
+ * `fresh` skips the cache.
+ */
+function createReadinessCheck({ aiProvider, prompts, auditStore, cacheMs, timeoutMs, onResult }) {
+    const checks = {
+        ai_provider: () => withTimeout(aiProvider.check(), timeoutMs, `AI provider ${aiProvider.name}`),
+        prompts: async () => {
+            prompts.render({});
+            prompts.render({}, prompts.clarifyVersion);
+        },
+        audit_log: async () => {
+            const directory = path.dirname(auditStore.filePath);
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.access(directory, fs.constants.W_OK);
+        }
+    };
+
+    let cached = null;
+
+    /**
+     * Runs one check and times it
+     */
+    async function runCheck(name) {
+        const startedAt = Date.now();
+        try {
+            await checks[name]();
+            return { status: 'ok', latency_ms: Date.now() - startedAt };
+        } catch (error) {
+            logger.warn('readiness_check_failed', { check: name, message: error.message });
+            return { status: 'failing', latency_ms: Date.now() - startedAt, error: error.message.slice(0, 300) };
+        }
+    }
+
+    return {
+        async run({ fresh = false } = {}) {
+            if (!fresh && cached && cached.expires > Date.now()) {
+                return cached.result;
+            }
+
+            const names = Object.keys(checks);
+            const results = await Promise.all(names.map(runCheck));
+            const result = {
+                ready: results.every(r => r.status === 'ok'),
+                checked_at: new Date().toISOString(),
+                checks: Object.fromEntries(names.map((name, i) => [name, results[i]]))
+            };
+
+            cached = { result, expires: Date.now() + cacheMs };
+            if (onResult) onResult(result);
+            return result;
+        }
+    };
+}
+
+module.exports = { createReadinessCheck };
@@ -0,0 +1,237 @@
+// ============================================
+// PHI De-identification
+// ============================================
+// Replaces patient identifiers with placeholders BEFORE anything is sent
+// to an AI provider, and puts the originals back into the AI's answer
+// afterwards. The mapping only lives in memory for one request.
+//
+//   "Ramesh Patil, ph 98765 43210, lives at 12 MG Road, Pune"
+//   -> "[PATIENT], ph [PHONE_1], lives at [ADDRESS_1]"
+//
+// What is removed:
+// - the patient's name (full name and each part of it)
+// - other names introduced by a title (Mr, Mrs, Dr, Shri, Smt, ...)
+// - phone numbers, email addresses
+// - ID numbers (Aadhaar, PAN, and anything labelled MRN / ID / UHID / ABHA)
+// - addresses introduced by "address", "lives at", "resident of", "H.No", ...
+// - ages over 89 are generalised to "90+"
+//
+// This is pattern-based, so it cannot catch every identifier in free
+// text. Clinicians should still avoid typing identifiers into symptoms.
+
+const PATTERNS = [
+    {
+        category: 'email',
+        regex: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+    },
+    {
+        // Aadhaar: 12 digits, usually in groups of 4
+        category: 'id',
+        regex: /\b\d{4}[\s-]?\d{4}[\s-]?\d{4}\b/g
+    },
+    {
+        // PAN card: ABCDE1234F
+        category: 'id',
+        regex: /\b[A-Z]{5}\d{4}[A-Z]\b/g
+    },
+    {
+        // Labelled identifiers: "MRN 12345", "UHID: AB-778", "ABHA 12-3456-7890-1234"
+        category: 'id',
+        regex: /\b(?:MRN|UHID|ABHA|IPD|OPD|ID|reg(?:istration)?\s*no|patient\s*no)\b\.?\s*[:#]?\s*(?=[A-Z/-]*\d)[A-Z0-9][A-Z0-9/-]{2,}\b/gi
+    },
+    {
+        // Phone numbers: +91 98765 43210, 098765-43210, (020) 2612 3456
+        category: 'phone',
+        regex: /(?:\+\d{1,3}[\s-]?)?(?:\(?\d{2,5}\)?[\s-]?)?\d{3,5}[\s-]?\d{4,5}\b/g,
+        // Only treat it as a phone number if it has enough digits
+        accept: match => match.replace(/\D/g, '').length >= 8
+    },
+    {
+        // Addresses: text after an address marker, up to the next comma or full stop
+        category: 'address',
+        regex: /\b(?:address(?:\s*is)?\s*[:-]?|lives\s+(?:at|in)|resid(?:es|ent\s+of)|staying\s+at|H\.?\s*No\.?|house\s+no\.?|flat\s+no\.?)\s*[^.;,\n]+/gi,
+        // Keep the marker words, replace only what follows them
+        keepPrefix: /^(?:address(?:\s*is)?\s*[:-]?|lives\s+(?:at|in)|resid(?:es|ent\s+of)|staying\s+at)\s*/i
+    },
+    {
+        // Other people introduced by a title: "Mr Suresh", "Smt. Lakshmi Devi"
+        category: 'name',
+        regex: /\b(?:Mr|Mrs|Ms|Miss|Dr|Shri|Sri|Smt|Kumari)\.?\s+[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?/g
+    }
+];
+
+const PLACEHOLDER_PREFIX = {
+    email: 'EMAIL',
+    id: 'ID',
+    phone: 'PHONE',
+    address: 'ADDRESS',
+    name: 'NAME'
+};
+
+/**
+ * Escapes a string for use inside a RegExp
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pattern for text as a whole word. Unlike \b this also works for names
+ * in Devanagari and other non-Latin scripts.
+ */
+function wholeWord(text) {
+    return `(?<![\\p{L}\\p{M}\\p{N}])${escapeRegExp(text)}(?![\\p{L}\\p{M}\\p{N}])`;
+}
+
+/**
+ * Creates a de-identification session for one request
+ * Holds the placeholder -> original mapping so the answer can be re-identified
+ */
+function createSession(patientName) {
+    const mapping = new Map();   // placeholder -> original
+    const counters = {};         // category -> count
+    // [regex, ...] for the patient's name: the full name in any case, then
+    // each part of it as capitalised (so "Will" does not match "will")
+    const namePatterns = [];
+
+    if (typeof patientName === 'string' && patientName.trim()) {
+        const fullName = patientName.trim();
+        mapping.set('[PATIENT]', fullName);
+        namePatterns.push(new RegExp(wholeWord(fullName), 'giu'));
+        fullName.split(/\s+/)
+            .filter(part => part.length > 2)
+            .forEach(part => namePatterns.push(new RegExp(wholeWord(part), 'gu')));
+    }
+
+    /**
+     * Returns the placeholder for an original value, reusing it if the
+     * same value appears again
+     */
+    function placeholderFor(category, original) {
+        for (const [placeholder, value] of mapping) {
+            if (value === original) return placeholder;
+        }
+        counters[category] = (counters[category] || 0) + 1;
+        const placeholder = `[${PLACEHOLDER_PREFIX[category]}_${counters[category]}]`;
+        mapping.set(placeholder, original);
+        return placeholder;
+    }
+
+    /**
+     * Replaces identifiers in a piece of free text
+     */
+    function redact(text) {
+        if (typeof text !== 'string' || !text) return text;
+        let result = text;
+
+        namePatterns.forEach(pattern => {
+            result = result.replace(pattern, () => {
+                counters.patient_name = (counters.patient_name || 0) + 1;
+                return '[PATIENT]';
+            });
+        });
+
+        PATTERNS.forEach(({ category, regex, accept, keepPrefix }) => {
+            result = result.replace(regex, match => {
+                if (match.includes('[') || (accept && !accept(match))) return match;
+
+                const prefix = keepPrefix ? (match.match(keepPrefix) || [''])[0] : '';
+                const value = match.slice(prefix.length).trim();
+                if (!value) return match;
+
+                return `${prefix}${placeholderFor(category, value)}`;
+            });
+        });
+
+        return result;
+    }
+
+    return { mapping, counters, redact };
+}
+
+// Divides an age in the given unit into years ("1100 months" is over 89)
+const UNIT_PER_YEAR = { m: 12, w: 52, d: 365 };
+
+/**
+ * Generalises ages over 89 (a HIPAA Safe Harbor rule)
+ */
+function generaliseAge(age) {
+    const match = typeof age === 'string' || typeof age === 'number' ? String(age).match(/^\s*(\d+(?:\.\d+)?)\s*([a-z]?)/i) : null;
+    if (!match) return age;
+    const years = Number(match[1]) / (UNIT_PER_YEAR[match[2].toLowerCase()] || 1);
+    return years > 89 ? '90+' : age;
+}
+
+/**
+ * De-identifies the triage input
+ *
+ * Returns { input, mapping, summary }:
+ * - input: copy of the input that is safe to send to an AI provider
+ * - mapping: placeholder -> original, for reidentify()
+ * - summary: how many identifiers of each kind were replaced
+ */
+function deidentify(input) {
+    const session = createSession(input.patientName);
+
+    const safeInput = {
+        ...input,
+        patientName: input.patientName ? '[PATIENT]' : input.patientName,
+        age: generaliseAge(input.age),
+        symptoms: session.redact(input.symptoms),
+        vitals: session.redact(input.vitals)
+    };
+    // Medication, allergy and condition lists are free text too
+    ['medications', 'allergies', 'conditions'].forEach(field => {
+        if (Array.isArray(input[field])) safeInput[field] = input[field].map(item => session.redact(item));
+    });
+    // Answers to follow-up questions are free text too
+    if (Array.isArray(input.clarifications)) {
+        safeInput.clarifications = input.clarifications.map(c => ({
+            question: session.redact(c.question),
+            answer: session.redact(c.answer)
+        }));
+    }
+
+    return {
+        input: safeInput,
+        mapping: session.mapping,
+        summary: { ...session.counters }
+    };
+}
+
+/**
+ * Puts the original identifiers back into the string fields (and arrays
+ * of strings or objects) of the AI's answer. Returns the same object.
+ */
+function reidentify(triageData, mapping) {
+    if (!mapping || mapping.size === 0) return triageData;
+
+    const restore = text => {
+        let result = text;
+        mapping.forEach((original, placeholder) => {
+            result = result.split(placeholder).join(original);
+        });
+        return result;
+    };
+
+    Object.keys(triageData).forEach(key => {
+        const value = triageData[key];
+        if (typeof value === 'string') {
+            triageData[key] = restore(value);
+        } else if (Array.isArray(value)) {
+            // Lists of strings, or of objects such as contributing_factors
+            triageData[key] = value.map(item => {
+                if (typeof item === 'string') return restore(item);
+                if (item && typeof item === 'object') return reidentify({ ...item }, mapping);
+                return item;
+            });
+        }
+    });
+
+    return triageData;
+}
+
+module.exports = {
+    deidentify,
+    reidentify
+};
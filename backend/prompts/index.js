@@ -0,0 +1,207 @@
+// ============================================
+// CareCompass AI - Prompt Templates
+// ============================================
+// The prompts live in versioned text files in templates/, named
+// <version>.txt (e.g. triage-v2.txt, or clarify-v1.txt for the
+// clarifying-question prompt). Never edit a version that has been
+// used: copy it to a new version, change that, and point PROMPT_VERSION
+// at it. Each triage response carries the `prompt_version` it was built
+// from, so every saved case can be traced back to its prompt.
+//
+// A template file may start with a small header:
+//
+//   ---
+//   description: What changed in this version
+//   ---
+//
+// Template syntax:
+//   {{name}}                     replaced by the variable's value
+//   {{#name}} ... {{/name}}      only kept if the variable is not empty
+//
+// Templates are read from disk on every use, so a new version can be
+// added and selected without a redeploy.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_TEMPLATES_DIR = path.join(__dirname, 'templates');
+
+/**
+ * Variables every triage template can use
+ */
+const PROMPT_VARIABLES = {
+    patient_name: 'Patient name (a placeholder such as [PATIENT] after de-identification)',
+    age: 'Patient age with its unit, e.g. 45 years or 8 months',
+    sex: 'Female, Male, Other or Not recorded',
+    pregnancy: 'Pregnancy status, e.g. Pregnant, 32 weeks or Not recorded',
+    population: 'Population mode picked from age and pregnancy, e.g. Infant (3-11 months)',
+    population_guidance: 'Normal vitals and red flags for that population (empty for adults)',
+    early_warning_chart: 'Chart the vitals were scored with, e.g. NEWS2 or PEWS (1-4 years)',
+    medications: 'Regular medications, comma-separated (None recorded if empty)',
+    allergies: 'Known allergies, comma-separated (None recorded if empty)',
+    conditions: 'Chronic conditions, comma-separated (None recorded if empty)',
+    symptoms: 'Presenting symptoms (de-identified)',
+    vitals: 'Vitals as typed by the clinician',
+    normalised_vitals: 'Vitals parsed into normalised units',
+    photos: 'Photos sent with the prompt, e.g. "2 attached to this message" (empty if none)',
+    clarifications: 'Follow-up questions and answers, one "- Q: / A:" pair per question (empty if none)',
+    max_questions: 'Most follow-up questions to ask (clarify templates)',
+    input_language: 'Language the symptoms are written in, e.g. Hindi',
+    output_language: 'Language to write the result text in, e.g. Marathi',
+    locale: 'Locale of the request or facility, e.g. en-IN',
+    facility_name: 'Name of the facility',
+    facility_protocols: 'Local treatment protocols (empty if none are configured)'
+};
+
+const HEADER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/;
+const SECTION_PATTERN = /\{\{#(\w+)\}\}\r?\n?([\s\S]*?)\{\{\/\1\}\}\r?\n?/g;
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+/**
+ * Splits a template file into its header fields and body
+ */
+function parseTemplateFile(raw) {
+    const header = {};
+    let body = raw;
+
+    const match = raw.match(HEADER_PATTERN);
+    if (match) {
+        match[1].split(/\r?\n/).forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+                header[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+            }
+        });
+        body = raw.slice(match[0].length);
+    }
+
+    return { header, body: body.trim() };
+}
+
+/**
+ * Lists the variables a template body refers to
+ */
+function templateVariables(body) {
+    const names = new Set();
+    for (const match of body.matchAll(VARIABLE_PATTERN)) names.add(match[1]);
+    for (const match of body.matchAll(/\{\{#(\w+)\}\}/g)) names.add(match[1]);
+    return [...names];
+}
+
+/**
+ * Renders a template body with the given variables
+ * Unknown or missing variables render as an empty string
+ */
+function renderTemplate(body, variables) {
+    const value = name => {
+        const v = variables[name];
+        return v === undefined || v === null ? '' : String(v);
+    };
+
+    return body
+        .replace(SECTION_PATTERN, (match, name, content) => (value(name).trim() ? content : ''))
+        .replace(VARIABLE_PATTERN, (match, name) => value(name));
+}
+
+/**
+ * Creates the prompt library
+ *
+ * Options:
+ * - directory: where the <version>.txt files are
+ * - activeVersion: the version used for triage
+ * - clarifyVersion: the version used for clarifying questions
+ * - facility: { name, locale, protocolsFile } filled into every prompt
+ */
+function createPromptLibrary({ directory = DEFAULT_TEMPLATES_DIR, activeVersion, clarifyVersion, facility = {} } = {}) {
+    /**
+     * Reads one template. Throws if the version does not exist.
+     */
+    function load(version) {
+        if (!/^[\w.-]+$/.test(version || '')) {
+            throw new Error(`Invalid prompt version "${version}"`);
+        }
+
+        let raw;
+        try {
+            raw = fs.readFileSync(path.join(directory, `${version}.txt`), 'utf8');
+        } catch (error) {
+            throw new Error(`Prompt template "${version}" not found in ${directory}`);
+        }
+
+        const { header, body } = parseTemplateFile(raw);
+        const variables = templateVariables(body);
+
+        return {
+            version,
+            description: header.description || '',
+            hash: crypto.createHash('sha256').update(body).digest('hex').slice(0, 12),
+            variables,
+            unknown_variables: variables.filter(name => !(name in PROMPT_VARIABLES)),
+            body
+        };
+    }
+
+    /**
+     * Reads the facility protocols file (empty if none is configured)
+     */
+    function facilityProtocols() {
+        if (!facility.protocolsFile) return '';
+        try {
+            return fs.readFileSync(facility.protocolsFile, 'utf8').trim();
+        } catch (error) {
+            throw new Error(`Could not read FACILITY_PROTOCOLS_FILE ${facility.protocolsFile}: ${error.message}`);
+        }
+    }
+
+    return {
+        activeVersion,
+        clarifyVersion,
+
+        /**
+         * Lists every template, newest version name last
+         */
+        list() {
+            return fs.readdirSync(directory)
+                .filter(file => file.endsWith('.txt'))
+                .map(file => file.slice(0, -4))
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+                .map(version => {
+                    const { body, ...template } = load(version);
+                    return { ...template, active: version === activeVersion || version === clarifyVersion };
+                });
+        },
+
+        /**
+         * Returns one template with its body
+         */
+        get(version = activeVersion) {
+            return load(version);
+        },
+
+        /**
+         * Renders a template with the patient variables plus the facility
+         * settings. Returns { version, hash, text }.
+         */
+        render(variables, version = activeVersion) {
+            const template = load(version);
+            // Request values (e.g. locale) win over the facility defaults when given
+            const given = Object.fromEntries(
+                Object.entries(variables).filter(([, value]) => value !== undefined && value !== null && value !== '')
+            );
+            const text = renderTemplate(template.body, {
+                locale: facility.locale,
+                facility_name: facility.name,
+                facility_protocols: facilityProtocols(),
+                ...given
+            });
+            return { version: template.version, hash: template.hash, text };
+        }
+    };
+}
+
+module.exports = {
+    createPromptLibrary,
+    renderTemplate,
+    PROMPT_VARIABLES
+};
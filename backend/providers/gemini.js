@@ -0,0 +1,64 @@
+// ============================================
+// AI Provider: Google Gemini
+// ============================================
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * The request contents: the prompt, then each photo as an inline image
+ */
+function buildContents(prompt, images = []) {
+    if (images.length === 0) return prompt;
+    return [
+        prompt,
+        ...images.map(image => ({ inlineData: { mimeType: image.contentType, data: image.data.toString('base64') } }))
+    ];
+}
+
+/**
+ * Creates a provider that calls Google Gemini
+ * Uses v1beta for broader model support
+ */
+function createGeminiProvider({ apiKey, model, timeoutMs, acceptsImages = true }) {
+    if (!apiKey) {
+        throw new Error('GEMINI_API_KEY is not set. Add it to your .env file or choose another AI_PROVIDER.');
+    }
+
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const generativeModel = genAI.getGenerativeModel({ model }, { apiVersion: 'v1beta', timeout: timeoutMs });
+
+    return {
+        name: 'gemini',
+        model,
+        acceptsImages,
+
+        /**
+         * Sends the prompt (and any photos) to Gemini and returns the raw response text
+         */
+        async generate({ prompt, images }) {
+            const result = await generativeModel.generateContent(buildContents(prompt, images));
+            const response = await result.response;
+            return response.text();
+        },
+
+        /**
+         * Sends the prompt (and any photos) to Gemini and yields the response text as it arrives
+         */
+        async *stream({ prompt, images }) {
+            const result = await generativeModel.generateContentStream(buildContents(prompt, images));
+            for await (const chunk of result.stream) {
+                yield chunk.text();
+            }
+        },
+
+        /**
+         * Counts the tokens of a tiny prompt. Free, and fails like a real
+         * request would if the key is revoked or the model name is wrong.
+         */
+        async check() {
+            await generativeModel.countTokens('ping');
+        }
+    };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,64 @@
+// ============================================
+// CareCompass AI - AI Provider Registry
+// ============================================
+// Every provider exposes the same small interface:
+//
+//   {
+//     name: string,                       // 'gemini' | 'openai' | 'mock'
+//     model: string,                      // model identifier in use
+//     acceptsImages: boolean,             // whether `images` are sent to the model
+//     generate({ prompt, input, task, images }) -> Promise<string>   // raw model text
+//     stream({ prompt, input, images }) -> AsyncIterable<string>     // same text, in chunks
+//     check() -> Promise<void>    // throws if requests would fail (bad key, unknown model, unreachable)
+//   }
+//
+// `input` is the validated request body and `task` is 'triage' (default)
+// or 'clarify'. Real providers only use the prompt; the mock provider
+// uses the input and task to pick its fixed response.
+// `images` are the case's photos, [{ contentType, data: Buffer }], only
+// ever passed to a provider with acceptsImages (AI_ACCEPTS_IMAGES).
+// stream() lets /analyze/stream show fields before the whole answer has
+// arrived; joining its chunks gives the same text generate() returns.
+// check() is the readiness probe (GET /health/ready). It must be cheap:
+// it never generates text.
+
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+const PROVIDER_FACTORIES = {
+    gemini: aiConfig => createGeminiProvider({
+        ...aiConfig.gemini,
+        model: aiConfig.model,
+        timeoutMs: aiConfig.timeoutMs,
+        acceptsImages: aiConfig.acceptsImages
+    }),
+    openai: aiConfig => createOpenAIProvider({
+        ...aiConfig.openai,
+        model: aiConfig.model,
+        timeoutMs: aiConfig.timeoutMs,
+        acceptsImages: aiConfig.acceptsImages
+    }),
+    mock: aiConfig => createMockProvider({
+        ...aiConfig.mock,
+        model: aiConfig.model,
+        acceptsImages: aiConfig.acceptsImages
+    })
+};
+
+/**
+ * Creates the provider named in the AI configuration
+ * Throws if the provider is unknown or misconfigured
+ */
+function createProvider(aiConfig) {
+    const factory = PROVIDER_FACTORIES[aiConfig.provider];
+    if (!factory) {
+        throw new Error(`Unknown AI_PROVIDER "${aiConfig.provider}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+    return factory(aiConfig);
+}
+
+module.exports = {
+    createProvider,
+    PROVIDER_NAMES: Object.keys(PROVIDER_FACTORIES)
+};
@@ -0,0 +1,76 @@
+// ============================================
+// AI Provider: Deterministic Mock
+// ============================================
+// Returns fixed responses chosen by keywords in the patient's symptoms.
+// For clarifying-question requests (task 'clarify') it returns the
+// fixture's `questions` instead.
+// No network and no API key needed, so the app and its tests can run
+// completely offline. The same input always gives the same output.
+// With AI_ACCEPTS_IMAGES=true it takes photos like a real model would,
+// but never looks at them.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RESPONSES_FILE = path.join(__dirname, 'mock-responses.json');
+
+// Size of each chunk yielded by stream()
+const STREAM_CHUNK_CHARS = 40;
+
+/**
+ * Loads the fixture list. The entry with id "default" is used when no
+ * keyword matches.
+ */
+function loadFixtures(responsesFile) {
+    const raw = fs.readFileSync(responsesFile || DEFAULT_RESPONSES_FILE, 'utf8');
+    return JSON.parse(raw);
+}
+
+/**
+ * Creates the mock provider
+ */
+function createMockProvider({ model, responsesFile, acceptsImages = false }) {
+    const fixtures = loadFixtures(responsesFile);
+    const fallbackFixture = fixtures.find(f => f.id === 'default') || fixtures[fixtures.length - 1];
+
+    return {
+        name: 'mock',
+        model,
+        acceptsImages,
+
+        /**
+         * Picks the first fixture whose keyword appears in the symptoms
+         * (or in the prompt when no structured input is given)
+         */
+        async generate({ prompt, input, task }) {
+            const haystack = ((input && input.symptoms) || prompt || '').toLowerCase();
+
+            const fixture = fixtures.find(f =>
+                (f.keywords || []).some(keyword => haystack.includes(keyword.toLowerCase()))
+            ) || fallbackFixture;
+
+            if (task === 'clarify') {
+                return JSON.stringify({ questions: fixture.questions || [] });
+            }
+            return JSON.stringify(fixture.response);
+        },
+
+        /**
+         * Yields the same response as generate() in small chunks, like a
+         * real model streaming its answer
+         */
+        async *stream({ prompt, input }) {
+            const text = await this.generate({ prompt, input });
+            for (let i = 0; i < text.length; i += STREAM_CHUNK_CHARS) {
+                yield text.slice(i, i + STREAM_CHUNK_CHARS);
+            }
+        },
+
+        /**
+         * Always ready: the fixtures were loaded when it was created
+         */
+        async check() {}
+    };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,142 @@
+// ============================================
+// AI Provider: OpenAI-compatible HTTP endpoint
+// ============================================
+// Works with any server that implements POST /chat/completions, e.g. a
+// self-hosted model (llama.cpp, vLLM, Ollama) running at a rural site.
+// Photos are sent as image_url parts, which only vision models accept:
+// turn them on with AI_ACCEPTS_IMAGES=true.
+
+/**
+ * The user message content: the prompt, followed by each photo as a data URL
+ */
+function buildContent(prompt, images = []) {
+    if (images.length === 0) return prompt;
+    return [
+        { type: 'text', text: prompt },
+        ...images.map(image => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.contentType};base64,${image.data.toString('base64')}` }
+        }))
+    ];
+}
+
+/**
+ * Creates a provider that calls an OpenAI-compatible chat completions API
+ */
+function createOpenAIProvider({ baseUrl, apiKey, model, timeoutMs, acceptsImages = false }) {
+    const apiBase = baseUrl.replace(/\/+$/, '');
+    const endpoint = `${apiBase}/chat/completions`;
+
+    /**
+     * Request headers, with the API key if one is set
+     */
+    function requestHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+        return headers;
+    }
+
+    /**
+     * POSTs a chat completion request for the prompt and photos
+     * Throws if the endpoint answers with an error status
+     */
+    async function requestCompletion(prompt, images, stream) {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: requestHeaders(),
+            body: JSON.stringify({
+                model,
+                temperature: 0,
+                stream,
+                messages: [{ role: 'user', content: buildContent(prompt, images) }]
+            }),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+
+        if (!response.ok) {
+            const body = await response.text();
+            throw new Error(`OpenAI-compatible endpoint returned ${response.status}: ${body.slice(0, 200)}`);
+        }
+
+        return response;
+    }
+
+    return {
+        name: 'openai',
+        model,
+        acceptsImages,
+
+        /**
+         * Sends the prompt as a single user message and returns the reply text
+         */
+        async generate({ prompt, images }) {
+            const response = await requestCompletion(prompt, images, false);
+
+            const data = await response.json();
+            const content = data.choices && data.choices[0] && data.choices[0].message
+                ? data.choices[0].message.content
+                : null;
+
+            if (typeof content !== 'string') {
+                throw new Error('OpenAI-compatible endpoint returned no message content');
+            }
+
+            return content;
+        },
+
+        /**
+         * Sends the prompt with stream: true and yields the reply text as it
+         * arrives (the endpoint answers with "data: {...}" server-sent events)
+         */
+        async *stream({ prompt, images }) {
+            const response = await requestCompletion(prompt, images, true);
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            for await (const bytes of response.body) {
+                buffer += decoder.decode(bytes, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const data = line.replace(/^data:\s*/, '').trim();
+                    if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+
+                    const event = JSON.parse(data);
+                    const delta = event.choices && event.choices[0] && event.choices[0].delta;
+                    if (delta && typeof delta.content === 'string') {
+                        yield delta.content;
+                    }
+                }
+            }
+        },
+
+        /**
+         * Lists the served models (GET /models) and checks the configured
+         * one is among them. Servers that list no models are trusted.
+         */
+        async check() {
+            const response = await fetch(`${apiBase}/models`, {
+                headers: requestHeaders(),
+                signal: AbortSignal.timeout(timeoutMs)
+            }).catch(error => {
+                // fetch only says "fetch failed"; the cause names the network problem
+                throw new Error(`Cannot reach ${apiBase}: ${error.cause ? error.cause.message : error.message}`);
+            });
+            if (!response.ok) {
+                const body = await response.text();
+                throw new Error(`OpenAI-compatible endpoint returned ${response.status}: ${body.slice(0, 200)}`);
+            }
+
+            const data = await response.json();
+            const served = Array.isArray(data.data) ? data.data.map(m => m.id) : [];
+            if (served.length > 0 && !served.includes(model)) {
+                throw new Error(`Model "${model}" is not served by ${apiBase}. Available: ${served.slice(0, 10).join(', ')}`);
+            }
+        }
+    };
+}
+
+module.exports = { createOpenAIProvider };
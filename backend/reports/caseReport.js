@@ -0,0 +1,436 @@
+// ============================================
+// PDF Case Report
+// ============================================
+// Lays out a saved case as a printable report (see reports/pdf.js):
+//
+//   facility header, risk banner
+//   patient (demographics, clinical reference, medications, allergies, conditions)
+//   record (clinician, saved and updated times, prompt version)
+//   presentation (symptoms, English version, follow-up questions)
+//   vitals and early warning score
+//   AI triage (recommendation, summary, concerns, tests, first aid,
+//              referral, why this score, flagged suggestions)
+//   patient history (optional: every visit, newest first)
+//   disclaimer, and "Page n of N" on every page
+//
+// Times are printed in UTC and nothing depends on when the report is
+// made, so the same input always gives the same file.
+//
+// The built-in PDF fonts cover Latin scripts only. Text in another
+// script (e.g. symptoms typed in Hindi) is replaced by a short note
+// pointing to the record in the app, and the English version is printed.
+
+const { createPdfDocument, canEncode, wrapText } = require('./pdf');
+const { toDateTime } = require('../fhir/bundle');
+const { LANGUAGES } = require('../triage/languages');
+
+const MARGIN = 50;
+const FOOTER_SPACE = 50;
+const LINE_GAP = 1.4;
+const LABEL_WIDTH = 120;
+
+const COLORS = {
+    text: [15, 23, 42],
+    muted: [100, 116, 139],
+    panel: [241, 245, 249],
+    warning: [180, 83, 9]
+};
+
+// Banner colour by risk level
+const RISK_COLORS = {
+    Critical: [225, 29, 72],
+    High: [234, 88, 12],
+    Moderate: [217, 119, 6],
+    Low: [5, 150, 105]
+};
+
+// How each parsed vital is printed
+const VITAL_LINES = [
+    ['Blood pressure', v => v.systolic_bp !== undefined ? `${v.systolic_bp}/${v.diastolic_bp} mmHg` : null],
+    ['Heart rate', v => v.heart_rate !== undefined ? `${v.heart_rate} bpm` : null],
+    ['Respiratory rate', v => v.respiratory_rate !== undefined ? `${v.respiratory_rate} /min` : null],
+    ['SpO2', v => v.spo2 !== undefined ? `${v.spo2}%${v.on_oxygen ? ' on supplemental oxygen' : ''}` : null],
+    ['Temperature', v => v.temperature !== undefined ? `${v.temperature} °C` : null],
+    ['Consciousness', v => v.consciousness || null],
+    ['GCS', v => v.gcs !== undefined ? `${v.gcs}/15` : null],
+    ['Blood glucose', v => v.glucose !== undefined ? `${v.glucose} mmol/L` : null]
+];
+
+// Names of the vitals a contributing factor can point at
+const VITAL_NAMES = {
+    vitals: 'Vital signs',
+    heart_rate: 'Heart rate',
+    respiratory_rate: 'Respiratory rate',
+    spo2: 'SpO2',
+    on_oxygen: 'Supplemental oxygen',
+    temperature: 'Temperature',
+    systolic_bp: 'Systolic blood pressure',
+    diastolic_bp: 'Diastolic blood pressure',
+    consciousness: 'Consciousness',
+    gcs: 'GCS',
+    glucose: 'Blood glucose'
+};
+
+const SUGGESTION_FIELD_LABELS = {
+    triage_recommendation: 'Recommendation',
+    first_aid_steps: 'First aid step',
+    tests_advised: 'Test'
+};
+
+const FACTOR_ORIGINS = {
+    ai: 'AI',
+    early_warning_score: 'vitals score',
+    rules: 'offline rules'
+};
+
+const DISCLAIMER = 'AI triage results are for prioritization support only. This is a draft assessment based on ' +
+    'the clinician\'s input and MUST be reviewed by a qualified clinician before any medical decision or ' +
+    'intervention. Confidential clinical record: for authorized medical personnel only.';
+
+/**
+ * A saved date as "19 Oct 2026, 14:05 UTC" (or null)
+ */
+function formatDateTime(value) {
+    const iso = toDateTime(value);
+    if (!iso) return null;
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const date = new Date(iso);
+    return `${date.getUTCDate()} ${months[date.getUTCMonth()]} ${date.getUTCFullYear()}, ` +
+        `${iso.slice(11, 16)} UTC`;
+}
+
+/**
+ * Age as saved ("45 years", "8 months", "10 days")
+ */
+function formatAge(age, unit) {
+    if (age === undefined || age === null || age === '') return null;
+    return `${age} ${unit || 'years'}`;
+}
+
+/**
+ * Capitalises a stored enum value ("not_pregnant" -> "Not pregnant")
+ */
+function humanise(value) {
+    const text = String(value).replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Sex and pregnancy on one line (or null)
+ */
+function profileLine(caseData) {
+    const parts = [];
+    if (caseData.patientSex && caseData.patientSex !== 'unknown') parts.push(humanise(caseData.patientSex));
+    if (caseData.pregnancyStatus === 'pregnant') {
+        parts.push(caseData.gestationWeeks ? `pregnant, ${caseData.gestationWeeks} weeks` : 'pregnant');
+    } else if (caseData.pregnancyStatus === 'not_pregnant') {
+        parts.push('not pregnant');
+    }
+    return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * A list as one line, or "None recorded"
+ */
+function listLine(items) {
+    return Array.isArray(items) && items.length > 0 ? items.join(', ') : 'None recorded';
+}
+
+/**
+ * Text the built-in fonts can print, or a note that it is in another script
+ */
+function printable(text, languageCode) {
+    if (canEncode(text)) return String(text);
+    const language = LANGUAGES[languageCode] || 'another script';
+    return `[Written in ${language}: not printable in this report. See the record in the app.]`;
+}
+
+/**
+ * How a contributing factor is named ("Heart rate", "\"chest pain\"", "History: asthma")
+ */
+function describeFactor(factor) {
+    if (factor.input_type === 'symptom') return `"${factor.input}"`;
+    if (factor.input_type === 'vital') return VITAL_NAMES[factor.input] || String(factor.input);
+    if (factor.input_type === 'other' || String(factor.input).toLowerCase() === factor.input_type) return humanise(factor.input);
+    return `${humanise(factor.input_type)}: ${factor.input}`;
+}
+
+/**
+ * Renders a case (and optionally the patient's history) as PDF bytes
+ *
+ * caseData: a saved case document (with id)
+ * patientData: the patient document, for the clinical reference (optional)
+ * options: { facility, history: [saved cases] (optional) }
+ */
+function buildCaseReport(caseData, patientData = {}, { facility = {}, history = null } = {}) {
+    const doc = createPdfDocument();
+    const triage = caseData.triageData || {};
+    const outputLanguage = caseData.outputLanguage || triage.output_language;
+    const contentWidth = doc.width - MARGIN * 2;
+    const bottom = doc.height - FOOTER_SPACE;
+    const facilityName = facility.name || 'CareCompass Clinic';
+    let y = MARGIN;
+
+    // ---------- layout helpers ----------
+
+    function newPage() {
+        doc.addPage();
+        y = MARGIN;
+        // Running header on every page after the first
+        doc.text(facilityName, MARGIN, y + 8, { font: 'bold', size: 8, color: COLORS.muted });
+        doc.text(`Case report: ${caseData.patientName}`, doc.width - MARGIN, y + 8, { size: 8, color: COLORS.muted, align: 'right' });
+        doc.line(MARGIN, y + 14, doc.width - MARGIN, y + 14);
+        y += 28;
+    }
+
+    function ensure(space) {
+        if (y + space > bottom) newPage();
+    }
+
+    function paragraph(text, { font = 'regular', size = 10, color = COLORS.text, indent = 0, after = 4 } = {}) {
+        const lineHeight = size * LINE_GAP;
+        wrapText(text, font, size, contentWidth - indent).forEach(line => {
+            ensure(lineHeight);
+            doc.text(line, MARGIN + indent, y + size, { font, size, color });
+            y += lineHeight;
+        });
+        y += after;
+    }
+
+    function heading(title) {
+        ensure(50);
+        y += 12;
+        doc.text(title.toUpperCase(), MARGIN, y + 9, { font: 'bold', size: 9, color: COLORS.muted });
+        y += 14;
+        doc.line(MARGIN, y, doc.width - MARGIN, y);
+        y += 8;
+    }
+
+    function subheading(title) {
+        ensure(40);
+        y += 4;
+        paragraph(title, { font: 'bold', size: 10, after: 2 });
+    }
+
+    // Label on the left, wrapped value on the right
+    function field(label, value) {
+        if (value === null || value === undefined || value === '') return;
+        const size = 10;
+        const lineHeight = size * LINE_GAP;
+        const lines = wrapText(String(value), 'regular', size, contentWidth - LABEL_WIDTH);
+        ensure(lineHeight);
+        doc.text(label, MARGIN, y + size, { font: 'bold', size, color: COLORS.muted });
+        lines.forEach((line, i) => {
+            if (i > 0) ensure(lineHeight);
+            doc.text(line, MARGIN + LABEL_WIDTH, y + size, { size });
+            y += lineHeight;
+        });
+        y += 2;
+    }
+
+    function bullets(items, language) {
+        if (!Array.isArray(items) || items.length === 0) {
+            paragraph('None', { color: COLORS.muted });
+            return;
+        }
+        items.forEach(item => {
+            const lines = wrapText(printable(item, language), 'regular', 10, contentWidth - 14);
+            ensure(14);
+            doc.text('•', MARGIN + 2, y + 10, { size: 10 });
+            lines.forEach((line, i) => {
+                if (i > 0) ensure(14);
+                doc.text(line, MARGIN + 14, y + 10, { size: 10 });
+                y += 14;
+            });
+            y += 2;
+        });
+        y += 2;
+    }
+
+    // ---------- first page header ----------
+
+    doc.addPage();
+    doc.text(facilityName, MARGIN, y + 16, { font: 'bold', size: 16 });
+    doc.text('Clinical Case Report', MARGIN, y + 32, { size: 10, color: COLORS.muted });
+    if (caseData.id) doc.text(`Case ${caseData.id}`, doc.width - MARGIN, y + 16, { size: 9, color: COLORS.muted, align: 'right' });
+    const savedAt = toDateTime(caseData.createdAt);
+    const saved = formatDateTime(savedAt);
+    if (saved) doc.text(`Saved ${saved}`, doc.width - MARGIN, y + 32, { size: 9, color: COLORS.muted, align: 'right' });
+    y += 42;
+    doc.line(MARGIN, y, doc.width - MARGIN, y, { width: 1, color: COLORS.text });
+    y += 14;
+
+    // Risk banner
+    const riskColor = RISK_COLORS[triage.risk_level] || COLORS.muted;
+    doc.rect(MARGIN, y, contentWidth, 34, { color: riskColor });
+    doc.text(`${String(triage.risk_level || 'Unknown').toUpperCase()} RISK`, MARGIN + 12, y + 22, { font: 'bold', size: 14, color: [255, 255, 255] });
+    if (triage.risk_score !== undefined) {
+        doc.text(`Priority score ${triage.risk_score}/100`, doc.width - MARGIN - 12, y + 22, { font: 'bold', size: 11, color: [255, 255, 255], align: 'right' });
+    }
+    y += 42;
+    if (triage.risk_override) {
+        paragraph(`Raised from ${triage.risk_override.from_level} by the vital-sign safety floor: ${triage.risk_override.rule}`,
+            { size: 9, color: COLORS.warning });
+    }
+
+    // Fallback or unvalidated answers are marked, as in the app
+    const validation = triage.validation;
+    if (validation && validation.status !== 'valid' && validation.status !== 'repaired') {
+        const source = triage.source === 'rules'
+            ? 'This assessment comes from the offline rules (vital signs and red-flag symptoms).'
+            : 'This is a standard fallback assessment.';
+        paragraph(`${source} The AI answer was not available or did not pass validation. Review manually before acting on it.`,
+            { font: 'bold', size: 9, color: COLORS.warning });
+    }
+
+    // ---------- patient ----------
+
+    heading('Patient');
+    field('Name', printable(caseData.patientName));
+    field('Clinical reference', patientData.clinicalRef || caseData.patientId || null);
+    field('Age', formatAge(caseData.patientAge, caseData.patientAgeUnit));
+    field('Sex / pregnancy', profileLine(caseData));
+    field('Medications', listLine(caseData.medications));
+    field('Allergies', listLine(caseData.allergies));
+    field('Conditions', listLine(caseData.conditions));
+    if (triage.population && triage.population.label) field('Thresholds used', triage.population.label);
+
+    // ---------- record ----------
+
+    heading('Record');
+    field('Clinician', caseData.clinicianName || 'Not recorded');
+    field('Saved', saved || 'Unknown');
+    field('Last updated', formatDateTime(caseData.updatedAt));
+    field('Prompt version', triage.prompt_version || caseData.promptVersion || null);
+    field('Audit record', triage.audit_id || null);
+
+    // ---------- presentation ----------
+
+    heading('Presentation');
+    subheading('Symptoms as recorded');
+    paragraph(printable(caseData.symptoms || 'Not recorded', caseData.inputLanguage));
+    if (caseData.symptomsEnglish && caseData.symptomsEnglish !== caseData.symptoms) {
+        subheading('English version');
+        paragraph(printable(caseData.symptomsEnglish, 'en'));
+    }
+    const clarifications = caseData.clarifications || [];
+    if (clarifications.length > 0) {
+        subheading('Follow-up questions');
+        clarifications.forEach(c => {
+            paragraph(printable(c.question, caseData.inputLanguage), { font: 'bold', size: 9, after: 0, indent: 10 });
+            paragraph(c.answer ? printable(c.answer, caseData.inputLanguage) : 'Not answered', { size: 9, color: COLORS.muted, indent: 10 });
+        });
+    }
+    const photoCount = (caseData.attachmentIds || []).length;
+    if (photoCount > 0) {
+        // Photos stay in the app, behind sign-in; the report only says they exist
+        paragraph(`${photoCount} photo${photoCount > 1 ? 's' : ''} attached. Open the case in CareCompass to see ${photoCount > 1 ? 'them' : 'it'}.`,
+            { size: 9, color: COLORS.muted });
+    }
+
+    // ---------- vitals ----------
+
+    heading('Vitals');
+    const vitals = caseData.vitals && typeof caseData.vitals === 'object' ? caseData.vitals : { raw: caseData.vitals };
+    const vitalLines = VITAL_LINES.map(([label, read]) => [label, read(vitals)]).filter(([, value]) => value !== null);
+    if (vitalLines.length > 0) {
+        vitalLines.forEach(([label, value]) => field(label, value));
+    } else {
+        paragraph(vitals.raw ? printable(vitals.raw) : 'No vitals recorded.', { color: vitals.raw ? COLORS.text : COLORS.muted });
+    }
+    if (triage.early_warning) {
+        const ews = triage.early_warning;
+        field('Early warning score', `${ews.score} (${ews.chart_name || ews.chart}), implies ${ews.implied_risk_level} risk` +
+            (ews.missing && ews.missing.length > 0 ? `; not measured: ${ews.missing.join(', ')}` : ''));
+    }
+
+    // ---------- AI triage ----------
+
+    heading('Triage assessment');
+    subheading('Recommendation');
+    paragraph(printable(triage.triage_recommendation || 'None', outputLanguage));
+    subheading('Clinical summary');
+    paragraph(printable(triage.clinical_summary || 'None', outputLanguage));
+    subheading('Key concerns');
+    bullets(triage.key_concerns, outputLanguage);
+    subheading('Tests advised');
+    bullets(triage.tests_advised, outputLanguage);
+    subheading('First aid steps');
+    bullets(triage.first_aid_steps, outputLanguage);
+    subheading('When to refer');
+    paragraph(printable(triage.when_to_refer || 'None', outputLanguage));
+
+    const factors = triage.contributing_factors || [];
+    if (factors.length > 0) {
+        subheading('Why this score');
+        factors.forEach(f => {
+            const origin = FACTOR_ORIGINS[f.origin] || f.origin;
+            paragraph(`${f.direction === 'lowers' ? 'Lowers' : 'Raises'} (weight ${f.weight}/5): ${printable(describeFactor(f), caseData.inputLanguage)}` +
+                (origin ? ` [${origin}]` : ''), { font: 'bold', size: 9, after: 0, indent: 10 });
+            if (f.explanation) paragraph(printable(f.explanation, outputLanguage), { size: 9, color: COLORS.muted, indent: 10 });
+        });
+    }
+
+    const flags = triage.interaction_flags || [];
+    if (flags.length > 0) {
+        subheading('Suggestions that conflict with the patient\'s medications, allergies or conditions');
+        flags.forEach(f => {
+            const where = `${SUGGESTION_FIELD_LABELS[f.field] || f.field}${f.index !== null && f.index !== undefined ? ` ${f.index + 1}` : ''}`;
+            paragraph(`${humanise(f.severity)} ${f.type}: ${f.message}`, { font: 'bold', size: 9, color: COLORS.warning, after: 0, indent: 10 });
+            paragraph(`${where}: "${printable(f.suggestion, outputLanguage)}" (${f.matched}; ${f.conflicts_with})`, { size: 9, color: COLORS.muted, indent: 10 });
+        });
+    }
+
+    // ---------- history ----------
+
+    if (Array.isArray(history) && history.length > 0) {
+        heading(`Patient history (${history.length} visit${history.length > 1 ? 's' : ''})`);
+        const sorted = [...history].sort((a, b) =>
+            (toDateTime(b.createdAt) || '').localeCompare(toDateTime(a.createdAt) || '') || String(a.id).localeCompare(String(b.id)));
+        sorted.forEach(visit => {
+            const visitTriage = visit.triageData || {};
+            const current = caseData.id && visit.id === caseData.id ? ' (this case)' : '';
+            ensure(40);
+            paragraph(`${formatDateTime(visit.createdAt) || 'Unknown date'}: ${visitTriage.risk_level || 'Unknown'} risk, ` +
+                `score ${visitTriage.risk_score !== undefined ? visitTriage.risk_score : '-'}${current}`, { font: 'bold', size: 9, after: 0 });
+            const language = visit.outputLanguage || visitTriage.output_language;
+            paragraph(printable(visit.symptomsEnglish || visit.symptoms || 'No symptoms recorded', visit.inputLanguage),
+                { size: 9, indent: 10, after: 0 });
+            paragraph(printable(visitTriage.triage_recommendation || '', language), { size: 9, color: COLORS.muted, indent: 10 });
+        });
+    }
+
+    // ---------- disclaimer ----------
+
+    ensure(70);
+    y += 12;
+    const disclaimerLines = wrapText(DISCLAIMER, 'regular', 8, contentWidth - 20);
+    doc.rect(MARGIN, y, contentWidth, disclaimerLines.length * 11 + 14, { color: COLORS.panel });
+    y += 7;
+    disclaimerLines.forEach(line => {
+        doc.text(line, MARGIN + 10, y + 8, { size: 8, color: COLORS.muted });
+        y += 11;
+    });
+
+    // ---------- footers ----------
+
+    const total = doc.pageCount;
+    for (let page = 1; page <= total; page++) {
+        doc.goToPage(page);
+        const footerY = doc.height - 30;
+        doc.line(MARGIN, footerY - 12, doc.width - MARGIN, footerY - 12);
+        doc.text(`${facilityName} - Confidential clinical record`, MARGIN, footerY, { size: 8, color: COLORS.muted });
+        doc.text(`Page ${page} of ${total}`, doc.width - MARGIN, footerY, { size: 8, color: COLORS.muted, align: 'right' });
+    }
+
+    return doc.toBuffer({
+        title: `Case report: ${caseData.patientName}`,
+        author: facilityName,
+        subject: 'Clinical case report',
+        creationDate: savedAt ? new Date(savedAt) : null
+    });
+}
+
+module.exports = {
+    buildCaseReport
+};
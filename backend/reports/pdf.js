@@ -0,0 +1,277 @@
+// ============================================
+// Minimal PDF Writer
+// ============================================
+// Just enough of PDF 1.4 for text reports: A4 pages, the built-in
+// Helvetica and Helvetica-Bold fonts, text, lines and filled boxes.
+//
+// The output depends only on what is drawn and the info passed to
+// toBuffer(): no clock, no random file ID, uncompressed content streams.
+// The same case therefore always gives the same bytes, and the text can
+// be read back with any PDF text extractor.
+//
+// Positions are in points (1/72 inch) from the TOP-left corner of the
+// page; the writer flips them to PDF's bottom-left origin.
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Standard font advance widths (1/1000 em) for ASCII 32-126, from the
+// Adobe font metrics shipped with every PDF reader
+const WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Punctuation outside Latin-1 that WinAnsiEncoding has: character -> [byte, width]
+const WIN_ANSI_EXTRAS = {
+    '€': [0x80, 556],
+    '…': [0x85, 1000],
+    '‘': [0x91, 222],
+    '’': [0x92, 222],
+    '“': [0x93, 333],
+    '”': [0x94, 333],
+    '•': [0x95, 350],
+    '–': [0x96, 556],
+    '—': [0x97, 1000]
+};
+
+// Width used for Latin-1 letters (accented capitals and lower case are
+// close to their base letters; this keeps wrapping on the safe side)
+const LATIN1_WIDTH = { regular: 667, bold: 722 };
+
+const FONT_NAMES = { regular: 'F1', bold: 'F2' };
+const BASE_FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+
+/**
+ * Byte and width of one character in WinAnsiEncoding, or null if the
+ * built-in fonts cannot show it
+ */
+function encodeChar(char, font) {
+    const code = char.codePointAt(0);
+    if (code >= 32 && code <= 126) return [code, WIDTHS[font][code - 32]];
+    if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char];
+    if (code === 0xa0) return [0x20, 278];
+    if (code > 0xa0 && code <= 0xff) return [code, LATIN1_WIDTH[font]];
+    return null;
+}
+
+/**
+ * True if every character of the text can be shown with the built-in
+ * fonts (Latin scripts; not Devanagari, Tamil, Arabic, ...)
+ */
+function canEncode(text) {
+    return [...String(text)].every(char => /\s/.test(char) || encodeChar(char, 'regular'));
+}
+
+/**
+ * Text as WinAnsi bytes; characters that cannot be shown become "?"
+ */
+function encode(text, font) {
+    return [...String(text).replace(/[\t\r\n]+/g, ' ')].map(char => (encodeChar(char, font) || [0x3f])[0]);
+}
+
+/**
+ * Width of a line of text in points
+ */
+function widthOf(text, font = 'regular', size = 10) {
+    const units = [...String(text)].reduce((sum, char) => sum + (encodeChar(char, font) || [0, 556])[1], 0);
+    return (units * size) / 1000;
+}
+
+/**
+ * Splits text into lines no wider than maxWidth (breaking at spaces, and
+ * inside words only when a single word is too long). Newlines in the
+ * text start a new line.
+ */
+function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    String(text).split(/\r?\n/).forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (widthOf(candidate, font, size) <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            line = word;
+            // A word longer than the line is broken by character
+            while (widthOf(line, font, size) > maxWidth && line.length > 1) {
+                let cut = line.length - 1;
+                while (cut > 1 && widthOf(line.slice(0, cut), font, size) > maxWidth) cut--;
+                lines.push(line.slice(0, cut));
+                line = line.slice(cut);
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * A number as PDF writes it: at most two decimals, no trailing zeros
+ */
+function num(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Bytes as a PDF literal string, with anything outside printable ASCII
+ * written as an octal escape so the file stays plain text
+ */
+function literal(bytes) {
+    return '(' + bytes.map(byte => {
+        if (byte === 0x28 || byte === 0x29 || byte === 0x5c) return '\\' + String.fromCharCode(byte);
+        if (byte < 32 || byte > 126) return '\\' + byte.toString(8).padStart(3, '0');
+        return String.fromCharCode(byte);
+    }).join('') + ')';
+}
+
+/**
+ * A colour given as [r, g, b] (0-255) in PDF's 0-1 form
+ */
+function rgb(color) {
+    return color.map(channel => num(channel / 255)).join(' ');
+}
+
+/**
+ * A date as a PDF date string (D:YYYYMMDDHHmmSSZ), in UTC
+ */
+function pdfDate(date) {
+    return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/**
+ * Creates an empty document. Draw on the current page, call addPage()
+ * for the next one, and toBuffer() at the end.
+ */
+function createPdfDocument() {
+    const pages = [];
+    let current = null;
+
+    function page() {
+        if (!current) addPage();
+        return current;
+    }
+
+    function addPage() {
+        current = [];
+        pages.push(current);
+        return pages.length;
+    }
+
+    return {
+        width: PAGE_WIDTH,
+        height: PAGE_HEIGHT,
+
+        addPage,
+
+        /**
+         * Number of pages so far
+         */
+        get pageCount() {
+            return pages.length;
+        },
+
+        /**
+         * Moves drawing to an earlier page (1-based), e.g. to add footers
+         */
+        goToPage(number) {
+            current = pages[number - 1];
+        },
+
+        /**
+         * Draws one line of text with its baseline at y
+         * options: { font: 'regular' | 'bold', size, color: [r, g, b], align: 'left' | 'right' }
+         */
+        text(value, x, y, { font = 'regular', size = 10, color = [15, 23, 42], align = 'left' } = {}) {
+            const left = align === 'right' ? x - widthOf(value, font, size) : x;
+            page().push(`BT /${FONT_NAMES[font]} ${num(size)} Tf ${rgb(color)} rg ${num(left)} ${num(PAGE_HEIGHT - y)} Td ${literal(encode(value, font))} Tj ET`);
+        },
+
+        /**
+         * Draws a straight line
+         */
+        line(x1, y1, x2, y2, { width = 0.5, color = [203, 213, 225] } = {}) {
+            page().push(`${num(width)} w ${rgb(color)} RG ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+        },
+
+        /**
+         * Fills a box whose top-left corner is at (x, y)
+         */
+        rect(x, y, w, h, { color = [241, 245, 249] } = {}) {
+            page().push(`${rgb(color)} rg ${num(x)} ${num(PAGE_HEIGHT - y - h)} ${num(w)} ${num(h)} re f`);
+        },
+
+        /**
+         * The finished file
+         * info: { title, author, subject, creationDate (a Date, optional) }
+         */
+        toBuffer({ title, author, subject, creationDate } = {}) {
+            if (pages.length === 0) addPage();
+
+            // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info,
+            // then a page object and its content stream for each page
+            const objects = [];
+            const pageIds = pages.map((_, i) => 6 + i * 2);
+
+            objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+            objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+            objects[3] = `<< /Type /Font /Subtype /Type1 /BaseFont /${BASE_FONTS.regular} /Encoding /WinAnsiEncoding >>`;
+            objects[4] = `<< /Type /Font /Subtype /Type1 /BaseFont /${BASE_FONTS.bold} /Encoding /WinAnsiEncoding >>`;
+
+            const info = ['/Producer (CareCompass AI)'];
+            if (title) info.push(`/Title ${literal(encode(title, 'regular'))}`);
+            if (author) info.push(`/Author ${literal(encode(author, 'regular'))}`);
+            if (subject) info.push(`/Subject ${literal(encode(subject, 'regular'))}`);
+            if (creationDate && !Number.isNaN(creationDate.getTime())) info.push(`/CreationDate (${pdfDate(creationDate)})`);
+            objects[5] = `<< ${info.join(' ')} >>`;
+
+            pages.forEach((operations, i) => {
+                const content = operations.join('\n');
+                objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(PAGE_WIDTH)} ${num(PAGE_HEIGHT)}] ` +
+                    '/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> ' +
+                    `/Contents ${pageIds[i] + 1} 0 R >>`;
+                objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+            });
+
+            let output = '%PDF-1.4\n%âãÏÓ\n';
+            const offsets = [];
+            for (let id = 1; id < objects.length; id++) {
+                offsets[id] = Buffer.byteLength(output, 'latin1');
+                output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+            }
+
+            const xref = Buffer.byteLength(output, 'latin1');
+            output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+            for (let id = 1; id < objects.length; id++) {
+                output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+            }
+            output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+            return Buffer.from(output, 'latin1');
+        }
+    };
+}
+
+module.exports = {
+    canEncode,
+    createPdfDocument,
+    widthOf,
+    wrapText
+};
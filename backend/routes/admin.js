@@ -0,0 +1,213 @@
+// ============================================
+// Admin Endpoints
+// ============================================
+// Mounted at /admin behind requireAuth + requireRole('admin').
+
+const express = require('express');
+const { previewTriagePrompt } = require('../triage/pipeline');
+const { parseDateRange } = require('./dateRange');
+
+// Sample case used by the prompt preview when no body is sent
+const SAMPLE_CASE = {
+    patientName: 'Sample Patient',
+    age: '45',
+    sex: 'male',
+    symptoms: 'Chest pain for 2 hours, sweating, pain spreading to the left arm',
+    vitals: 'BP 150/95, HR 112, SpO2 94%, Temp 37.2C'
+};
+
+// Columns in the CSV export (nested fields are exported as JSON text)
+const CSV_COLUMNS = [
+    'id', 'timestamp', 'uid', 'input_hash', 'prompt_version', 'prompt_hash', 'provider', 'model',
+    'risk_level', 'risk_score', 'validation_status', 'fallback_used', 'latency_ms',
+    'redacted_input', 'raw_responses', 'parsed_result', 'prev_hash', 'record_hash'
+];
+
+/**
+ * Quotes one CSV cell
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turns audit records into CSV text with a header row
+ */
+function toCSV(records) {
+    const lines = [CSV_COLUMNS.join(',')];
+    records.forEach(record => {
+        lines.push(CSV_COLUMNS.map(column => csvCell(record[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Reads audit filters from the query string
+ * Returns { filters } or { error }
+ */
+function parseAuditFilters(query) {
+    const filters = {
+        uid: query.uid || undefined,
+        provider: query.provider || undefined
+    };
+
+    if (query.fallback !== undefined) {
+        if (query.fallback !== 'true' && query.fallback !== 'false') {
+            return { error: 'fallback must be true or false' };
+        }
+        filters.fallback = query.fallback === 'true';
+    }
+
+    const { range, error } = parseDateRange(query);
+    if (error) return { error };
+    Object.assign(filters, range);
+
+    if (query.limit !== undefined) {
+        const limit = parseInt(query.limit, 10);
+        if (Number.isNaN(limit) || limit < 1) {
+            return { error: 'limit must be a positive number' };
+        }
+        filters.limit = limit;
+    }
+
+    return { filters };
+}
+
+/**
+ * Creates the admin router
+ */
+function createAdminRouter({ usageTracker, auditStore, prompts, maxClarifyingQuestions }) {
+    const router = express.Router();
+
+    /**
+     * GET /admin/usage
+     *
+     * Today's request counts, AI calls and remaining quota per clinician,
+     * per IP address and in total.
+     */
+    router.get('/usage', (req, res) => {
+        res.json(usageTracker.summary());
+    });
+
+    /**
+     * GET /admin/audit?uid=&provider=&fallback=&from=&to=&limit=
+     *
+     * Triage audit records, newest first (default limit 100)
+     */
+    router.get('/audit', async (req, res) => {
+        const { filters, error } = parseAuditFilters(req.query);
+        if (error) return res.status(400).json({ error });
+
+        try {
+            const records = await auditStore.query({ limit: 100, ...filters });
+            res.json({ count: records.length, records });
+        } catch (err) {
+            res.status(500).json({ error: `Could not read the audit log: ${err.message}` });
+        }
+    });
+
+    /**
+     * GET /admin/audit/export?format=jsonl|csv (same filters as /admin/audit, no default limit)
+     *
+     * Downloads the matching records
+     */
+    router.get('/audit/export', async (req, res) => {
+        const { filters, error } = parseAuditFilters(req.query);
+        if (error) return res.status(400).json({ error });
+
+        const format = req.query.format || 'jsonl';
+        if (format !== 'jsonl' && format !== 'csv') {
+            return res.status(400).json({ error: 'format must be jsonl or csv' });
+        }
+
+        try {
+            const records = await auditStore.query(filters);
+            const date = new Date().toISOString().slice(0, 10);
+            res.attachment(`triage-audit-${date}.${format}`);
+            if (format === 'csv') {
+                res.type('text/csv').send(toCSV(records));
+            } else {
+                res.type('application/x-ndjson').send(records.map(record => JSON.stringify(record)).join('\n') + '\n');
+            }
+        } catch (err) {
+            res.status(500).json({ error: `Could not read the audit log: ${err.message}` });
+        }
+    });
+
+    /**
+     * GET /admin/audit/verify
+     *
+     * Checks the audit log's hash chain for edited or deleted records
+     */
+    router.get('/audit/verify', async (req, res) => {
+        try {
+            res.json(await auditStore.verify());
+        } catch (err) {
+            res.status(500).json({ error: `Could not read the audit log: ${err.message}` });
+        }
+    });
+
+    /**
+     * GET /admin/audit/:id
+     *
+     * One audit record
+     */
+    router.get('/audit/:id', async (req, res) => {
+        try {
+            const [record] = await auditStore.query({ id: req.params.id });
+            if (!record) return res.status(404).json({ error: 'Audit record not found' });
+            res.json(record);
+        } catch (err) {
+            res.status(500).json({ error: `Could not read the audit log: ${err.message}` });
+        }
+    });
+
+    /**
+     * GET /admin/prompts
+     *
+     * Lists the prompt templates, marking the one in use
+     */
+    router.get('/prompts', (req, res) => {
+        try {
+            res.json({ active_version: prompts.activeVersion, templates: prompts.list() });
+        } catch (err) {
+            res.status(500).json({ error: `Could not read the prompt templates: ${err.message}` });
+        }
+    });
+
+    /**
+     * POST /admin/prompts/:version/preview
+     *
+     * Renders a template exactly as the AI would get it (after
+     * de-identification). The body is a triage request; a sample case is
+     * used if it is empty.
+     */
+    router.post('/prompts/:version/preview', (req, res) => {
+        const body = req.body && req.body.symptoms ? req.body : { ...SAMPLE_CASE, ...(req.body || {}) };
+
+        let rendered;
+        try {
+            rendered = previewTriagePrompt(prompts, body, req.params.version, { max_questions: maxClarifyingQuestions });
+        } catch (err) {
+            return res.status(404).json({ error: err.message });
+        }
+        if (rendered.error) {
+            return res.status(400).json({ error: rendered.error, details: rendered.details });
+        }
+
+        const template = prompts.get(req.params.version);
+        res.json({
+            version: rendered.version,
+            hash: rendered.hash,
+            description: template.description,
+            unknown_variables: template.unknown_variables,
+            prompt: rendered.text
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,192 @@
+// ============================================
+// Critical-Case Alert Endpoints
+// ============================================
+// Alerts are raised by the records API when it saves a case, or by the
+// app when it saves the case to Firestore itself (see alerts/):
+//
+//   POST /alerts                      { case_id, case } after saving a case (signed in;
+//                                     403 if that case's alert is another clinician's)
+//   GET  /alerts?case_id=&open=&limit=  alerts with delivery and acknowledgement state
+//   POST /alerts/:id/acknowledge      from the case modal
+//
+//   GET  /alerts/ack/:token           the page the link in an alert opens (no sign-in:
+//   POST /alerts/ack/:token           the token in the link is the proof)
+
+const express = require('express');
+const logger = require('../logger');
+const { validateCase } = require('../storage/validate');
+const { canAccessAlert } = require('../alerts');
+
+// Longest name accepted on the acknowledge page
+const MAX_ACK_NAME_LENGTH = 100;
+
+/**
+ * An alert as the app sees it (without the acknowledge token)
+ */
+function toAlertView(alert) {
+    const view = { ...alert };
+    delete view.ack_token;
+    return view;
+}
+
+/**
+ * Creates the router for signed-in clinicians (mounted behind requireAuth)
+ */
+function createAlertsRouter({ alerts }) {
+    const router = express.Router();
+
+    router.post('/', async (req, res) => {
+        const caseId = req.body && req.body.case_id;
+        if (typeof caseId !== 'string' || !caseId) {
+            return res.status(400).json({ error: 'case_id is required' });
+        }
+        const { record, errors } = validateCase(req.body.case);
+        if (errors) return res.status(400).json({ error: 'Invalid case', details: errors });
+
+        try {
+            const { alert, status } = await alerts.notifyCase({ ...record, id: caseId, doctorId: req.user.uid }, req.user);
+            if (status === 'forbidden') {
+                return res.status(403).json({ error: 'This case\'s alert belongs to another clinician' });
+            }
+            res.status(status === 'created' ? 201 : 200).json({ status, alert: alert ? toAlertView(alert) : null });
+        } catch (error) {
+            logger.error('alert_raise_failed', { case_id: caseId, message: error.message });
+            res.status(500).json({ error: 'Could not raise the alert. Please try again.' });
+        }
+    });
+
+    router.get('/', async (req, res) => {
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+        if (limit !== undefined && (Number.isNaN(limit) || limit < 1)) {
+            return res.status(400).json({ error: 'limit must be a positive number' });
+        }
+        if (req.query.open !== undefined && !['true', 'false'].includes(req.query.open)) {
+            return res.status(400).json({ error: 'open must be true or false' });
+        }
+
+        try {
+            const list = await alerts.list({
+                caseId: req.query.case_id || undefined,
+                doctorId: req.user.role === 'admin' ? undefined : req.user.uid,
+                open: req.query.open === undefined ? undefined : req.query.open === 'true',
+                limit
+            });
+            res.json({ count: list.length, alerts: list.map(toAlertView) });
+        } catch (error) {
+            logger.error('alert_list_failed', { uid: req.user.uid, message: error.message });
+            res.status(500).json({ error: 'Could not read the alerts. Please try again.' });
+        }
+    });
+
+    router.post('/:id/acknowledge', async (req, res) => {
+        try {
+            const existing = await alerts.get(req.params.id);
+            if (!existing) return res.status(404).json({ error: 'No alert with this id' });
+            if (!canAccessAlert(req.user, existing)) {
+                return res.status(403).json({ error: 'You can only acknowledge alerts for your own cases' });
+            }
+
+            const name = req.body && typeof req.body.name === 'string' ? req.body.name.slice(0, MAX_ACK_NAME_LENGTH) : req.user.email;
+            const alert = await alerts.acknowledge(req.params.id, { uid: req.user.uid, name, via: 'app' });
+            res.json(toAlertView(alert));
+        } catch (error) {
+            logger.error('alert_acknowledge_failed', { alert_id: req.params.id, via: 'app', message: error.message });
+            res.status(500).json({ error: 'Could not acknowledge the alert. Please try again.' });
+        }
+    });
+
+    return router;
+}
+
+/**
+ * Escapes text for the acknowledge page
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+/**
+ * The acknowledge page: the alert's state, and a form while it is open.
+ * Opening the link changes nothing (phones and mail scanners preview
+ * links); only pressing the button acknowledges.
+ */
+function renderAckPage(alert) {
+    const body = alert.acknowledged_at
+        ? `<p>Acknowledged by <strong>${escapeHtml(alert.acknowledged_by.name || 'a clinician')}</strong> at ${escapeHtml(alert.acknowledged_at)}.</p>`
+        : `<form method="post">
+            <label>Your name <input name="name" maxlength="${MAX_ACK_NAME_LENGTH}" required autofocus></label>
+            <button type="submit">Acknowledge: I am responding</button>
+        </form>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>CareCompass alert</title>
+<style>
+    body { font-family: system-ui, sans-serif; max-width: 32rem; margin: 2rem auto; padding: 0 1rem; color: #1e293b; }
+    h1 { font-size: 1.25rem; color: #b91c1c; }
+    input, button { font: inherit; padding: 0.5rem; margin-top: 0.5rem; width: 100%; box-sizing: border-box; }
+    button { background: #b91c1c; color: white; border: 0; border-radius: 0.375rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(alert.risk_level)} case (score ${escapeHtml(alert.risk_score)})</h1>
+<p>Raised at ${escapeHtml(alert.created_at)}. Open the case in CareCompass for the details.</p>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Creates the router for the acknowledge link (no sign-in)
+ */
+function createAlertAckRouter({ alerts }) {
+    const router = express.Router();
+
+    /**
+     * Finds the alert for the token in the link, or answers 404
+     */
+    async function loadByToken(req, res) {
+        const alert = await alerts.getByToken(req.params.token);
+        if (!alert) {
+            res.status(404).type('html').send('<p>This alert link is not valid.</p>');
+            return null;
+        }
+        return alert;
+    }
+
+    router.get('/:token', async (req, res) => {
+        try {
+            const alert = await loadByToken(req, res);
+            if (alert) res.type('html').send(renderAckPage(alert));
+        } catch (error) {
+            logger.error('alert_link_failed', { message: error.message });
+            res.status(500).type('html').send('<p>Could not read the alert. Please try again.</p>');
+        }
+    });
+
+    router.post('/:token', express.urlencoded({ extended: false, limit: '2kb' }), async (req, res) => {
+        try {
+            const alert = await loadByToken(req, res);
+            if (!alert) return;
+            const name = String((req.body && req.body.name) || '').trim().slice(0, MAX_ACK_NAME_LENGTH);
+            const updated = await alerts.acknowledge(alert.id, { name: name || null, via: 'link' });
+            res.type('html').send(renderAckPage(updated));
+        } catch (error) {
+            logger.error('alert_acknowledge_failed', { via: 'link', message: error.message });
+            res.status(500).type('html').send('<p>Could not acknowledge the alert. Please try again.</p>');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAlertsRouter,
+    createAlertAckRouter
+};
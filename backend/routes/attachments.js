@@ -0,0 +1,133 @@
+// ============================================
+// Photo Attachment Endpoints
+// ============================================
+// Mounted at /attachments behind requireAuth. The app uploads each photo
+// as soon as it is picked, then sends the ids with /analyze (so the AI
+// can look at them) and saves them on the case:
+//
+//   POST /attachments                  { image, thumbnail? } as data URLs or base64
+//   GET  /attachments/:id              the photo
+//   GET  /attachments/:id/thumbnail    the small version (the photo if there is none)
+//
+// Every photo is checked from its own bytes and loses its metadata
+// (camera, time, GPS location) before it is stored (see attachments/image.js).
+// Clinicians see their own photos; admins see all.
+
+const express = require('express');
+const logger = require('../logger');
+const { ImageError, cleanImage } = require('../attachments/image');
+
+// Thumbnails are made by the app; they must really be small
+const MAX_THUMBNAIL_BYTES = 200 * 1024;
+const MAX_THUMBNAIL_SIDE = 512;
+
+const DATA_URL_PREFIX = /^data:[\w/+.-]+;base64,/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Largest request body an upload needs: the photo and thumbnail as base64
+ */
+function uploadBodyLimit(maxBytes) {
+    return Math.ceil((maxBytes + MAX_THUMBNAIL_BYTES) * 4 / 3) + 1024;
+}
+
+/**
+ * Decodes a data URL or plain base64 text
+ * Returns a Buffer, or null if it is not base64
+ */
+function decodeBase64(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.replace(DATA_URL_PREFIX, '');
+    return text && BASE64_PATTERN.test(text) ? Buffer.from(text, 'base64') : null;
+}
+
+/**
+ * True if the signed-in clinician may see the photo
+ */
+function canAccess(user, attachment) {
+    return user.role === 'admin' || attachment.doctor_id === user.uid;
+}
+
+/**
+ * Creates the attachments router
+ */
+function createAttachmentsRouter({ store, maxBytes }) {
+    const router = express.Router();
+
+    router.post('/', async (req, res) => {
+        const body = req.body || {};
+        const raw = decodeBase64(body.image);
+        if (!raw) {
+            return res.status(400).json({ error: 'image must be the photo as a data URL or base64 text' });
+        }
+        if (raw.length > maxBytes) {
+            return res.status(413).json({ error: `The photo is too large; at most ${Math.floor(maxBytes / 1024)} KB` });
+        }
+        const rawThumbnail = body.thumbnail === undefined || body.thumbnail === null ? null : decodeBase64(body.thumbnail);
+        if (body.thumbnail && !rawThumbnail) {
+            return res.status(400).json({ error: 'thumbnail must be a data URL or base64 text' });
+        }
+
+        let image;
+        let thumbnail = null;
+        try {
+            image = cleanImage(raw);
+            if (rawThumbnail) {
+                thumbnail = cleanImage(rawThumbnail);
+                if (thumbnail.data.length > MAX_THUMBNAIL_BYTES || Math.max(thumbnail.width, thumbnail.height) > MAX_THUMBNAIL_SIDE) {
+                    return res.status(400).json({ error: `The thumbnail must be at most ${MAX_THUMBNAIL_SIDE} pixels wide and high` });
+                }
+            }
+        } catch (error) {
+            if (error instanceof ImageError) return res.status(400).json({ error: error.message });
+            logger.error('attachment_check_failed', { uid: req.user.uid, message: error.message });
+            return res.status(500).json({ error: 'Could not read the photo' });
+        }
+
+        try {
+            const attachment = await store.create({ image, thumbnail, doctorId: req.user.uid });
+            logger.info('attachment_created', {
+                attachment_id: attachment.id,
+                uid: req.user.uid,
+                content_type: attachment.content_type,
+                bytes: attachment.bytes,
+                metadata_bytes_removed: raw.length - attachment.bytes
+            });
+            res.status(201).json(attachment);
+        } catch (error) {
+            logger.error('attachment_write_failed', { uid: req.user.uid, message: error.message });
+            res.status(500).json({ error: 'Could not store the photo. Please try again.' });
+        }
+    });
+
+    /**
+     * Sends a photo or its thumbnail, or answers 404/403
+     */
+    async function send(req, res, thumbnail) {
+        try {
+            const file = await store.read(req.params.id, { thumbnail });
+            if (!file) return res.status(404).json({ error: 'No photo with this id' });
+            if (!canAccess(req.user, file.attachment)) {
+                return res.status(403).json({ error: 'You can only see photos of your own cases' });
+            }
+            res.set({
+                'Cache-Control': 'private, max-age=86400',
+                'X-Content-Type-Options': 'nosniff'
+            });
+            res.type(file.contentType).send(file.data);
+        } catch (error) {
+            logger.error('attachment_read_failed', { attachment_id: req.params.id, uid: req.user.uid, message: error.message });
+            res.status(500).json({ error: 'Could not read the photo. Please try again.' });
+        }
+    }
+
+    router.get('/:id', (req, res) => send(req, res, false));
+    router.get('/:id/thumbnail', (req, res) => send(req, res, true));
+
+    return router;
+}
+
+module.exports = {
+    uploadBodyLimit,
+    createAttachmentsRouter
+};
@@ -0,0 +1,35 @@
+// ============================================
+// Date Range Filters
+// ============================================
+// The from/to query parameters the list endpoints share. Both are
+// inclusive: a date without a time means the whole day (UTC), so
+// ?from=2026-01-05&to=2026-01-05 is everything saved on 5 January.
+
+// A date without a time, e.g. 2026-01-05
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Reads from and to from the query string
+ * Returns { range: { from?, to? } } (ISO date-times) or { error }
+ */
+function parseDateRange(query) {
+    const range = {};
+
+    for (const key of ['from', 'to']) {
+        const value = query[key];
+        if (!value) continue;
+        if (Number.isNaN(Date.parse(value))) {
+            return { error: `${key} must be a date, e.g. 2026-01-05 or 2026-01-05T10:00:00Z` };
+        }
+        // A date-only `to` runs to the last millisecond of that day
+        range[key] = key === 'to' && DATE_ONLY.test(value)
+            ? `${value}T23:59:59.999Z`
+            : new Date(value).toISOString();
+    }
+
+    return { range };
+}
+
+module.exports = {
+    parseDateRange
+};
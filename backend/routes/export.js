@@ -0,0 +1,165 @@
+// ============================================
+// Export Endpoints
+// ============================================
+// Mounted at /export behind requireAuth. Cases live in Firestore, so the
+// app sends the saved documents and gets a file back: a FHIR R4 Bundle
+// (see fhir/bundle.js) or a PDF case report (see reports/caseReport.js).
+// Clinicians can export their own cases; admins can export any.
+
+const express = require('express');
+const logger = require('../logger');
+const { buildCaseBundle, buildPatientBundle } = require('../fhir/bundle');
+const { validateBundle } = require('../fhir/validate');
+const { buildCaseReport } = require('../reports/caseReport');
+const { validateSavedCase, validateSavedPatient } = require('../storage/validate');
+
+// Most cases in one patient history export (FHIR Bundle or PDF history)
+const MAX_CASES = 500;
+
+/**
+ * Checks a case document with the same rules as the record store
+ * Returns an error message, or null
+ */
+function checkCase(caseData, label) {
+    if (!caseData || typeof caseData !== 'object' || Array.isArray(caseData)) return `${label} must be a saved case object`;
+    const { errors } = validateSavedCase(caseData);
+    return errors ? `${label}: ${errors.join('; ')}` : null;
+}
+
+/**
+ * Checks the optional patient document (an empty object means none)
+ * Returns an error message, or null
+ */
+function checkPatient(patient) {
+    if (patient === undefined || patient === null) return null;
+    if (typeof patient !== 'object' || Array.isArray(patient)) return 'patient must be a saved patient object';
+    if (Object.keys(patient).length === 0) return null;
+    const { errors } = validateSavedPatient(patient);
+    return errors ? `patient: ${errors.join('; ')}` : null;
+}
+
+/**
+ * True if the signed-in clinician may export the case
+ */
+function canExport(user, caseData) {
+    return user.role === 'admin' || !caseData.doctorId || caseData.doctorId === user.uid;
+}
+
+/**
+ * Validates a bundle and sends it as a download, or a 500 listing the
+ * validation problems
+ */
+function sendBundle(res, bundle, filename) {
+    const { valid, issues } = validateBundle(bundle);
+    if (!valid) {
+        logger.error('fhir_export_invalid', { issues: issues.length, first: issues[0] });
+        return res.status(500).json({ error: 'The export did not pass FHIR R4 validation', details: issues });
+    }
+    res.attachment(filename);
+    res.type('application/fhir+json').send(JSON.stringify(bundle, null, 2));
+}
+
+/**
+ * A safe file name part from a patient name or id
+ */
+function fileSlug(value) {
+    return String(value || 'patient').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'patient';
+}
+
+/**
+ * Creates the export router
+ */
+function createExportRouter({ facility }) {
+    const router = express.Router();
+
+    /**
+     * POST /export/fhir/case
+     *
+     * Body: { case: <saved case>, patient?: <patient document> }
+     * Returns a Bundle with the Patient, Encounter, Observations,
+     * symptoms Condition and RiskAssessment for one case
+     */
+    router.post('/fhir/case', (req, res) => {
+        const body = req.body || {};
+        const error = checkCase(body.case, 'case') || checkPatient(body.patient);
+        if (error) return res.status(400).json({ error });
+        if (!canExport(req.user, body.case)) return res.status(403).json({ error: 'You can only export your own cases' });
+
+        const bundle = buildCaseBundle(body.case, body.patient || {}, { facility });
+        logger.info('fhir_export', { uid: req.user.uid, kind: 'case', resources: bundle.entry.length });
+        sendBundle(res, bundle, `case-${fileSlug(body.case.id || body.case.patientName)}.fhir.json`);
+    });
+
+    /**
+     * POST /export/fhir/patient
+     *
+     * Body: { patient: <patient document>, cases: [<saved case>, ...] }
+     * Returns one Bundle with the patient's full history
+     */
+    router.post('/fhir/patient', (req, res) => {
+        const body = req.body || {};
+        if (!Array.isArray(body.cases) || body.cases.length === 0) {
+            return res.status(400).json({ error: 'cases must be a non-empty list of saved cases' });
+        }
+        if (body.cases.length > MAX_CASES) {
+            return res.status(400).json({ error: `At most ${MAX_CASES} cases can be exported at once` });
+        }
+        const patientError = checkPatient(body.patient);
+        if (patientError) return res.status(400).json({ error: patientError });
+        for (let i = 0; i < body.cases.length; i++) {
+            const error = checkCase(body.cases[i], `cases[${i}]`);
+            if (error) return res.status(400).json({ error });
+            if (!canExport(req.user, body.cases[i])) return res.status(403).json({ error: 'You can only export your own cases' });
+        }
+
+        const patient = body.patient || {};
+        const bundle = buildPatientBundle(patient, body.cases, { facility });
+        logger.info('fhir_export', { uid: req.user.uid, kind: 'patient', cases: body.cases.length, resources: bundle.entry.length });
+        sendBundle(res, bundle, `history-${fileSlug(patient.name || body.cases[0].patientName)}.fhir.json`);
+    });
+
+    /**
+     * POST /export/pdf/case
+     *
+     * Body: { case: <saved case>, patient?: <patient document>,
+     *         history?: [<saved case>, ...] }
+     * Returns the case report as a PDF, with the patient's visits when
+     * history is sent
+     */
+    router.post('/pdf/case', (req, res) => {
+        const body = req.body || {};
+        const error = checkCase(body.case, 'case') || checkPatient(body.patient);
+        if (error) return res.status(400).json({ error });
+        if (!canExport(req.user, body.case)) return res.status(403).json({ error: 'You can only export your own cases' });
+
+        const history = body.history === undefined || body.history === null ? null : body.history;
+        if (history !== null) {
+            if (!Array.isArray(history)) return res.status(400).json({ error: 'history must be a list of saved cases' });
+            if (history.length > MAX_CASES) {
+                return res.status(400).json({ error: `At most ${MAX_CASES} cases can be exported at once` });
+            }
+            for (let i = 0; i < history.length; i++) {
+                const historyError = checkCase(history[i], `history[${i}]`);
+                if (historyError) return res.status(400).json({ error: historyError });
+                if (!canExport(req.user, history[i])) return res.status(403).json({ error: 'You can only export your own cases' });
+            }
+        }
+
+        let pdf;
+        try {
+            pdf = buildCaseReport(body.case, body.patient || {}, { facility, history });
+        } catch (buildError) {
+            logger.error('pdf_export_failed', { uid: req.user.uid, message: buildError.message });
+            return res.status(500).json({ error: 'The case report could not be made' });
+        }
+        logger.info('pdf_export', { uid: req.user.uid, history: history ? history.length : 0, bytes: pdf.length });
+        res.attachment(`case-${fileSlug(body.case.id || body.case.patientName)}.pdf`);
+        res.type('application/pdf').send(pdf);
+    });
+
+    return router;
+}
+
+module.exports = {
+    createExportRouter
+};
@@ -0,0 +1,119 @@
+// ============================================
+// Health and Metrics Endpoints
+// ============================================
+// No sign-in needed, so load balancers and Prometheus can reach them:
+//
+//   GET /health          liveness, kept for existing monitors
+//   GET /health/live     liveness: the process is up (never probes anything)
+//   GET /health/ready    readiness: AI provider, prompts and audit log work (503 if not)
+//   GET /metrics         Prometheus metrics (needs METRICS_TOKEN as a Bearer token if set)
+//
+// Operators (METRICS_TOKEN or an admin sign-in) can force a fresh
+// readiness probe and see why a check fails. Anyone else gets the cached
+// result without the error text: a probe is a billable AI call, and the
+// provider's message can describe keys and quotas.
+
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Compares a presented token with the expected one in constant time
+ */
+function tokenMatches(presented, expected) {
+    const a = Buffer.from(presented);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * The Bearer token of a request, or null
+ */
+function bearerToken(req) {
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Creates the router for the health and metrics endpoints
+ */
+function createHealthRouter({ aiProvider, readiness, metrics, metricsToken, verifier }) {
+    const router = express.Router();
+
+    /**
+     * True if the caller sent METRICS_TOKEN or an admin's ID token
+     */
+    async function isOperator(req) {
+        const token = bearerToken(req);
+        if (!token) return false;
+        if (metricsToken && tokenMatches(token, metricsToken)) return true;
+        try {
+            const user = await verifier.verify(token);
+            return user.role === 'admin';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Liveness body shared by /health and /health/live
+     */
+    function liveness() {
+        return {
+            status: 'ok',
+            message: 'CareCompass AI Backend is running',
+            ai_provider: aiProvider.name,
+            ai_model: aiProvider.model,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    router.get('/health', (req, res) => {
+        res.json(liveness());
+    });
+
+    router.get('/health/live', (req, res) => {
+        res.json(liveness());
+    });
+
+    /**
+     * GET /health/ready?fresh=true
+     *
+     * 200 { status: 'ready', checks } or 503 { status: 'not_ready', checks }.
+     * Results are cached briefly; ?fresh=true probes again (operators only,
+     * as are the error messages of failing checks).
+     */
+    router.get('/health/ready', async (req, res) => {
+        const operator = await isOperator(req);
+        const fresh = req.query.fresh === 'true';
+        if (fresh && !operator) {
+            return res.status(401).json({ error: 'A fresh probe needs the metrics token or an admin sign-in.' });
+        }
+
+        const result = await readiness.run({ fresh });
+        const checks = operator
+            ? result.checks
+            : Object.fromEntries(Object.entries(result.checks).map(([name, { error, ...check }]) => [name, check]));
+        res.status(result.ready ? 200 : 503).json({
+            status: result.ready ? 'ready' : 'not_ready',
+            ai_provider: aiProvider.name,
+            ai_model: aiProvider.model,
+            checked_at: result.checked_at,
+            checks
+        });
+    });
+
+    router.get('/metrics', (req, res) => {
+        if (metricsToken) {
+            const token = bearerToken(req);
+            if (!token || !tokenMatches(token, metricsToken)) {
+                return res.status(401).json({ error: 'A valid metrics token is required.' });
+            }
+        }
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(metrics.render());
+    });
+
+    return router;
+}
+
+module.exports = { createHealthRouter, tokenMatches };
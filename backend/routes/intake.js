@@ -0,0 +1,111 @@
+// ============================================
+// Front-Desk Intake Endpoints
+// ============================================
+// Patients registered at the hospital's front desk arrive as HL7 ADT
+// messages (see intake/hl7Intake.js) and wait here until a clinician
+// picks them in the New Case tab:
+//
+//   POST /hl7                                    HL7 over HTTP (HIS token, not a clinician sign-in)
+//   GET  /intake/registrations?status=waiting    the waiting list (signed in)
+//   POST /intake/registrations/:id/triaged       { case_id } once the case is saved
+//   POST /intake/registrations/:id/dismiss       remove from the list without a case
+
+const express = require('express');
+const logger = require('../logger');
+const { tokenMatches } = require('./health');
+const { ageFromBirthDate } = require('../hl7/parser');
+const { STATUSES } = require('../intake/intakeStore');
+const { MAX_MESSAGE_BYTES } = require('../hl7/mllp');
+
+/**
+ * Creates the router for HL7 over HTTP
+ * The HIS sends the message as the request body and gets the ACK (or
+ * NAK) back as the response body, always with status 200.
+ */
+function createHl7Router({ handleMessage, token, allowedIps = [] }) {
+    const router = express.Router();
+
+    router.post('/hl7', express.text({ type: () => true, limit: MAX_MESSAGE_BYTES }), async (req, res) => {
+        const remote = (req.ip || '').replace(/^::ffff:/, '');
+        if (allowedIps.length > 0 && !allowedIps.includes(remote)) {
+            return res.status(403).json({ error: 'This address may not send HL7 messages.' });
+        }
+        const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+        if (!match || !tokenMatches(match[1].trim(), token)) {
+            return res.status(401).json({ error: 'A valid HL7 token is required.' });
+        }
+
+        const ack = await handleMessage(typeof req.body === 'string' ? req.body : '', { transport: 'http', remote });
+        res.type('application/hl7-v2').send(ack);
+    });
+
+    return router;
+}
+
+/**
+ * A registration as the app shows it, with the age worked out today
+ */
+function toListItem(registration) {
+    const patient = registration.patient;
+    return {
+        ...registration,
+        patient: patient ? { ...patient, ...(ageFromBirthDate(patient.birth_date) || { age: null, age_unit: null }) } : null
+    };
+}
+
+/**
+ * Creates the router for the waiting list (mounted behind requireAuth)
+ */
+function createIntakeRouter({ store }) {
+    const router = express.Router();
+
+    router.get('/registrations', async (req, res) => {
+        const status = req.query.status || 'waiting';
+        if (!STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${STATUSES.join(', ')}` });
+        }
+        try {
+            const registrations = await store.listRegistrations({ status });
+            res.json({ count: registrations.length, registrations: registrations.map(toListItem) });
+        } catch (err) {
+            logger.error('intake_list_failed', { uid: req.user.uid, message: err.message });
+            res.status(500).json({ error: 'Could not read the intake registry. Please try again.' });
+        }
+    });
+
+    /**
+     * Closes a waiting registration, or answers 404/409
+     */
+    async function close(req, res, status, caseId) {
+        try {
+            const [existing] = (await store.listRegistrations({ status: 'waiting' })).filter(r => r.id === req.params.id);
+            if (!existing) {
+                return res.status(404).json({ error: 'No waiting registration with this id' });
+            }
+            const registration = await store.closeRegistration(req.params.id, { status, caseId, uid: req.user.uid });
+            res.json(registration);
+        } catch (err) {
+            logger.error('intake_update_failed', { registration_id: req.params.id, uid: req.user.uid, message: err.message });
+            res.status(500).json({ error: 'Could not update the intake registry. Please try again.' });
+        }
+    }
+
+    router.post('/registrations/:id/triaged', (req, res) => {
+        const caseId = req.body && req.body.case_id;
+        if (typeof caseId !== 'string' || !caseId) {
+            return res.status(400).json({ error: 'case_id is required' });
+        }
+        close(req, res, 'triaged', caseId);
+    });
+
+    router.post('/registrations/:id/dismiss', (req, res) => {
+        close(req, res, 'dismissed', null);
+    });
+
+    return router;
+}
+
+module.exports = {
+    createHl7Router,
+    createIntakeRouter
+};
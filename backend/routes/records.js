@@ -0,0 +1,216 @@
+// ============================================
+// Patient and Case Endpoints
+// ============================================
+// Mounted at /records behind requireAuth. The app can keep its patients
+// and cases here instead of writing Firestore itself (see storage/):
+//
+//   GET    /records/patients?doctor_id=&name=&limit=
+//   POST   /records/patients              { name, age, ageUnit, sex, medications, ... }
+//   GET    /records/patients/:id
+//   PATCH  /records/patients/:id          any patient field
+//   DELETE /records/patients/:id          only once the patient has no cases
+//
+//   GET    /records/cases?doctor_id=&patient_id=&risk_level=&from=&to=&limit=
+//                                         (from/to inclusive; a date alone is the whole day, UTC)
+//   POST   /records/cases                 { patientId, patientName, symptoms, triageData, ... }
+//   GET    /records/cases/:id
+//   PATCH  /records/cases/:id             { clinicianName?, isActive? }
+//   DELETE /records/cases/:id
+//
+// Clinicians see and change only their own records; admins see all and
+// can filter by doctor. New records always belong to whoever saves them.
+// A new case at or above the alert level pages the people on call.
+
+const express = require('express');
+const logger = require('../logger');
+const { RISK_LEVELS } = require('../triage/riskLevels');
+const { validatePatient, validateCase } = require('../storage/validate');
+const { parseDateRange } = require('./dateRange');
+
+/**
+ * Reads list filters from the query string (doctor_id is limited to the
+ * signed-in clinician unless they are an admin)
+ * Returns { filters } or { error, status }
+ */
+function parseRecordFilters(query, user) {
+    const filters = {
+        doctorId: query.doctor_id || undefined,
+        patientId: query.patient_id || undefined,
+        name: query.name || undefined
+    };
+
+    if (user.role !== 'admin') {
+        if (filters.doctorId && filters.doctorId !== user.uid) {
+            return { error: 'You can only list your own records', status: 403 };
+        }
+        filters.doctorId = user.uid;
+    }
+
+    if (query.risk_level) {
+        if (!RISK_LEVELS.includes(query.risk_level)) {
+            return { error: `risk_level must be one of: ${RISK_LEVELS.join(', ')}`, status: 400 };
+        }
+        filters.riskLevel = query.risk_level;
+    }
+
+    const { range, error } = parseDateRange(query);
+    if (error) return { error, status: 400 };
+    Object.assign(filters, range);
+
+    if (query.limit !== undefined) {
+        const limit = parseInt(query.limit, 10);
+        if (Number.isNaN(limit) || limit < 1) {
+            return { error: 'limit must be a positive number', status: 400 };
+        }
+        filters.limit = limit;
+    }
+
+    return { filters };
+}
+
+/**
+ * True if the signed-in clinician may read or change the record
+ */
+function canAccess(user, record) {
+    return user.role === 'admin' || !record.doctorId || record.doctorId === user.uid;
+}
+
+/**
+ * Creates the records router for the given store (and alert dispatcher)
+ */
+function createRecordsRouter({ store, alerts = null }) {
+    const router = express.Router();
+
+    /**
+     * Wraps a handler so a store failure is logged and becomes a generic 500
+     * (the store's own message can name tables, paths or credentials)
+     */
+    function handle(handler) {
+        return async (req, res) => {
+            try {
+                await handler(req, res);
+            } catch (error) {
+                logger.error('records_store_failed', { store: store.name, path: req.path, message: error.message });
+                res.status(500).json({ error: 'Could not reach the record store. Please try again.' });
+            }
+        };
+    }
+
+    /**
+     * Loads a record the clinician may access, or answers 404/403
+     */
+    async function loadOwned(req, res, kind) {
+        const record = kind === 'patient' ? await store.getPatient(req.params.id) : await store.getCase(req.params.id);
+        if (!record) {
+            res.status(404).json({ error: `No ${kind} with this id` });
+            return null;
+        }
+        if (!canAccess(req.user, record)) {
+            res.status(403).json({ error: `You can only access your own ${kind}s` });
+            return null;
+        }
+        return record;
+    }
+
+    // ---------- patients ----------
+
+    router.get('/patients', handle(async (req, res) => {
+        const { filters, error, status } = parseRecordFilters(req.query, req.user);
+        if (error) return res.status(status).json({ error });
+
+        const patients = await store.listPatients(filters);
+        res.json({ count: patients.length, patients });
+    }));
+
+    router.post('/patients', handle(async (req, res) => {
+        const { record, errors } = validatePatient(req.body);
+        if (errors) return res.status(400).json({ error: 'Invalid patient', details: errors });
+
+        const patient = await store.createPatient({ ...record, doctorId: req.user.uid });
+        logger.info('record_created', { store: store.name, kind: 'patient', id: patient.id, uid: req.user.uid });
+        res.status(201).json(patient);
+    }));
+
+    router.get('/patients/:id', handle(async (req, res) => {
+        const patient = await loadOwned(req, res, 'patient');
+        if (patient) res.json(patient);
+    }));
+
+    router.patch('/patients/:id', handle(async (req, res) => {
+        const { record, errors } = validatePatient(req.body, { partial: true });
+        if (errors) return res.status(400).json({ error: 'Invalid patient', details: errors });
+        if (!(await loadOwned(req, res, 'patient'))) return;
+
+        res.json(await store.updatePatient(req.params.id, record));
+    }));
+
+    router.delete('/patients/:id', handle(async (req, res) => {
+        if (!(await loadOwned(req, res, 'patient'))) return;
+        const cases = await store.listCases({ patientId: req.params.id, limit: 1 });
+        if (cases.length > 0) {
+            return res.status(409).json({ error: 'This patient has saved cases. Delete or move them first.' });
+        }
+
+        await store.deletePatient(req.params.id);
+        logger.info('record_deleted', { store: store.name, kind: 'patient', id: req.params.id, uid: req.user.uid });
+        res.status(204).end();
+    }));
+
+    // ---------- cases ----------
+
+    router.get('/cases', handle(async (req, res) => {
+        const { filters, error, status } = parseRecordFilters(req.query, req.user);
+        if (error) return res.status(status).json({ error });
+
+        const cases = await store.listCases(filters);
+        res.json({ count: cases.length, cases });
+    }));
+
+    router.post('/cases', handle(async (req, res) => {
+        const { record, errors } = validateCase(req.body);
+        if (errors) return res.status(400).json({ error: 'Invalid case', details: errors });
+
+        if (record.patientId) {
+            const patient = await store.getPatient(record.patientId);
+            if (!patient || !canAccess(req.user, patient)) {
+                return res.status(400).json({ error: 'patientId does not match one of your patients' });
+            }
+        }
+
+        const saved = await store.createCase({ isActive: true, ...record, doctorId: req.user.uid });
+        logger.info('record_created', { store: store.name, kind: 'case', id: saved.id, uid: req.user.uid, risk_level: saved.triageData.risk_level });
+        res.status(201).json(saved);
+
+        if (alerts) {
+            alerts.notifyCase(saved, req.user)
+                .catch(error => logger.error('alert_raise_failed', { case_id: saved.id, message: error.message }));
+        }
+    }));
+
+    router.get('/cases/:id', handle(async (req, res) => {
+        const saved = await loadOwned(req, res, 'case');
+        if (saved) res.json(saved);
+    }));
+
+    router.patch('/cases/:id', handle(async (req, res) => {
+        const { record, errors } = validateCase(req.body, { partial: true });
+        if (errors) return res.status(400).json({ error: 'Invalid case', details: errors });
+        if (!(await loadOwned(req, res, 'case'))) return;
+
+        res.json(await store.updateCase(req.params.id, record));
+    }));
+
+    router.delete('/cases/:id', handle(async (req, res) => {
+        if (!(await loadOwned(req, res, 'case'))) return;
+
+        await store.deleteCase(req.params.id);
+        logger.info('record_deleted', { store: store.name, kind: 'case', id: req.params.id, uid: req.user.uid });
+        res.status(204).end();
+    }));
+
+    return router;
+}
+
+module.exports = {
+    createRecordsRouter
+};
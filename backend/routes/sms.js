@@ -0,0 +1,147 @@
+// ============================================
+// Text-Message Intake Endpoints
+// ============================================
+// Field workers text cases to the clinic's SMS gateway number; the
+// gateway passes each message on here (see intake/smsIntake.js), and
+// the cases wait for a clinician in the New Case tab:
+//
+//   POST /sms/inbound                        from the gateway (its own token, not a clinician sign-in)
+//   GET  /sms-cases?status=pending           cases waiting for review (signed in)
+//   POST /sms-cases/:id/adopt                { case_id } once the clinician saved it as a case
+//   POST /sms-cases/:id/dismiss              remove from the list without a case
+
+const express = require('express');
+const logger = require('../logger');
+const { tokenMatches } = require('./health');
+const { postJson } = require('../alerts/http');
+const { STATUSES } = require('../intake/smsCaseStore');
+
+// Largest gateway request accepted (a text message is far smaller)
+const MAX_BODY = '16kb';
+
+/**
+ * The first field present in the body, trying each name in turn
+ * (gateways disagree on names and capitals: from/From, text/Body, ...)
+ */
+function readField(body, names) {
+    const lower = Object.fromEntries(Object.entries(body || {}).map(([key, value]) => [key.toLowerCase(), value]));
+    const name = names.find(n => typeof lower[n] === 'string' && lower[n] !== '');
+    return name ? lower[name] : null;
+}
+
+/**
+ * Creates the router the SMS gateway posts to
+ *
+ * The gateway sends JSON or a form, with the sender, the text and its own
+ * message id, and the token as a Bearer header or ?token= (many gateways
+ * can only be given a URL):
+ *
+ *   { "from": "+919812345678", "message": "45 F; fever; T 39", "id": "abc-1" }
+ *
+ * Without replyUrl the reply is the response: { reply: { to, message } }.
+ * With replyUrl the message is accepted at once (202) and the reply is
+ * sent there as { to, from, message } once triage is done, for gateways
+ * that do not wait for a slow answer.
+ */
+function createSmsGatewayRouter({ handleMessage, token, replyUrl, replyToken, replyFrom, timeoutMs }) {
+    const router = express.Router();
+    const parse = [express.json({ limit: MAX_BODY }), express.urlencoded({ extended: false, limit: MAX_BODY })];
+
+    /**
+     * Sends a reply through the gateway's outgoing API
+     */
+    async function sendReply(to, message) {
+        const body = JSON.stringify({ to, from: replyFrom, message });
+        await postJson(replyUrl, body, replyToken ? { Authorization: `Bearer ${replyToken}` } : {}, timeoutMs);
+    }
+
+    router.post('/sms/inbound', parse, async (req, res) => {
+        const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+        const presented = match ? match[1].trim() : typeof req.query.token === 'string' ? req.query.token : '';
+        if (!presented || !tokenMatches(presented, token)) {
+            return res.status(401).json({ error: 'A valid SMS gateway token is required.' });
+        }
+
+        const message = {
+            from: readField(req.body, ['from', 'sender', 'msisdn']),
+            text: readField(req.body, ['message', 'text', 'body', 'content']) || '',
+            messageId: readField(req.body, ['id', 'message_id', 'messageid', 'messagesid'])
+        };
+        if (!message.from) {
+            return res.status(400).json({ error: 'The sender number (from) is required' });
+        }
+
+        if (!replyUrl) {
+            const { reply, status } = await handleMessage(message);
+            return res.json({ status, reply: { to: message.from, message: reply } });
+        }
+
+        res.status(202).json({ status: 'accepted', reply: null });
+        const { reply, sms_case_id: smsCaseId } = await handleMessage(message);
+        try {
+            await sendReply(message.from, reply);
+        } catch (error) {
+            logger.error('sms_reply_failed', { sms_case_id: smsCaseId, message: error.message });
+        }
+    });
+
+    return router;
+}
+
+/**
+ * Creates the router for the text-message cases (mounted behind requireAuth)
+ */
+function createSmsCaseRouter({ store }) {
+    const router = express.Router();
+
+    router.get('/', async (req, res) => {
+        const status = req.query.status || 'pending';
+        if (!STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${STATUSES.join(', ')}` });
+        }
+        try {
+            const cases = await store.list({ status });
+            res.json({ count: cases.length, cases });
+        } catch (err) {
+            logger.error('sms_case_list_failed', { uid: req.user.uid, message: err.message });
+            res.status(500).json({ error: 'Could not read the text-message cases. Please try again.' });
+        }
+    });
+
+    /**
+     * Closes a pending case, or answers 404
+     */
+    async function close(req, res, status, caseId) {
+        try {
+            const existing = await store.get(req.params.id);
+            if (!existing || existing.status !== 'pending') {
+                return res.status(404).json({ error: 'No pending text-message case with this id' });
+            }
+            const smsCase = await store.close(req.params.id, { status, caseId, uid: req.user.uid });
+            logger.info('sms_case_closed', { sms_case_id: smsCase.id, status, case_id: caseId, uid: req.user.uid });
+            res.json(smsCase);
+        } catch (err) {
+            logger.error('sms_case_update_failed', { sms_case_id: req.params.id, uid: req.user.uid, message: err.message });
+            res.status(500).json({ error: 'Could not update the text-message case. Please try again.' });
+        }
+    }
+
+    router.post('/:id/adopt', (req, res) => {
+        const caseId = req.body && req.body.case_id;
+        if (typeof caseId !== 'string' || !caseId) {
+            return res.status(400).json({ error: 'case_id is required' });
+        }
+        close(req, res, 'adopted', caseId);
+    });
+
+    router.post('/:id/dismiss', (req, res) => {
+        close(req, res, 'dismissed', null);
+    });
+
+    return router;
+}
+
+module.exports = {
+    createSmsGatewayRouter,
+    createSmsCaseRouter
+};
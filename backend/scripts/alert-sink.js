@@ -0,0 +1,133 @@
+// ============================================
+// CareCompass AI - Local Stand-in for Alert Channels
+// ============================================
+// Receives alerts the way a paging system, mail server and SMS gateway
+// would, and prints them, so the channels can be tried without any
+// outside service:
+//
+//   npm run alert-sink                       HTTP on 4001, SMTP on 2525
+//   npm run alert-sink -- --fail 2           answer the first 2 HTTP requests
+//                                            and emails with an error (to see retries)
+//   npm run alert-sink -- --http-port 5001 --smtp-port 2526
+//
+// Then point the server at it in .env:
+//
+//   ALERT_WEBHOOK_URL=http://localhost:4001/webhook
+//   ALERT_SMS_URL=http://localhost:4001/sms
+//   ALERT_SMTP_HOST=localhost
+//   ALERT_SMTP_PORT=2525
+//   ALERT_EMAIL_FROM=alerts@localhost
+//   ALERT_EMAIL_TO=oncall@localhost
+//
+// The SMTP side is plain text (no STARTTLS or AUTH), for local tests only.
+
+const http = require('http');
+const net = require('net');
+
+/**
+ * Reads --name value from the arguments
+ */
+function readOption(args, name, fallback) {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] !== undefined ? parseInt(args[index + 1], 10) : fallback;
+}
+
+/**
+ * The decoded text of a base64 email body (as the SMTP channel sends it)
+ */
+function decodeEmail(data) {
+    const split = data.indexOf('\r\n\r\n');
+    const headers = data.slice(0, split);
+    const body = data.slice(split + 4).replace(/\r\n/g, '');
+    const subject = (headers.match(/^Subject: (.*)$/m) || [])[1] || '';
+    return {
+        to: (headers.match(/^To: (.*)$/m) || [])[1],
+        subject: subject.replace(/=\?UTF-8\?B\?(.*?)\?=/g, (_, text) => Buffer.from(text, 'base64').toString('utf8')),
+        text: /^Content-Transfer-Encoding: base64$/m.test(headers) ? Buffer.from(body, 'base64').toString('utf8') : body
+    };
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const httpPort = readOption(args, '--http-port', 4001);
+    const smtpPort = readOption(args, '--smtp-port', 2525);
+    let failuresLeft = readOption(args, '--fail', 0);
+
+    /**
+     * True while the sink should still answer with errors
+     */
+    function shouldFail() {
+        if (failuresLeft <= 0) return false;
+        failuresLeft -= 1;
+        return true;
+    }
+
+    http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const time = new Date().toISOString();
+            if (shouldFail()) {
+                console.log(`[${time}] HTTP ${req.method} ${req.url} -> 503 (failing on purpose)`);
+                res.writeHead(503).end('Service unavailable');
+                return;
+            }
+            console.log(`[${time}] HTTP ${req.method} ${req.url}`);
+            ['x-carecompass-event', 'x-carecompass-alert-id', 'x-carecompass-signature', 'authorization']
+                .filter(header => req.headers[header])
+                .forEach(header => console.log(`  ${header}: ${req.headers[header]}`));
+            try {
+                console.log(JSON.stringify(JSON.parse(body), null, 2).replace(/^/gm, '  '));
+            } catch (error) {
+                console.log(`  ${body}`);
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"ok":true}');
+        });
+    }).listen(httpPort, () => console.log(`Webhook and SMS stand-in: http://localhost:${httpPort}/webhook, /sms`));
+
+    net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        let data = '';
+        const reply = line => socket.write(`${line}\r\n`);
+
+        reply('220 localhost CareCompass alert sink');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        const time = new Date().toISOString();
+                        if (shouldFail()) {
+                            console.log(`[${time}] SMTP message -> 451 (failing on purpose)`);
+                            reply('451 Try again later');
+                        } else {
+                            const email = decodeEmail(data);
+                            console.log(`[${time}] SMTP to ${email.to}: ${email.subject}`);
+                            console.log(email.text.replace(/^/gm, '  '));
+                            reply('250 OK');
+                        }
+                        data = '';
+                    } else {
+                        data += `${line.startsWith('..') ? line.slice(1) : line}\r\n`;
+                    }
+                    continue;
+                }
+
+                const verb = line.split(' ')[0].toUpperCase();
+                if (verb === 'EHLO' || verb === 'HELO') reply('250 localhost');
+                else if (verb === 'DATA') { inData = true; reply('354 End with <CRLF>.<CRLF>'); }
+                else if (verb === 'QUIT') { reply('221 Bye'); socket.end(); }
+                else reply('250 OK');
+            }
+        });
+        socket.on('error', () => {});
+    }).listen(smtpPort, () => console.log(`SMTP stand-in: localhost:${smtpPort}`));
+}
+
+main();
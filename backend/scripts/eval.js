@@ -0,0 +1,176 @@
+// ============================================
+// CareCompass AI - Evaluate Triage on the Golden Vignettes
+// ============================================
+// Runs a vignette set through the triage pipeline with the configured
+// provider and prompt, prints under/over-triage rates, a confusion
+// matrix and schema failures, and compares them with the previous run
+// of the same set.
+//
+// Usage:
+//   npm run eval
+//   npm run eval -- --set golden-v1 --prompt triage-v4
+//   npm run eval -- --json          (machine-readable output)
+//   npm run eval -- --no-save       (do not store this run)
+//
+// Uses the same .env settings as the server (AI_PROVIDER, AI_MODEL, ...).
+// Each run is saved to EVAL_RESULTS_DIR as <set>-<timestamp>.json.
+// Exits with 1 if an expected Critical case was under-triaged or a
+// vignette could not be run, so it can gate a prompt or model change.
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { createProvider } = require('../providers');
+const { createPromptLibrary } = require('../prompts');
+const { RISK_LEVELS } = require('../triage/riskLevels');
+const { loadVignetteSet, runEvaluation, compareReports } = require('../eval/harness');
+
+/**
+ * Reads --name value options and --flags from the command line
+ */
+function parseArgs(args) {
+    const options = { flags: new Set() };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--set' || arg === '--prompt') {
+            options[arg.slice(2)] = args[++i];
+        } else if (arg.startsWith('--')) {
+            options.flags.add(arg.slice(2));
+        }
+    }
+    return options;
+}
+
+/**
+ * The most recent saved report for a vignette set, or null
+ */
+function loadPreviousReport(resultsDir, setVersion) {
+    if (!fs.existsSync(resultsDir)) return null;
+    const latest = fs.readdirSync(resultsDir)
+        .filter(file => file.startsWith(`${setVersion}-`) && file.endsWith('.json'))
+        .sort()
+        .pop();
+    return latest ? JSON.parse(fs.readFileSync(path.join(resultsDir, latest), 'utf8')) : null;
+}
+
+/**
+ * Saves a report and returns the file it was written to
+ */
+function saveReport(resultsDir, report) {
+    fs.mkdirSync(resultsDir, { recursive: true });
+    const filePath = path.join(resultsDir, `${report.vignette_set}-${report.started_at.replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(filePath, `${JSON.stringify(report, null, 2)}\n`);
+    return filePath;
+}
+
+/**
+ * Formats a 0-1 rate as a percentage
+ */
+function percent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Prints the summary, confusion matrix and comparison as text
+ */
+function printReport(report) {
+    const { summary, comparison } = report;
+
+    console.log('');
+    console.log('Summary');
+    console.log(`  Correct:          ${summary.correct}/${summary.scored} (${percent(summary.accuracy)})`);
+    console.log(`  Under-triage:     ${summary.under_triage} (${percent(summary.under_triage_rate)})`);
+    console.log(`  Over-triage:      ${summary.over_triage} (${percent(summary.over_triage_rate)})`);
+    console.log(`  Schema failures:  ${summary.schema_failures}   Provider errors: ${summary.provider_errors}   Repaired: ${summary.repaired}`);
+    if (summary.errors > 0) console.log(`  Could not run:    ${summary.errors}`);
+    console.log(`  Under-triage by expected level: ${RISK_LEVELS.slice().reverse()
+        .map(level => `${level} ${summary.under_triage_by_level[level].under}/${summary.under_triage_by_level[level].expected}`)
+        .join(', ')}`);
+
+    console.log('');
+    console.log('Confusion matrix (rows: expected, columns: actual)');
+    const width = 10;
+    console.log(`  ${''.padEnd(width)}${RISK_LEVELS.map(level => level.padStart(width)).join('')}`);
+    RISK_LEVELS.forEach(expected => {
+        const row = RISK_LEVELS.map(actual => String(summary.confusion_matrix[expected][actual]).padStart(width)).join('');
+        console.log(`  ${expected.padEnd(width)}${row}`);
+    });
+
+    console.log('');
+    if (!comparison) {
+        console.log('No previous run of this set to compare with.');
+    } else {
+        const { previous } = comparison;
+        console.log(`Compared with the previous run (${previous.started_at}, prompt ${previous.prompt_version}, ${previous.provider}/${previous.model})`);
+        if (comparison.metrics.length === 0 && comparison.changed.length === 0 &&
+            comparison.added.length === 0 && comparison.removed.length === 0) {
+            console.log('  No differences.');
+        }
+        comparison.metrics.forEach(({ metric, before, after }) => console.log(`  ${metric}: ${before} -> ${after}`));
+        comparison.changed.forEach(c => console.log(`  ${c.id}: ${c.before} -> ${c.after} (${c.before_outcome} -> ${c.after_outcome})`));
+        if (comparison.added.length > 0) console.log(`  New vignettes: ${comparison.added.join(', ')}`);
+        if (comparison.removed.length > 0) console.log(`  Removed vignettes: ${comparison.removed.join(', ')}`);
+    }
+
+    console.log('');
+    if (summary.critical_under_triage.length > 0) {
+        console.log(`FAIL: Critical cases under-triaged: ${summary.critical_under_triage.join(', ')}`);
+    } else if (summary.errors > 0) {
+        console.log('FAIL: some vignettes could not be run');
+    } else {
+        console.log('PASS: no Critical case was under-triaged');
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const asJSON = options.flags.has('json');
+
+    const set = loadVignetteSet(options.set || config.eval.vignetteSet);
+    const provider = createProvider(config.ai);
+    const prompts = createPromptLibrary({
+        activeVersion: options.prompt || config.prompts.activeVersion,
+        clarifyVersion: config.prompts.clarifyVersion,
+        facility: config.facility
+    });
+    // Fail early on an unknown prompt version
+    prompts.get(prompts.activeVersion);
+
+    if (!asJSON) {
+        console.log(`Vignette set ${set.version} (${set.vignettes.length} vignettes)  prompt ${prompts.activeVersion}  ${provider.name}/${provider.model}`);
+    }
+
+    const report = await runEvaluation(provider, set, {
+        prompts,
+        maxRepairAttempts: config.ai.maxRepairAttempts,
+        onResult: (result, index, total) => {
+            if (asJSON) return;
+            const counter = `[${String(index).padStart(String(total).length)}/${total}]`;
+            const line = result.error
+                ? `ERROR ${result.error}`
+                : `${result.expected.padEnd(8)} -> ${result.actual.padEnd(8)}  ${result.outcome === 'correct' ? 'ok' : `${result.outcome}-triage`}${result.fallback_used ? ' [fallback]' : ''}`;
+            console.log(`  ${counter} ${result.id.padEnd(28)} ${line}`);
+        }
+    });
+
+    const previous = loadPreviousReport(config.eval.resultsDir, set.version);
+    report.comparison = previous ? compareReports(previous, report) : null;
+
+    if (!options.flags.has('no-save')) {
+        report.saved_to = saveReport(config.eval.resultsDir, report);
+    }
+
+    if (asJSON) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+        if (report.saved_to) console.log(`Saved to ${report.saved_to}`);
+    }
+
+    process.exit(report.summary.passed ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error(`Evaluation failed: ${error.message}`);
+    process.exit(2);
+});
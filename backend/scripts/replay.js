@@ -0,0 +1,123 @@
+// ============================================
+// CareCompass AI - Replay an Audited Triage Call
+// ============================================
+// Re-runs the redacted input of a stored audit record through the
+// CURRENT prompt and AI provider, and prints what changed.
+//
+// Usage:
+//   npm run replay -- <audit-id>
+//   npm run replay -- <audit-id> --json      (machine-readable output)
+//
+// Uses the same .env settings as the server (AI_PROVIDER, AI_MODEL, ...).
+// Nothing is written to the audit log.
+
+const { config } = require('../config');
+const { createProvider } = require('../providers');
+const { createAuditStore } = require('../audit/auditStore');
+const { createPromptLibrary } = require('../prompts');
+const { prepareTriageInput, runTriage } = require('../triage/pipeline');
+
+// Fields compared between the stored and the new answer
+const COMPARED_FIELDS = [
+    'risk_level', 'risk_score', 'key_concerns', 'triage_recommendation',
+    'clinical_summary', 'tests_advised', 'first_aid_steps', 'when_to_refer'
+];
+
+/**
+ * Lists the compared fields whose values differ
+ */
+function diffResults(before, after) {
+    return COMPARED_FIELDS
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const asJSON = args.includes('--json');
+    const id = args.find(arg => !arg.startsWith('--'));
+
+    if (!id) {
+        console.error('Usage: npm run replay -- <audit-id> [--json]');
+        process.exit(2);
+    }
+
+    const auditStore = createAuditStore(config.audit);
+    const [record] = await auditStore.query({ id });
+    if (!record) {
+        console.error(`No audit record with id ${id} in ${auditStore.filePath}`);
+        process.exit(1);
+    }
+
+    const prepared = prepareTriageInput(record.redacted_input);
+    if (prepared.error) {
+        console.error(`Stored input is no longer valid: ${prepared.error}`);
+        process.exit(1);
+    }
+
+    const provider = createProvider(config.ai);
+    const startedAt = Date.now();
+    const prompts = createPromptLibrary({
+        activeVersion: config.prompts.activeVersion,
+        clarifyVersion: config.prompts.clarifyVersion,
+        facility: config.facility
+    });
+    const { triageData, trace } = await runTriage(provider, prepared, {
+        prompts,
+        maxRepairAttempts: config.ai.maxRepairAttempts
+    });
+
+    // Compare the stored AI answer (or final answer if the fallback was used) with the new one
+    const before = record.parsed_result || { risk_level: record.risk_level, risk_score: record.risk_score };
+    const after = trace.parsed_result || triageData;
+
+    const report = {
+        audit_id: record.id,
+        original: {
+            timestamp: record.timestamp,
+            prompt_version: record.prompt_version,
+            provider: record.provider,
+            model: record.model,
+            risk_level: record.risk_level,
+            risk_score: record.risk_score,
+            fallback_used: record.fallback_used
+        },
+        replay: {
+            prompt_version: trace.prompt_version,
+            provider: triageData.ai_provider,
+            model: triageData.ai_model,
+            risk_level: triageData.risk_level,
+            risk_score: triageData.risk_score,
+            fallback_used: trace.fallback_used,
+            validation: triageData.validation.status,
+            latency_ms: Date.now() - startedAt
+        },
+        differences: diffResults(before, after)
+    };
+
+    if (asJSON) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    const { original, replay } = report;
+    console.log(`Audit record ${record.id}`);
+    console.log(`  Original: ${original.risk_level} (${original.risk_score})  prompt ${original.prompt_version}  ${original.provider}/${original.model}  ${original.timestamp}${original.fallback_used ? '  [fallback]' : ''}`);
+    console.log(`  Replay:   ${replay.risk_level} (${replay.risk_score})  prompt ${replay.prompt_version}  ${replay.provider}/${replay.model}${replay.fallback_used ? '  [fallback]' : ''}`);
+
+    if (report.differences.length === 0) {
+        console.log('  No differences in the AI answer.');
+        return;
+    }
+    console.log('  Differences:');
+    report.differences.forEach(({ field, before: was, after: now }) => {
+        console.log(`    ${field}:`);
+        console.log(`      - ${JSON.stringify(was)}`);
+        console.log(`      + ${JSON.stringify(now)}`);
+    });
+}
+
+main().catch(error => {
+    console.error(`Replay failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,81 @@
+// ============================================
+// CareCompass AI - Simulated SMS Gateway
+// ============================================
+// Sends text messages to POST /sms/inbound the way an SMS gateway would,
+// and prints the reply the field worker's phone would get:
+//
+//   npm run sms-gateway -- "45 F; fever, cough 3 days; BP 100/70 HR 112 T 39.2"
+//   npm run sms-gateway -- --from +919800000011 "8m M; not feeding; RR 62"
+//   npm run sms-gateway -- --id msg-1 "..."     resend with the same message id
+//                                               (the gateway retrying) to see it deduplicated
+//   npm run sms-gateway                         type messages, one per line (Ctrl+D to stop)
+//
+// Uses SMS_INTAKE_TOKEN and PORT from the same .env as the server
+// (--url to send elsewhere). With SMS_INTAKE_REPLY_URL set, the server
+// answers 202 and posts the reply there instead: run `npm run alert-sink`
+// and point SMS_INTAKE_REPLY_URL at http://localhost:4001/sms to see it.
+
+const readline = require('readline');
+const { config } = require('../config');
+
+/**
+ * Reads --name value from the arguments (and takes both out of the list)
+ */
+function takeOption(args, name, fallback) {
+    const index = args.indexOf(name);
+    if (index === -1 || args[index + 1] === undefined) return fallback;
+    return args.splice(index, 2)[1];
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const url = takeOption(args, '--url', `http://localhost:${config.port}/sms/inbound`);
+    const from = takeOption(args, '--from', '+919800000011');
+    const fixedId = takeOption(args, '--id', null);
+    const token = config.smsIntake.token;
+
+    if (!token) {
+        console.error('SMS_INTAKE_TOKEN is not set: the server has no gateway endpoint without it.');
+        process.exit(2);
+    }
+
+    let count = 0;
+
+    /**
+     * Sends one message and prints the reply
+     */
+    async function send(text) {
+        count += 1;
+        const id = fixedId || `sim-${Date.now()}-${count}`;
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: JSON.stringify({ from, message: text, id })
+        });
+        const body = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            console.log(`✗ ${response.status}: ${body.error || 'no details'}`);
+        } else if (response.status === 202) {
+            console.log(`→ accepted (${id}); the reply goes to SMS_INTAKE_REPLY_URL`);
+        } else {
+            console.log(`← [${body.status}] ${body.reply.message}`);
+        }
+    }
+
+    if (args.length > 0) {
+        await send(args.join(' '));
+        return;
+    }
+
+    console.log(`Sending as ${from} to ${url}. One message per line, Ctrl+D to stop.`);
+    const lines = readline.createInterface({ input: process.stdin });
+    for await (const line of lines) {
+        if (line.trim()) await send(line);
+    }
+}
+
+main().catch(error => {
+    console.error(`Could not reach the server: ${error.message}`);
+    process.exit(1);
+});
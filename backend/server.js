@@ -1,130 +1,192 @@
 // ============================================
 // CareCompass AI - Backend Server
 // ============================================
-// This is a simple Express server that provides AI-assisted triage
-// using Google Gemini. It has ONE endpoint: POST /analyze
+// This is a simple Express server that provides AI-assisted triage.
+// Its main endpoint is POST /analyze (and POST /analyze/stream, which
+// sends the same result as Server-Sent Events while it is worked out)
+//
+// The AI model behind /analyze is pluggable (see providers/):
+// - gemini: Google Gemini (default)
+// - openai: any OpenAI-compatible HTTP endpoint, e.g. a self-hosted model
+// - mock:   deterministic fixed responses, no network or API key needed
 //
 // SETUP INSTRUCTIONS:
 // 1. Install dependencies: npm install
-// 2. Get a Google Gemini API key from: https://makersuite.google.com/app/apikey
-// 3. Replace YOUR_GEMINI_API_KEY_HERE below with your actual API key
+// 2. Copy .env.example to .env and choose AI_PROVIDER
+// 3. For Gemini, get an API key from: https://aistudio.google.com/app/apikey
 // 4. Run the server: node server.js
 // 5. Server will run on http://localhost:3000
 
-// Load environment variables for security
-// Load environment variables from the SAME directory as this script
-const path = require('path');
-const fs = require('fs');
-
-// Try standard dotenv
-const envPath = path.resolve(__dirname, '.env');
-require('dotenv').config({ path: envPath });
-
-// Fallback: If dotenv found nothing (likely encoding issue), read manual
-if (!process.env.GEMINI_API_KEY) {
-    try {
-        if (fs.existsSync(envPath)) {
-            console.log('⚠️ Standard dotenv failed. Attempting manual read...');
-            const raw = fs.readFileSync(envPath, 'utf8');
-            // Simple manual parse for GEMINI_API_KEY
-            const match = raw.match(/GEMINI_API_KEY\s*=\s*(.*)/);
-            if (match && match[1]) {
-                process.env.GEMINI_API_KEY = match[1].trim();
-                console.log('✅ Manually loaded GEMINI_API_KEY');
-            }
-        }
-    } catch (e) {
-        console.error('Manual read failed:', e);
-    }
-}
+// Load environment variables (from the SAME directory as this script)
+const { config } = require('./config');
 
 const express = require('express');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const logger = require('./logger');
+const { createProvider } = require('./providers');
+const { createVerifier, requireAuth, requireRole } = require('./auth');
+const { createRateLimiter, createUsageTracker, enforceRateLimit } = require('./usage');
+const { prepareTriageInput, runTriage, runRuleBasedTriage } = require('./triage/pipeline');
+const { runClarification } = require('./triage/clarify');
+const { createAuditStore } = require('./audit/auditStore');
+const { createPromptLibrary } = require('./prompts');
+const { createAdminRouter } = require('./routes/admin');
+const { createHealthRouter } = require('./routes/health');
+const { createExportRouter } = require('./routes/export');
+const { createHl7Router, createIntakeRouter } = require('./routes/intake');
+const { createRecordsRouter } = require('./routes/records');
+const { createRecordStore } = require('./storage');
+const { createAlertsRouter, createAlertAckRouter } = require('./routes/alerts');
+const { createAlerts } = require('./alerts');
+const { createIntakeStore } = require('./intake/intakeStore');
+const { createHl7Intake } = require('./intake/hl7Intake');
+const { createSmsCaseStore } = require('./intake/smsCaseStore');
+const { createSmsIntake } = require('./intake/smsIntake');
+const { createSmsGatewayRouter, createSmsCaseRouter } = require('./routes/sms');
+const { createAttachmentStore } = require('./attachments/attachmentStore');
+const { createAttachmentsRouter, uploadBodyLimit } = require('./routes/attachments');
+const { LANGUAGES } = require('./triage/languages');
+const { createMllpServer } = require('./hl7/mllp');
+const { isTimeZone } = require('./hl7/parser');
+const { createMetrics } = require('./monitoring/metrics');
+const { createReadinessCheck } = require('./monitoring/readiness');
 
 // ============================================
 // CONFIGURATION
 // ============================================
 
-// API Key loaded EXCLUSIVELY from environment variables for security.
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const PORT = config.port;
 
-// Fail fast if key is not found (prevents crash later)
-if (!GEMINI_API_KEY) {
-    console.error('CRITICAL ERROR: GEMINI_API_KEY is not set in environment variables!');
-    console.error('Please ensure your .env file has the key.');
+// Create the configured AI provider.
+// Fail fast if it is misconfigured (prevents crash later)
+let aiProvider;
+try {
+    aiProvider = createProvider(config.ai);
+} catch (error) {
+    console.error(`CRITICAL ERROR: ${error.message}`);
+    console.error('Please check AI_PROVIDER and related settings in your .env file.');
     process.exit(1);
 }
 
-const PORT = process.env.PORT || 3000;
+// Create the ID token verifier used to authenticate clinicians
+let tokenVerifier;
+try {
+    tokenVerifier = createVerifier(config.auth);
+} catch (error) {
+    console.error(`CRITICAL ERROR: ${error.message}`);
+    console.error('Please check AUTH_VERIFIER and related settings in your .env file.');
+    process.exit(1);
+}
 
-// ============================================
-// INITIALIZE EXPRESS APP
-// ============================================
+// Request rate limits and daily AI-call quotas
+const rateLimiter = createRateLimiter(config.limits);
+const usageTracker = createUsageTracker(config.limits);
 
-const app = express();
+// Versioned prompt templates (prompts/templates). Fail fast if the
+// configured version is missing.
+const prompts = createPromptLibrary({
+    activeVersion: config.prompts.activeVersion,
+    clarifyVersion: config.prompts.clarifyVersion,
+    facility: config.facility
+});
+try {
+    prompts.render({});
+    prompts.render({}, prompts.clarifyVersion);
+} catch (error) {
+    console.error(`CRITICAL ERROR: ${error.message}`);
+    console.error('Please check PROMPT_VERSION, CLARIFY_PROMPT_VERSION and FACILITY_PROTOCOLS_FILE in your .env file.');
+    process.exit(1);
+}
 
-// Middleware to parse JSON requests
-app.use(express.json());
+// Append-only audit trail of every triage call
+const auditStore = createAuditStore(config.audit);
+
+// Patients and cases behind the /records endpoints (Firestore or a local
+// SQLite file). Fail fast if the store is unknown or cannot be opened.
+let recordStore;
+try {
+    recordStore = createRecordStore(config.records);
+} catch (error) {
+    console.error(`CRITICAL ERROR: ${error.message}`);
+    console.error('Please check RECORDS_BACKEND and RECORDS_SQLITE_PATH in your .env file.');
+    process.exit(1);
+}
 
-// Enable CORS so frontend can call this API
-app.use(cors());
+// Prometheus metrics, and readiness checks that probe the AI provider
+const metrics = createMetrics();
 
-// Initialize Google Gemini AI - Using v1beta for broader model support
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY, { apiVersion: 'v1beta' });
+// Alerts to the people on call when a critical case is saved. Fail fast
+// if a channel is only partly configured.
+let alerts;
+try {
+    alerts = createAlerts(config.alerts, {
+        facility: config.facility,
+        onDelivery: (channel, status) => metrics.recordAlertDelivery(channel, status)
+    });
+} catch (error) {
+    console.error(`CRITICAL ERROR: ${error.message}`);
+    console.error('Please check the ALERT_* settings in your .env file.');
+    process.exit(1);
+}
 
-// ============================================
-// HELPER FUNCTIONS
-// ============================================
+// Photos attached to cases (metadata removed on upload)
+const attachmentStore = createAttachmentStore(config.attachments);
 
-/**
- * Creates a safe fallback response when AI fails
- * This ensures the frontend never crashes
- */
-function createFallbackResponse() {
-    return {
-        risk_level: 'Moderate',
-        risk_score: 50,
-        key_concerns: ['Unable to complete AI analysis', 'Manual review recommended'],
-        triage_recommendation: 'Please conduct manual assessment. AI analysis unavailable.',
-        clinical_summary: 'AI triage system temporarily unavailable. Proceed with standard clinical assessment protocols.',
-        tests_advised: ['Complete vital signs assessment', 'Standard clinical examination'],
-        first_aid_steps: ['Ensure patient is stable', 'Monitor vital signs', 'Await clinical assessment'],
-        when_to_refer: 'Follow standard triage protocols for this presentation.',
-        ai_note: 'This is a fallback response. AI analysis could not be completed.'
-    };
+// Patients registered at the front desk (HL7 ADT from the HIS), waiting for triage
+if (!isTimeZone(config.facility.timeZone)) {
+    console.error(`CRITICAL ERROR: FACILITY_TIMEZONE ${config.facility.timeZone} is not a time zone (e.g. Asia/Kolkata)`);
+    console.error('Please check FACILITY_TIMEZONE in your .env file.');
+    process.exit(1);
 }
+const intakeStore = createIntakeStore(config.hl7);
+const handleHl7Message = createHl7Intake({ store: intakeStore, facility: config.facility });
 
-/**
- * Parses AI response and extracts structured JSON
- * Handles various response formats from Gemini
- */
-function parseAIResponse(text) {
-    try {
-        // More robust parsing: find content between first { and last }
-        const start = text.indexOf('{');
-        const end = text.lastIndexOf('}');
+// Cases texted in by community health workers, waiting for a clinician
+if (!LANGUAGES[config.smsIntake.language]) {
+    console.error(`CRITICAL ERROR: SMS_INTAKE_LANGUAGE must be one of: ${Object.keys(LANGUAGES).join(', ')}`);
+    console.error('Please check SMS_INTAKE_LANGUAGE in your .env file.');
+    process.exit(1);
+}
+const smsCaseStore = createSmsCaseStore(config.smsIntake);
+const handleSmsMessage = createSmsIntake({
+    store: smsCaseStore,
+    triage: triageTextMessage,
+    allowedSenders: config.smsIntake.allowedSenders,
+    outputLanguage: config.smsIntake.language
+});
 
-        if (start === -1 || end === -1) {
-            console.error('No JSON object found in Gemini output. Raw text:', text);
-            return createFallbackResponse();
-        }
+// Readiness checks that probe the AI provider
+const readiness = createReadinessCheck({
+    aiProvider,
+    prompts,
+    auditStore,
+    cacheMs: config.monitoring.readinessCacheMs,
+    timeoutMs: config.monitoring.readinessTimeoutMs,
+    onResult: result => metrics.recordReadiness(result.checks)
+});
 
-        const jsonContent = text.substring(start, end + 1);
-        const parsed = JSON.parse(jsonContent);
+// ============================================
+// INITIALIZE EXPRESS APP
+// ============================================
 
-        if (!parsed.risk_level) {
-            console.warn('AI response missing risk_level. Body:', jsonContent);
-            return createFallbackResponse();
-        }
+const app = express();
 
-        return parsed;
-    } catch (error) {
-        console.error('Failed to parse AI response:', error);
-        console.error('Original Gemini Text:', text);
-        return createFallbackResponse();
-    }
-}
+// Use the real client address for per-IP limits when behind a proxy
+app.set('trust proxy', config.trustProxy);
+
+// Count every request and its latency for /metrics
+app.use(metrics.httpMiddleware());
+
+// Middleware to parse JSON requests. FHIR and PDF exports carry whole
+// patient histories and uploads carry a photo, so they get a larger
+// limit (parsed first, so it applies).
+app.use('/export', express.json({ limit: config.fhirExport.maxBodySize }));
+app.use('/attachments', express.json({ limit: uploadBodyLimit(config.attachments.maxBytes) }));
+app.use(express.json());
+
+// Enable CORS so the frontend (and only the configured origins) can call this API.
+// Content-Disposition carries the file name of exports.
+app.use(cors({ origin: config.corsOrigins, exposedHeaders: ['Content-Disposition'] }));
 
 // ============================================
 // API ENDPOINTS
@@ -134,13 +196,26 @@ function parseAIResponse(text) {
  * POST /analyze
  * 
  * Analyzes patient data and provides AI-assisted triage
+ * Requires `Authorization: Bearer <Firebase ID token>`
  * 
  * Request body:
  * {
  *   patientName: string,
- *   age: string,
+ *   age: number|string,          // e.g. 45, or '8 months'
+ *   age_unit?: string,           // years (default), months, weeks or days
+ *   sex?: string,                // female, male, other or unknown
+ *   pregnancy_status?: string,   // pregnant, not_pregnant or unknown
+ *   gestation_weeks?: number,    // only when pregnant
+ *   medications?: array|string,  // regular medications, e.g. ['Warfarin 5 mg']
+ *   allergies?: array|string,    // e.g. ['Penicillin']
+ *   conditions?: array|string,   // chronic conditions, e.g. ['Asthma']
  *   symptoms: string,
- *   vitals: string
+ *   vitals: string,
+ *   locale?: string,             // e.g. 'en-IN' (defaults to FACILITY_LOCALE)
+ *   input_language?: string,     // symptoms language: 'auto' (default) or en, hi, mr, ...
+ *   output_language?: string,    // language of the result text (default 'en')
+ *   clarifications?: array,      // [{ question, answer }] from POST /analyze/clarify
+ *   attachment_ids?: array       // up to 4 photo ids from POST /attachments
  * }
  * 
  * Response:
@@ -152,94 +227,400 @@ function parseAIResponse(text) {
  *   clinical_summary: string,
  *   tests_advised: array,
  *   first_aid_steps: array,
- *   when_to_refer: string
+ *   when_to_refer: string,
+ *   source: string,              // 'ai', or 'rules' when the offline rules answered
+ *   red_flags?: array,           // rules only: [{ id, label, level, matched }]
+ *   contributing_factors: array, // why this score: [{ input_type, input, direction, weight, explanation, origin, spans? }]
+ *   interaction_flags: array,    // suggestions that conflict with the lists above: [{ type, severity, field, index, suggestion, matched, conflicts_with, message }]
+ *   ai_provider: string,
+ *   ai_model: string,
+ *   prompt_version: string,      // prompt template used (null for rule-based triage)
+ *   input_language: string,
+ *   output_language: string,     // text fields are in this language; risk_level stays English
+ *   symptoms_english: string,    // symptoms in English (null if no translation was possible)
+ *   clarifications: array,       // the follow-up questions and answers the triage used
+ *   vitals: object,              // structured vitals, normalised units, with `raw` text
+ *   population: object,          // population mode applied (age band or pregnancy)
+ *   early_warning: object,       // rule-based score from the vitals, on that population's chart
+ *   risk_override?: object,      // present if the rules raised risk_level
+ *   validation: object,          // schema validation status of the AI output
+ *   deidentification: object,    // identifiers replaced before the AI call, by kind
+ *   photos?: object,             // { attached, sent_to_ai, note? } when photos were attached
+ *   audit_id: string             // id of the audit record for this call
  * }
+ *
+ * Returns 400 with `details` if a vital sign is not physically possible
+ * (or without, if an attached photo is not found),
+ * 401 if the token is missing or invalid, 429 (with Retry-After) if a
+ * rate limit is hit. If the AI fails, or once the daily AI quota is used
+ * up, the response comes from the offline rules (source 'rules',
+ * validation.status 'failed', 'error' or 'skipped').
+ */
+app.post('/analyze', requireAuth(tokenVerifier), enforceRateLimit(rateLimiter, usageTracker), async (req, res) => {
+    const prepared = await prepareAnalyzeRequest(req, res);
+    if (!prepared) return;
+
+    const triageData = await analyzePrepared(req, prepared);
+
+    // Always return 200 OK with structured data
+    // This prevents frontend crashes
+    res.json(triageData);
+});
+
+/**
+ * POST /analyze/stream
+ *
+ * Same request, auth, limits and final result as POST /analyze, sent as
+ * Server-Sent Events so the clinician sees each part as soon as it is known:
+ *
+ *   event: vitals    { vitals, early_warning, population }  immediately, from the rules
+ *   event: risk      { risk_level, risk_score, risk_override? }
+ *   event: concerns  { key_concerns }
+ *   event: details   { triage_recommendation?, clinical_summary?, ... }  (may repeat)
+ *   event: result    the full validated object, same as POST /analyze returns
+ *   event: error     { error }                            if triage failed
+ *
+ * risk, concerns and details are previews of the streaming AI answer.
+ * Only `result` is validated; it replaces everything shown before it.
+ * Input errors are returned as a normal 400 JSON response before any event.
  */
-app.post('/analyze', async (req, res) => {
+app.post('/analyze/stream', requireAuth(tokenVerifier), enforceRateLimit(rateLimiter, usageTracker), async (req, res) => {
+    const prepared = await prepareAnalyzeRequest(req, res);
+    if (!prepared) return;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'   // stop proxies from holding events back
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // The rule-based vitals flags need no AI, so send them straight away
+    send('vitals', { vitals: prepared.vitals, early_warning: prepared.earlyWarning, population: prepared.population });
+
     try {
-        console.log('Received triage request:', req.body);
+        send('result', await analyzePrepared(req, prepared, send));
+    } catch (error) {
+        logger.error('triage_stream_failed', { uid: req.user.uid, message: error.message });
+        send('error', { error: 'Triage failed. Please try again.' });
+    }
+    res.end();
+});
+
+/**
+ * POST /analyze/clarify
+ *
+ * Clarifying-question mode: asks the AI which follow-up questions it needs
+ * before a final triage. Same request body, auth and limits as /analyze.
+ *
+ * Response:
+ * {
+ *   questions: [{ id, question, reason }],   // empty: enough information to triage now
+ *   max_questions: number,
+ *   prompt_version: string|null,
+ *   skipped_reason?: string                  // why no questions were asked (quota, AI error)
+ * }
+ *
+ * Send the answers back to /analyze (or /analyze/stream) as
+ * `clarifications: [{ question, answer }]`.
+ */
+app.post('/analyze/clarify', requireAuth(tokenVerifier), enforceRateLimit(rateLimiter, usageTracker), async (req, res) => {
+    const prepared = await prepareAnalyzeRequest(req, res);
+    if (!prepared) return;
+
+    const maxQuestions = config.prompts.maxClarifyingQuestions;
+    const who = { uid: req.user.uid, ip: req.ip };
+
+    // Questions are optional: without AI quota, go straight to (rule-based) triage
+    const quotaExceeded = usageTracker.checkAIQuota(req.user.uid);
+    if (quotaExceeded || maxQuestions <= 0) {
+        return res.json({
+            questions: [],
+            max_questions: maxQuestions,
+            prompt_version: null,
+            skipped_reason: quotaExceeded ? 'The daily AI quota is used up' : 'Clarifying questions are turned off'
+        });
+    }
 
-        const { patientName, age, symptoms, vitals } = req.body;
+    const result = await runClarification(aiProvider, prepared, { prompts, maxQuestions });
+    usageTracker.record('ai_calls', who);
 
-        // Validate input
-        if (!symptoms || symptoms.trim() === '') {
-            return res.status(400).json({
-                error: 'Symptoms are required for triage analysis'
-            });
+    logger.info('clarify_result', {
+        uid: req.user.uid,
+        provider: aiProvider.name,
+        prompt_version: result.prompt_version,
+        questions: result.questions.length,
+        failed: Boolean(result.error)
+    });
+
+    res.json({
+        questions: result.questions,
+        max_questions: maxQuestions,
+        prompt_version: result.prompt_version,
+        ...(result.error ? { skipped_reason: result.error } : {})
+    });
+});
+
+/**
+ * Logs an /analyze request and prepares its input (no AI needed), with
+ * the photos it names loaded
+ * Sends the 400 response and returns null if the input is invalid
+ */
+async function prepareAnalyzeRequest(req, res) {
+    // Log who asked and the shape of the request, never the patient data itself
+    const body = req.body || {};
+    logger.info('triage_request', {
+        uid: req.user.uid,
+        role: req.user.role,
+        ip: req.ip,
+        mode: req.path.split('/')[2] || 'single',
+        clarifications: Array.isArray(body.clarifications) ? body.clarifications.length : 0,
+        has_name: Boolean(body.patientName),
+        has_age: Boolean(body.age),
+        symptoms_chars: typeof body.symptoms === 'string' ? body.symptoms.length : 0,
+        vitals_chars: typeof body.vitals === 'string' ? body.vitals.length : 0,
+        photos: Array.isArray(body.attachment_ids) ? body.attachment_ids.length : 0
+    });
+
+    // Validate input, parse vitals and score them
+    const prepared = prepareTriageInput(req.body);
+    if (prepared.error) {
+        res.status(400).json({
+            error: prepared.error,
+            details: prepared.details
+        });
+        return null;
+    }
+
+    const loaded = await loadAttachedImages(req.user, prepared.attachmentIds);
+    if (loaded.error) {
+        res.status(loaded.status).json({ error: loaded.error });
+        return null;
+    }
+    prepared.images = loaded.images;
+    return prepared;
+}
+
+/**
+ * Reads the photos attached to a request (the clinician's own, or any for admins)
+ * Returns { images: [{ id, contentType, data }] } or { error, status }
+ */
+async function loadAttachedImages(user, ids) {
+    const images = [];
+    for (const id of ids) {
+        let file;
+        try {
+            file = await attachmentStore.read(id);
+        } catch (error) {
+            logger.error('attachment_read_failed', { attachment_id: id, message: error.message });
+            return { error: 'Could not read the attached photos. Please try again.', status: 500 };
+        }
+        if (!file || (user.role !== 'admin' && file.attachment.doctor_id !== user.uid)) {
+            return { error: `Photo ${id} was not found. Please attach it again.`, status: 400 };
         }
+        images.push({ id, contentType: file.contentType, data: file.data });
+    }
+    return { images };
+}
 
-        // Build the prompt for Gemini
-        const prompt = `You are a clinical triage assistant. Analyze the following patient presentation and provide structured triage support.
-
-IMPORTANT: This is triage support only, NOT diagnosis. Your role is to help prioritize care.
-
-Patient Information:
-- Name: ${patientName || 'Not provided'}
-- Age: ${age || 'Not provided'}
-- Symptoms: ${symptoms}
-- Vitals: ${vitals || 'Not provided'}
-
-Provide your response as a JSON object with the following structure:
-{
-  "risk_level": "Low" | "Moderate" | "High" | "Critical",
-  "risk_score": <number 0-100>,
-  "key_concerns": [<array of main concerns>],
-  "triage_recommendation": "<immediate action recommendation>",
-  "clinical_summary": "<brief clinical summary>",
-  "tests_advised": [<array of recommended tests/assessments>],
-  "first_aid_steps": [<array of immediate care steps if applicable>],
-  "when_to_refer": "<guidance on when to escalate care>"
+/**
+ * Runs triage for a prepared request (AI, or rules once the quota is
+ * used up), writes the audit record and logs the outcome
+ * Returns the final triage object
+ */
+async function analyzePrepared(req, prepared, onProgress) {
+    const who = { uid: req.user.uid, ip: req.ip };
+    const startedAt = Date.now();
+    let result;
+
+    const quotaExceeded = usageTracker.checkAIQuota(req.user.uid);
+    if (quotaExceeded) {
+        // Daily AI quota used up: answer from the rules instead of failing
+        const whose = quotaExceeded.scope === 'user' ? 'your' : 'the clinic\'s';
+        result = runRuleBasedTriage(prepared, `${whose} daily AI quota of ${quotaExceeded.limit} calls is used up`);
+        usageTracker.record('rule_based', who);
+    } else {
+        // Prompt the AI, validate and repair its output, fall back if needed
+        result = await runTriage(aiProvider, prepared, {
+            prompts,
+            maxRepairAttempts: config.ai.maxRepairAttempts,
+            onProgress
+        });
+        usageTracker.record('ai_calls', who, result.triageData.validation.attempts);
+    }
+
+    const { triageData, trace } = result;
+    const latencyMs = Date.now() - startedAt;
+
+    // Record what the AI saw and said. A failed write must not block the clinician.
+    try {
+        const record = await auditStore.append({
+            uid: req.user.uid,
+            redacted_input: trace.redacted_input,
+            prompt_version: trace.prompt_version,
+            prompt_hash: trace.prompt_hash,
+            provider: triageData.ai_provider,
+            model: triageData.ai_model,
+            raw_responses: trace.raw_responses,
+            parsed_result: trace.parsed_result,
+            risk_level: triageData.risk_level,
+            risk_score: triageData.risk_score,
+            validation_status: triageData.validation.status,
+            fallback_used: trace.fallback_used,
+            latency_ms: latencyMs,
+            photos: trace.photos
+        });
+        triageData.audit_id = record.id;
+    } catch (error) {
+        logger.error('audit_write_failed', { uid: req.user.uid, message: error.message });
+        metrics.recordAuditWriteFailure();
+    }
+
+    metrics.recordTriage(triageData, trace, latencyMs);
+
+    logger.info('triage_result', {
+        uid: req.user.uid,
+        provider: triageData.ai_provider,
+        model: triageData.ai_model,
+        prompt_version: triageData.prompt_version,
+        population: triageData.population.mode,
+        risk_level: triageData.risk_level,
+        risk_score: triageData.risk_score,
+        validation: triageData.validation.status,
+        attempts: triageData.validation.attempts,
+        risk_override: Boolean(triageData.risk_override),
+        latency_ms: latencyMs,
+        audit_id: triageData.audit_id,
+        identifiers_redacted: triageData.deidentification || {}
+    });
+
+    return triageData;
 }
 
-Guidelines:
-- risk_score: 0-25 = Low, 26-50 = Moderate, 51-75 = High, 76-100 = Critical
-- Be conservative - when in doubt, recommend higher acuity
-- Focus on triage priority, not diagnosis
-- Provide actionable recommendations
-- Consider vital signs if provided
+/**
+ * Triage for a text-message case (see intake/smsIntake.js): the same
+ * pipeline, rate limits, quota and audit as /analyze, with each phone
+ * counted as its own user
+ * Returns { triageData }, { error, details } or { limited }
+ */
+async function triageTextMessage(request, senderId) {
+    // Every message arrives from the gateway's address, so the phone
+    // stands in for the address too (one busy phone must not block the rest)
+    const req = { user: { uid: `sms:${senderId}`, role: 'field_worker' }, ip: `sms:${senderId}` };
+    const who = { uid: req.user.uid, ip: req.ip };
+
+    const limited = rateLimiter.check(who);
+    if (limited) {
+        usageTracker.record('rate_limited', who);
+        return { limited };
+    }
+    usageTracker.record('requests', who);
 
-Respond ONLY with the JSON object, no additional text.`;
+    const prepared = prepareTriageInput(request);
+    if (prepared.error) return { error: prepared.error, details: prepared.details };
+    return { triageData: await analyzePrepared(req, prepared) };
+}
 
-        // Call Gemini API - Upgraded to 2.5 Flash
-        const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+// ============================================
+// ADMIN ENDPOINTS
+// ============================================
 
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
+// Usage summary, the triage audit trail and prompt templates (see routes/admin.js). Admins only.
+app.use('/admin', requireAuth(tokenVerifier), requireRole('admin'), createAdminRouter({
+    usageTracker,
+    auditStore,
+    prompts,
+    maxClarifyingQuestions: config.prompts.maxClarifyingQuestions
+}));
 
-        console.log('Raw AI response:', text);
+// ============================================
+// EXPORT ENDPOINTS
+// ============================================
 
-        // Parse and validate the response
-        const triageData = parseAIResponse(text);
+// A case, or a patient's full history, as a FHIR R4 Bundle or a PDF report (see routes/export.js)
+app.use('/export', requireAuth(tokenVerifier), createExportRouter({
+    facility: config.facility
+}));
 
-        console.log('Parsed triage data:', triageData);
+// ============================================
+// PATIENT AND CASE ENDPOINTS
+// ============================================
 
-        // Always return 200 OK with structured data
-        // This prevents frontend crashes
-        res.json(triageData);
+// CRUD for patients and cases, with server-side validation (see routes/records.js)
+app.use('/records', requireAuth(tokenVerifier), createRecordsRouter({ store: recordStore, alerts }));
 
-    } catch (error) {
-        console.error('!!! Gemini API Failure !!!');
-        console.error(error.stack || error);
+// ============================================
+// PHOTO ATTACHMENT ENDPOINTS
+// ============================================
 
-        const fallback = createFallbackResponse();
-        // Pass error message to frontend for easier debugging
-        fallback.clinical_summary = `AI Error: ${error.message}. Please check your model name and API key.`;
-        res.json(fallback);
-    }
-});
+// Uploading the photos attached to a case, and reading them back (see routes/attachments.js)
+app.use('/attachments', requireAuth(tokenVerifier), createAttachmentsRouter({
+    store: attachmentStore,
+    maxBytes: config.attachments.maxBytes
+}));
 
 // ============================================
-// HEALTH CHECK ENDPOINT
+// CRITICAL-CASE ALERT ENDPOINTS
 // ============================================
 
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        message: 'CareCompass AI Backend is running',
-        timestamp: new Date().toISOString()
-    });
-});
+// The acknowledge link in alert messages (its token is the proof, no sign-in)
+app.use('/alerts/ack', createAlertAckRouter({ alerts }));
+
+// Raising alerts for cases the app saved itself, their state, acknowledging
+app.use('/alerts', requireAuth(tokenVerifier), createAlertsRouter({ alerts }));
+
+// ============================================
+// FRONT-DESK INTAKE ENDPOINTS
+// ============================================
+
+// HL7 over HTTP from the HIS, authenticated with its own token (see routes/intake.js)
+if (config.hl7.httpToken) {
+    app.use(createHl7Router({
+        handleMessage: handleHl7Message,
+        token: config.hl7.httpToken,
+        allowedIps: config.hl7.allowedIps
+    }));
+}
+
+// The "waiting for triage" list the New Case tab picks from
+app.use('/intake', requireAuth(tokenVerifier), createIntakeRouter({ store: intakeStore }));
+
+// ============================================
+// TEXT-MESSAGE INTAKE ENDPOINTS
+// ============================================
+
+// Messages from the SMS gateway, authenticated with its own token (see routes/sms.js)
+if (config.smsIntake.token) {
+    app.use(createSmsGatewayRouter({
+        handleMessage: handleSmsMessage,
+        token: config.smsIntake.token,
+        replyUrl: config.smsIntake.replyUrl,
+        replyToken: config.smsIntake.replyToken,
+        replyFrom: config.smsIntake.replyFrom,
+        timeoutMs: config.smsIntake.timeoutMs
+    }));
+}
+
+// Text-message cases waiting for a clinician to review and adopt
+app.use('/sms-cases', requireAuth(tokenVerifier), createSmsCaseRouter({ store: smsCaseStore }));
+
+// ============================================
+// HEALTH CHECK AND METRICS ENDPOINTS
+// ============================================
+
+// Liveness, readiness (probes the AI provider) and Prometheus metrics (see routes/health.js)
+app.use(createHealthRouter({
+    aiProvider,
+    readiness,
+    metrics,
+    metricsToken: config.monitoring.metricsToken,
+    verifier: tokenVerifier
+}));
 
 // ============================================
 // START SERVER
@@ -250,14 +631,50 @@ app.listen(PORT, () => {
     console.log('CareCompass AI Backend Server');
     console.log('===========================================');
     console.log(`Server running on port ${PORT}`);
-    console.log(`Health check: /health`);
-    console.log(`Triage endpoint: POST /analyze`);
+    console.log(`Health check: /health/live, readiness: /health/ready, metrics: /metrics`);
+    console.log(`Triage endpoint: POST /analyze (streaming: POST /analyze/stream, questions: POST /analyze/clarify)`);
+    console.log(`FHIR export: POST /export/fhir/case, POST /export/fhir/patient, PDF report: POST /export/pdf/case`);
+    console.log(`Patients and cases: /records/patients, /records/cases (store: ${recordStore.name})`);
+    console.log(`Critical-case alerts: ${alerts.minRiskLevel} and above, channels: ${alerts.channelNames.join(', ') || 'none (in the app only)'}`);
+    console.log(`Front-desk intake: GET /intake/registrations${config.hl7.httpToken ? ', HL7 over HTTP: POST /hl7' : ''}`);
+    console.log(`Text-message intake: GET /sms-cases${config.smsIntake.token ? ', from the SMS gateway: POST /sms/inbound' : ' (gateway off: set SMS_INTAKE_TOKEN)'}`);
+    console.log(`Usage summary: GET /admin/usage`);
+    console.log(`Audit trail: GET /admin/audit (log: ${auditStore.filePath})`);
+    console.log(`AI provider: ${aiProvider.name} (${aiProvider.model}), photos ${aiProvider.acceptsImages ? 'sent to the AI' : 'not sent to the AI'}`);
+    console.log(`Photo attachments: POST /attachments (up to ${Math.floor(config.attachments.maxBytes / 1024)} KB, kept in ${attachmentStore.dirPath})`);
+    console.log(`Prompt template: ${prompts.activeVersion}`);
+    console.log(`Auth verifier: ${tokenVerifier.name}`);
     console.log('===========================================');
 
-    // Warn if API key is not set
-    if (GEMINI_API_KEY === 'YOUR_GEMINI_API_KEY_HERE') {
-        console.warn('⚠️  WARNING: Gemini API key not set!');
-        console.warn('⚠️  Please replace YOUR_GEMINI_API_KEY_HERE in server.js');
-        console.warn('⚠️  Get your key from: https://makersuite.google.com/app/apikey');
+    // Remind that mock responses are not real triage
+    if (aiProvider.name === 'mock') {
+        console.warn('⚠️  WARNING: Using the MOCK AI provider. Responses are fixed test data!');
+    }
+    if (tokenVerifier.name === 'local') {
+        console.warn('⚠️  WARNING: Using the LOCAL auth verifier. Do not use in production!');
+    }
+
+    // HL7 MLLP listener for the HIS, if a port is set
+    if (config.hl7.mllpPort > 0) {
+        createMllpServer({ handleMessage: handleHl7Message, allowedIps: config.hl7.allowedIps })
+            .on('error', error => console.error(`HL7 MLLP listener failed: ${error.message}`))
+            .listen(config.hl7.mllpPort, config.hl7.mllpHost, () => {
+                console.log(`HL7 MLLP listener on ${config.hl7.mllpHost}:${config.hl7.mllpPort}`);
+            });
     }
+
+    // Retry the alert deliveries left pending when the server last stopped
+    alerts.resume().then(count => {
+        if (count > 0) console.log(`Resuming ${count} alert(s) with deliveries pending`);
+    }).catch(error => console.error(`Could not read the alerts: ${error.message}`));
+
+    // Probe the AI provider once at startup so a bad key or model shows in the log right away
+    readiness.run().then(result => {
+        if (!result.ready) {
+            console.warn(`⚠️  WARNING: Not ready: ${Object.entries(result.checks)
+                .filter(([, check]) => check.status !== 'ok')
+                .map(([name, check]) => `${name}: ${check.error}`)
+                .join('; ')}`);
+        }
+    });
 });
@@ -0,0 +1,133 @@
+// ============================================
+// Record Store: Firestore
+// ============================================
+// Patients and cases in the `patients` and `cases` collections the app
+// has always used, through the Admin SDK. Dates are written as Firestore
+// Timestamps (so the app's own queries keep ordering by createdAt) and
+// read back as ISO strings.
+//
+// The case filters combine equality filters with a createdAt range and
+// order; Firestore asks for a composite index the first time a new
+// combination is used and logs a link that creates it.
+
+const { initializeApp, getApps, applicationDefault } = require('firebase-admin/app');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+
+/**
+ * A Firestore value with Timestamps turned into ISO strings (nested too,
+ * e.g. inside triageData)
+ */
+function fromFirestore(value) {
+    if (value instanceof Timestamp) return value.toDate().toISOString();
+    if (Array.isArray(value)) return value.map(fromFirestore);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromFirestore(item)]));
+    }
+    return value;
+}
+
+/**
+ * The fields of a record that are written to the document (the store
+ * sets id and the dates itself)
+ */
+function fieldsOf(record) {
+    const fields = { ...record };
+    ['id', 'createdAt', 'updatedAt'].forEach(field => delete fields[field]);
+    return fields;
+}
+
+/**
+ * A document snapshot as a record (null if it does not exist)
+ */
+function toRecord(doc) {
+    return doc.exists ? { id: doc.id, ...fromFirestore(doc.data()) } : null;
+}
+
+/**
+ * Creates a store backed by Firestore in the given project
+ */
+function createFirestoreStore({ projectId }) {
+    const options = { projectId };
+    if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+        options.credential = applicationDefault();
+    }
+    const app = getApps().length > 0 ? getApps()[0] : initializeApp(options);
+    const db = getFirestore(app);
+
+    /**
+     * Runs a newest-first query on a collection
+     */
+    async function list(collection, applyFilters, limit) {
+        let query = applyFilters(db.collection(collection)).orderBy('createdAt', 'desc');
+        if (limit) query = query.limit(limit);
+        const snapshot = await query.get();
+        return snapshot.docs.map(toRecord);
+    }
+
+    async function get(collection, id) {
+        return toRecord(await db.collection(collection).doc(id).get());
+    }
+
+    async function create(collection, data) {
+        const fields = fieldsOf(data);
+        const createdAt = new Date();
+        const ref = await db.collection(collection).add({ ...fields, createdAt: Timestamp.fromDate(createdAt) });
+        return { id: ref.id, ...fields, createdAt: createdAt.toISOString() };
+    }
+
+    async function update(collection, id, changes) {
+        const ref = db.collection(collection).doc(id);
+        try {
+            await ref.update({ ...fieldsOf(changes), updatedAt: Timestamp.now() });
+        } catch (error) {
+            // NOT_FOUND: there is no document to update
+            if (error.code === 5) return null;
+            throw error;
+        }
+        return get(collection, id);
+    }
+
+    async function remove(collection, id) {
+        const ref = db.collection(collection).doc(id);
+        if (!(await ref.get()).exists) return false;
+        await ref.delete();
+        return true;
+    }
+
+    return {
+        name: 'firestore',
+
+        listPatients({ doctorId, name, limit } = {}) {
+            return list('patients', query => {
+                if (doctorId) query = query.where('doctorId', '==', doctorId);
+                if (name) query = query.where('name', '==', name);
+                return query;
+            }, limit);
+        },
+
+        getPatient: id => get('patients', id),
+        createPatient: data => create('patients', data),
+        updatePatient: (id, changes) => update('patients', id, changes),
+        deletePatient: id => remove('patients', id),
+
+        listCases({ doctorId, patientId, riskLevel, from, to, limit } = {}) {
+            return list('cases', query => {
+                if (doctorId) query = query.where('doctorId', '==', doctorId);
+                if (patientId) query = query.where('patientId', '==', patientId);
+                if (riskLevel) query = query.where('triageData.risk_level', '==', riskLevel);
+                if (from) query = query.where('createdAt', '>=', Timestamp.fromDate(new Date(from)));
+                if (to) query = query.where('createdAt', '<=', Timestamp.fromDate(new Date(to)));
+                return query;
+            }, limit);
+        },
+
+        getCase: id => get('cases', id),
+        createCase: data => create('cases', data),
+        updateCase: (id, changes) => update('cases', id, changes),
+        deleteCase: id => remove('cases', id)
+    };
+}
+
+module.exports = {
+    createFirestoreStore
+};
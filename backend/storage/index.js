@@ -0,0 +1,50 @@
+// ============================================
+// CareCompass AI - Patient and Case Storage
+// ============================================
+// The /records endpoints keep patients and cases in a pluggable store:
+//
+//   {
+//     name: string,                                   // 'sqlite' | 'firestore'
+//     listPatients({ doctorId, name, limit }) -> Promise<[patient]>
+//     getPatient(id)                          -> Promise<patient | null>
+//     createPatient(data)                     -> Promise<patient>
+//     updatePatient(id, changes)              -> Promise<patient | null>
+//     deletePatient(id)                       -> Promise<boolean>
+//     listCases({ doctorId, patientId, riskLevel, from, to, limit }) -> Promise<[case]>
+//     getCase(id) / createCase(data) / updateCase(id, changes) / deleteCase(id)
+//   }
+//
+// Records look like the Firestore documents the app has always saved
+// (camelCase fields such as patientName, triageData, doctorId) plus
+// their `id`, with createdAt and updatedAt as ISO strings. The store sets
+// id and createdAt on create and updatedAt on update. Lists are newest
+// first; from and to are inclusive ISO dates on createdAt.
+//
+// - firestore: the same Firestore project the app uses (needs service
+//              account credentials, GOOGLE_APPLICATION_CREDENTIALS)
+// - sqlite:    a local database file, so a site can keep working on its
+//              own server when the internet is down
+
+const { createFirestoreStore } = require('./firestore');
+const { createSqliteStore } = require('./sqlite');
+
+const STORE_FACTORIES = {
+    firestore: storageConfig => createFirestoreStore(storageConfig.firestore),
+    sqlite: storageConfig => createSqliteStore(storageConfig.sqlite)
+};
+
+/**
+ * Creates the store named in the storage configuration
+ * Throws if the store is unknown or cannot be opened
+ */
+function createRecordStore(storageConfig) {
+    const factory = STORE_FACTORIES[storageConfig.backend];
+    if (!factory) {
+        throw new Error(`Unknown RECORDS_BACKEND "${storageConfig.backend}". Use one of: ${Object.keys(STORE_FACTORIES).join(', ')}`);
+    }
+    return factory(storageConfig);
+}
+
+module.exports = {
+    createRecordStore
+};
@@ -0,0 +1,195 @@
+// ============================================
+// Record Store: SQLite
+// ============================================
+// Patients and cases in a local SQLite file (better-sqlite3). Each record
+// is kept whole as JSON in `data`; the fields the filters use are copied
+// into their own indexed columns.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS patients (
+        id TEXT PRIMARY KEY,
+        doctor_id TEXT,
+        name TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS patients_by_doctor ON patients (doctor_id, created_at);
+
+    CREATE TABLE IF NOT EXISTS cases (
+        id TEXT PRIMARY KEY,
+        patient_id TEXT,
+        doctor_id TEXT,
+        risk_level TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS cases_by_doctor ON cases (doctor_id, created_at);
+    CREATE INDEX IF NOT EXISTS cases_by_patient ON cases (patient_id, created_at);
+    CREATE INDEX IF NOT EXISTS cases_by_risk ON cases (risk_level, created_at);
+`;
+
+// Fields kept in columns rather than in `data`
+const OWN_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+/**
+ * A record without the fields kept in their own columns
+ */
+function dataOf(record) {
+    const data = { ...record };
+    OWN_FIELDS.forEach(field => delete data[field]);
+    return data;
+}
+
+/**
+ * A database row as a record
+ */
+function toRecord(row) {
+    if (!row) return null;
+    const record = { id: row.id, ...JSON.parse(row.data), createdAt: row.created_at };
+    if (row.updated_at) record.updatedAt = row.updated_at;
+    return record;
+}
+
+/**
+ * Creates a store backed by the SQLite file at filePath (created if missing)
+ */
+function createSqliteStore({ filePath }) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    const patientColumns = record => ({
+        id: record.id,
+        doctor_id: record.doctorId || null,
+        name: record.name,
+        created_at: record.createdAt,
+        updated_at: record.updatedAt || null,
+        data: JSON.stringify(dataOf(record))
+    });
+    const caseColumns = record => ({
+        id: record.id,
+        patient_id: record.patientId || null,
+        doctor_id: record.doctorId || null,
+        risk_level: record.triageData ? record.triageData.risk_level : null,
+        created_at: record.createdAt,
+        updated_at: record.updatedAt || null,
+        data: JSON.stringify(dataOf(record))
+    });
+
+    const statements = {
+        getPatient: db.prepare('SELECT * FROM patients WHERE id = ?'),
+        insertPatient: db.prepare(`INSERT INTO patients (id, doctor_id, name, created_at, updated_at, data)
+            VALUES (@id, @doctor_id, @name, @created_at, @updated_at, @data)`),
+        updatePatient: db.prepare(`UPDATE patients SET doctor_id = @doctor_id, name = @name,
+            updated_at = @updated_at, data = @data WHERE id = @id`),
+        deletePatient: db.prepare('DELETE FROM patients WHERE id = ?'),
+        getCase: db.prepare('SELECT * FROM cases WHERE id = ?'),
+        insertCase: db.prepare(`INSERT INTO cases (id, patient_id, doctor_id, risk_level, created_at, updated_at, data)
+            VALUES (@id, @patient_id, @doctor_id, @risk_level, @created_at, @updated_at, @data)`),
+        updateCase: db.prepare(`UPDATE cases SET patient_id = @patient_id, doctor_id = @doctor_id, risk_level = @risk_level,
+            updated_at = @updated_at, data = @data WHERE id = @id`),
+        deleteCase: db.prepare('DELETE FROM cases WHERE id = ?')
+    };
+
+    /**
+     * Runs a newest-first SELECT with the conditions whose value is set
+     * conditions: [[sql, parameter name, value], ...]
+     */
+    function select(table, conditions, limit) {
+        const clauses = [];
+        const params = {};
+        conditions.forEach(([sql, name, value]) => {
+            if (value === undefined || value === null) return;
+            clauses.push(sql);
+            params[name] = value;
+        });
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        const limitClause = limit ? `LIMIT ${Number(limit)}` : '';
+        return db.prepare(`SELECT * FROM ${table} ${where} ORDER BY created_at DESC, id ${limitClause}`).all(params).map(toRecord);
+    }
+
+    /**
+     * An ISO date as stored (so string comparison orders correctly)
+     */
+    function isoOrNull(value) {
+        return value ? new Date(value).toISOString() : null;
+    }
+
+    return {
+        name: 'sqlite',
+        filePath,
+
+        async listPatients({ doctorId, name, limit } = {}) {
+            return select('patients', [
+                ['doctor_id = @doctorId', 'doctorId', doctorId],
+                ['name = @name', 'name', name]
+            ], limit);
+        },
+
+        async getPatient(id) {
+            return toRecord(statements.getPatient.get(id));
+        },
+
+        async createPatient(data) {
+            const record = { ...dataOf(data), id: crypto.randomUUID(), createdAt: new Date().toISOString() };
+            statements.insertPatient.run(patientColumns(record));
+            return record;
+        },
+
+        async updatePatient(id, changes) {
+            const existing = toRecord(statements.getPatient.get(id));
+            if (!existing) return null;
+            const record = { ...existing, ...dataOf(changes), updatedAt: new Date().toISOString() };
+            statements.updatePatient.run(patientColumns(record));
+            return record;
+        },
+
+        async deletePatient(id) {
+            return statements.deletePatient.run(id).changes > 0;
+        },
+
+        async listCases({ doctorId, patientId, riskLevel, from, to, limit } = {}) {
+            return select('cases', [
+                ['doctor_id = @doctorId', 'doctorId', doctorId],
+                ['patient_id = @patientId', 'patientId', patientId],
+                ['risk_level = @riskLevel', 'riskLevel', riskLevel],
+                ['created_at >= @from', 'from', isoOrNull(from)],
+                ['created_at <= @to', 'to', isoOrNull(to)]
+            ], limit);
+        },
+
+        async getCase(id) {
+            return toRecord(statements.getCase.get(id));
+        },
+
+        async createCase(data) {
+            const record = { ...dataOf(data), id: crypto.randomUUID(), createdAt: new Date().toISOString() };
+            statements.insertCase.run(caseColumns(record));
+            return record;
+        },
+
+        async updateCase(id, changes) {
+            const existing = toRecord(statements.getCase.get(id));
+            if (!existing) return null;
+            const record = { ...existing, ...dataOf(changes), updatedAt: new Date().toISOString() };
+            statements.updateCase.run(caseColumns(record));
+            return record;
+        },
+
+        async deleteCase(id) {
+            return statements.deleteCase.run(id).changes > 0;
+        }
+    };
+}
+
+module.exports = {
+    createSqliteStore
+};
@@ -0,0 +1,168 @@
+// ============================================
+// Patient and Case Validation
+// ============================================
+// Checks what the app sends to the /records endpoints before it is
+// stored. Fields are the ones the app has always saved to Firestore;
+// anything else is rejected, so a typo never ends up in the record.
+//
+// Both return { record } (the cleaned fields) or { errors: [...] }.
+// With { partial: true } (PATCH) only the fields sent are checked, and
+// only the editable ones are allowed. validateSavedCase and
+// validateSavedPatient check documents read back from a store (for the
+// exports), which also carry the store's id, doctorId and timestamps.
+
+const { AGE_UNITS, SEXES, PREGNANCY_STATUSES } = require('../triage/population');
+const { HISTORY_FIELDS, parsePatientHistory } = require('../triage/patientHistory');
+const { validateTriageData } = require('../triage/schema');
+const { MAX_ATTACHMENTS, parseAttachmentIds } = require('../attachments/attachmentStore');
+
+const MAX_NAME_LENGTH = 200;
+const MAX_TEXT_LENGTH = 5000;
+
+/**
+ * Checkers by kind: return an error message, or null
+ */
+const CHECKS = {
+    name: value => typeof value === 'string' && value.trim() && value.length <= MAX_NAME_LENGTH
+        ? null : `must be text of 1-${MAX_NAME_LENGTH} characters`,
+    text: value => typeof value === 'string' && value.length <= MAX_TEXT_LENGTH
+        ? null : `must be text of at most ${MAX_TEXT_LENGTH} characters`,
+    optionalText: value => value === null || (typeof value === 'string' && value.length <= MAX_TEXT_LENGTH)
+        ? null : `must be text of at most ${MAX_TEXT_LENGTH} characters, or null`,
+    // Same ages as /analyze takes: a number (2.5 years) in the unit of patientAgeUnit/ageUnit
+    age: value => value === '' || value === null || (['string', 'number'].includes(typeof value) && /^\d{1,3}(?:\.\d{1,2})?$/.test(String(value)))
+        ? null : 'must be a number of years, months, weeks or days (at most 2 decimals)',
+    ageUnit: value => AGE_UNITS.includes(value) ? null : `must be one of: ${AGE_UNITS.join(', ')}`,
+    sex: value => SEXES.includes(value) ? null : `must be one of: ${SEXES.join(', ')}`,
+    pregnancyStatus: value => PREGNANCY_STATUSES.includes(value) ? null : `must be one of: ${PREGNANCY_STATUSES.join(', ')}`,
+    weeks: value => value === null || (Number.isInteger(value) && value >= 1 && value <= 45) ? null : 'must be 1-45 or null',
+    boolean: value => typeof value === 'boolean' ? null : 'must be true or false',
+    timestamp: value => value === null || (typeof value === 'string' && !Number.isNaN(Date.parse(value)))
+        ? null : 'must be an ISO date-time or null',
+    clarifications: value => Array.isArray(value) && value.every(c => c && typeof c.question === 'string')
+        ? null : 'must be a list of { question, answer }',
+    attachmentIds: value => parseAttachmentIds(value).error ? `must be a list of at most ${MAX_ATTACHMENTS} photo ids` : null,
+    vitals: value => value === null || typeof value === 'string' || (typeof value === 'object' && !Array.isArray(value))
+        ? null : 'must be the parsed vitals object, text or null',
+    triageData: value => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be the triage result object';
+        const errors = validateTriageData(value);
+        return errors.length > 0 ? `is not a valid triage result: ${errors.join('; ')}` : null;
+    }
+};
+
+// Patient document fields: kind, required on create
+const PATIENT_FIELDS = {
+    name: ['name', true],
+    age: ['age', false],
+    ageUnit: ['ageUnit', false],
+    sex: ['sex', false],
+    clinicalRef: ['optionalText', false]
+};
+
+// Case document fields: kind, required on create
+const CASE_FIELDS = {
+    patientId: ['optionalText', false],
+    patientName: ['name', true],
+    patientAge: ['age', false],
+    patientAgeUnit: ['ageUnit', false],
+    patientSex: ['sex', false],
+    pregnancyStatus: ['pregnancyStatus', false],
+    gestationWeeks: ['weeks', false],
+    populationMode: ['optionalText', false],
+    symptoms: ['text', true],
+    symptomsEnglish: ['optionalText', false],
+    inputLanguage: ['optionalText', false],
+    outputLanguage: ['optionalText', false],
+    clarifications: ['clarifications', false],
+    vitals: ['vitals', false],
+    attachmentIds: ['attachmentIds', false],
+    triageData: ['triageData', true],
+    promptVersion: ['optionalText', false],
+    clinicianName: ['optionalText', false],
+    isActive: ['boolean', false]
+};
+
+// Fields the store sets on a saved document
+const STORED_FIELDS = {
+    id: ['optionalText', false],
+    doctorId: ['optionalText', false],
+    createdAt: ['timestamp', false],
+    updatedAt: ['timestamp', false]
+};
+
+// What PATCH may change on a saved case (the assessment itself stays as recorded)
+const CASE_EDITABLE = ['clinicianName', 'isActive'];
+
+/**
+ * Checks a body against field rules; medications, allergies and
+ * conditions are read with the same rules as /analyze
+ */
+function validate(body, fields, { partial, editable }) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['The body must be a JSON object'] };
+    }
+
+    const errors = [];
+    const record = {};
+    const allowed = editable || [...Object.keys(fields), ...HISTORY_FIELDS];
+
+    Object.keys(body).forEach(key => {
+        if (!allowed.includes(key)) errors.push(`${key} is not a field that can be ${partial ? 'changed' : 'saved'}`);
+    });
+
+    Object.entries(fields).forEach(([key, [kind, required]]) => {
+        if (!allowed.includes(key)) return;
+        if (body[key] === undefined) {
+            if (required && !partial) errors.push(`${key} is required`);
+            return;
+        }
+        const error = CHECKS[kind](body[key]);
+        if (error) errors.push(`${key} ${error}`);
+        else record[key] = kind === 'age' && body[key] !== null ? String(body[key]) : body[key];
+    });
+
+    const historyFields = HISTORY_FIELDS.filter(field => allowed.includes(field) && body[field] !== undefined);
+    if (historyFields.length > 0) {
+        const { history, error } = parsePatientHistory(body);
+        if (error) errors.push(error);
+        else historyFields.forEach(field => { record[field] = history[field]; });
+    }
+
+    return errors.length > 0 ? { errors } : { record };
+}
+
+/**
+ * Validates a patient document (create, or PATCH with partial)
+ */
+function validatePatient(body, { partial = false } = {}) {
+    return validate(body, PATIENT_FIELDS, { partial });
+}
+
+/**
+ * Validates a case document (create, or PATCH with partial)
+ */
+function validateCase(body, { partial = false } = {}) {
+    return validate(body, CASE_FIELDS, { partial, editable: partial ? CASE_EDITABLE : null });
+}
+
+/**
+ * Validates a patient document as saved, with its id and timestamps
+ */
+function validateSavedPatient(body) {
+    return validate(body, { ...PATIENT_FIELDS, ...STORED_FIELDS }, { partial: false });
+}
+
+/**
+ * Validates a case document as saved, with its id, doctorId and timestamps
+ */
+function validateSavedCase(body) {
+    return validate(body, { ...CASE_FIELDS, ...STORED_FIELDS }, { partial: false });
+}
+
+module.exports = {
+    validatePatient,
+    validateCase,
+    validateSavedPatient,
+    validateSavedCase
+};
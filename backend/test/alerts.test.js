@@ -0,0 +1,168 @@
+// ============================================
+// Behavior Tests: Critical-Case Alerts
+// ============================================
+// Alerts go to the local stand-in channels (npm run alert-sink).
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { freePort, startProcess, startServer, waitFor } = require('./helpers');
+
+const CRITICAL_CASE = {
+    patientName: 'Ravi Kumar',
+    age: 60,
+    sex: 'male',
+    symptoms: 'Found unresponsive at home',
+    vitals: 'HR 130 SpO2 86'
+};
+
+/**
+ * Triages a case and saves it (with a new patient) as the given clinician
+ * Returns { patient, saved }
+ */
+async function triageAndSave(server, uid, request = CRITICAL_CASE) {
+    const triage = await server.request('POST', '/analyze', { body: request, uid });
+    const { vitals, ...triageData } = triage.body;
+
+    const patient = await server.request('POST', '/records/patients', {
+        body: { name: request.patientName, age: request.age, sex: request.sex },
+        uid
+    });
+    const saved = await server.request('POST', '/records/cases', {
+        body: {
+            patientId: patient.body.id,
+            patientName: request.patientName,
+            patientAge: request.age,
+            symptoms: request.symptoms,
+            vitals,
+            triageData
+        },
+        uid
+    });
+    return { patient: patient.body, saved: saved.body };
+}
+
+describe('critical-case alerts', () => {
+    let sink;
+    let server;
+
+    before(async () => {
+        const httpPort = await freePort();
+        const smtpPort = await freePort();
+        sink = await startProcess('scripts/alert-sink.js', {
+            args: ['--http-port', String(httpPort), '--smtp-port', String(smtpPort)],
+            readyPattern: /(?=[\s\S]*Webhook and SMS stand-in)(?=[\s\S]*SMTP stand-in)/
+        });
+        server = await startServer({
+            ALERT_WEBHOOK_URL: `http://127.0.0.1:${httpPort}/webhook`,
+            ALERT_SMS_URL: `http://127.0.0.1:${httpPort}/sms`,
+            ALERT_SMS_TO: '+919800000099',
+            ALERT_SMTP_HOST: '127.0.0.1',
+            ALERT_SMTP_PORT: String(smtpPort),
+            ALERT_EMAIL_FROM: 'alerts@localhost',
+            ALERT_EMAIL_TO: 'oncall@localhost',
+            ALERT_PUBLIC_URL: 'http://localhost:3000'
+        });
+    });
+
+    after(async () => {
+        await server.stop();
+        await sink.stop();
+    });
+
+    it('pages every channel when a critical case is saved', async () => {
+        const { saved } = await triageAndSave(server, 'doc-1');
+        assert.equal(saved.triageData.risk_level, 'Critical');
+
+        const alert = await waitFor(async () => {
+            const { body } = await server.request('GET', `/alerts?case_id=${saved.id}`);
+            const [found] = body.alerts;
+            return found && found.deliveries.every(d => d.status === 'sent') && found;
+        }, { message: 'the alert deliveries' });
+
+        assert.deepEqual(alert.deliveries.map(d => d.channel).sort(), ['email', 'sms', 'webhook']);
+        assert.equal(alert.ack_token, undefined);
+        assert.match(sink.output(), /HTTP POST \/webhook/);
+        assert.match(sink.output(), /HTTP POST \/sms/);
+        assert.match(sink.output(), /SMTP to oncall@localhost/);
+    });
+
+    it('lets the clinician acknowledge the alert', async () => {
+        const { saved } = await triageAndSave(server, 'doc-1');
+        const { body } = await waitFor(async () => {
+            const response = await server.request('GET', `/alerts?case_id=${saved.id}`);
+            return response.body.alerts.length > 0 && response;
+        }, { message: 'the alert' });
+
+        const acknowledged = await server.request('POST', `/alerts/${body.alerts[0].id}/acknowledge`, { body: {} });
+        assert.equal(acknowledged.status, 200);
+        assert.ok(acknowledged.body.acknowledged_at);
+        assert.equal(acknowledged.body.acknowledged_by.via, 'app');
+    });
+
+    it('never hands another clinician\'s alert to whoever reports its case', async () => {
+        const { saved } = await triageAndSave(server, 'doc-1');
+        await waitFor(async () => (await server.request('GET', `/alerts?case_id=${saved.id}`)).body.alerts.length > 0,
+            { message: 'the alert' });
+
+        const reported = await server.request('POST', '/alerts', {
+            body: { case_id: saved.id, case: { ...saved, id: undefined, doctorId: undefined, createdAt: undefined, updatedAt: undefined } },
+            uid: 'doc-2'
+        });
+        assert.equal(reported.status, 403);
+        assert.ok(!reported.text.includes(saved.patientId));
+        assert.ok(!reported.text.includes(saved.triageData.triage_recommendation));
+    });
+
+    it('does not add a case to another clinician\'s open alert for the same patient', async () => {
+        const { saved } = await triageAndSave(server, 'doc-1');
+        await waitFor(async () => (await server.request('GET', `/alerts?case_id=${saved.id}`)).body.alerts.length > 0,
+            { message: 'the alert' });
+
+        const reported = await server.request('POST', '/alerts', {
+            body: {
+                case_id: 'doc-2-case-1',
+                case: { patientId: saved.patientId, patientName: 'Someone', symptoms: 'Unresponsive', triageData: saved.triageData }
+            },
+            uid: 'doc-2'
+        });
+        assert.equal(reported.status, 201);
+        assert.equal(reported.body.status, 'created');
+        assert.equal(reported.body.alert.doctor_id, 'doc-2');
+
+        const { body } = await server.request('GET', `/alerts?case_id=${saved.id}`);
+        assert.deepEqual(body.alerts[0].repeat_case_ids, []);
+    });
+});
+
+describe('alert store failures', () => {
+    let server;
+    let storeDir;
+
+    before(async () => {
+        storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'carecompass-alerts-'));
+        fs.writeFileSync(path.join(storeDir, 'alerts.json'), '{ not json');
+        server = await startServer({ ALERTS_PATH: path.join(storeDir, 'alerts.json') });
+    });
+
+    after(async () => {
+        await server.stop();
+        fs.rmSync(storeDir, { recursive: true, force: true });
+    });
+
+    it('answers a generic 500 and logs the cause', async () => {
+        const list = await server.request('GET', '/alerts');
+        assert.equal(list.status, 500);
+        assert.deepEqual(list.body, { error: 'Could not read the alerts. Please try again.' });
+
+        const acknowledged = await server.request('POST', '/alerts/alert-1/acknowledge', { body: {} });
+        assert.equal(acknowledged.status, 500);
+        assert.deepEqual(acknowledged.body, { error: 'Could not acknowledge the alert. Please try again.' });
+
+        // The log line can reach the pipe after the response
+        await waitFor(() => server.output().includes('"event":"alert_list_failed"'), { message: 'the alert_list_failed log line' });
+        await waitFor(() => server.output().includes('"event":"alert_acknowledge_failed"'), { message: 'the alert_acknowledge_failed log line' });
+    });
+});
@@ -0,0 +1,149 @@
+// ============================================
+// Behavior Tests: AI Providers and the Mock
+// ============================================
+// Picking a provider from the configuration, the deterministic mock's
+// fixtures, an OpenAI-compatible endpoint served locally, and /analyze
+// answering from the mock with the provider and model it used.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../config');
+const { createProvider } = require('../providers');
+const { parseAIResponse } = require('../triage/schema');
+const { startServer } = require('./helpers');
+
+const FEVER_CASE = {
+    patientName: 'Asha Devi',
+    age: 45,
+    sex: 'female',
+    symptoms: 'Fever and cough for 3 days',
+    vitals: 'BP 118/76 HR 96 T 38.4 SpO2 97'
+};
+
+describe('createProvider', () => {
+    it('picks the provider and its default model from the configuration', () => {
+        const mock = createProvider(loadConfig({ AI_PROVIDER: 'mock' }).ai);
+        assert.equal(mock.name, 'mock');
+        assert.equal(mock.model, 'mock-triage-v1');
+
+        const openai = createProvider(loadConfig({ AI_PROVIDER: 'OpenAI', AI_MODEL: 'llama-3.1-8b' }).ai);
+        assert.equal(openai.name, 'openai');
+        assert.equal(openai.model, 'llama-3.1-8b');
+        assert.equal(openai.acceptsImages, false);
+    });
+
+    it('refuses an unknown provider and Gemini without a key', () => {
+        assert.throws(() => createProvider(loadConfig({ AI_PROVIDER: 'claude' }).ai), /Unknown AI_PROVIDER "claude". Use one of: gemini, openai, mock/);
+        assert.throws(() => createProvider(loadConfig({ AI_PROVIDER: 'gemini' }).ai), /GEMINI_API_KEY is not set/);
+    });
+});
+
+describe('mock provider', () => {
+    const mock = createProvider(loadConfig({ AI_PROVIDER: 'mock' }).ai);
+
+    it('answers by keyword in the symptoms, the same way every time', async () => {
+        const chestPain = await mock.generate({ input: { symptoms: 'Crushing CHEST PAIN since morning' } });
+        assert.equal(chestPain, await mock.generate({ input: { symptoms: 'Crushing CHEST PAIN since morning' } }));
+        assert.deepEqual(parseAIResponse(chestPain).errors, []);
+        assert.match(JSON.parse(chestPain).tests_advised.join(' '), /ECG/);
+
+        const other = JSON.parse(await mock.generate({ input: { symptoms: 'Itchy ankle' } }));
+        assert.deepEqual(other.tests_advised, ['Routine vital signs']);
+    });
+
+    it('streams the same text in chunks', async () => {
+        const request = { input: { symptoms: 'Fever for 2 days' } };
+        const chunks = [];
+        for await (const chunk of mock.stream(request)) chunks.push(chunk);
+        assert.ok(chunks.length > 1);
+        assert.equal(chunks.join(''), await mock.generate(request));
+    });
+
+    it('returns the fixture questions for clarifying requests', async () => {
+        const text = await mock.generate({ input: { symptoms: 'Fever for 2 days' }, task: 'clarify' });
+        assert.ok(Array.isArray(JSON.parse(text).questions));
+    });
+
+    it('reads its fixtures from MOCK_RESPONSES_FILE', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'carecompass-mock-'));
+        const file = path.join(dir, 'responses.json');
+        fs.writeFileSync(file, JSON.stringify([{ id: 'default', response: { risk_level: 'Low' } }]));
+        try {
+            const custom = createProvider(loadConfig({ AI_PROVIDER: 'mock', MOCK_RESPONSES_FILE: file }).ai);
+            assert.equal(await custom.generate({ input: { symptoms: 'Anything' } }), '{"risk_level":"Low"}');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('OpenAI-compatible provider', () => {
+    let endpoint;
+    let url;
+    const received = [];
+
+    before(async () => {
+        endpoint = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ path: req.url, authorization: req.headers.authorization, body: JSON.parse(body) });
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: '{"risk_level": "Low"}' } }] }));
+            });
+        });
+        endpoint.listen(0, '127.0.0.1');
+        await new Promise(resolve => endpoint.once('listening', resolve));
+        url = `http://127.0.0.1:${endpoint.address().port}/v1/`;
+    });
+
+    after(() => new Promise(resolve => endpoint.close(resolve)));
+
+    it('posts the prompt to /chat/completions and returns the reply text', async () => {
+        const provider = createProvider(loadConfig({ AI_PROVIDER: 'openai', AI_MODEL: 'local-model', OPENAI_BASE_URL: url, OPENAI_API_KEY: 'site-key' }).ai);
+        assert.equal(await provider.generate({ prompt: 'Triage this case' }), '{"risk_level": "Low"}');
+
+        const [request] = received;
+        assert.equal(request.path, '/v1/chat/completions');
+        assert.equal(request.authorization, 'Bearer site-key');
+        assert.equal(request.body.model, 'local-model');
+        assert.deepEqual(request.body.messages, [{ role: 'user', content: 'Triage this case' }]);
+    });
+});
+
+describe('/analyze with the mock provider', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('returns a validated assessment with the provider and model used', async () => {
+        const { status, body } = await server.request('POST', '/analyze', { body: FEVER_CASE });
+
+        assert.equal(status, 200);
+        assert.ok(['Low', 'Moderate', 'High', 'Critical'].includes(body.risk_level));
+        assert.equal(body.ai_provider, 'mock');
+        assert.equal(body.ai_model, 'mock-triage-v1');
+        assert.equal(body.source, 'ai');
+        assert.equal(body.validation.status, 'valid');
+        assert.ok(body.audit_id);
+    });
+
+    it('gives the same answer for the same case', async () => {
+        const first = await server.request('POST', '/analyze', { body: FEVER_CASE });
+        const second = await server.request('POST', '/analyze', { body: FEVER_CASE });
+        assert.deepEqual(
+            [first.body.risk_level, first.body.risk_score, first.body.key_concerns],
+            [second.body.risk_level, second.body.risk_score, second.body.key_concerns]
+        );
+    });
+});
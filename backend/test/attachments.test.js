@@ -0,0 +1,92 @@
+// ============================================
+// Tests: Photo Metadata Stripping and Storage
+// ============================================
+// cleanImage on hand-built JPEGs: only the segment structure matters,
+// the compressed bytes are never decoded. Then what /attachments answers
+// when the photo folder cannot be used.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { cleanImage, ImageError } = require('../attachments/image');
+const { startServer, waitFor } = require('./helpers');
+
+/**
+ * A JPEG segment: marker, length, body
+ */
+function segment(marker, body) {
+    const header = Buffer.from([0xff, marker, 0, 0]);
+    header.writeUInt16BE(body.length + 2, 2);
+    return Buffer.concat([header, body]);
+}
+
+const SOI = Buffer.from([0xff, 0xd8]);
+const EOI = Buffer.from([0xff, 0xd9]);
+const EXIF = segment(0xe1, Buffer.from('Exif\0\0GPS 12.9716N 77.5946E'));
+// Baseline frame, 640x480, one component
+const SOF0 = segment(0xc0, Buffer.from([8, 0x01, 0xe0, 0x02, 0x80, 1, 1, 0x11, 0]));
+const SOF2 = segment(0xc2, Buffer.from([8, 0x01, 0xe0, 0x02, 0x80, 1, 1, 0x11, 0]));
+const DHT = segment(0xc4, Buffer.from([0x00, ...new Array(16).fill(0)]));
+const SOS = segment(0xda, Buffer.from([1, 1, 0x00, 0, 63, 0]));
+// Compressed data with a stuffed 0xFF00 and a restart marker
+const SCAN = Buffer.from([0x12, 0xff, 0x00, 0x34, 0xff, 0xd0, 0x56, 0x78]);
+
+const hasGps = data => data.includes(Buffer.from('GPS'));
+
+describe('cleanImage (JPEG)', () => {
+    it('drops the EXIF and keeps the scan', () => {
+        const image = cleanImage(Buffer.concat([SOI, EXIF, SOF0, DHT, SOS, SCAN, EOI]));
+        assert.equal(image.contentType, 'image/jpeg');
+        assert.equal(image.width, 640);
+        assert.equal(image.height, 480);
+        assert.ok(!hasGps(image.data));
+        assert.deepEqual(image.data, Buffer.concat([SOI, SOF0, DHT, SOS, SCAN, EOI]));
+    });
+
+    it('drops metadata between the scans of a progressive JPEG', () => {
+        const image = cleanImage(Buffer.concat([SOI, SOF2, DHT, SOS, SCAN, EXIF, DHT, SOS, SCAN, EOI]));
+        assert.ok(!hasGps(image.data));
+        assert.deepEqual(image.data, Buffer.concat([SOI, SOF2, DHT, SOS, SCAN, DHT, SOS, SCAN, EOI]));
+    });
+
+    it('drops a second JPEG appended after the end of the image', () => {
+        const appended = Buffer.concat([SOI, EXIF, SOF0, DHT, SOS, SCAN, EOI]);
+        const image = cleanImage(Buffer.concat([SOI, SOF0, DHT, SOS, SCAN, EOI, appended]));
+        assert.ok(!hasGps(image.data));
+        assert.deepEqual(image.data, Buffer.concat([SOI, SOF0, DHT, SOS, SCAN, EOI]));
+    });
+
+    it('rejects a JPEG cut off inside its scan', () => {
+        assert.throws(() => cleanImage(Buffer.concat([SOI, SOF0, DHT, SOS, SCAN])), ImageError);
+    });
+});
+
+describe('photo store failures', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+        // A file where the photo folder should be
+        fs.writeFileSync(path.join(server.dataDir, 'attachments'), '');
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('answers a generic 500 and logs the cause', async () => {
+        const jpeg = Buffer.concat([SOI, SOF0, DHT, SOS, SCAN, EOI]).toString('base64');
+        const upload = await server.request('POST', '/attachments', { body: { image: jpeg } });
+        assert.equal(upload.status, 500);
+        assert.deepEqual(upload.body, { error: 'Could not store the photo. Please try again.' });
+
+        const read = await server.request('GET', '/attachments/00000000-0000-4000-8000-000000000000');
+        assert.equal(read.status, 500);
+        assert.deepEqual(read.body, { error: 'Could not read the photo. Please try again.' });
+
+        // The log line can reach the pipe after the response
+        await waitFor(() => server.output().includes('"event":"attachment_write_failed"'), { message: 'the attachment_write_failed log line' });
+        await waitFor(() => server.output().includes('"event":"attachment_read_failed"'), { message: 'the attachment_read_failed log line' });
+    });
+});
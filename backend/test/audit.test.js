@@ -0,0 +1,164 @@
+// ============================================
+// Tests: Triage Audit Trail and Replay
+// ============================================
+// The append-only store on a temporary file (hash chain, tampering,
+// filters), then the records /analyze writes, the admin endpoints and
+// the replay command against them.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { createAuditStore } = require('../audit/auditStore');
+const { BACKEND_DIR, startServer } = require('./helpers');
+
+const FEVER_CASE = {
+    patientName: 'Asha Devi',
+    age: 45,
+    sex: 'female',
+    symptoms: 'Fever and cough for 3 days',
+    vitals: 'BP 118/76 HR 96 T 38.4 SpO2 97'
+};
+
+/**
+ * A minimal audit entry for the given clinician
+ */
+function entry(uid, extra = {}) {
+    return { uid, redacted_input: { age: 45, symptoms: `Fever (${uid})` }, provider: 'mock', fallback_used: false, ...extra };
+}
+
+describe('createAuditStore', () => {
+    let dir;
+    let filePath;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'carecompass-audit-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * A store on a new file in the temporary folder
+     */
+    function newStore(name) {
+        filePath = path.join(dir, `${name}.jsonl`);
+        return createAuditStore({ filePath });
+    }
+
+    it('chains each record to the one before, in the order they were appended', async () => {
+        const store = newStore('chain');
+        const records = await Promise.all([store.append(entry('doc-1')), store.append(entry('doc-2')), store.append(entry('doc-3'))]);
+
+        assert.equal(records[0].prev_hash, null);
+        assert.equal(records[1].prev_hash, records[0].record_hash);
+        assert.equal(records[2].prev_hash, records[1].record_hash);
+        assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 3);
+        assert.deepEqual(await store.verify(), { ok: true, records: 3 });
+    });
+
+    it('keeps chaining after a restart', async () => {
+        await newStore('restart').append(entry('doc-1'));
+        const [first] = await createAuditStore({ filePath }).query();
+        const second = await createAuditStore({ filePath }).append(entry('doc-2'));
+        assert.equal(second.prev_hash, first.record_hash);
+        assert.equal((await createAuditStore({ filePath }).verify()).ok, true);
+    });
+
+    it('shows an edited or deleted record in verify', async () => {
+        const store = newStore('tamper');
+        const records = [];
+        for (const uid of ['doc-1', 'doc-2', 'doc-3']) records.push(await store.append(entry(uid)));
+        const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+
+        fs.writeFileSync(filePath, [lines[0], lines[1].replace('"doc-2"', '"doc-9"'), lines[2]].join('\n') + '\n');
+        assert.deepEqual(await store.verify(), { ok: false, records: 3, broken_at: records[1].id });
+
+        fs.writeFileSync(filePath, [lines[0], lines[2]].join('\n') + '\n');
+        assert.deepEqual(await store.verify(), { ok: false, records: 2, broken_at: records[2].id });
+    });
+
+    it('hashes the redacted input and cuts out image data', async () => {
+        const store = newStore('image');
+        const record = await store.append(entry('doc-1', { redacted_input: { symptoms: 'Rash, see data:image/png;base64,iVBORw0KGgo=' } }));
+        assert.equal(record.redacted_input.symptoms, 'Rash, see [image removed]');
+        assert.match(record.input_hash, /^[0-9a-f]{64}$/);
+        assert.ok(!fs.readFileSync(filePath, 'utf8').includes('base64'));
+    });
+
+    it('filters the records, newest first', async () => {
+        const store = newStore('query');
+        await store.append(entry('doc-1'));
+        await store.append(entry('doc-2', { fallback_used: true }));
+        await store.append(entry('doc-1', { provider: 'gemini' }));
+
+        assert.deepEqual((await store.query()).map(r => r.uid), ['doc-1', 'doc-2', 'doc-1']);
+        assert.deepEqual((await store.query({ uid: 'doc-1' })).map(r => r.provider), ['gemini', 'mock']);
+        assert.deepEqual((await store.query({ fallback: true })).map(r => r.uid), ['doc-2']);
+        assert.equal((await store.query({ limit: 1 }))[0].provider, 'gemini');
+        assert.deepEqual(await store.query({ to: '2000-01-01T00:00:00Z' }), []);
+    });
+});
+
+describe('audit trail on the server', () => {
+    let server;
+    let auditId;
+
+    before(async () => {
+        server = await startServer();
+        ({ body: { audit_id: auditId } } = await server.request('POST', '/analyze', { body: FEVER_CASE }));
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('writes a record for each /analyze call without the patient name', () => {
+        const lines = fs.readFileSync(path.join(server.dataDir, 'audit.jsonl'), 'utf8').trim().split('\n');
+        const record = lines.map(line => JSON.parse(line)).find(r => r.id === auditId);
+        assert.ok(record);
+        assert.equal(record.uid, 'doc-1');
+        assert.equal(record.provider, 'mock');
+        assert.equal(record.fallback_used, false);
+        assert.equal(record.raw_responses.length, 1);
+        assert.ok(record.prompt_version);
+        assert.ok(record.latency_ms >= 0);
+        assert.ok(!JSON.stringify(record).includes('Asha'));
+    });
+
+    it('lets admins only read, export and verify the records', async () => {
+        assert.equal((await server.request('GET', `/admin/audit/${auditId}`)).status, 403);
+        const admin = { uid: 'admin-1', role: 'admin' };
+
+        const one = await server.request('GET', `/admin/audit/${auditId}`, admin);
+        assert.equal(one.status, 200);
+        assert.equal(one.body.id, auditId);
+
+        const list = await server.request('GET', '/admin/audit?uid=doc-1', admin);
+        assert.deepEqual(list.body.records.map(r => r.id), [auditId]);
+        assert.equal((await server.request('GET', '/admin/audit?fallback=maybe', admin)).status, 400);
+
+        const csv = await server.request('GET', '/admin/audit/export?format=csv', admin);
+        assert.equal(csv.status, 200);
+        assert.match(csv.headers.get('content-disposition'), /triage-audit-.*\.csv/);
+        assert.equal(csv.text.trim().split('\n').length, 2);
+
+        assert.deepEqual((await server.request('GET', '/admin/audit/verify', admin)).body, { ok: true, records: 1 });
+    });
+
+    it('replays a record against the current prompt without writing to the log', async () => {
+        const env = { ...process.env, AI_PROVIDER: 'mock', AI_MODEL: '', AUDIT_LOG_PATH: path.join(server.dataDir, 'audit.jsonl') };
+        const { stdout } = await promisify(execFile)(process.execPath, ['scripts/replay.js', auditId, '--json'], { cwd: BACKEND_DIR, env, timeout: 30000 });
+        const report = JSON.parse(stdout);
+
+        assert.equal(report.audit_id, auditId);
+        assert.equal(report.replay.provider, 'mock');
+        assert.equal(report.replay.risk_level, report.original.risk_level);
+        assert.deepEqual(report.differences, []);
+        assert.equal(fs.readFileSync(env.AUDIT_LOG_PATH, 'utf8').trim().split('\n').length, 1);
+    });
+});
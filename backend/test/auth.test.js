@@ -0,0 +1,119 @@
+// ============================================
+// Tests: Sign-in and CORS
+// ============================================
+// requireAuth with the local verifier on a bare Express app, then the
+// origins the server lets a browser call it from.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createVerifier, requireAuth, requireRole } = require('../auth');
+const { signLocalToken } = require('../auth/local');
+const { startServer } = require('./helpers');
+
+const SECRET = 'auth-test-secret';
+
+describe('requireAuth (local verifier)', () => {
+    let listener;
+    let url;
+
+    before(async () => {
+        const verifier = createVerifier({ verifier: 'local', local: { secret: SECRET } });
+        const app = express();
+        app.get('/whoami', requireAuth(verifier), (req, res) => res.json(req.user));
+        app.get('/admin', requireAuth(verifier), requireRole('admin'), (req, res) => res.json({ ok: true }));
+        listener = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => listener.once('listening', resolve));
+        url = `http://127.0.0.1:${listener.address().port}`;
+    });
+
+    after(() => new Promise(resolve => listener.close(resolve)));
+
+    /**
+     * GETs a path with the token as the Bearer (none if null)
+     */
+    async function get(path, token) {
+        const response = await fetch(`${url}${path}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+        return { status: response.status, body: await response.json() };
+    }
+
+    it('answers 401 without a token', async () => {
+        const { status, body } = await get('/whoami', null);
+        assert.equal(status, 401);
+        assert.equal(body.error, 'Authentication required. Please sign in again.');
+    });
+
+    it('answers 401 for a forged token', async () => {
+        const forgeries = [
+            signLocalToken('another-secret', { uid: 'doc-1', role: 'admin' }),
+            jwt.sign({ role: 'admin' }, '', { algorithm: 'none', subject: 'doc-1' }),
+            'not-a-token'
+        ];
+        for (const token of forgeries) {
+            const { status, body } = await get('/whoami', token);
+            assert.equal(status, 401);
+            assert.equal(body.error, 'Invalid or expired session. Please sign in again.');
+        }
+    });
+
+    it('answers 401 for an expired token', async () => {
+        const { status } = await get('/whoami', signLocalToken(SECRET, { uid: 'doc-1' }, -60));
+        assert.equal(status, 401);
+    });
+
+    it('attaches the uid and role of a valid token', async () => {
+        const { status, body } = await get('/whoami', signLocalToken(SECRET, { uid: 'doc-7', email: 'doc-7@example.org', role: 'admin' }));
+        assert.equal(status, 200);
+        assert.deepEqual(body, { uid: 'doc-7', email: 'doc-7@example.org', role: 'admin' });
+
+        const doctor = await get('/whoami', signLocalToken(SECRET, { uid: 'doc-8' }));
+        assert.equal(doctor.body.role, 'doctor');
+    });
+
+    it('answers 403 when the role does not match', async () => {
+        assert.equal((await get('/admin', signLocalToken(SECRET, { uid: 'doc-8' }))).status, 403);
+        assert.equal((await get('/admin', signLocalToken(SECRET, { uid: 'admin-1', role: 'admin' }))).status, 200);
+    });
+
+    it('refuses an unknown or unconfigured verifier', () => {
+        assert.throws(() => createVerifier({ verifier: 'ldap' }), /Unknown AUTH_VERIFIER "ldap"/);
+        assert.throws(() => createVerifier({ verifier: 'local', local: {} }), /AUTH_LOCAL_SECRET is not set/);
+    });
+});
+
+describe('CORS', () => {
+    const ALLOWED = 'https://clinic.example.org';
+    let server;
+
+    before(async () => {
+        server = await startServer({ CORS_ORIGINS: ALLOWED });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    /**
+     * Sends the browser's preflight for a POST /analyze from an origin
+     */
+    function preflight(origin) {
+        return fetch(`${server.url}/analyze`, {
+            method: 'OPTIONS',
+            headers: { Origin: origin, 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'authorization,content-type' }
+        });
+    }
+
+    it('allows an origin on the list', async () => {
+        const response = await preflight(ALLOWED);
+        assert.equal(response.headers.get('access-control-allow-origin'), ALLOWED);
+    });
+
+    it('rejects an origin that is not on the list', async () => {
+        const response = await preflight('https://evil.example.com');
+        assert.equal(response.headers.get('access-control-allow-origin'), null);
+
+        const get = await fetch(`${server.url}/health`, { headers: { Origin: 'https://evil.example.com' } });
+        assert.equal(get.headers.get('access-control-allow-origin'), null);
+    });
+});
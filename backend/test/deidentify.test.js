@@ -0,0 +1,138 @@
+// ============================================
+// Tests: PHI De-identification
+// ============================================
+// What deidentify takes out of the triage input, how reidentify puts it
+// back, and that neither the provider nor the server log sees the
+// patient's identity.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../config');
+const { createPromptLibrary } = require('../prompts');
+const { deidentify, reidentify } = require('../privacy/deidentify');
+const { prepareTriageInput, runTriage } = require('../triage/pipeline');
+const { startServer, waitFor } = require('./helpers');
+
+const IDENTIFIED_CASE = {
+    patientName: 'Ramesh Patil',
+    age: 52,
+    sex: 'male',
+    symptoms: 'Ramesh Patil, ph +91 98765 43210, lives at 12 MG Road, Pune. Aadhaar 1234 5678 9012, '
+        + 'MRN 55321, email ramesh@example.com. Mr Suresh Kumar brought him. Patil has chest pain for 2 hours.',
+    vitals: 'BP 150/90 HR 104 SpO2 96'
+};
+
+const IDENTIFIERS = ['Ramesh', 'Patil', '98765', '12 MG Road', '1234 5678 9012', '55321', 'ramesh@example.com', 'Suresh'];
+
+describe('deidentify', () => {
+    it('replaces the name, phone, address, IDs, email and other names', () => {
+        const { input, mapping, summary } = deidentify(IDENTIFIED_CASE);
+        assert.equal(input.patientName, '[PATIENT]');
+        assert.equal(input.symptoms, '[PATIENT], ph [PHONE_1], lives at [ADDRESS_1], Pune. Aadhaar [ID_1], '
+            + '[ID_2], email [EMAIL_1]. [NAME_1] brought him. [PATIENT] has chest pain for 2 hours.');
+        assert.equal(input.vitals, IDENTIFIED_CASE.vitals);
+        assert.equal(mapping.get('[PHONE_1]'), '+91 98765 43210');
+        assert.deepEqual(summary, { patient_name: 2, email: 1, id: 2, phone: 1, address: 1, name: 1 });
+    });
+
+    it('does not mistake vitals or doses for phone numbers', () => {
+        const { input } = deidentify({ age: 30, symptoms: 'Took 500 mg twice, BP 120/80, since 2026-03-10', vitals: 'HR 88 SpO2 98' });
+        assert.equal(input.symptoms, 'Took 500 mg twice, BP 120/80, since 2026-03-10');
+    });
+
+    it('redacts the medication lists and clarification answers', () => {
+        const { input } = deidentify({
+            patientName: 'Meena Joshi',
+            age: 34,
+            symptoms: 'Headache',
+            medications: ['Metformin from Dr Rao'],
+            clarifications: [{ question: 'Who can we call?', answer: 'Her husband on 98220 11223' }]
+        });
+        assert.deepEqual(input.medications, ['Metformin from [NAME_1]']);
+        assert.equal(input.clarifications[0].answer, 'Her husband on [PHONE_1]');
+    });
+
+    it('finds the name in any case and in non-Latin scripts', () => {
+        assert.equal(deidentify({ patientName: 'Asha Devi', symptoms: 'ASHA DEVI has fever' }).input.symptoms, '[PATIENT] has fever');
+        assert.equal(deidentify({ patientName: 'आशा देवी', symptoms: 'आशा देवी को बुखार है' }).input.symptoms, '[PATIENT] को बुखार है');
+    });
+
+    it('generalises ages over 89', () => {
+        assert.equal(deidentify({ age: 92, symptoms: 'Fall' }).input.age, '90+');
+        assert.equal(deidentify({ age: 89, symptoms: 'Fall' }).input.age, 89);
+        assert.equal(deidentify({ age: '1100 months', symptoms: 'Fall' }).input.age, '90+');
+    });
+});
+
+describe('reidentify', () => {
+    it('puts the originals back in strings, lists and factor objects', () => {
+        const { mapping } = deidentify(IDENTIFIED_CASE);
+        const triageData = reidentify({
+            clinical_summary: '[PATIENT] has chest pain.',
+            key_concerns: ['Call [PHONE_1] if worse'],
+            contributing_factors: [{ input: '[PATIENT] is 52', direction: 'raises', weight: 2 }],
+            risk_score: 60
+        }, mapping);
+        assert.deepEqual(triageData, {
+            clinical_summary: 'Ramesh Patil has chest pain.',
+            key_concerns: ['Call +91 98765 43210 if worse'],
+            contributing_factors: [{ input: 'Ramesh Patil is 52', direction: 'raises', weight: 2 }],
+            risk_score: 60
+        });
+    });
+});
+
+describe('de-identification in the pipeline', () => {
+    it('sends the provider placeholders only and re-identifies its answer', async () => {
+        const seen = [];
+        const provider = {
+            name: 'recording',
+            model: 'recording-1',
+            acceptsImages: false,
+            async generate(request) {
+                seen.push(JSON.stringify(request));
+                return JSON.stringify({
+                    risk_level: 'High',
+                    risk_score: 65,
+                    key_concerns: ['Chest pain in [PATIENT]'],
+                    triage_recommendation: 'Refer [PATIENT] today.',
+                    clinical_summary: '[PATIENT], 52, chest pain for 2 hours.',
+                    tests_advised: ['ECG'],
+                    first_aid_steps: ['Rest'],
+                    when_to_refer: 'Now.'
+                });
+            }
+        };
+        const prompts = createPromptLibrary({ activeVersion: config.prompts.activeVersion, clarifyVersion: config.prompts.clarifyVersion });
+        const { triageData, trace } = await runTriage(provider, prepareTriageInput(IDENTIFIED_CASE), { prompts });
+
+        IDENTIFIERS.forEach(identifier => assert.ok(!seen[0].includes(identifier), `${identifier} reached the provider`));
+        assert.equal(triageData.triage_recommendation, 'Refer Ramesh Patil today.');
+        assert.equal(trace.parsed_result.triage_recommendation, 'Refer [PATIENT] today.');
+        IDENTIFIERS.forEach(identifier => assert.ok(!JSON.stringify(trace.redacted_input).includes(identifier)));
+    });
+});
+
+describe('server log', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ LOG_LEVEL: 'debug' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('logs the triage request without patient identifiers', async () => {
+        const { status, body } = await server.request('POST', '/analyze', { body: IDENTIFIED_CASE });
+        assert.equal(status, 200);
+        assert.ok(!body.clinical_summary.includes('[PATIENT]'));
+
+        // The log lines can reach the pipe after the response
+        await waitFor(() => server.output().includes('"event":"triage_result"'), { message: 'the triage_result log line' });
+        const output = server.output();
+        assert.match(output, /"event":"triage_request"/);
+        IDENTIFIERS.forEach(identifier => assert.ok(!output.includes(identifier), `${identifier} was logged`));
+    });
+});
@@ -0,0 +1,141 @@
+// ============================================
+// Tests: Early Warning Score and Risk Floor
+// ============================================
+// The minimum risk level the vitals imply, and how it raises (but never
+// lowers) the assessment it is applied to, on its own and on /analyze.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { calculateEarlyWarningScore, applyRiskFloor } = require('../triage/earlyWarning');
+const { prepareTriageInput, runRuleBasedTriage } = require('../triage/pipeline');
+const { startServer } = require('./helpers');
+
+const GOLDEN = require(path.join(__dirname, '..', 'eval', 'vignettes', 'golden-v1.json'));
+
+// Scores 0 on every NEWS2 parameter
+const NORMAL = {
+    respiratory_rate: 16, spo2: 98, systolic_bp: 124, heart_rate: 72, temperature: 37.0, consciousness: 'Alert'
+};
+
+/**
+ * Scores normal vitals with the given changes on NEWS2
+ */
+function news2(changes) {
+    return calculateEarlyWarningScore({ ...NORMAL, ...changes });
+}
+
+describe('NEWS2 floor', () => {
+    it('sets no floor when nothing scores', () => {
+        const score = news2({});
+        assert.equal(score.score, 0);
+        assert.equal(score.implied_risk_level, 'Low');
+    });
+
+    it('implies at least Moderate for a total of 1-4', () => {
+        // Heart rate 95 scores 1; 115 scores 2; with SpO2 94 (1) and temperature 38.5 (1) the total is 4
+        assert.equal(news2({ heart_rate: 95 }).implied_risk_level, 'Moderate');
+        const four = news2({ heart_rate: 115, spo2: 94, temperature: 38.5 });
+        assert.equal(four.score, 4);
+        assert.equal(four.implied_risk_level, 'Moderate');
+    });
+
+    it('implies High for a total of 5-6 or one parameter scoring 3', () => {
+        const five = news2({ heart_rate: 115, spo2: 94, temperature: 38.5, respiratory_rate: 10 });
+        assert.equal(five.score, 5);
+        assert.equal(five.implied_risk_level, 'High');
+
+        const red = news2({ spo2: 90 });
+        assert.equal(red.score, 3);
+        assert.equal(red.red_score, true);
+        assert.equal(red.implied_risk_level, 'High');
+    });
+
+    it('implies Critical for a total of 7 or more', () => {
+        const score = news2({ heart_rate: 135, spo2: 90, on_oxygen: true });
+        assert.equal(score.score, 8);
+        assert.equal(score.implied_risk_level, 'Critical');
+    });
+});
+
+describe('MEOWS floor', () => {
+    // Scores 0 on every MEOWS parameter
+    const PREGNANT_NORMAL = { ...NORMAL, heart_rate: 88, diastolic_bp: 78 };
+
+    /**
+     * Scores normal pregnancy vitals with the given changes on MEOWS
+     */
+    function meows(changes) {
+        return calculateEarlyWarningScore({ ...PREGNANT_NORMAL, ...changes }, 'meows');
+    }
+
+    it('floors one red trigger at High', () => {
+        // Systolic 158 is yellow, diastolic 104 red
+        const score = meows({ systolic_bp: 158, diastolic_bp: 104 });
+        assert.equal(score.implied_risk_level, 'High');
+    });
+
+    it('floors two yellow triggers at Moderate, and one at nothing', () => {
+        assert.equal(meows({ systolic_bp: 150, diastolic_bp: 95 }).implied_risk_level, 'Moderate');
+        assert.equal(meows({ heart_rate: 105 }).implied_risk_level, 'Low');
+        assert.equal(meows({}).implied_risk_level, 'Low');
+    });
+
+    it('floors two red triggers at Critical', () => {
+        assert.equal(meows({ systolic_bp: 165, diastolic_bp: 112 }).implied_risk_level, 'Critical');
+    });
+
+    it('raises the pre-eclampsia golden vignette to its expected level', () => {
+        const vignette = GOLDEN.vignettes.find(v => v.id === 'high-pre-eclampsia');
+        const prepared = prepareTriageInput(vignette.request);
+        const { triageData } = runRuleBasedTriage(prepared, 'test');
+        assert.equal(triageData.early_warning.chart, 'meows');
+        assert.equal(triageData.risk_level, vignette.expected_risk_level);
+    });
+});
+
+describe('applyRiskFloor', () => {
+    it('raises a Low answer to Moderate and records why', () => {
+        const triageData = applyRiskFloor({ risk_level: 'Low', risk_score: 10 }, news2({ heart_rate: 95 }));
+        assert.equal(triageData.risk_level, 'Moderate');
+        assert.equal(triageData.risk_score, 26);
+        assert.deepEqual(triageData.risk_override, {
+            source: 'early_warning_score',
+            from_level: 'Low',
+            from_score: 10,
+            to_level: 'Moderate',
+            rule: 'Early warning score 1 implies Moderate: Heart rate 95 bpm scores 1 (91-110)'
+        });
+    });
+
+    it('never lowers a higher answer', () => {
+        const triageData = applyRiskFloor({ risk_level: 'High', risk_score: 60 }, news2({ heart_rate: 95 }));
+        assert.equal(triageData.risk_level, 'High');
+        assert.equal(triageData.risk_score, 60);
+        assert.equal(triageData.risk_override, undefined);
+        assert.equal(triageData.early_warning.implied_risk_level, 'Moderate');
+    });
+});
+
+describe('risk floor on /analyze', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('raises the risk when the vitals call for more than the AI gave', async () => {
+        const { status, body } = await server.request('POST', '/analyze', {
+            body: { age: 45, sex: 'female', symptoms: 'Fever and cough for 3 days', vitals: 'BP 70/40 HR 140 RR 32 SpO2 85 T 39.5' }
+        });
+        assert.equal(status, 200);
+        assert.equal(body.risk_level, 'Critical');
+        assert.equal(body.risk_override.source, 'early_warning_score');
+        assert.equal(body.risk_override.to_level, 'Critical');
+        assert.equal(body.early_warning.chart, 'news2');
+    });
+});
@@ -0,0 +1,102 @@
+// ============================================
+// Tests: Evaluation Harness Scoring
+// ============================================
+// summariseResults and compareReports on fixed result lists, the way
+// runEvaluation hands them over: no provider is called.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { summariseResults, compareReports } = require('../eval/harness');
+
+/**
+ * One scored vignette result
+ */
+function result(id, expected, actual, outcome, extra = {}) {
+    return { id, expected, actual, outcome, validation: 'valid', fallback_used: false, ...extra };
+}
+
+const RESULTS = [
+    result('crit-1', 'Critical', 'Critical', 'correct'),
+    result('crit-2', 'Critical', 'High', 'under'),
+    result('high-1', 'High', 'High', 'correct', { validation: 'repaired' }),
+    result('high-2', 'High', 'Moderate', 'under'),
+    result('mod-1', 'Moderate', 'High', 'over'),
+    result('low-1', 'Low', 'Moderate', 'over', { fallback_used: true }),
+    result('low-2', 'Low', 'Low', 'correct')
+];
+
+describe('summariseResults', () => {
+    it('fails the run when a Critical case is under-triaged', () => {
+        const summary = summariseResults(RESULTS);
+        assert.deepEqual(summary.critical_under_triage, ['crit-2']);
+        assert.equal(summary.passed, false);
+
+        const withoutCritical = summariseResults(RESULTS.filter(r => r.id !== 'crit-2'));
+        assert.deepEqual(withoutCritical.critical_under_triage, []);
+        assert.equal(withoutCritical.passed, true);
+    });
+
+    it('counts over- and under-triage, overall and by expected level', () => {
+        const summary = summariseResults(RESULTS);
+        assert.equal(summary.scored, 7);
+        assert.equal(summary.correct, 3);
+        assert.equal(summary.over_triage, 2);
+        assert.equal(summary.under_triage, 2);
+        assert.equal(summary.over_triage_rate, 0.286);
+        assert.equal(summary.accuracy, 0.429);
+        assert.deepEqual(summary.under_triage_by_level.High, { expected: 2, under: 1, rate: 0.5 });
+        assert.deepEqual(summary.under_triage_by_level.Low, { expected: 2, under: 0, rate: 0 });
+        assert.equal(summary.repaired, 1);
+        assert.equal(summary.fallback_used, 1);
+    });
+
+    it('fills the confusion matrix by expected and actual level', () => {
+        assert.deepEqual(summariseResults(RESULTS).confusion_matrix, {
+            Low: { Low: 1, Moderate: 1, High: 0, Critical: 0 },
+            Moderate: { Low: 0, Moderate: 0, High: 1, Critical: 0 },
+            High: { Low: 0, Moderate: 1, High: 1, Critical: 0 },
+            Critical: { Low: 0, Moderate: 0, High: 1, Critical: 1 }
+        });
+    });
+
+    it('leaves errors out of the rates but fails the run', () => {
+        const summary = summariseResults([...RESULTS.filter(r => r.id !== 'crit-2'), { id: 'crit-3', expected: 'Critical', error: 'timeout' }]);
+        assert.equal(summary.total, 7);
+        assert.equal(summary.scored, 6);
+        assert.equal(summary.errors, 1);
+        assert.equal(summary.passed, false);
+    });
+});
+
+describe('compareReports', () => {
+    /**
+     * A saved report for a list of results
+     */
+    function report(results, extra = {}) {
+        return { started_at: '2026-01-05T10:00:00.000Z', prompt_version: 'triage-v7', provider: 'mock', model: 'mock-1', results, summary: summariseResults(results), ...extra };
+    }
+
+    it('lists the metrics and vignettes that changed since the previous run', () => {
+        const previous = report(RESULTS);
+        const current = report([
+            ...RESULTS.filter(r => !['crit-2', 'low-2'].includes(r.id)),
+            result('crit-2', 'Critical', 'Critical', 'correct'),
+            result('new-1', 'Moderate', 'Moderate', 'correct')
+        ], { prompt_version: 'triage-v8' });
+
+        const diff = compareReports(previous, current);
+        assert.deepEqual(diff.previous, { started_at: '2026-01-05T10:00:00.000Z', prompt_version: 'triage-v7', provider: 'mock', model: 'mock-1' });
+        assert.deepEqual(diff.changed, [{ id: 'crit-2', before: 'High', after: 'Critical', before_outcome: 'under', after_outcome: 'correct' }]);
+        assert.deepEqual(diff.added, ['new-1']);
+        assert.deepEqual(diff.removed, ['low-2']);
+        assert.deepEqual(diff.metrics.map(m => m.metric), ['accuracy', 'under_triage_rate']);
+        assert.deepEqual(diff.metrics[1], { metric: 'under_triage_rate', before: 0.286, after: 0.143 });
+    });
+
+    it('reports a vignette that now errors', () => {
+        const current = report(RESULTS.map(r => (r.id === 'mod-1' ? { id: 'mod-1', expected: 'Moderate', error: 'timeout' } : r)));
+        const diff = compareReports(report(RESULTS), current);
+        assert.deepEqual(diff.changed, [{ id: 'mod-1', before: 'High', after: 'error', before_outcome: 'over', after_outcome: 'error' }]);
+        assert.ok(diff.metrics.some(m => m.metric === 'errors' && m.before === 0 && m.after === 1));
+    });
+});
@@ -0,0 +1,88 @@
+// ============================================
+// Behavior Tests: PDF Case Report Export
+// ============================================
+// POST /export/pdf/case with a case triaged by the mock provider. The
+// report is checked by the text drawn on its pages, and must come out
+// byte-for-byte the same every time.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+/**
+ * Posts an export and returns { status, type, bytes }
+ */
+async function exportPdf(server, body) {
+    const response = await fetch(`${server.url}/export/pdf/case`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${server.token('doc-1')}` },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, type: response.headers.get('content-type'), bytes: Buffer.from(await response.arrayBuffer()) };
+}
+
+/**
+ * The lines of text drawn on the pages (the writer uses one Tj per line)
+ */
+function pdfText(bytes) {
+    return [...bytes.toString('latin1').matchAll(/\((.*)\) Tj/g)].map(match => match[1].replace(/\\([()\\])/g, '$1'));
+}
+
+describe('PDF case report', () => {
+    let server;
+    let savedCase;
+
+    before(async () => {
+        server = await startServer();
+        const { body } = await server.request('POST', '/analyze', {
+            body: { patientName: 'Asha Rao', age: 34, symptoms: 'Cough and fever for 3 days', vitals: 'T 38.2' }
+        });
+        const { vitals, ...triageData } = body;
+        savedCase = {
+            id: 'case-1',
+            doctorId: 'doc-1',
+            createdAt: '2026-01-05T10:00:00.000Z',
+            patientName: 'Asha Rao',
+            patientAge: '34',
+            patientAgeUnit: 'years',
+            symptoms: 'Cough and fever for 3 days',
+            clarifications: [{ question: 'Any rash?', answer: 'No' }],
+            vitals,
+            triageData
+        };
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('draws the case sections and page numbers, the same bytes every time', async () => {
+        const first = await exportPdf(server, { case: savedCase, patient: { id: 'p-1', name: 'Asha Rao', clinicalRef: 'MRN-204' } });
+        assert.equal(first.status, 200);
+        assert.match(first.type, /application\/pdf/);
+
+        const text = pdfText(first.bytes);
+        for (const line of ['CareCompass Clinic', 'Asha Rao', '34 years', 'MRN-204', 'Any rash?', 'Saved 5 Jan 2026, 10:00 UTC']) {
+            assert.ok(text.includes(line), `missing "${line}"`);
+        }
+        assert.ok(text.includes(`${savedCase.triageData.risk_level.toUpperCase()} RISK`));
+        assert.ok(text.some(line => /^Page 1 of \d+$/.test(line)));
+
+        const second = await exportPdf(server, { case: savedCase, patient: { id: 'p-1', name: 'Asha Rao', clinicalRef: 'MRN-204' } });
+        assert.ok(second.bytes.equals(first.bytes));
+    });
+
+    it('answers malformed cases with a JSON 400, not a stack trace', async () => {
+        const malformed = [
+            { case: { ...savedCase, clarifications: [null] } },
+            { case: { ...savedCase, vitals: 42 } },
+            { case: savedCase, patient: { name: 'Asha Rao', age: 'thirty' } },
+            { case: savedCase, history: [{ ...savedCase, symptoms: null }] }
+        ];
+        for (const body of malformed) {
+            const response = await server.request('POST', '/export/pdf/case', { body });
+            assert.equal(response.status, 400, response.text);
+            assert.ok(response.body && response.body.error, response.text);
+        }
+    });
+});
@@ -0,0 +1,145 @@
+// ============================================
+// Tests: Contributing Factors ("why this score")
+// ============================================
+// Checking the factors a model returns, merging them with the vitals
+// that scored and the offline red flags, and the symptom spans the app
+// highlights.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../config');
+const { createPromptLibrary } = require('../prompts');
+const { parseAIResponse } = require('../triage/schema');
+const { findSpans } = require('../triage/factors');
+const { prepareTriageInput, runTriage, runRuleBasedTriage } = require('../triage/pipeline');
+const { startServer } = require('./helpers');
+
+const CHEST_PAIN_CASE = {
+    age: 58,
+    sex: 'male',
+    symptoms: 'Crushing chest pain for 1 hour, sweating. Chest pain spreads to the left arm.',
+    vitals: 'BP 150/90 HR 115 RR 18 SpO2 97 T 37.0'
+};
+
+const ANSWER = {
+    risk_level: 'High',
+    risk_score: 70,
+    key_concerns: ['Possible heart attack'],
+    triage_recommendation: 'Refer now.',
+    clinical_summary: 'Chest pain with sweating.',
+    tests_advised: ['ECG'],
+    first_aid_steps: ['Rest'],
+    when_to_refer: 'Now.',
+    contributing_factors: [
+        { input_type: 'symptom', input: 'chest pain', direction: 'raises', weight: 4, explanation: 'Typical of a heart attack' },
+        { input_type: 'vital', input: 'heart_rate', direction: 'raises', weight: 1, explanation: 'Fast pulse' },
+        { input_type: 'age', input: '58', direction: 'raises', weight: 2 },
+        { input_type: 'vital', input: 'spo2', direction: 'lowers', weight: 1, explanation: 'Oxygen is normal' }
+    ]
+};
+
+const PROMPTS = createPromptLibrary({
+    activeVersion: config.prompts.activeVersion,
+    clarifyVersion: config.prompts.clarifyVersion
+});
+
+/**
+ * Runs triage on a case with a provider that gives one answer
+ */
+function triageWith(answer, body = CHEST_PAIN_CASE) {
+    const provider = { name: 'fixed', model: 'fixed-1', acceptsImages: false, generate: async () => JSON.stringify(answer) };
+    return runTriage(provider, prepareTriageInput(body), { prompts: PROMPTS });
+}
+
+describe('findSpans', () => {
+    it('finds every occurrence of a phrase in any case', () => {
+        assert.deepEqual(findSpans(CHEST_PAIN_CASE.symptoms, 'chest pain'), [[9, 19], [42, 52]]);
+        assert.deepEqual(findSpans(CHEST_PAIN_CASE.symptoms, 'headache'), []);
+        assert.deepEqual(findSpans('', 'chest pain'), []);
+    });
+});
+
+describe('factor validation', () => {
+    it('accepts loosely written directions and weights', () => {
+        const factors = [{ input_type: 'symptom', input: 'fever', direction: 'Increases', weight: '3' }];
+        const { data, errors, repairs } = parseAIResponse(JSON.stringify({ ...ANSWER, contributing_factors: factors }));
+        assert.deepEqual(errors, []);
+        assert.equal(repairs.length, 2);
+        assert.deepEqual(data.contributing_factors[0], { input_type: 'symptom', input: 'fever', direction: 'raises', weight: 3 });
+    });
+
+    it('reports factors that cannot be read', () => {
+        const factors = [
+            { input_type: 'mood', input: 'anxious', direction: 'raises', weight: 2 },
+            { input_type: 'symptom', input: ' ', direction: 'raises', weight: 9 }
+        ];
+        const { errors } = parseAIResponse(JSON.stringify({ ...ANSWER, contributing_factors: factors }));
+        assert.deepEqual(errors, [
+            'contributing_factors[0].input_type must be one of vital, symptom, age, sex, pregnancy, history, other',
+            'contributing_factors[1].input must be a non-empty string',
+            'contributing_factors[1].weight must be a whole number from 1 to 5'
+        ]);
+    });
+});
+
+describe('buildContributingFactors', () => {
+    it('replaces the AI\'s factor for a vital that scored with the early warning one', async () => {
+        const { triageData } = await triageWith(ANSWER);
+        const heartRate = triageData.contributing_factors.filter(f => f.input === 'heart_rate');
+        assert.equal(heartRate.length, 1);
+        assert.equal(heartRate[0].origin, 'early_warning_score');
+        assert.equal(heartRate[0].weight, 3);
+
+        const spo2 = triageData.contributing_factors.find(f => f.input === 'spo2');
+        assert.equal(spo2.origin, 'ai');
+    });
+
+    it('marks where each symptom phrase is in the symptoms', async () => {
+        const { triageData } = await triageWith(ANSWER);
+        const chestPain = triageData.contributing_factors.find(f => f.input === 'chest pain');
+        assert.deepEqual(chestPain.spans, [[9, 19], [42, 52]]);
+        assert.equal(triageData.contributing_factors.find(f => f.input_type === 'age').spans, undefined);
+    });
+
+    it('puts the biggest raising factors first and the lowering ones last', async () => {
+        const { triageData } = await triageWith(ANSWER);
+        assert.deepEqual(triageData.contributing_factors.map(f => [f.input, f.direction, f.weight]), [
+            ['chest pain', 'raises', 4],
+            ['heart_rate', 'raises', 3],
+            ['58', 'raises', 2],
+            ['spo2', 'lowers', 1]
+        ]);
+    });
+
+    it('counts all-normal vitals as lowering the score', async () => {
+        const { triageData } = await triageWith({ ...ANSWER, contributing_factors: undefined }, { ...CHEST_PAIN_CASE, vitals: 'BP 124/80 HR 72 RR 16 SpO2 98 T 37.0' });
+        assert.deepEqual(triageData.contributing_factors.map(f => [f.input, f.direction, f.origin]), [['vitals', 'lowers', 'early_warning_score']]);
+    });
+
+    it('lists the red flags of the offline rules', () => {
+        const { triageData } = runRuleBasedTriage(prepareTriageInput(CHEST_PAIN_CASE), 'test');
+        const flags = triageData.contributing_factors.filter(f => f.origin === 'rules');
+        assert.ok(flags.length > 0);
+        assert.ok(flags.every(f => f.input_type === 'symptom' && f.direction === 'raises' && f.explanation.startsWith('Red flag: ')));
+        assert.ok(flags.some(f => f.spans.length > 0));
+    });
+});
+
+describe('contributing factors on /analyze', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('returns the factors with the assessment', async () => {
+        const { status, body } = await server.request('POST', '/analyze', { body: CHEST_PAIN_CASE });
+        assert.equal(status, 200);
+        assert.ok(body.contributing_factors.length > 0);
+        assert.ok(body.contributing_factors.some(f => f.input === 'heart_rate' && f.origin === 'early_warning_score'));
+    });
+});
@@ -0,0 +1,243 @@
+// ============================================
+// Tests: FHIR R4 Export
+// ============================================
+// Builds case and patient bundles from saved documents and checks them
+// against R4: fhir/validate.js (the published StructureDefinitions and
+// value sets), and the elements, codes and references an EHR reads from
+// each resource.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCaseBundle, buildPatientBundle } = require('../fhir/bundle');
+const { validateBundle } = require('../fhir/validate');
+
+const FACILITY = { name: 'Rampur PHC' };
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+const INSTANT_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const PATIENT = {
+    id: 'p-1',
+    name: 'Meena Kumari',
+    sex: 'female',
+    clinicalRef: 'MRN-88',
+    allergies: ['Penicillin'],
+    medications: ['Metformin 500mg'],
+    conditions: ['Type 2 diabetes']
+};
+
+/**
+ * A saved case as the app sends it
+ */
+function savedCase(overrides = {}) {
+    return {
+        id: 'case-1',
+        doctorId: 'doc-1',
+        createdAt: '2026-02-03T08:15:00.000Z',
+        patientId: 'p-1',
+        patientName: 'Meena Kumari',
+        patientAge: '3',
+        patientAgeUnit: 'weeks',
+        patientSex: 'female',
+        symptoms: 'Bukhar aur saans phoolna',
+        symptomsEnglish: 'Fever and breathlessness',
+        clinicianName: 'Dr. Rao',
+        vitals: {
+            heart_rate: 128, respiratory_rate: 30, spo2: 89, on_oxygen: true, temperature: 39.1,
+            systolic_bp: 88, diastolic_bp: 54, glucose: 6.2, gcs: 14, consciousness: 'V'
+        },
+        triageData: {
+            risk_level: 'Critical',
+            risk_score: 88,
+            source: 'ai',
+            ai_provider: 'mock',
+            ai_model: 'mock-1',
+            prompt_version: 'triage-v8',
+            clinical_summary: 'Hypoxic and febrile.',
+            triage_recommendation: 'Refer now',
+            key_concerns: ['Hypoxia'],
+            tests_advised: ['Chest X-ray'],
+            first_aid_steps: ['Oxygen'],
+            when_to_refer: 'District hospital'
+        },
+        ...overrides
+    };
+}
+
+/**
+ * The resources of a bundle by type
+ */
+function resourcesOf(bundle, type) {
+    return bundle.entry.map(item => item.resource).filter(resource => resource.resourceType === type);
+}
+
+/**
+ * The codings of a CodeableConcept as system|code
+ */
+function codes(concept) {
+    return (concept.coding || []).map(coding => `${coding.system}|${coding.code}`);
+}
+
+/**
+ * Every reference in a value, wherever it is nested
+ */
+function referencesIn(value, found = []) {
+    if (Array.isArray(value)) value.forEach(item => referencesIn(item, found));
+    else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, child]) => {
+            if (key === 'reference') found.push(child);
+            else referencesIn(child, found);
+        });
+    }
+    return found;
+}
+
+/**
+ * Structure every bundle must have, whatever it holds
+ */
+function assertR4Bundle(bundle) {
+    const { valid, issues } = validateBundle(bundle);
+    assert.ok(valid, JSON.stringify(issues, null, 2));
+
+    assert.equal(bundle.resourceType, 'Bundle');
+    assert.equal(bundle.type, 'collection');
+    assert.match(bundle.timestamp, INSTANT_PATTERN);
+
+    const fullUrls = new Set(bundle.entry.map(item => item.fullUrl));
+    assert.equal(fullUrls.size, bundle.entry.length, 'fullUrls are unique');
+    bundle.entry.forEach(item => {
+        assert.match(item.resource.id, UUID_PATTERN);
+        assert.equal(item.fullUrl, `urn:uuid:${item.resource.id}`);
+        referencesIn(item.resource).forEach(reference => {
+            assert.ok(fullUrls.has(reference), `${item.resource.resourceType} points at ${reference}, which is not in the bundle`);
+        });
+    });
+}
+
+describe('FHIR case bundle', () => {
+    const bundle = buildCaseBundle(savedCase(), PATIENT, { facility: FACILITY });
+
+    it('passes R4 validation', () => {
+        assertR4Bundle(bundle);
+    });
+
+    it('has one resource of each kind the case records', () => {
+        const counts = {};
+        bundle.entry.forEach(item => { counts[item.resource.resourceType] = (counts[item.resource.resourceType] || 0) + 1; });
+        assert.deepEqual(counts, {
+            Organization: 1,
+            Patient: 1,
+            AllergyIntolerance: 1,
+            MedicationStatement: 1,
+            // The chronic condition and the presenting symptoms
+            Condition: 2,
+            Encounter: 1,
+            // Age, six numeric vitals, blood pressure and consciousness
+            Observation: 9,
+            RiskAssessment: 1
+        });
+    });
+
+    it('writes the patient and the triage visit with R4 codes', () => {
+        const [patient] = resourcesOf(bundle, 'Patient');
+        assert.equal(patient.gender, 'female');
+        assert.deepEqual(patient.name, [{ text: 'Meena Kumari' }]);
+        assert.ok(patient.identifier.some(id => id.value === 'MRN-88' && id.use === 'official'));
+
+        const [encounter] = resourcesOf(bundle, 'Encounter');
+        assert.equal(encounter.status, 'finished');
+        assert.equal(encounter.class.code, 'AMB');
+        assert.deepEqual(codes(encounter.priority), ['http://terminology.hl7.org/CodeSystem/v3-ActPriority|EM']);
+        assert.equal(encounter.period.start, '2026-02-03T08:15:00.000Z');
+        assert.equal(encounter.subject.reference, `urn:uuid:${patient.id}`);
+
+        const [risk] = resourcesOf(bundle, 'RiskAssessment');
+        assert.equal(risk.status, 'final');
+        assert.deepEqual(codes(risk.prediction[0].qualitativeRisk), ['http://terminology.hl7.org/CodeSystem/risk-probability|high']);
+        assert.equal(typeof risk.mitigation, 'string');
+        assert.ok(risk.basis.length > 0);
+    });
+
+    it('codes observations in LOINC with UCUM quantities', () => {
+        const observations = resourcesOf(bundle, 'Observation');
+        const byCode = Object.fromEntries(observations.map(o => [o.code.coding[0].code, o]));
+
+        observations.forEach(o => {
+            assert.equal(o.status, 'final');
+            assert.equal(o.code.coding[0].system, 'http://loinc.org');
+            assert.equal(o.effectiveDateTime, '2026-02-03T08:15:00.000Z');
+            if (o.valueQuantity) {
+                assert.equal(typeof o.valueQuantity.value, 'number');
+                assert.equal(o.valueQuantity.system, 'http://unitsofmeasure.org');
+            }
+        });
+
+        assert.deepEqual(byCode['30525-0'].valueQuantity, { value: 3, unit: 'weeks', system: 'http://unitsofmeasure.org', code: 'wk' });
+        assert.equal(byCode['8310-5'].valueQuantity.code, 'Cel');
+        assert.equal(byCode['59408-5'].note[0].text, 'On supplemental oxygen');
+        assert.deepEqual(byCode['85354-9'].component.map(c => [c.code.coding[0].code, c.valueQuantity.code]),
+            [['8480-6', 'mm[Hg]'], ['8462-4', 'mm[Hg]']]);
+        assert.equal(byCode['80288-4'].valueCodeableConcept.text, 'V');
+    });
+
+    it('gives the same resource ids on every export', () => {
+        const again = buildCaseBundle(savedCase(), PATIENT, { facility: FACILITY });
+        assert.deepEqual(again.entry.map(item => item.fullUrl), bundle.entry.map(item => item.fullUrl));
+    });
+
+    it('still passes with only the required case fields', () => {
+        const minimal = buildCaseBundle({ patientName: 'Walk-in', symptoms: 'Cough', triageData: { risk_level: 'Low' } }, {});
+        assertR4Bundle(minimal);
+        assert.equal(resourcesOf(minimal, 'Patient')[0].gender, 'unknown');
+    });
+});
+
+describe('FHIR patient bundle', () => {
+    const older = savedCase({ id: 'case-0', createdAt: '2026-01-10T09:00:00.000Z', patientAge: '2', triageData: { risk_level: 'Low' } });
+    const bundle = buildPatientBundle(PATIENT, [older, savedCase()], { facility: FACILITY });
+
+    it('passes R4 validation', () => {
+        assertR4Bundle(bundle);
+    });
+
+    it('has one patient and an encounter per visit, newest first', () => {
+        assert.equal(resourcesOf(bundle, 'Patient').length, 1);
+        const encounters = resourcesOf(bundle, 'Encounter');
+        assert.deepEqual(encounters.map(e => e.identifier[0].value), ['case-1', 'case-0']);
+        assert.equal(resourcesOf(bundle, 'RiskAssessment').length, 2);
+    });
+});
+
+describe('FHIR R4 validation', () => {
+    /**
+     * A case bundle with one change made to a copy of it
+     */
+    function broken(change) {
+        const bundle = JSON.parse(JSON.stringify(buildCaseBundle(savedCase(), PATIENT, { facility: FACILITY })));
+        change(bundle);
+        return validateBundle(bundle);
+    }
+
+    it('rejects bundles an EHR would refuse', () => {
+        const cases = [
+            bundle => { bundle.type = 'bag'; },
+            bundle => { resourcesOf(bundle, 'Patient')[0].gender = 'F'; },
+            bundle => { delete resourcesOf(bundle, 'Observation')[0].status; },
+            bundle => { resourcesOf(bundle, 'Encounter')[0].diagnosisText = 'x'; },
+            bundle => { resourcesOf(bundle, 'Observation')[0].effectiveDateTime = '03/02/2026'; },
+            bundle => { resourcesOf(bundle, 'Observation')[0].valueQuantity.value = '3'; },
+            bundle => { resourcesOf(bundle, 'RiskAssessment')[0].subject.reference = 'urn:uuid:missing'; },
+            bundle => { resourcesOf(bundle, 'Patient')[0].identifier = []; },
+            bundle => { bundle.entry[1].fullUrl = bundle.entry[0].fullUrl; },
+            // Caught by the StructureDefinitions alone
+            bundle => { resourcesOf(bundle, 'Encounter')[0].class = 'AMB'; },
+            bundle => { delete resourcesOf(bundle, 'Observation').find(o => o.component).component[0].code; },
+            bundle => { resourcesOf(bundle, 'RiskAssessment')[0].prediction[0].probabilityDecimal = 150; },
+            bundle => { resourcesOf(bundle, 'Encounter')[0].period.start = '2026-02-03T08:15'; }
+        ];
+        cases.forEach((change, index) => {
+            const { valid, issues } = broken(change);
+            assert.equal(valid, false, `change ${index} passed`);
+            assert.ok(issues.length > 0);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+// ============================================
+// Behavior Tests: Health, Readiness and Metrics
+// ============================================
+// The unauthenticated monitoring endpoints, and what only operators
+// (METRICS_TOKEN or an admin sign-in) may do with them.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const METRICS_TOKEN = 'metrics-test-token';
+
+describe('health and metrics', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ METRICS_TOKEN });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('answers liveness without sign-in', async () => {
+        for (const path of ['/health', '/health/live']) {
+            const { status, body } = await server.request('GET', path, { token: null });
+            assert.equal(status, 200);
+            assert.equal(body.status, 'ok');
+            assert.equal(body.ai_provider, 'mock');
+        }
+    });
+
+    it('reports readiness of every check without sign-in', async () => {
+        const { status, body } = await server.request('GET', '/health/ready', { token: null });
+        assert.equal(status, 200);
+        assert.equal(body.status, 'ready');
+        assert.deepEqual(Object.keys(body.checks).sort(), ['ai_provider', 'audit_log', 'prompts']);
+        Object.values(body.checks).forEach(check => assert.equal(check.status, 'ok'));
+    });
+
+    it('runs a fresh probe only for operators', async () => {
+        const anonymous = await server.request('GET', '/health/ready?fresh=true', { token: null });
+        assert.equal(anonymous.status, 401);
+        const doctor = await server.request('GET', '/health/ready?fresh=true');
+        assert.equal(doctor.status, 401);
+
+        const cached = await server.request('GET', '/health/ready', { token: null });
+        const admin = await server.request('GET', '/health/ready?fresh=true', { uid: 'admin-1', role: 'admin' });
+        assert.equal(admin.status, 200);
+        assert.ok(admin.body.checked_at >= cached.body.checked_at);
+
+        const withToken = await server.request('GET', '/health/ready?fresh=true', { token: METRICS_TOKEN });
+        assert.equal(withToken.status, 200);
+        assert.notEqual(withToken.body.checked_at, cached.body.checked_at);
+    });
+
+    it('needs the metrics token for /metrics', async () => {
+        const anonymous = await server.request('GET', '/metrics', { token: null });
+        assert.equal(anonymous.status, 401);
+
+        await server.request('POST', '/analyze', { body: { symptoms: 'Cough for 2 days', vitals: 'HR 80' } });
+        const { status, headers, text } = await server.request('GET', '/metrics', { token: METRICS_TOKEN });
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /text\/plain/);
+        assert.match(text, /^carecompass_triage_total\{provider="mock",validation="valid"\} 1$/m);
+        assert.match(text, /^carecompass_readiness_check\{/m);
+    });
+});
+
+describe('readiness failures', () => {
+    let server;
+    let auditDir;
+
+    before(async () => {
+        auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'carecompass-audit-'));
+        server = await startServer({ METRICS_TOKEN, AUDIT_LOG_PATH: path.join(auditDir, 'logs', 'audit.jsonl') });
+        // Once running, a file takes the place of the audit log folder
+        fs.rmSync(path.join(auditDir, 'logs'), { recursive: true, force: true });
+        fs.writeFileSync(path.join(auditDir, 'logs'), '');
+    });
+
+    after(async () => {
+        await server.stop();
+        fs.rmSync(auditDir, { recursive: true, force: true });
+    });
+
+    it('answers 503 and shows the error only to operators', async () => {
+        const anonymous = await server.request('GET', '/health/ready', { token: null });
+        assert.equal(anonymous.status, 503);
+        assert.equal(anonymous.body.status, 'not_ready');
+        assert.equal(anonymous.body.checks.audit_log.status, 'failing');
+        assert.equal(anonymous.body.checks.audit_log.error, undefined);
+        assert.ok(!anonymous.text.includes(auditDir));
+
+        const operator = await server.request('GET', '/health/ready', { token: METRICS_TOKEN });
+        assert.equal(operator.status, 503);
+        assert.ok(operator.body.checks.audit_log.error);
+    });
+});
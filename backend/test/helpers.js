@@ -0,0 +1,176 @@
+// ============================================
+// Test Helpers: Run the Server and the Local Stand-ins
+// ============================================
+// Behavior tests start the real server (node server.js) with the mock AI
+// provider, the local stand-in key for sign-in and a throwaway data
+// folder, so they run offline and never touch backend/data.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { signLocalToken } = require('../auth/local');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const LOCAL_SECRET = 'test-secret';
+
+// How long a process may take to print its "ready" line
+const START_TIMEOUT_MS = 15000;
+
+/**
+ * Finds a free TCP port on this machine
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Starts a node script from the backend folder and waits until it prints
+ * a line matching readyPattern
+ * Returns { output(), stop() }
+ */
+function startProcess(script, { args = [], env = {}, readyPattern }) {
+    const child = spawn(process.execPath, [script, ...args], {
+        cwd: BACKEND_DIR,
+        env: { ...process.env, ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+
+    const stop = () => new Promise(resolve => {
+        if (child.exitCode !== null) return resolve();
+        child.once('exit', () => resolve());
+        child.kill();
+    });
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            stop();
+            reject(new Error(`${script} did not start:\n${output}`));
+        }, START_TIMEOUT_MS);
+
+        const onData = chunk => {
+            output += chunk;
+            if (readyPattern.test(output)) {
+                clearTimeout(timer);
+                resolve({ output: () => output, stop });
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.once('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`${script} exited with ${code}:\n${output}`));
+        });
+    });
+}
+
+/**
+ * Starts the server with the mock provider, local sign-in, SQLite records
+ * and every data file in a new temporary folder. env overrides or adds
+ * settings (e.g. alert channels).
+ *
+ * Returns { url, dataDir, token(uid, role), request(method, path, options), output(), stop() }
+ */
+async function startServer(env = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'carecompass-test-'));
+    const port = await freePort();
+
+    const server = await startProcess('server.js', {
+        env: {
+            PORT: String(port),
+            AI_PROVIDER: 'mock',
+            AI_MODEL: '',
+            AI_ACCEPTS_IMAGES: '',
+            AUTH_VERIFIER: 'local',
+            AUTH_LOCAL_SECRET: LOCAL_SECRET,
+            RECORDS_BACKEND: 'sqlite',
+            RECORDS_SQLITE_PATH: path.join(dataDir, 'records.sqlite'),
+            AUDIT_LOG_PATH: path.join(dataDir, 'audit.jsonl'),
+            ATTACHMENTS_DIR: path.join(dataDir, 'attachments'),
+            ALERTS_PATH: path.join(dataDir, 'alerts.json'),
+            SMS_CASES_PATH: path.join(dataDir, 'sms-cases.json'),
+            HL7_MESSAGES_PATH: path.join(dataDir, 'hl7-messages.jsonl'),
+            INTAKE_REGISTRY_PATH: path.join(dataDir, 'intake-registry.json'),
+            HL7_MLLP_PORT: '0',
+            // Settings a developer's .env may hold, cleared unless a test sets them
+            ALERT_WEBHOOK_URL: '',
+            ALERT_SMTP_HOST: '',
+            ALERT_SMS_URL: '',
+            SMS_INTAKE_TOKEN: '',
+            SMS_INTAKE_REPLY_URL: '',
+            ...env
+        },
+        readyPattern: /Server running on port/
+    });
+    const url = `http://127.0.0.1:${port}`;
+
+    return {
+        url,
+        dataDir,
+        output: server.output,
+
+        token(uid = 'doc-1', role = 'doctor') {
+            return signLocalToken(LOCAL_SECRET, { uid, role, email: `${uid}@example.org` });
+        },
+
+        /**
+         * Sends a JSON request signed in as options.uid (default doc-1;
+         * token: null sends none). Returns { status, headers, body, text }
+         */
+        async request(method, requestPath, { body, uid = 'doc-1', role = 'doctor', token } = {}) {
+            const headers = { 'Content-Type': 'application/json' };
+            const bearer = token === undefined ? this.token(uid, role) : token;
+            if (bearer) headers.Authorization = `Bearer ${bearer}`;
+
+            const response = await fetch(`${url}${requestPath}`, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+            const text = await response.text();
+            let json = null;
+            try {
+                json = JSON.parse(text);
+            } catch (error) {
+                // Not JSON (a PDF, an SSE stream or an HTML page)
+            }
+            return { status: response.status, headers: response.headers, body: json, text };
+        },
+
+        async stop() {
+            await server.stop();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Waits until check() returns something truthy, polling every 50 ms
+ */
+async function waitFor(check, { timeoutMs = 5000, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Timed out waiting for ${message}`);
+}
+
+module.exports = {
+    BACKEND_DIR,
+    freePort,
+    startProcess,
+    startServer,
+    waitFor
+};
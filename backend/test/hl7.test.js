@@ -0,0 +1,87 @@
+// ============================================
+// Tests: HL7 v2 Parsing and Intake
+// ============================================
+// Registration times: HL7 times without an offset are the sender's local
+// time, not UTC. Then what /intake answers when its registry cannot be read.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, waitFor } = require('./helpers');
+const { parseMessage, parseTimestamp, readRegistration, isTimeZone } = require('../hl7/parser');
+
+/**
+ * An ADT^A04 with the given MSH-7 and EVN-2 times
+ */
+function registration(messageTime, eventTime) {
+    return [
+        `MSH|^~\\&|HIS|CITYHOSP|CARECOMPASS|CLINIC|${messageTime}||ADT^A04^ADT_A01|MSG00001|P|2.5`,
+        `EVN|A04|${eventTime}`,
+        'PID|1||MRN12345^^^CITYHOSP^MR||Patil^Ramesh^K||19800412|M'
+    ].join('\r');
+}
+
+describe('HL7 timestamps', () => {
+    it('reads a time without an offset in the facility time zone', () => {
+        assert.equal(parseTimestamp('20260105101500', { timeZone: 'Asia/Kolkata' }), '2026-01-05T04:45:00.000Z');
+        // Summer time is applied for the date itself
+        assert.equal(parseTimestamp('20260105101500', { timeZone: 'Europe/London' }), '2026-01-05T10:15:00.000Z');
+        assert.equal(parseTimestamp('20260705101500', { timeZone: 'Europe/London' }), '2026-07-05T09:15:00.000Z');
+    });
+
+    it('prefers the time\'s own offset, then the message offset', () => {
+        assert.equal(parseTimestamp('20260105101500+0100', { offset: '-0500', timeZone: 'Asia/Kolkata' }), '2026-01-05T09:15:00.000Z');
+        assert.equal(parseTimestamp('20260105101500', { offset: '-0500', timeZone: 'Asia/Kolkata' }), '2026-01-05T15:15:00.000Z');
+    });
+
+    it('rejects times that are not HL7 timestamps', () => {
+        assert.equal(parseTimestamp('2026-01-05'), null);
+        assert.equal(parseTimestamp('20261305'), null);
+        assert.equal(parseTimestamp('20260105101500+2599'), null);
+    });
+
+    it('knows IANA time zones', () => {
+        assert.equal(isTimeZone('Asia/Kolkata'), true);
+        assert.equal(isTimeZone('India'), false);
+    });
+});
+
+describe('HL7 registration time', () => {
+    it('reads EVN-2 in the facility time zone when no offset is sent', () => {
+        const parsed = readRegistration(parseMessage(registration('20260105101510', '20260105101500')), { timeZone: 'Asia/Kolkata' });
+        assert.equal(parsed.registered_at, '2026-01-05T04:45:00.000Z');
+    });
+
+    it('reads EVN-2 with the offset sent on MSH-7', () => {
+        const parsed = readRegistration(parseMessage(registration('20260105101510+0400', '20260105101500')), { timeZone: 'Asia/Kolkata' });
+        assert.equal(parsed.registered_at, '2026-01-05T06:15:00.000Z');
+    });
+});
+
+describe('intake registry failures', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+        fs.writeFileSync(path.join(server.dataDir, 'intake-registry.json'), '{ not json');
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('answers a generic 500 and logs the cause', async () => {
+        const list = await server.request('GET', '/intake/registrations');
+        assert.equal(list.status, 500);
+        assert.deepEqual(list.body, { error: 'Could not read the intake registry. Please try again.' });
+
+        const dismissed = await server.request('POST', '/intake/registrations/reg-1/dismiss', { body: {} });
+        assert.equal(dismissed.status, 500);
+        assert.deepEqual(dismissed.body, { error: 'Could not update the intake registry. Please try again.' });
+
+        // The log line can reach the pipe after the response
+        await waitFor(() => server.output().includes('"event":"intake_list_failed"'), { message: 'the intake_list_failed log line' });
+        await waitFor(() => server.output().includes('"event":"intake_update_failed"'), { message: 'the intake_update_failed log line' });
+    });
+});
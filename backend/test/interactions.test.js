@@ -0,0 +1,125 @@
+// ============================================
+// Tests: Medications, Allergies and Interaction Flags
+// ============================================
+// Reading the history lists, checking suggestions against the local
+// interaction table, and the flags /analyze returns.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePatientHistory } = require('../triage/patientHistory');
+const { checkSuggestions } = require('../triage/interactions');
+const { parsePatientProfile } = require('../triage/population');
+const { startServer } = require('./helpers');
+
+const NO_HISTORY = { medications: [], allergies: [], conditions: [] };
+
+/**
+ * A triage answer suggesting the given first aid steps
+ */
+function suggesting(...firstAidSteps) {
+    return { triage_recommendation: 'See a doctor today.', first_aid_steps: firstAidSteps, tests_advised: ['CBC'] };
+}
+
+describe('parsePatientHistory', () => {
+    it('reads lists and comma-separated strings, dropping blanks and repeats', () => {
+        assert.deepEqual(parsePatientHistory({
+            medications: 'Warfarin 5 mg OD, metformin 500 mg BD; warfarin 5 mg od',
+            allergies: ['Penicillin', ' ', 'Sulfa'],
+            conditions: undefined
+        }), { history: { medications: ['Warfarin 5 mg OD', 'metformin 500 mg BD'], allergies: ['Penicillin', 'Sulfa'], conditions: [] } });
+    });
+
+    it('refuses lists it cannot read', () => {
+        assert.equal(parsePatientHistory({ allergies: [1, 2] }).error, 'allergies must be a list of text items or a comma-separated string');
+        assert.equal(parsePatientHistory({ conditions: ['x'.repeat(121)] }).error, 'Each of conditions must be at most 120 characters');
+        assert.equal(parsePatientHistory({ medications: Array.from({ length: 31 }, (_, i) => `drug ${i}`) }).error, 'medications can have at most 30 items');
+    });
+});
+
+describe('checkSuggestions', () => {
+    it('flags a drug the patient is allergic to, and a cross-reacting one', () => {
+        const flags = checkSuggestions(
+            { ...suggesting('Start amoxicillin 500 mg TDS'), tests_advised: ['Consider ceftriaxone if admitted'] },
+            { ...NO_HISTORY, allergies: ['Penicillin'] }
+        );
+        assert.deepEqual(flags.map(f => [f.type, f.severity, f.field, f.matched]), [
+            ['allergy', 'major', 'first_aid_steps', 'amoxicillin'],
+            ['allergy', 'moderate', 'tests_advised', 'ceftriaxone']
+        ]);
+        assert.equal(flags[0].conflicts_with, 'Penicillin');
+        assert.equal(flags[0].index, 0);
+    });
+
+    it('flags an interaction with a regular medication', () => {
+        const [flag] = checkSuggestions(suggesting('Paracetamol for fever', 'Ibuprofen 400 mg for pain'), { ...NO_HISTORY, medications: ['Warfarin 5 mg OD'] });
+        assert.deepEqual(flag, {
+            type: 'interaction',
+            severity: 'major',
+            field: 'first_aid_steps',
+            index: 1,
+            suggestion: 'Ibuprofen 400 mg for pain',
+            matched: 'Ibuprofen',
+            conflicts_with: 'Warfarin 5 mg OD',
+            message: 'Bleeding risk: NSAIDs with an anticoagulant'
+        });
+    });
+
+    it('flags contraindications, including pregnancy from the population mode', () => {
+        const asthma = checkSuggestions(suggesting('Give diclofenac for the pain'), { ...NO_HISTORY, conditions: ['Asthma since childhood'] });
+        assert.deepEqual(asthma.map(f => [f.type, f.conflicts_with]), [['contraindication', 'Asthma since childhood']]);
+
+        const { population } = parsePatientProfile({ age: 28, sex: 'female', pregnancy_status: 'pregnant', gestation_weeks: 24 });
+        const pregnancy = checkSuggestions(suggesting('Ibuprofen for the headache'), NO_HISTORY, population);
+        assert.deepEqual(pregnancy.map(f => [f.type, f.severity, f.conflicts_with]), [['contraindication', 'major', 'Pregnancy']]);
+    });
+
+    it('does not flag a drug the suggestion advises against', () => {
+        const history = { ...NO_HISTORY, medications: ['Warfarin'] };
+        assert.deepEqual(checkSuggestions(suggesting('Avoid NSAIDs such as ibuprofen', 'Do not give aspirin'), history), []);
+        assert.equal(checkSuggestions(suggesting('Avoid NSAIDs, but aspirin 300 mg now'), history).length, 1);
+    });
+
+    it('matches an allergy the table has no class for by name', () => {
+        const [flag] = checkSuggestions(suggesting('Apply calamine lotion'), { ...NO_HISTORY, allergies: ['Calamine'] });
+        assert.equal(flag.message, 'Listed allergy: Calamine');
+    });
+
+    it('lists major conflicts first and nothing without a history', () => {
+        const flags = checkSuggestions(suggesting('Aspirin 300 mg chewed'), { ...NO_HISTORY, conditions: ['Asthma', 'Peptic ulcer'] });
+        assert.deepEqual(flags.map(f => f.severity), ['major', 'moderate']);
+        assert.deepEqual(checkSuggestions(suggesting('Aspirin 300 mg chewed'), NO_HISTORY), []);
+    });
+});
+
+describe('interaction flags on /analyze', () => {
+    let server;
+
+    before(async () => {
+        // One AI call a day, so a clinician's second case is answered by the offline rules
+        server = await startServer({ AI_DAILY_QUOTA_PER_USER: '1' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('flags the aspirin the chest pain rules suggest for a patient on warfarin', async () => {
+        const body = { age: 60, symptoms: 'Crushing chest pain for 1 hour', medications: ['Warfarin 5 mg OD'], allergies: 'Sulfa' };
+        const ai = await server.request('POST', '/analyze', { body, uid: 'doc-flags' });
+        assert.equal(ai.status, 200);
+        assert.deepEqual(ai.body.interaction_flags, []);
+
+        const rules = await server.request('POST', '/analyze', { body, uid: 'doc-flags' });
+        assert.equal(rules.body.source, 'rules');
+        const flag = rules.body.interaction_flags.find(f => f.matched === 'aspirin');
+        assert.equal(flag.type, 'interaction');
+        assert.equal(flag.severity, 'major');
+        assert.equal(flag.conflicts_with, 'Warfarin 5 mg OD');
+    });
+
+    it('answers 400 for a history list it cannot read', async () => {
+        const { status, body } = await server.request('POST', '/analyze', { body: { age: 60, symptoms: 'Chest pain', allergies: [1] } });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'allergies must be a list of text items or a comma-separated string');
+    });
+});
@@ -0,0 +1,124 @@
+// ============================================
+// Tests: Input and Output Languages
+// ============================================
+// The language settings of a request, what the prompt asks for, the
+// English symptoms kept alongside the original, and /analyze with
+// languages set.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../config');
+const { createPromptLibrary } = require('../prompts');
+const { parseLanguages, languageName } = require('../triage/languages');
+const { prepareTriageInput, runTriage, runRuleBasedTriage } = require('../triage/pipeline');
+const { startServer } = require('./helpers');
+
+const HINDI_CASE = { age: 30, sex: 'female', symptoms: 'तीन दिन से बुखार और खांसी', input_language: 'hi', output_language: 'mr' };
+
+const MARATHI_ANSWER = {
+    risk_level: 'moderate',
+    risk_score: 35,
+    key_concerns: ['तीन दिवसांपासून ताप'],
+    triage_recommendation: 'आज डॉक्टरांना दाखवा.',
+    clinical_summary: 'ताप आणि खोकला.',
+    tests_advised: ['CBC'],
+    first_aid_steps: ['भरपूर पाणी प्या'],
+    when_to_refer: 'श्वास घेण्यास त्रास झाल्यास.',
+    symptoms_english: 'Fever and cough for three days'
+};
+
+const PROMPTS = createPromptLibrary({
+    activeVersion: config.prompts.activeVersion,
+    clarifyVersion: config.prompts.clarifyVersion
+});
+
+/**
+ * A provider that gives one answer and records the prompt
+ */
+function answeringProvider(answer) {
+    const prompts = [];
+    return {
+        name: 'answering',
+        model: 'answering-1',
+        acceptsImages: false,
+        prompts,
+        async generate({ prompt }) {
+            prompts.push(prompt);
+            return JSON.stringify(answer);
+        }
+    };
+}
+
+describe('parseLanguages', () => {
+    it('defaults to detecting the input and answering in English', () => {
+        assert.deepEqual(parseLanguages({}), { languages: { input: 'auto', output: 'en' } });
+        assert.deepEqual(parseLanguages({ input_language: 'HI', output_language: 'Mr' }), { languages: { input: 'hi', output: 'mr' } });
+    });
+
+    it('refuses languages it does not know, and auto as the output', () => {
+        assert.match(parseLanguages({ input_language: 'fr' }).error, /^input_language must be auto or one of: en, hi, mr/);
+        assert.match(parseLanguages({ output_language: 'auto' }).error, /^output_language must be one of: en, hi, mr/);
+    });
+
+    it('names the language for the prompt', () => {
+        assert.equal(languageName('mr'), 'Marathi');
+        assert.match(languageName('auto'), /^any language \(detect it/);
+    });
+});
+
+describe('languages in the pipeline', () => {
+    it('asks for the output language and keeps risk_level in English', async () => {
+        const provider = answeringProvider(MARATHI_ANSWER);
+        const { triageData } = await runTriage(provider, prepareTriageInput(HINDI_CASE), { prompts: PROMPTS });
+
+        assert.match(provider.prompts[0], /The symptoms are written in Hindi/);
+        assert.match(provider.prompts[0], /first_aid_steps, when_to_refer and each factor's explanation in Marathi/);
+        assert.equal(triageData.risk_level, 'Moderate');
+        assert.deepEqual(triageData.first_aid_steps, ['भरपूर पाणी प्या']);
+        assert.equal(triageData.input_language, 'hi');
+        assert.equal(triageData.output_language, 'mr');
+        assert.equal(triageData.symptoms_english, 'Fever and cough for three days');
+    });
+
+    it('uses English symptoms as their own translation, and none otherwise', async () => {
+        const untranslated = { ...MARATHI_ANSWER, symptoms_english: undefined };
+        const english = await runTriage(answeringProvider(untranslated), prepareTriageInput({ age: 30, symptoms: 'Fever for 3 days', input_language: 'en' }), { prompts: PROMPTS });
+        assert.equal(english.triageData.symptoms_english, 'Fever for 3 days');
+
+        const hindi = await runTriage(answeringProvider(untranslated), prepareTriageInput(HINDI_CASE), { prompts: PROMPTS });
+        assert.equal(hindi.triageData.symptoms_english, null);
+    });
+
+    it('warns that the offline rules read English only', () => {
+        const { triageData } = runRuleBasedTriage(prepareTriageInput({ ...HINDI_CASE, input_language: undefined }), 'test');
+        assert.match(triageData.clinical_summary, /The symptoms are not in English/);
+        assert.match(triageData.clinical_summary, /The rules can only answer in English\./);
+        assert.equal(triageData.output_language, 'mr');
+    });
+});
+
+describe('languages on /analyze', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('returns the languages with the assessment', async () => {
+        const { status, body } = await server.request('POST', '/analyze', { body: HINDI_CASE });
+        assert.equal(status, 200);
+        assert.equal(body.input_language, 'hi');
+        assert.equal(body.output_language, 'mr');
+        assert.ok(['Low', 'Moderate', 'High', 'Critical'].includes(body.risk_level));
+    });
+
+    it('answers 400 for an unknown language', async () => {
+        const { status, body } = await server.request('POST', '/analyze', { body: { ...HINDI_CASE, output_language: 'xx' } });
+        assert.equal(status, 400);
+        assert.match(body.error, /^output_language must be one of/);
+    });
+});
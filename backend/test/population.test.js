@@ -0,0 +1,127 @@
+// ============================================
+// Tests: Age-band and Pregnancy Population Modes
+// ============================================
+// Reading structured ages, routing each case to its population mode and
+// early warning chart, the guidance in the prompt, and /analyze with
+// profiles that do not fit together.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../config');
+const { createPromptLibrary } = require('../prompts');
+const { parseAge, parsePatientProfile } = require('../triage/population');
+const { prepareTriageInput, buildTriagePrompt } = require('../triage/pipeline');
+const { startServer } = require('./helpers');
+
+/**
+ * The population mode picked for a request body
+ */
+function modeOf(body) {
+    return parsePatientProfile(body).population.mode;
+}
+
+describe('parseAge', () => {
+    it('reads numbers, units and short forms', () => {
+        assert.deepEqual(parseAge(45), { age: { value: 45, unit: 'years', months: 540, text: '45 years' } });
+        assert.equal(parseAge(8, 'months').age.text, '8 months');
+        assert.equal(parseAge('8m').age.months, 8);
+        assert.equal(parseAge('1 year 6 months').age.months, 18);
+        assert.equal(parseAge('2y 3m').age.text, '27 months');
+        assert.equal(parseAge('10 days').age.unit, 'days');
+        assert.deepEqual(parseAge(''), { age: null });
+    });
+
+    it('refuses ages it cannot read', () => {
+        assert.match(parseAge('old').error, /^age must be a number of years/);
+        assert.match(parseAge('5 fortnights').error, /^age must be a number of years/);
+        assert.equal(parseAge(-1).error, 'age must be a number of years, or a number with a unit such as "8 months"');
+        assert.equal(parseAge(140).error, 'age must be under 130 years');
+        assert.match(parseAge(3, 'decades').error, /^age_unit must be one of: years, months, weeks, days/);
+    });
+});
+
+describe('parsePatientProfile', () => {
+    it('routes each age band to its mode', () => {
+        assert.equal(modeOf({ age: 6, age_unit: 'weeks' }), 'young_infant');
+        assert.equal(modeOf({ age: 3, age_unit: 'months' }), 'infant');
+        assert.equal(modeOf({ age: 11, age_unit: 'months' }), 'infant');
+        assert.equal(modeOf({ age: 1 }), 'young_child');
+        assert.equal(modeOf({ age: 5 }), 'child');
+        assert.equal(modeOf({ age: 12 }), 'adolescent');
+        assert.equal(modeOf({ age: 16 }), 'adult');
+        assert.equal(modeOf({ age: 65 }), 'older_adult');
+    });
+
+    it('routes a pregnancy to MEOWS whatever the age', () => {
+        const { population } = parsePatientProfile({ age: 29, sex: 'female', pregnancy_status: 'pregnant', gestation_weeks: 32 });
+        assert.equal(population.mode, 'pregnancy');
+        assert.equal(population.chart, 'meows');
+        assert.equal(population.label, 'Pregnancy (32 weeks)');
+        assert.equal(population.gestation_weeks, 32);
+    });
+
+    it('treats a case without an age as an adult and says so', () => {
+        const { population } = parsePatientProfile({ sex: 'male' });
+        assert.equal(population.mode, 'adult');
+        assert.equal(population.label, 'Adult (age not recorded)');
+        assert.equal(population.age_months, null);
+    });
+
+    it('refuses profiles that do not fit together', () => {
+        assert.match(parsePatientProfile({ age: 40, sex: 'male', pregnancy_status: 'pregnant' }).error, /cannot be pregnant when sex is male/);
+        assert.match(parsePatientProfile({ age: 4, sex: 'female', pregnancy_status: 'pregnant' }).error, /cannot be pregnant for a patient aged 4 years/);
+        assert.match(parsePatientProfile({ age: 30, sex: 'female', gestation_weeks: 20 }).error, /only be given when pregnancy_status is pregnant/);
+        assert.match(parsePatientProfile({ age: 30, sex: 'female', pregnancy_status: 'pregnant', gestation_weeks: 50 }).error, /from 1 to 45/);
+        assert.match(parsePatientProfile({ age: 30, sex: 'F' }).error, /^sex must be one of: female, male, other, unknown/);
+    });
+});
+
+describe('population modes in the pipeline', () => {
+    const prompts = createPromptLibrary({ activeVersion: config.prompts.activeVersion, clarifyVersion: config.prompts.clarifyVersion });
+
+    it('scores an infant on the infant chart, where adult-normal vitals are not normal', () => {
+        const infant = prepareTriageInput({ age: 8, age_unit: 'months', symptoms: 'Fever and fast breathing', vitals: 'HR 120 RR 40' });
+        const adult = prepareTriageInput({ age: 30, symptoms: 'Fever and fast breathing', vitals: 'HR 120 RR 40' });
+
+        assert.equal(infant.population.mode, 'infant');
+        assert.equal(infant.earlyWarning.chart, 'pews_infant');
+        assert.equal(adult.earlyWarning.chart, 'news2');
+        assert.ok(adult.earlyWarning.score > infant.earlyWarning.score);
+    });
+
+    it('adds the population guidance to the prompt', () => {
+        const prepared = prepareTriageInput({ age: 8, age_unit: 'months', symptoms: 'Fever' });
+        const { text } = buildTriagePrompt(prompts, prepared, prepared.input);
+        assert.match(text, /Infant \(3-11 months\)/);
+        assert.match(text, /A temperature of 39\.0°C or more is a red flag up to 6 months\./);
+    });
+});
+
+describe('population modes on /analyze', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('returns the population mode with the assessment', async () => {
+        const { status, body } = await server.request('POST', '/analyze', {
+            body: { age: 29, sex: 'female', pregnancy_status: 'pregnant', gestation_weeks: 32, symptoms: 'Headache and blurred vision', vitals: 'BP 150/100' }
+        });
+        assert.equal(status, 200);
+        assert.equal(body.population.mode, 'pregnancy');
+        assert.equal(body.early_warning.chart, 'meows');
+    });
+
+    it('answers 400 when sex and pregnancy do not fit together', async () => {
+        const { status, body } = await server.request('POST', '/analyze', {
+            body: { age: 40, sex: 'male', pregnancy_status: 'pregnant', symptoms: 'Abdominal pain' }
+        });
+        assert.equal(status, 400);
+        assert.match(body.error, /cannot be pregnant when sex is male/);
+    });
+});
@@ -0,0 +1,137 @@
+// ============================================
+// Tests: Versioned Prompt Templates
+// ============================================
+// Template rendering and the prompt library on a temporary folder, the
+// shipped templates, and the admin list and preview plus the
+// prompt_version stamped on each triage result.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPromptLibrary, renderTemplate } = require('../prompts');
+const { startServer } = require('./helpers');
+
+describe('renderTemplate', () => {
+    it('fills in variables and leaves missing ones empty', () => {
+        assert.equal(renderTemplate('Age {{age}}, sex {{sex}}.', { age: '45 years', sex: null }), 'Age 45 years, sex .');
+    });
+
+    it('keeps a section only when its variable is not empty', () => {
+        const body = 'Symptoms: {{symptoms}}\n{{#facility_protocols}}\nProtocols:\n{{facility_protocols}}\n{{/facility_protocols}}\nEnd';
+        assert.equal(renderTemplate(body, { symptoms: 'Fever', facility_protocols: 'Use IMNCI.' }), 'Symptoms: Fever\nProtocols:\nUse IMNCI.\nEnd');
+        assert.equal(renderTemplate(body, { symptoms: 'Fever', facility_protocols: '  ' }), 'Symptoms: Fever\nEnd');
+    });
+});
+
+describe('createPromptLibrary', () => {
+    let dir;
+    let library;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'carecompass-prompts-'));
+        fs.writeFileSync(path.join(dir, 'triage-v2.txt'), '---\ndescription: Adds the locale\n---\nPatient {{patient_name}} ({{locale}}) at {{facility_name}}: {{symptoms}}{{mood}}\n');
+        fs.writeFileSync(path.join(dir, 'triage-v10.txt'), '{{#facility_protocols}}Follow: {{facility_protocols}}\n{{/facility_protocols}}{{symptoms}}');
+        fs.writeFileSync(path.join(dir, 'protocols.md'), 'Refer chest pain to the district hospital.\n');
+        library = createPromptLibrary({
+            directory: dir,
+            activeVersion: 'triage-v2',
+            facility: { name: 'Test PHC', locale: 'en-IN', protocolsFile: path.join(dir, 'protocols.md') }
+        });
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reads the header, variables and a hash of the body', () => {
+        const template = library.get();
+        assert.equal(template.version, 'triage-v2');
+        assert.equal(template.description, 'Adds the locale');
+        assert.deepEqual(template.variables, ['patient_name', 'locale', 'facility_name', 'symptoms', 'mood']);
+        assert.deepEqual(template.unknown_variables, ['mood']);
+        assert.match(template.hash, /^[0-9a-f]{12}$/);
+        assert.equal(library.get('triage-v2').hash, template.hash);
+    });
+
+    it('lists the templates in version order and marks the active one', () => {
+        assert.deepEqual(library.list().map(t => [t.version, t.active]), [['triage-v2', true], ['triage-v10', false]]);
+    });
+
+    it('renders with the facility settings, letting the request override them', () => {
+        const rendered = library.render({ patient_name: '[PATIENT]', symptoms: 'Fever', locale: 'hi-IN' });
+        assert.equal(rendered.version, 'triage-v2');
+        assert.equal(rendered.hash, library.get().hash);
+        assert.equal(rendered.text, 'Patient [PATIENT] (hi-IN) at Test PHC: Fever');
+        assert.equal(library.render({ symptoms: 'Fever', locale: '' }).text, 'Patient  (en-IN) at Test PHC: Fever');
+    });
+
+    it('fills in the facility protocols file', () => {
+        assert.equal(library.render({ symptoms: 'Chest pain' }, 'triage-v10').text,
+            'Follow: Refer chest pain to the district hospital.\nChest pain');
+    });
+
+    it('picks up a new version without a restart', () => {
+        fs.writeFileSync(path.join(dir, 'triage-v11.txt'), '{{symptoms}}!');
+        assert.equal(library.render({ symptoms: 'Fever' }, 'triage-v11').text, 'Fever!');
+    });
+
+    it('refuses unknown and unsafe version names', () => {
+        assert.throws(() => library.get('triage-v99'), /Prompt template "triage-v99" not found/);
+        assert.throws(() => library.get('../triage-v2'), /Invalid prompt version/);
+    });
+});
+
+describe('shipped templates', () => {
+    it('only use known variables', () => {
+        createPromptLibrary({}).list().forEach(template => {
+            assert.deepEqual(template.unknown_variables, [], template.version);
+        });
+    });
+});
+
+describe('prompt templates on the server', () => {
+    const ADMIN = { uid: 'admin-1', role: 'admin' };
+    let server;
+
+    before(async () => {
+        server = await startServer({ PROMPT_VERSION: 'triage-v7' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('stamps the prompt version on each triage result', async () => {
+        const { body } = await server.request('POST', '/analyze', { body: { age: 45, symptoms: 'Fever and cough for 3 days' } });
+        assert.equal(body.prompt_version, 'triage-v7');
+    });
+
+    it('lists the templates for admins only', async () => {
+        assert.equal((await server.request('GET', '/admin/prompts')).status, 403);
+
+        const { status, body } = await server.request('GET', '/admin/prompts', ADMIN);
+        assert.equal(status, 200);
+        assert.equal(body.active_version, 'triage-v7');
+        assert.ok(body.templates.find(t => t.version === 'triage-v7').active);
+        assert.ok(body.templates.every(t => t.body === undefined));
+    });
+
+    it('previews a rendered template after de-identification', async () => {
+        const { status, body } = await server.request('POST', '/admin/prompts/triage-v8/preview', {
+            ...ADMIN,
+            body: { patientName: 'Ravi Kumar', age: 60, symptoms: 'Ravi Kumar has chest pain' }
+        });
+        assert.equal(status, 200);
+        assert.equal(body.version, 'triage-v8');
+        assert.match(body.prompt, /\[PATIENT\] has chest pain/);
+        assert.ok(!body.prompt.includes('Ravi'));
+
+        const sample = await server.request('POST', '/admin/prompts/triage-v8/preview', { ...ADMIN, body: {} });
+        assert.equal(sample.status, 200);
+        assert.match(sample.body.prompt, /Chest pain for 2 hours/);
+
+        assert.equal((await server.request('POST', '/admin/prompts/triage-v99/preview', { ...ADMIN, body: {} })).status, 404);
+    });
+});
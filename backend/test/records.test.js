@@ -0,0 +1,84 @@
+// ============================================
+// Behavior Tests: Patient and Case Records
+// ============================================
+// The /records endpoints on the SQLite store.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+/**
+ * Triages a request and returns the case fields the app would save
+ */
+async function triagedCase(server, request) {
+    const { body } = await server.request('POST', '/analyze', { body: request });
+    const { vitals, ...triageData } = body;
+    return {
+        patientName: request.patientName,
+        patientAge: request.age,
+        patientAgeUnit: request.age_unit,
+        symptoms: request.symptoms,
+        vitals,
+        triageData
+    };
+}
+
+describe('records', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('saves ages in any unit /analyze accepts, as texted in', async () => {
+        const ages = [
+            { age: 10, age_unit: 'days' },
+            { age: 3, age_unit: 'weeks' },
+            { age: 2.5, age_unit: 'years' }
+        ];
+        for (const age of ages) {
+            const fields = await triagedCase(server, {
+                patientName: 'Baby Devi',
+                ...age,
+                symptoms: 'Not feeding, fast breathing',
+                vitals: 'RR 62 T 38.9'
+            });
+            const saved = await server.request('POST', '/records/cases', { body: fields });
+            assert.equal(saved.status, 201, saved.text);
+            assert.equal(String(saved.body.patientAge), String(age.age));
+            assert.equal(saved.body.patientAgeUnit, age.age_unit);
+
+            // The same fields pass the alert endpoint (cases saved to Firestore)
+            const reported = await server.request('POST', '/alerts', { body: { case_id: `fs-${saved.body.id}`, case: fields } });
+            assert.ok([200, 201].includes(reported.status), reported.text);
+        }
+    });
+
+    it('lists the whole day when from and to are the same date', async () => {
+        const fields = await triagedCase(server, { patientName: 'Day Case', age: 40, symptoms: 'Cough' });
+        const saved = await server.request('POST', '/records/cases', { body: fields });
+        const day = saved.body.createdAt.slice(0, 10);
+
+        const { body } = await server.request('GET', `/records/cases?from=${day}&to=${day}`);
+        assert.ok(body.cases.some(c => c.id === saved.body.id));
+
+        const atMidnight = await server.request('GET', `/records/cases?to=${day}T00:00:00Z`);
+        assert.ok(!atMidnight.body.cases.some(c => c.id === saved.body.id));
+
+        const audit = await server.request('GET', `/admin/audit?from=${day}&to=${day}`, { uid: 'admin-1', role: 'admin' });
+        assert.ok(audit.body.count > 0);
+
+        const invalid = await server.request('GET', '/records/cases?to=yesterday');
+        assert.equal(invalid.status, 400);
+    });
+
+    it('still rejects ages that are not numbers', async () => {
+        const fields = await triagedCase(server, { patientName: 'X', age: 30, symptoms: 'Headache' });
+        const saved = await server.request('POST', '/records/cases', { body: { ...fields, patientAge: '3 years' } });
+        assert.equal(saved.status, 400);
+    });
+});
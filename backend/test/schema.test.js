@@ -0,0 +1,161 @@
+// ============================================
+// Tests: Response Schema, Repair and Retry
+// ============================================
+// parseAIResponse on the text models send back, then runTriage with a
+// scripted provider: re-prompting with the errors, and falling back to
+// the offline rules when no answer validates.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../config');
+const { createPromptLibrary } = require('../prompts');
+const { parseAIResponse, readPartialFields } = require('../triage/schema');
+const { prepareTriageInput, runTriage } = require('../triage/pipeline');
+
+const VALID = {
+    risk_level: 'Moderate',
+    risk_score: 40,
+    key_concerns: ['Fever for 3 days'],
+    triage_recommendation: 'See a doctor today.',
+    clinical_summary: 'Adult with fever and cough.',
+    tests_advised: ['CBC'],
+    first_aid_steps: ['Paracetamol for fever'],
+    when_to_refer: 'Breathlessness or confusion.'
+};
+
+const PROMPTS = createPromptLibrary({
+    activeVersion: config.prompts.activeVersion,
+    clarifyVersion: config.prompts.clarifyVersion
+});
+
+/**
+ * A provider that answers with the given texts in turn and records the prompts
+ */
+function scriptedProvider(answers) {
+    const prompts = [];
+    return {
+        name: 'scripted',
+        model: 'scripted-1',
+        acceptsImages: false,
+        prompts,
+        async generate({ prompt }) {
+            prompts.push(prompt);
+            const answer = answers.shift();
+            if (answer instanceof Error) throw answer;
+            return answer;
+        }
+    };
+}
+
+/**
+ * The prepared input for a plain fever case
+ */
+function prepared() {
+    return prepareTriageInput({ age: 45, sex: 'female', symptoms: 'Fever and cough for 3 days' });
+}
+
+describe('parseAIResponse', () => {
+    it('reads the JSON out of markdown fences and a sentence before it', () => {
+        const { data, errors, repairs } = parseAIResponse(`Here is the assessment:\n\`\`\`json\n${JSON.stringify(VALID)}\n\`\`\``);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(repairs, []);
+        assert.deepEqual(data, VALID);
+    });
+
+    it('repairs the level case, a numeric-string score and a lone string', () => {
+        const { data, errors, repairs } = parseAIResponse(JSON.stringify({ ...VALID, risk_level: 'moderate', risk_score: '40.4', tests_advised: 'CBC' }));
+        assert.deepEqual(errors, []);
+        assert.deepEqual(repairs, [
+            'risk_level "moderate" normalised to "Moderate"',
+            'risk_score "40.4" converted to a number',
+            'risk_score 40.4 rounded',
+            'tests_advised wrapped in an array'
+        ]);
+        assert.equal(data.risk_level, 'Moderate');
+        assert.equal(data.risk_score, 40);
+        assert.deepEqual(data.tests_advised, ['CBC']);
+    });
+
+    it('reports a score outside the band of its level', () => {
+        const { errors } = parseAIResponse(JSON.stringify({ ...VALID, risk_score: 80 }));
+        assert.deepEqual(errors, ['risk_score 80 does not match risk_level Moderate (26-50)']);
+    });
+
+    it('reports missing and empty fields', () => {
+        const { errors } = parseAIResponse(JSON.stringify({ ...VALID, clinical_summary: undefined, first_aid_steps: [] }));
+        assert.deepEqual(errors, [
+            'clinical_summary must be a non-empty string',
+            'first_aid_steps must be a non-empty array of strings'
+        ]);
+    });
+
+    it('reports text with no JSON object', () => {
+        assert.deepEqual(parseAIResponse('I cannot help with that.'), { data: null, errors: ['No JSON object found in the response'], repairs: [] });
+        assert.deepEqual(parseAIResponse(undefined).errors, ['Response was empty']);
+        assert.match(parseAIResponse('{"risk_level": "High",}').errors[0], /^Response is not valid JSON/);
+    });
+});
+
+describe('readPartialFields', () => {
+    it('reads only the fields that are complete so far', () => {
+        assert.deepEqual(readPartialFields('{"risk_level": "high", "risk_score": 6'), { risk_level: 'High' });
+        assert.deepEqual(readPartialFields('{"risk_level": "High", "risk_score": 62, "key_concerns": ["Chest pain"], "clinical_summary": "Adult w'), {
+            risk_level: 'High',
+            risk_score: 62,
+            key_concerns: ['Chest pain']
+        });
+    });
+});
+
+describe('runTriage repair and retry', () => {
+    it('accepts a valid first answer', async () => {
+        const provider = scriptedProvider([JSON.stringify(VALID)]);
+        const { triageData, trace } = await runTriage(provider, prepared(), { prompts: PROMPTS });
+        assert.deepEqual(triageData.validation, { status: 'valid', attempts: 1, errors: [], repairs: [] });
+        assert.equal(triageData.source, 'ai');
+        assert.equal(trace.prompt_version, config.prompts.activeVersion);
+        assert.equal(trace.fallback_used, false);
+    });
+
+    it('re-prompts with the errors and uses the corrected answer', async () => {
+        const invalid = JSON.stringify({ ...VALID, risk_score: 80 });
+        const provider = scriptedProvider([invalid, JSON.stringify(VALID)]);
+        const { triageData, trace } = await runTriage(provider, prepared(), { prompts: PROMPTS });
+
+        assert.equal(triageData.validation.status, 'repaired');
+        assert.equal(triageData.validation.attempts, 2);
+        assert.deepEqual(triageData.validation.errors, []);
+        assert.equal(triageData.source, 'ai');
+        assert.deepEqual(trace.raw_responses, [invalid, JSON.stringify(VALID)]);
+        assert.ok(provider.prompts[1].startsWith(provider.prompts[0]));
+        assert.match(provider.prompts[1], /- risk_score 80 does not match risk_level Moderate \(26-50\)/);
+    });
+
+    it('tags a locally repaired answer as repaired without re-prompting', async () => {
+        const provider = scriptedProvider([JSON.stringify({ ...VALID, risk_level: 'moderate' })]);
+        const { triageData } = await runTriage(provider, prepared(), { prompts: PROMPTS });
+        assert.equal(triageData.validation.status, 'repaired');
+        assert.equal(triageData.validation.attempts, 1);
+        assert.equal(provider.prompts.length, 1);
+    });
+
+    it('falls back to the offline rules when no answer validates', async () => {
+        const provider = scriptedProvider(['not json', 'still not json', 'nor this']);
+        const { triageData, trace } = await runTriage(provider, prepared(), { prompts: PROMPTS, maxRepairAttempts: 2 });
+        assert.equal(triageData.validation.status, 'failed');
+        assert.equal(triageData.validation.attempts, 3);
+        assert.deepEqual(triageData.validation.errors, ['No JSON object found in the response']);
+        assert.equal(triageData.source, 'rules');
+        assert.equal(trace.fallback_used, true);
+        assert.equal(trace.raw_responses.length, 3);
+    });
+
+    it('falls back to the offline rules when the provider fails', async () => {
+        const provider = scriptedProvider([new Error('connect ECONNREFUSED')]);
+        const { triageData, trace } = await runTriage(provider, prepared(), { prompts: PROMPTS });
+        assert.equal(triageData.validation.status, 'error');
+        assert.deepEqual(triageData.validation.errors, ['connect ECONNREFUSED']);
+        assert.equal(triageData.source, 'rules');
+        assert.equal(trace.fallback_used, true);
+    });
+});
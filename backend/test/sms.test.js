@@ -0,0 +1,155 @@
+// ============================================
+// Behavior Tests: Text-Message Intake
+// ============================================
+// Messages come from the simulated gateway (npm run sms-gateway).
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { BACKEND_DIR, startServer } = require('./helpers');
+const { buildTriageReply } = require('../intake/smsMessage');
+const { LANGUAGES } = require('../triage/languages');
+
+const GATEWAY_TOKEN = 'gateway-token';
+
+/**
+ * Sends one message with scripts/sms-gateway.js and returns what it printed
+ */
+function sendWithGateway(server, args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, ['scripts/sms-gateway.js', '--url', `${server.url}/sms/inbound`, ...args], {
+            cwd: BACKEND_DIR,
+            env: { ...process.env, SMS_INTAKE_TOKEN: GATEWAY_TOKEN },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        let output = '';
+        child.stdout.on('data', chunk => { output += chunk; });
+        child.stderr.on('data', chunk => { output += chunk; });
+        child.on('error', reject);
+        child.on('exit', code => (code === 0 ? resolve(output) : reject(new Error(`sms-gateway exited with ${code}: ${output}`))));
+    });
+}
+
+describe('text-message intake', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ SMS_INTAKE_TOKEN: GATEWAY_TOKEN });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('triages a texted case and lists it for review', async () => {
+        const output = await sendWithGateway(server, ['45 F; fever, cough 3 days; BP 100/70 HR 112 T 39.2 SpO2 93']);
+        assert.match(output, /← \[triaged\] [A-Z]+ risk \(\d+\/100\)\..* Ref [A-Z0-9]{6}\. A clinician will review\./);
+
+        const { body } = await server.request('GET', '/sms-cases?status=pending');
+        assert.equal(body.count, 1);
+        assert.equal(body.cases[0].request.age, 45);
+    });
+
+    it('gives the same reply to a retried message without a second case', async () => {
+        const first = await sendWithGateway(server, ['--id', 'msg-retry', '30 M; headache; BP 120/80']);
+        const again = await sendWithGateway(server, ['--id', 'msg-retry', '30 M; headache; BP 120/80']);
+        assert.match(first, /← \[triaged\]/);
+        assert.equal(again, first.replace('[triaged]', '[duplicate]'));
+
+        const { body } = await server.request('GET', '/sms-cases');
+        assert.equal(body.cases.filter(c => c.request.symptoms === 'headache').length, 1);
+    });
+
+    it('texts advice for the raised level when the vitals raise the risk', async () => {
+        const output = await sendWithGateway(server, ['24Y F P32; headache, swollen feet; BP 160/110']);
+        assert.match(output, /← \[triaged\] (HIGH|CRITICAL) risk/);
+        assert.match(output, /Vitals (abnormal|dangerous)/);
+        assert.doesNotMatch(output, /Routine assessment|Reassure patient/);
+    });
+
+    it('sends the format back for a message it cannot read', async () => {
+        const output = await sendWithGateway(server, ['fever']);
+        assert.match(output, /Send: age sex; symptoms; vitals/);
+    });
+
+    it('turns away a gateway without the token', async () => {
+        const { status } = await server.request('POST', '/sms/inbound', {
+            body: { from: '+919800000011', message: 'HELP', id: 'x' },
+            token: 'wrong'
+        });
+        assert.equal(status, 401);
+    });
+});
+
+describe('override advice language', () => {
+    /**
+     * A triage result the vital-sign floor raised, answered in a language
+     */
+    function raised(language, riskLevel) {
+        return {
+            risk_level: riskLevel,
+            risk_score: 75,
+            risk_override: { from: 'Low', to: riskLevel },
+            output_language: language,
+            triage_recommendation: 'AI advice for the lower level',
+            first_aid_steps: ['AI first step']
+        };
+    }
+
+    it('texts the raised-level advice in every reply language', () => {
+        const seen = new Set();
+        Object.keys(LANGUAGES).forEach(language => {
+            ['High', 'Critical'].forEach(riskLevel => {
+                const reply = buildTriageReply(raised(language, riskLevel), 'ABC123');
+                assert.doesNotMatch(reply, /AI advice|AI first step/);
+                assert.match(reply, /Ref ABC123\. A clinician will review\.$/);
+                seen.add(reply);
+            });
+        });
+        // No language falls back to another's text
+        assert.equal(seen.size, Object.keys(LANGUAGES).length * 2);
+    });
+
+    it('keeps a Hindi reply in Hindi', () => {
+        const reply = buildTriageReply(raised('hi', 'High'), 'ABC123');
+        assert.match(reply, /^HIGH risk \(75\/100\)\. वाइटल्स असामान्य/);
+        assert.doesNotMatch(reply, /Vitals abnormal/);
+    });
+});
+
+describe('text-message store failures', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ SMS_INTAKE_TOKEN: GATEWAY_TOKEN });
+        fs.writeFileSync(path.join(server.dataDir, 'sms-cases.json'), '{ not json');
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('answers a generic 500 and logs the cause', async () => {
+        const inbound = await server.request('POST', '/sms/inbound', {
+            body: { from: '+919800000011', message: '30 M; headache; BP 120/80', id: 'msg-broken' },
+            token: GATEWAY_TOKEN
+        });
+        assert.equal(inbound.status, 200);
+        assert.equal(inbound.body.status, 'failed');
+        assert.equal(inbound.body.reply.message, 'Sorry, the case could not be assessed. Please call the clinic.');
+
+        const list = await server.request('GET', '/sms-cases');
+        assert.equal(list.status, 500);
+        assert.deepEqual(list.body, { error: 'Could not read the text-message cases. Please try again.' });
+
+        const dismissed = await server.request('POST', '/sms-cases/sms-1/dismiss', { body: {} });
+        assert.equal(dismissed.status, 500);
+        assert.deepEqual(dismissed.body, { error: 'Could not update the text-message case. Please try again.' });
+
+        ['sms_processing_failed', 'sms_case_list_failed', 'sms_case_update_failed'].forEach(event => {
+            assert.match(server.output(), new RegExp(`"event":"${event}"`));
+        });
+    });
+});
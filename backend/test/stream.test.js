@@ -0,0 +1,153 @@
+// ============================================
+// Tests: Streaming Triage over Server-Sent Events
+// ============================================
+// The progress events runTriage reports while a provider streams its
+// answer, then the event order and final result of /analyze/stream.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../config');
+const { createPromptLibrary } = require('../prompts');
+const { prepareTriageInput, runTriage } = require('../triage/pipeline');
+const { startServer } = require('./helpers');
+
+const FEVER_CASE = {
+    patientName: 'Asha Devi',
+    age: 45,
+    sex: 'female',
+    symptoms: 'Fever and cough for 3 days',
+    vitals: 'BP 118/76 HR 96 T 38.4 SpO2 97'
+};
+
+const ANSWER = JSON.stringify({
+    risk_level: 'Low',
+    risk_score: 15,
+    key_concerns: ['Fever in [PATIENT]'],
+    triage_recommendation: 'Treat at home.',
+    clinical_summary: 'Adult with fever and cough.',
+    tests_advised: ['CBC'],
+    first_aid_steps: ['Fluids'],
+    when_to_refer: 'Breathlessness.'
+});
+
+const PROMPTS = createPromptLibrary({
+    activeVersion: config.prompts.activeVersion,
+    clarifyVersion: config.prompts.clarifyVersion
+});
+
+/**
+ * A provider that streams each answer in small chunks
+ */
+function streamingProvider(answers) {
+    const calls = [];
+    const next = request => {
+        calls.push(request);
+        return answers.shift();
+    };
+    return {
+        name: 'streaming',
+        model: 'streaming-1',
+        acceptsImages: false,
+        calls,
+        async generate(request) {
+            return next(request);
+        },
+        async *stream(request) {
+            const text = next(request);
+            for (let i = 0; i < text.length; i += 16) yield text.slice(i, i + 16);
+        }
+    };
+}
+
+/**
+ * Splits an SSE body into [{ event, data }]
+ */
+function parseEvents(text) {
+    return text.split('\n\n')
+        .filter(block => block.trim())
+        .map(block => ({
+            event: block.match(/^event: (.+)$/m)[1],
+            data: JSON.parse(block.match(/^data: (.+)$/m)[1])
+        }));
+}
+
+describe('runTriage progress events', () => {
+    it('reports the risk, then the concerns, then the other fields as they complete', async () => {
+        const events = [];
+        const provider = streamingProvider([ANSWER]);
+        const { triageData } = await runTriage(provider, prepareTriageInput(FEVER_CASE), {
+            prompts: PROMPTS,
+            onProgress: (event, data) => events.push({ event, data })
+        });
+
+        assert.deepEqual(events.map(e => e.event).slice(0, 2), ['risk', 'concerns']);
+        assert.ok(events.slice(2).every(e => e.event === 'details'));
+        const details = Object.assign({}, ...events.slice(2).map(e => e.data));
+        assert.deepEqual(Object.keys(details).sort(), ['clinical_summary', 'first_aid_steps', 'tests_advised', 'triage_recommendation', 'when_to_refer']);
+        assert.deepEqual(events[1].data, { key_concerns: ['Fever in Asha Devi'] });
+        assert.equal(triageData.validation.status, 'valid');
+    });
+
+    it('applies the vital-sign floor to the streamed risk', async () => {
+        const events = [];
+        const prepared = prepareTriageInput({ ...FEVER_CASE, vitals: 'HR 95' });
+        await runTriage(streamingProvider([ANSWER]), prepared, {
+            prompts: PROMPTS,
+            onProgress: (event, data) => events.push({ event, data })
+        });
+
+        const risk = events.find(e => e.event === 'risk').data;
+        assert.equal(risk.risk_level, 'Moderate');
+        assert.equal(risk.risk_override.from_level, 'Low');
+    });
+
+    it('streams only the first answer, not the repairs', async () => {
+        const events = [];
+        const provider = streamingProvider(['{"risk_level": "Low", "risk_score": 90}', ANSWER]);
+        const { triageData } = await runTriage(provider, prepareTriageInput(FEVER_CASE), {
+            prompts: PROMPTS,
+            onProgress: event => events.push(event)
+        });
+
+        assert.equal(triageData.validation.status, 'repaired');
+        assert.deepEqual(events, ['risk']);
+    });
+});
+
+describe('/analyze/stream', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('sends the vitals first and the validated result last', async () => {
+        const { status, headers, text } = await server.request('POST', '/analyze/stream', { body: FEVER_CASE });
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /^text\/event-stream/);
+
+        const events = parseEvents(text);
+        const names = events.map(e => e.event);
+        assert.equal(names[0], 'vitals');
+        assert.equal(events[0].data.vitals.heart_rate, 96);
+        assert.ok(names.indexOf('risk') > 0 && names.indexOf('risk') < names.indexOf('concerns'));
+        assert.equal(names[names.length - 1], 'result');
+
+        const result = events[events.length - 1].data;
+        assert.equal(result.validation.status, 'valid');
+        assert.equal(result.source, 'ai');
+        assert.ok(result.audit_id);
+        assert.equal(events.find(e => e.event === 'risk').data.risk_level, result.risk_level);
+    });
+
+    it('answers 400 JSON before any event when the input is invalid', async () => {
+        const { status, headers, body } = await server.request('POST', '/analyze/stream', { body: { age: 45 } });
+        assert.equal(status, 400);
+        assert.match(headers.get('content-type'), /^application\/json/);
+        assert.ok(body.error);
+    });
+});
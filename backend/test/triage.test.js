@@ -0,0 +1,80 @@
+// ============================================
+// Tests: Vitals Parsing and Offline Rules
+// ============================================
+// The parts of the pipeline that run without any provider: reading the
+// vitals text, and the red-flag rules used when the AI cannot answer.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseVitals } = require('../triage/vitals');
+const { prepareTriageInput, runRuleBasedTriage } = require('../triage/pipeline');
+
+const GOLDEN = require(path.join(__dirname, '..', 'eval', 'vignettes', 'golden-v1.json'));
+
+/**
+ * Triages a request with the offline rules alone
+ */
+function triageWithRules(request) {
+    const prepared = prepareTriageInput(request);
+    assert.equal(prepared.error, undefined, prepared.error);
+    return runRuleBasedTriage(prepared, 'test').triageData;
+}
+
+/**
+ * The ids of the red flags the rules found
+ */
+function redFlagIds(triageData) {
+    return triageData.red_flags.map(flag => flag.id);
+}
+
+describe('vitals parsing', () => {
+    it('reads a comma as the decimal mark', () => {
+        assert.equal(parseVitals('temp 37,5').vitals.temperature, 37.5);
+        assert.equal(parseVitals('T 38,9C, HR 90').vitals.temperature, 38.9);
+        assert.equal(parseVitals('SpO2 97,5%').vitals.spo2, 97.5);
+        assert.equal(parseVitals('GRBS 5,4 mmol/l').vitals.glucose, 5.4);
+        assert.equal(parseVitals('temp 101,3F').vitals.temperature, 38.5);
+    });
+
+    it('still reads a comma and space as a separator', () => {
+        const { vitals } = parseVitals('T 37, HR 90');
+        assert.equal(vitals.temperature, 37);
+        assert.equal(vitals.heart_rate, 90);
+
+        const bp = parseVitals('T 38,120/80').vitals;
+        assert.equal(bp.temperature, 38);
+        assert.equal(bp.systolic_bp, 120);
+    });
+});
+
+describe('offline rules', () => {
+    it('flags a possible ectopic pregnancy in the golden vignette', () => {
+        const vignette = GOLDEN.vignettes.find(v => v.id === 'high-possible-ectopic');
+        const triageData = triageWithRules(vignette.request);
+        assert.ok(redFlagIds(triageData).includes('ectopic_pregnancy'));
+        assert.equal(triageData.risk_level, vignette.expected_risk_level);
+    });
+
+    it('flags abdominal pain with fainting in a recorded early pregnancy', () => {
+        const triageData = triageWithRules({
+            age: 27, sex: 'female', pregnancy_status: 'pregnant', gestation_weeks: 8,
+            symptoms: 'Stomach pain since morning, dizzy when standing'
+        });
+        assert.ok(redFlagIds(triageData).includes('ectopic_pregnancy'));
+        assert.equal(triageData.risk_level, 'High');
+    });
+
+    it('needs every part of the combination', () => {
+        const withoutPregnancy = triageWithRules({ age: 27, sex: 'female', symptoms: 'Abdominal pain and feels faint' });
+        const withoutFainting = triageWithRules({ age: 27, sex: 'female', symptoms: 'Abdominal pain, period 6 weeks late' });
+        const fainting = triageWithRules({ age: 27, sex: 'female', symptoms: 'Abdominal pain, no missed period, feels faint' });
+        const laterPregnancy = triageWithRules({
+            age: 27, sex: 'female', pregnancy_status: 'pregnant', gestation_weeks: 30,
+            symptoms: 'Abdominal pain and feels faint'
+        });
+        [withoutPregnancy, withoutFainting, fainting, laterPregnancy].forEach(triageData => {
+            assert.ok(!redFlagIds(triageData).includes('ectopic_pregnancy'));
+        });
+    });
+});
@@ -0,0 +1,136 @@
+// ============================================
+// Tests: Rate Limits and Daily AI Quotas
+// ============================================
+// The rate limiter and usage tracker on a fake clock, then the 429s,
+// the rule-based answer once the quota is used up and the admin usage
+// summary on the running server.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, createUsageTracker } = require('../usage');
+const { startServer } = require('./helpers');
+
+const CASE = { age: 45, symptoms: 'Fever and cough for 3 days', vitals: 'BP 118/76 HR 96 T 37.2 SpO2 98' };
+
+/**
+ * A clock that only moves when the test moves it
+ */
+function fakeClock(start = Date.parse('2026-03-10T23:59:00Z')) {
+    let time = start;
+    const now = () => time;
+    now.advance = ms => { time += ms; };
+    return now;
+}
+
+describe('createRateLimiter', () => {
+    it('limits each clinician within the window, then lets them in again', () => {
+        const now = fakeClock();
+        const limiter = createRateLimiter({ windowMs: 60000, perUser: 2, perIp: 0, global: 0, now });
+        const who = { uid: 'doc-1', ip: '10.0.0.1' };
+
+        assert.equal(limiter.check(who), null);
+        assert.equal(limiter.check(who), null);
+        now.advance(15000);
+        assert.deepEqual(limiter.check(who), { scope: 'user', retryAfterSeconds: 45 });
+        assert.equal(limiter.check({ uid: 'doc-2', ip: '10.0.0.1' }), null);
+
+        now.advance(45000);
+        assert.equal(limiter.check(who), null);
+    });
+
+    it('limits an IP address across clinicians, and the whole server', () => {
+        const perIp = createRateLimiter({ windowMs: 60000, perUser: 0, perIp: 2, global: 0, now: fakeClock() });
+        perIp.check({ uid: 'doc-1', ip: '10.0.0.1' });
+        perIp.check({ uid: 'doc-2', ip: '10.0.0.1' });
+        assert.equal(perIp.check({ uid: 'doc-3', ip: '10.0.0.1' }).scope, 'ip');
+        assert.equal(perIp.check({ uid: 'doc-3', ip: '10.0.0.2' }), null);
+
+        const global = createRateLimiter({ windowMs: 60000, perUser: 0, perIp: 0, global: 1, now: fakeClock() });
+        global.check({ uid: 'doc-1', ip: '10.0.0.1' });
+        assert.equal(global.check({ uid: 'doc-2', ip: '10.0.0.2' }).scope, 'global');
+    });
+});
+
+describe('createUsageTracker', () => {
+    it('reports the per-clinician quota once it is used up', () => {
+        const tracker = createUsageTracker({ dailyQuotaPerUser: 3, dailyQuotaGlobal: 0, now: fakeClock() });
+        tracker.record('ai_calls', { uid: 'doc-1', ip: '10.0.0.1' }, 2);
+        assert.equal(tracker.checkAIQuota('doc-1'), null);
+
+        tracker.record('ai_calls', { uid: 'doc-1', ip: '10.0.0.1' });
+        assert.deepEqual(tracker.checkAIQuota('doc-1'), { scope: 'user', limit: 3 });
+        assert.equal(tracker.checkAIQuota('doc-2'), null);
+    });
+
+    it('reports the global quota before the clinician\'s', () => {
+        const tracker = createUsageTracker({ dailyQuotaPerUser: 1, dailyQuotaGlobal: 2, now: fakeClock() });
+        tracker.record('ai_calls', { uid: 'doc-1' });
+        tracker.record('ai_calls', { uid: 'doc-2' });
+        assert.deepEqual(tracker.checkAIQuota('doc-1'), { scope: 'global', limit: 2 });
+        assert.deepEqual(tracker.checkAIQuota('doc-3'), { scope: 'global', limit: 2 });
+    });
+
+    it('starts again at midnight UTC', () => {
+        const now = fakeClock();
+        const tracker = createUsageTracker({ dailyQuotaPerUser: 1, dailyQuotaGlobal: 0, now });
+        tracker.record('ai_calls', { uid: 'doc-1' });
+        assert.ok(tracker.checkAIQuota('doc-1'));
+
+        now.advance(60000);
+        assert.equal(tracker.checkAIQuota('doc-1'), null);
+        assert.equal(tracker.summary().date, '2026-03-11');
+        assert.equal(tracker.summary().totals.ai_calls, 0);
+    });
+});
+
+describe('limits on /analyze', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({
+            RATE_LIMIT_PER_USER: '2',
+            RATE_LIMIT_PER_IP: '0',
+            RATE_LIMIT_GLOBAL: '0',
+            AI_DAILY_QUOTA_PER_USER: '1',
+            AI_DAILY_QUOTA_GLOBAL: '0'
+        });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('answers from the rules once the daily AI quota is used up', async () => {
+        const first = await server.request('POST', '/analyze', { body: CASE, uid: 'doc-quota' });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.source, 'ai');
+
+        const second = await server.request('POST', '/analyze', { body: CASE, uid: 'doc-quota' });
+        assert.equal(second.status, 200);
+        assert.equal(second.body.source, 'rules');
+        assert.equal(second.body.validation.status, 'skipped');
+    });
+
+    it('answers 429 with Retry-After once the clinician is over the rate limit', async () => {
+        await server.request('POST', '/analyze', { body: CASE, uid: 'doc-busy' });
+        await server.request('POST', '/analyze', { body: CASE, uid: 'doc-busy' });
+        const limited = await server.request('POST', '/analyze', { body: CASE, uid: 'doc-busy' });
+
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.limit, 'user');
+        assert.ok(limited.body.retry_after_seconds > 0);
+        assert.equal(limited.headers.get('retry-after'), String(limited.body.retry_after_seconds));
+        assert.match(limited.body.error, /^Too many triage requests from your account\./);
+    });
+
+    it('shows the usage summary to admins only', async () => {
+        assert.equal((await server.request('GET', '/admin/usage')).status, 403);
+
+        const { status, body } = await server.request('GET', '/admin/usage', { uid: 'admin-1', role: 'admin' });
+        assert.equal(status, 200);
+        assert.equal(body.quotas.ai_calls_per_user, 1);
+        const quota = body.users.find(user => user.uid === 'doc-quota');
+        assert.deepEqual({ ai_calls: quota.ai_calls, rule_based: quota.rule_based, remaining: quota.ai_calls_remaining }, { ai_calls: 1, rule_based: 1, remaining: 0 });
+        assert.equal(body.users.find(user => user.uid === 'doc-busy').rate_limited, 1);
+    });
+});
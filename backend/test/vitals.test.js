@@ -0,0 +1,99 @@
+// ============================================
+// Tests: Structured Vitals
+// ============================================
+// parseVitals on the notations clinicians type, and what /analyze
+// answers when a vital sign cannot physically occur.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVitals, formatVitals } = require('../triage/vitals');
+const { startServer } = require('./helpers');
+
+describe('parseVitals', () => {
+    it('reads every field of a typical line and keeps the text', () => {
+        const { vitals, errors } = parseVitals('BP 118/76 HR 96 RR 18 T 38.4 SpO2 97% GCS 15 GRBS 6.1');
+        assert.deepEqual(errors, []);
+        assert.deepEqual(vitals, {
+            raw: 'BP 118/76 HR 96 RR 18 T 38.4 SpO2 97% GCS 15 GRBS 6.1',
+            gcs: 15,
+            systolic_bp: 118,
+            diastolic_bp: 76,
+            heart_rate: 96,
+            respiratory_rate: 18,
+            spo2: 97,
+            temperature: 38.4,
+            glucose: 6.1,
+            consciousness: 'Alert'
+        });
+    });
+
+    it('converts Fahrenheit, mg/dL and fractional SpO2, and says so', () => {
+        const { vitals } = parseVitals('temp 101.3F, sugar 180 mg/dl, sats 0.94');
+        assert.equal(vitals.temperature, 38.5);
+        assert.equal(vitals.glucose, 10);
+        assert.equal(vitals.spo2, 94);
+        assert.equal(vitals.conversions.length, 3);
+    });
+
+    it('reads a bare blood pressure, oxygen and AVPU', () => {
+        const { vitals } = parseVitals('130/85, pulse 110, on O2 2 L/min, responds to voice');
+        assert.equal(vitals.systolic_bp, 130);
+        assert.equal(vitals.diastolic_bp, 85);
+        assert.equal(vitals.heart_rate, 110);
+        assert.equal(vitals.on_oxygen, true);
+        assert.equal(vitals.consciousness, 'Voice');
+    });
+
+    it('adds up a GCS given as E, V and M without reading it as a blood pressure', () => {
+        const { vitals } = parseVitals('GCS E3V4M5');
+        assert.equal(vitals.gcs, 12);
+        assert.equal(vitals.systolic_bp, undefined);
+        assert.equal(vitals.consciousness, 'Confusion');
+    });
+
+    it('rejects values that cannot physically occur', () => {
+        assert.deepEqual(parseVitals('HR 900').errors.map(e => e.field), ['heart_rate']);
+        assert.deepEqual(parseVitals('BP 80/120').errors.map(e => e.field), ['diastolic_bp']);
+        assert.deepEqual(parseVitals('SpO2 140').errors.map(e => e.field), ['spo2']);
+    });
+
+    it('gives an empty object for no vitals', () => {
+        assert.deepEqual(parseVitals(''), { vitals: { raw: '' }, errors: [] });
+        assert.deepEqual(parseVitals(undefined), { vitals: { raw: '' }, errors: [] });
+    });
+
+    it('formats the structured vitals with units', () => {
+        assert.equal(formatVitals(parseVitals('BP 118/76 HR 96 T 38.4 SpO2 97 on oxygen').vitals),
+            'BP 118/76 mmHg, HR 96 bpm, SpO2 97% on oxygen, Temp 38.4°C');
+    });
+});
+
+describe('vitals on /analyze', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('returns the structured vitals with the assessment', async () => {
+        const { status, body } = await server.request('POST', '/analyze', {
+            body: { age: 45, symptoms: 'Fever and cough for 3 days', vitals: 'BP 118/76 HR 96 T 38.4 SpO2 97' }
+        });
+        assert.equal(status, 200);
+        assert.equal(body.vitals.heart_rate, 96);
+        assert.equal(body.vitals.raw, 'BP 118/76 HR 96 T 38.4 SpO2 97');
+    });
+
+    it('answers 400 listing each impossible vital sign', async () => {
+        const { status, body } = await server.request('POST', '/analyze', {
+            body: { age: 45, symptoms: 'Fever and cough for 3 days', vitals: 'HR 900 BP 80/120' }
+        });
+        assert.equal(status, 400);
+        assert.ok(body.error);
+        assert.deepEqual(body.details.map(detail => detail.field).sort(), ['diastolic_bp', 'heart_rate']);
+    });
+});
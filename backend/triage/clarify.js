@@ -0,0 +1,75 @@
+// ============================================
+// Clarifying Questions
+// ============================================
+// Before a final triage, the AI can ask up to N targeted follow-up
+// questions when the input is thin ("fever and pain"): duration,
+// red-flag symptoms, pregnancy status, ... The clinician's answers are
+// then sent with the triage request as `clarifications` and kept with
+// the case, so reviewers can see what the assessment was based on.
+
+const { extractJSON } = require('./schema');
+const { promptVariables } = require('./pipeline');
+const { deidentify, reidentify } = require('../privacy/deidentify');
+const logger = require('../logger');
+
+/**
+ * Reads the questions from the model's JSON answer
+ * Anything malformed is dropped rather than re-prompted: asking nothing
+ * just means going straight to triage.
+ */
+function parseQuestions(text, maxQuestions) {
+    const { data, error } = extractJSON(text);
+    if (error || !Array.isArray(data.questions)) {
+        return { questions: [], error: error || 'questions must be an array' };
+    }
+
+    const questions = data.questions
+        .map(item => (typeof item === 'string' ? { question: item } : item))
+        .filter(item => item && typeof item.question === 'string' && item.question.trim())
+        .slice(0, maxQuestions)
+        .map((item, index) => ({
+            id: `q${index + 1}`,
+            question: item.question.trim(),
+            reason: typeof item.reason === 'string' ? item.reason.trim() : ''
+        }));
+
+    return { questions };
+}
+
+/**
+ * Asks the AI which follow-up questions (if any) it needs before triage
+ *
+ * Options:
+ * - prompts: the prompt library (uses its clarifyVersion)
+ * - maxQuestions: most questions to return
+ *
+ * Returns { questions: [{ id, question, reason }], prompt_version, error? }
+ * An empty list means the input is enough to triage now. Provider errors
+ * also give an empty list (with `error`), so triage can go ahead.
+ */
+async function runClarification(provider, prepared, { prompts, maxQuestions = 3 }) {
+    const deidentified = deidentify(prepared.input);
+    const rendered = prompts.render({
+        ...promptVariables(prepared, deidentified.input),
+        max_questions: maxQuestions
+    }, prompts.clarifyVersion);
+
+    let result;
+    try {
+        const text = await provider.generate({ prompt: rendered.text, input: deidentified.input, task: 'clarify' });
+        result = parseQuestions(text, maxQuestions);
+        if (result.error) {
+            logger.warn('clarify_parse_failed', { error: result.error });
+        }
+    } catch (error) {
+        logger.error('ai_provider_error', { provider: provider.name, model: provider.model, task: 'clarify', message: error.message });
+        result = { questions: [], error: 'The AI service could not be reached' };
+    }
+
+    // Questions may mention [PATIENT] and other placeholders
+    result.questions.forEach(question => reidentify(question, deidentified.mapping));
+
+    return { ...result, prompt_version: rendered.version };
+}
+
+module.exports = { runClarification };
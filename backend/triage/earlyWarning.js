@@ -0,0 +1,392 @@
+// ============================================
+// Early Warning Score (NEWS2-style)
+// ============================================
+// A deterministic, rule-based score computed from the submitted vitals.
+// It does not replace the AI assessment. It puts a FLOOR under it: the
+// final risk level can never be lower than what the vitals alone imply.
+//
+// Adults are scored with the Royal College of Physicians NEWS2 chart
+// (scale 1 for SpO2). Children and pregnant patients have different
+// normal vitals, so they are scored with age-banded paediatric (PEWS)
+// and obstetric (MEOWS) charts instead; triage/population.js picks the
+// chart. Each parameter scores 0-3 and the points are summed.
+//
+// The paediatric and obstetric thresholds follow commonly used charts,
+// but those vary between hospitals: check them against local protocol.
+
+const { RISK_SCORE_BANDS, riskLevelRank } = require('./riskLevels');
+
+/**
+ * NEWS2 scoring bands per parameter. The first band whose `max` is >=
+ * the value applies.
+ */
+const SCORE_BANDS = {
+    respiratory_rate: {
+        label: 'Respiratory rate',
+        unit: '/min',
+        bands: [
+            { max: 8, points: 3, rule: '≤8' },
+            { max: 11, points: 1, rule: '9-11' },
+            { max: 20, points: 0, rule: '12-20' },
+            { max: 24, points: 2, rule: '21-24' },
+            { max: Infinity, points: 3, rule: '≥25' }
+        ]
+    },
+    spo2: {
+        label: 'SpO2',
+        unit: '%',
+        bands: [
+            { max: 91, points: 3, rule: '≤91' },
+            { max: 93, points: 2, rule: '92-93' },
+            { max: 95, points: 1, rule: '94-95' },
+            { max: Infinity, points: 0, rule: '≥96' }
+        ]
+    },
+    systolic_bp: {
+        label: 'Systolic BP',
+        unit: ' mmHg',
+        bands: [
+            { max: 90, points: 3, rule: '≤90' },
+            { max: 100, points: 2, rule: '91-100' },
+            { max: 110, points: 1, rule: '101-110' },
+            { max: 219, points: 0, rule: '111-219' },
+            { max: Infinity, points: 3, rule: '≥220' }
+        ]
+    },
+    heart_rate: {
+        label: 'Heart rate',
+        unit: ' bpm',
+        bands: [
+            { max: 40, points: 3, rule: '≤40' },
+            { max: 50, points: 1, rule: '41-50' },
+            { max: 90, points: 0, rule: '51-90' },
+            { max: 110, points: 1, rule: '91-110' },
+            { max: 130, points: 2, rule: '111-130' },
+            { max: Infinity, points: 3, rule: '≥131' }
+        ]
+    },
+    temperature: {
+        label: 'Temperature',
+        unit: '°C',
+        bands: [
+            { max: 35.0, points: 3, rule: '≤35.0' },
+            { max: 36.0, points: 1, rule: '35.1-36.0' },
+            { max: 38.0, points: 0, rule: '36.1-38.0' },
+            { max: 39.0, points: 1, rule: '38.1-39.0' },
+            { max: Infinity, points: 2, rule: '≥39.1' }
+        ]
+    }
+};
+
+// Bands shared by the paediatric charts
+const PAEDIATRIC_SPO2 = SCORE_BANDS.spo2;
+
+const PAEDIATRIC_TEMPERATURE = {
+    label: 'Temperature',
+    unit: '°C',
+    bands: [
+        { max: 35.0, points: 3, rule: '≤35.0' },
+        { max: 36.0, points: 1, rule: '35.1-36.0' },
+        { max: 37.9, points: 0, rule: '36.1-37.9' },
+        { max: 38.9, points: 1, rule: '38.0-38.9' },
+        { max: Infinity, points: 2, rule: '≥39.0' }
+    ]
+};
+
+/**
+ * Builds respiratory rate, heart rate and systolic BP bands for one
+ * paediatric age band from its [max, points, rule] rows
+ */
+function paediatricBands(rows) {
+    const toBands = list => list.map(([max, points, rule]) => ({ max, points, rule }));
+    return {
+        respiratory_rate: { label: 'Respiratory rate', unit: '/min', bands: toBands(rows.respiratory_rate) },
+        spo2: PAEDIATRIC_SPO2,
+        systolic_bp: { label: 'Systolic BP', unit: ' mmHg', bands: toBands(rows.systolic_bp) },
+        heart_rate: { label: 'Heart rate', unit: ' bpm', bands: toBands(rows.heart_rate) },
+        temperature: PAEDIATRIC_TEMPERATURE
+    };
+}
+
+const INFANT_BANDS = paediatricBands({
+    respiratory_rate: [[20, 3, '≤20'], [29, 1, '21-29'], [50, 0, '30-50'], [60, 2, '51-60'], [Infinity, 3, '≥61']],
+    heart_rate: [[90, 3, '≤90'], [109, 1, '91-109'], [160, 0, '110-160'], [180, 2, '161-180'], [Infinity, 3, '≥181']],
+    systolic_bp: [[60, 3, '≤60'], [69, 2, '61-69'], [Infinity, 0, '≥70']]
+});
+
+/**
+ * Scoring charts by id. `bands` lists the parameters the chart scores.
+ */
+const CHARTS = {
+    news2: {
+        name: 'NEWS2',
+        bands: SCORE_BANDS
+    },
+    pews_young_infant: {
+        // Any fever under 3 months is a red flag
+        name: 'PEWS (under 3 months)',
+        bands: {
+            ...INFANT_BANDS,
+            temperature: {
+                ...PAEDIATRIC_TEMPERATURE,
+                bands: [
+                    { max: 35.0, points: 3, rule: '≤35.0' },
+                    { max: 36.0, points: 1, rule: '35.1-36.0' },
+                    { max: 37.9, points: 0, rule: '36.1-37.9' },
+                    { max: Infinity, points: 3, rule: '≥38.0 under 3 months' }
+                ]
+            }
+        }
+    },
+    pews_infant: {
+        name: 'PEWS (3-11 months)',
+        bands: INFANT_BANDS
+    },
+    pews_young_child: {
+        name: 'PEWS (1-4 years)',
+        bands: paediatricBands({
+            respiratory_rate: [[15, 3, '≤15'], [19, 1, '16-19'], [40, 0, '20-40'], [50, 2, '41-50'], [Infinity, 3, '≥51']],
+            heart_rate: [[70, 3, '≤70'], [89, 1, '71-89'], [140, 0, '90-140'], [160, 2, '141-160'], [Infinity, 3, '≥161']],
+            systolic_bp: [[70, 3, '≤70'], [79, 2, '71-79'], [Infinity, 0, '≥80']]
+        })
+    },
+    pews_child: {
+        name: 'PEWS (5-11 years)',
+        bands: paediatricBands({
+            respiratory_rate: [[12, 3, '≤12'], [15, 1, '13-15'], [30, 0, '16-30'], [40, 2, '31-40'], [Infinity, 3, '≥41']],
+            heart_rate: [[60, 3, '≤60'], [69, 1, '61-69'], [120, 0, '70-120'], [140, 2, '121-140'], [Infinity, 3, '≥141']],
+            systolic_bp: [[80, 3, '≤80'], [89, 2, '81-89'], [Infinity, 0, '≥90']]
+        })
+    },
+    pews_adolescent: {
+        name: 'PEWS (12-15 years)',
+        bands: paediatricBands({
+            respiratory_rate: [[9, 3, '≤9'], [11, 1, '10-11'], [24, 0, '12-24'], [30, 2, '25-30'], [Infinity, 3, '≥31']],
+            heart_rate: [[50, 3, '≤50'], [59, 1, '51-59'], [110, 0, '60-110'], [130, 2, '111-130'], [Infinity, 3, '≥131']],
+            systolic_bp: [[85, 3, '≤85'], [94, 2, '86-94'], [Infinity, 0, '≥95']]
+        })
+    },
+    meows: {
+        // Pregnancy raises the heart rate and respiratory rate a little;
+        // high blood pressure matters (pre-eclampsia), so diastolic is scored too.
+        // MEOWS escalates on triggers, not on a total: 3 points is a red
+        // trigger, 1-2 a yellow one (see triggerRiskLevel)
+        name: 'MEOWS (obstetric)',
+        floor: 'triggers',
+        bands: {
+            respiratory_rate: {
+                label: 'Respiratory rate',
+                unit: '/min',
+                bands: [
+                    { max: 10, points: 3, rule: '≤10' },
+                    { max: 20, points: 0, rule: '11-20' },
+                    { max: 29, points: 2, rule: '21-29' },
+                    { max: Infinity, points: 3, rule: '≥30' }
+                ]
+            },
+            spo2: {
+                label: 'SpO2',
+                unit: '%',
+                bands: [
+                    { max: 94, points: 3, rule: '≤94' },
+                    { max: 96, points: 1, rule: '95-96' },
+                    { max: Infinity, points: 0, rule: '≥97' }
+                ]
+            },
+            systolic_bp: {
+                label: 'Systolic BP',
+                unit: ' mmHg',
+                bands: [
+                    { max: 90, points: 3, rule: '≤90' },
+                    { max: 99, points: 1, rule: '91-99' },
+                    { max: 139, points: 0, rule: '100-139' },
+                    { max: 159, points: 2, rule: '140-159' },
+                    { max: Infinity, points: 3, rule: '≥160' }
+                ]
+            },
+            diastolic_bp: {
+                label: 'Diastolic BP',
+                unit: ' mmHg',
+                bands: [
+                    { max: 89, points: 0, rule: '≤89' },
+                    { max: 100, points: 2, rule: '90-100' },
+                    { max: Infinity, points: 3, rule: '≥101' }
+                ]
+            },
+            heart_rate: {
+                label: 'Heart rate',
+                unit: ' bpm',
+                bands: [
+                    { max: 50, points: 3, rule: '≤50' },
+                    { max: 59, points: 1, rule: '51-59' },
+                    { max: 100, points: 0, rule: '60-100' },
+                    { max: 119, points: 2, rule: '101-119' },
+                    { max: Infinity, points: 3, rule: '≥120' }
+                ]
+            },
+            temperature: {
+                label: 'Temperature',
+                unit: '°C',
+                bands: [
+                    { max: 35.0, points: 3, rule: '≤35.0' },
+                    { max: 35.9, points: 1, rule: '35.1-35.9' },
+                    { max: 37.9, points: 0, rule: '36.0-37.9' },
+                    { max: 38.9, points: 2, rule: '38.0-38.9' },
+                    { max: Infinity, points: 3, rule: '≥39.0' }
+                ]
+            }
+        }
+    }
+};
+
+/**
+ * Scores a single numeric parameter against its bands
+ */
+function scoreParameter(chartBands, name, value) {
+    const { label, unit, bands } = chartBands[name];
+    const band = bands.find(b => value <= b.max);
+    return {
+        parameter: name,
+        value,
+        points: band.points,
+        rule: `${label} ${value}${unit} scores ${band.points} (${band.rule})`
+    };
+}
+
+/**
+ * Maps a total score (and whether any single parameter scored 3) to
+ * the minimum risk level the rules imply. Any points at all mean the
+ * vitals are off and the patient needs a closer look than Low.
+ */
+function impliedRiskLevel(total, hasRedScore) {
+    if (total >= 7) return 'Critical';
+    if (total >= 5 || hasRedScore) return 'High';
+    if (total >= 1) return 'Moderate';
+    return 'Low';
+}
+
+/**
+ * Maps the MEOWS triggers to the minimum risk level: one red trigger
+ * needs urgent review (High), two need emergency care (Critical), and two
+ * yellow triggers need a review (Moderate). A single yellow trigger only
+ * means observing more often. A total of 7 or more stays Critical.
+ */
+function triggerRiskLevel(parameters, total) {
+    const red = parameters.filter(p => p.points === 3).length;
+    const yellow = parameters.filter(p => p.points === 1 || p.points === 2).length;
+    if (red >= 2 || total >= 7) return 'Critical';
+    if (red === 1) return 'High';
+    if (yellow >= 2) return 'Moderate';
+    return 'Low';
+}
+
+/**
+ * Calculates the early-warning score from extracted vitals, using the
+ * chart with the given id (NEWS2 unless another is named)
+ *
+ * Returns:
+ * {
+ *   chart: string,               // id of the chart used, e.g. 'pews_infant'
+ *   chart_name: string,          // e.g. 'PEWS (3-11 months)'
+ *   score: number,               // sum of all parameter points
+ *   implied_risk_level: string,  // minimum risk level the vitals imply
+ *   red_score: boolean,          // true if any single parameter scored 3
+ *   parameters: [{ parameter, value, points, rule }],
+ *   missing: [string]            // parameters not found in the vitals
+ * }
+ */
+function calculateEarlyWarningScore(vitals, chartId = 'news2') {
+    const chart = CHARTS[chartId];
+    if (!chart) {
+        throw new Error(`Unknown early warning chart "${chartId}"`);
+    }
+    const parameters = [];
+    const missing = [];
+
+    Object.keys(chart.bands).forEach(name => {
+        if (typeof vitals[name] === 'number' && !Number.isNaN(vitals[name])) {
+            parameters.push(scoreParameter(chart.bands, name, vitals[name]));
+        } else {
+            missing.push(name);
+        }
+    });
+
+    if (vitals.on_oxygen) {
+        parameters.push({
+            parameter: 'on_oxygen',
+            value: true,
+            points: 2,
+            rule: 'Supplemental oxygen scores 2'
+        });
+    }
+
+    if (vitals.consciousness) {
+        const alert = vitals.consciousness === 'Alert';
+        parameters.push({
+            parameter: 'consciousness',
+            value: vitals.consciousness,
+            points: alert ? 0 : 3,
+            rule: alert
+                ? 'Consciousness Alert scores 0'
+                : `Consciousness ${vitals.consciousness} scores 3 (new confusion or V/P/U)`
+        });
+    } else {
+        missing.push('consciousness');
+    }
+
+    const score = parameters.reduce((sum, p) => sum + p.points, 0);
+    const redScore = parameters.some(p => p.points === 3);
+
+    return {
+        chart: chartId,
+        chart_name: chart.name,
+        score,
+        implied_risk_level: chart.floor === 'triggers' ? triggerRiskLevel(parameters, score) : impliedRiskLevel(score, redScore),
+        red_score: redScore,
+        parameters,
+        missing
+    };
+}
+
+/**
+ * Raises the triage risk level to the level implied by the early-warning
+ * score if the AI (or the offline rules) returned something lower.
+ * Records the rule that caused the change in `risk_override`.
+ */
+function applyRiskFloor(triageData, earlyWarning) {
+    triageData.early_warning = earlyWarning;
+
+    const floor = earlyWarning.implied_risk_level;
+    if (riskLevelRank(triageData.risk_level) >= riskLevelRank(floor)) {
+        return triageData;
+    }
+
+    // A single red parameter explains a High floor on its own. A floor that
+    // comes from the total lists every parameter that added points.
+    const contributing = earlyWarning.parameters
+        .filter(p => p.points > 0)
+        .sort((a, b) => b.points - a.points);
+    const reason = floor === 'Critical' || !earlyWarning.red_score
+        ? `Early warning score ${earlyWarning.score} implies ${floor}: ${contributing.map(p => p.rule).join('; ')}`
+        : contributing[0].rule;
+
+    triageData.risk_override = {
+        source: 'early_warning_score',
+        from_level: triageData.risk_level,
+        from_score: triageData.risk_score,
+        to_level: floor,
+        rule: reason
+    };
+
+    triageData.risk_level = floor;
+    const band = RISK_SCORE_BANDS[floor];
+    triageData.risk_score = Math.min(Math.max(Number(triageData.risk_score) || 0, band.min), band.max);
+
+    return triageData;
+}
+
+module.exports = {
+    CHARTS,
+    calculateEarlyWarningScore,
+    applyRiskFloor
+};
@@ -0,0 +1,147 @@
+// ============================================
+// Contributing Factors ("why this score")
+// ============================================
+// Lists what moved the risk score and by roughly how much, so a
+// clinician can see whether a 72 came from the vitals, the age or one
+// alarming symptom phrase:
+//
+//   { input_type: 'symptom', input: 'crushing chest pain', direction: 'raises',
+//     weight: 4, explanation: '...', origin: 'ai', spans: [[12, 31]] }
+//
+// Factors come from three places:
+// - the AI answer (triage-v6 and later prompts ask for them)
+// - the early warning score: every vital that scored points. These
+//   replace the AI's own factor for the same vital, since the score is
+//   what the risk floor uses
+// - the offline rules: every red flag they recognised
+//
+// weight is 1 (minor) to 5 (decided the level on its own). `spans` are
+// [start, end) character positions of symptom phrases in the symptoms
+// text, so the app can highlight them.
+
+const { FACTOR_WEIGHT } = require('./schema');
+
+// Weight of a vital by its early warning points (1-3)
+const POINT_WEIGHTS = { 1: 2, 2: 3, 3: 5 };
+
+// Weight of a red flag by the level it implies
+const LEVEL_WEIGHTS = { Low: 1, Moderate: 2, High: 4, Critical: 5 };
+
+// Measured vitals needed before "all normal" counts as a factor
+const MIN_NORMAL_VITALS = 3;
+
+/**
+ * Character positions of every case-insensitive occurrence of a phrase
+ */
+function findSpans(text, phrase) {
+    const spans = [];
+    if (!text || !phrase) return spans;
+
+    const haystack = text.toLowerCase();
+    const needle = phrase.trim().toLowerCase();
+    if (!needle) return spans;
+
+    let index = haystack.indexOf(needle);
+    while (index !== -1) {
+        spans.push([index, index + needle.length]);
+        index = haystack.indexOf(needle, index + needle.length);
+    }
+    return spans;
+}
+
+/**
+ * Factors from the vitals that scored early warning points, or a single
+ * "lowers" factor when enough vitals were measured and all were normal
+ */
+function earlyWarningFactors(earlyWarning, riskOverride) {
+    const scored = earlyWarning.parameters.filter(p => p.points > 0);
+
+    if (scored.length === 0) {
+        if (earlyWarning.parameters.length < MIN_NORMAL_VITALS) return [];
+        return [{
+            input_type: 'vital',
+            input: 'vitals',
+            direction: 'lowers',
+            weight: 2,
+            explanation: `All ${earlyWarning.parameters.length} scored vital signs are in the normal range (${earlyWarning.chart_name})`,
+            origin: 'early_warning_score'
+        }];
+    }
+
+    return scored.map(p => ({
+        input_type: 'vital',
+        input: p.parameter,
+        direction: 'raises',
+        weight: POINT_WEIGHTS[p.points] || FACTOR_WEIGHT.max,
+        explanation: riskOverride ? `${p.rule}; the vitals raised the risk level to ${riskOverride.to_level}` : p.rule,
+        origin: 'early_warning_score'
+    }));
+}
+
+/**
+ * Factors from the red flags the offline rules recognised
+ */
+function ruleFactors(redFlags) {
+    return (redFlags || []).map(flag => ({
+        input_type: 'symptom',
+        input: flag.matched.join(', '),
+        phrases: flag.matched,
+        direction: 'raises',
+        weight: LEVEL_WEIGHTS[flag.level],
+        explanation: `Red flag: ${flag.label} (at least ${flag.level})`,
+        origin: 'rules'
+    }));
+}
+
+/**
+ * Factors from the AI answer, leaving out vitals the early warning score covers
+ */
+function aiFactors(factors, scoredVitals) {
+    return (factors || [])
+        .filter(f => !(f.input_type === 'vital' && scoredVitals.has(f.input)))
+        .map(f => ({
+            input_type: f.input_type,
+            input: f.input.trim(),
+            direction: f.direction,
+            weight: f.weight,
+            explanation: (f.explanation || '').trim(),
+            origin: 'ai'
+        }));
+}
+
+/**
+ * Builds the final contributing_factors for a triage answer
+ * Call after the risk floor, so an override is mentioned.
+ * Returns [{ input_type, input, direction, weight, explanation, origin, spans? }],
+ * biggest effect first, factors that raise the score before those that lower it.
+ */
+function buildContributingFactors(triageData, prepared) {
+    const { earlyWarning, input } = prepared;
+    const vitalFactors = earlyWarningFactors(earlyWarning, triageData.risk_override);
+    const scoredVitals = new Set(vitalFactors.map(f => f.input));
+
+    const factors = [
+        ...(triageData.source === 'rules'
+            ? ruleFactors(triageData.red_flags)
+            : aiFactors(triageData.contributing_factors, scoredVitals)),
+        ...vitalFactors
+    ];
+
+    factors.forEach(factor => {
+        if (factor.input_type !== 'symptom') return;
+        const phrases = factor.phrases || [factor.input];
+        delete factor.phrases;
+        factor.spans = phrases
+            .flatMap(phrase => findSpans(input.symptoms, phrase))
+            .sort((a, b) => a[0] - b[0]);
+    });
+
+    return factors.sort((a, b) =>
+        (a.direction === b.direction ? 0 : a.direction === 'raises' ? -1 : 1) || b.weight - a.weight
+    );
+}
+
+module.exports = {
+    findSpans,
+    buildContributingFactors
+};
@@ -0,0 +1,207 @@
+// ============================================
+// Interaction and Contraindication Checks
+// ============================================
+// Checks the drugs and tests a triage answer suggests (triage_recommendation,
+// first_aid_steps, tests_advised) against the patient's medications,
+// allergies and chronic conditions, using the local table in
+// interactions.json:
+//
+// - allergy:          a suggested drug is in a class the patient is allergic
+//                     to (or cross-reacts with it, e.g. penicillin -> cephalosporin)
+// - interaction:      a suggested drug interacts with a regular medication
+//                     (e.g. aspirin while on warfarin)
+// - contraindication: a suggested drug or test is unsafe with a condition
+//                     (e.g. NSAIDs in asthma or pregnancy)
+//
+// Conflicts are flagged for the clinician, never removed: the clinician
+// decides. A drug the suggestion advises against ("avoid NSAIDs", "do not
+// give aspirin") is not flagged. The table is not a complete formulary.
+
+const fs = require('fs');
+const path = require('path');
+const { keywordPattern } = require('./rules');
+
+const TABLE_FILE = path.join(__dirname, 'interactions.json');
+
+// Words that, just before a drug name, mean the text advises against it
+const ADVISED_AGAINST = new Set(['avoid', 'avoiding', 'not', 'no', 'never', 'without', 'instead', 'stop', 'withhold', 'hold', "don't", 'dont']);
+
+// Pregnancy comes from the population mode, not the conditions list
+const PREGNANCY = { id: 'pregnancy', label: 'Pregnancy' };
+
+/**
+ * Compiles { <id>: { label, names } } into a list of classes with one
+ * word-boundary pattern per name
+ */
+function compileClasses(classes) {
+    return Object.entries(classes).map(([id, { label, names }]) => ({
+        id,
+        label,
+        patterns: names.map(keywordPattern)
+    }));
+}
+
+const table = JSON.parse(fs.readFileSync(TABLE_FILE, 'utf8'));
+const DRUG_CLASSES = compileClasses(table.drug_classes);
+const CONDITION_CLASSES = compileClasses(table.condition_classes);
+
+/**
+ * True if the words just before a match (same clause) advise against it
+ */
+function isAdvisedAgainst(before) {
+    const clause = before.split(/[.,;:!?\n]|\bbut\b/i).pop();
+    return clause.trim().toLowerCase().split(/\s+/).slice(-4).some(word => ADVISED_AGAINST.has(word));
+}
+
+/**
+ * The first occurrence of a pattern in the text, or null
+ * With `recommendedOnly`, occurrences the text advises against are skipped.
+ */
+function findMatch(pattern, text, recommendedOnly) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const start = match.index + match[0].length - match[1].length;
+        if (!recommendedOnly || !isAdvisedAgainst(text.slice(0, start))) {
+            return match[1];
+        }
+    }
+    return null;
+}
+
+/**
+ * Classes named in a text: [{ id, label, matched }]
+ */
+function findClasses(classes, text, recommendedOnly = false) {
+    const found = [];
+    classes.forEach(cls => {
+        for (const pattern of cls.patterns) {
+            const matched = findMatch(pattern, text, recommendedOnly);
+            if (matched) {
+                found.push({ id: cls.id, label: cls.label, matched });
+                break;
+            }
+        }
+    });
+    return found;
+}
+
+/**
+ * Sorts the patient's lists into table classes:
+ * {
+ *   medications: [{ item, classes: [id] }],
+ *   allergies:   [{ item, classes: [id], pattern? }],  // pattern when no class matched
+ *   conditions:  [{ item, classes: [id] }]
+ * }
+ */
+function classifyHistory(history, population) {
+    const classify = (items, classes) => items.map(item => ({
+        item,
+        classes: findClasses(classes, item).map(c => c.id)
+    }));
+
+    const allergies = classify(history.allergies, DRUG_CLASSES).map(allergy => (
+        allergy.classes.length > 0 ? allergy : { ...allergy, pattern: keywordPattern(allergy.item.toLowerCase()) }
+    ));
+    const conditions = classify(history.conditions, CONDITION_CLASSES);
+    if (population && population.mode === 'pregnancy') {
+        conditions.push({ item: PREGNANCY.label, classes: [PREGNANCY.id] });
+    }
+
+    return {
+        medications: classify(history.medications, DRUG_CLASSES),
+        allergies,
+        conditions
+    };
+}
+
+/**
+ * The suggestions to check: [{ field, index, text }] (index is null for
+ * the single-string triage_recommendation)
+ */
+function listSuggestions(triageData) {
+    const suggestions = [];
+    if (typeof triageData.triage_recommendation === 'string') {
+        suggestions.push({ field: 'triage_recommendation', index: null, text: triageData.triage_recommendation });
+    }
+    ['first_aid_steps', 'tests_advised'].forEach(field => {
+        (triageData[field] || []).forEach((text, index) => {
+            if (typeof text === 'string') suggestions.push({ field, index, text });
+        });
+    });
+    return suggestions;
+}
+
+/**
+ * Checks a triage answer's suggestions against the patient's history
+ *
+ * Returns [{
+ *   type: 'allergy' | 'interaction' | 'contraindication',
+ *   severity: 'major' | 'moderate',
+ *   field, index, suggestion,   // where the conflicting suggestion is, and its text
+ *   matched: string,            // the drug or test named in it
+ *   conflicts_with: string,     // the patient's medication, allergy or condition
+ *   message: string
+ * }], major conflicts first
+ */
+function checkSuggestions(triageData, history, population) {
+    const patient = classifyHistory(history, population);
+    if (patient.medications.length === 0 && patient.allergies.length === 0 && patient.conditions.length === 0) {
+        return [];
+    }
+
+    const flags = [];
+    listSuggestions(triageData).forEach(suggestion => {
+        const at = { field: suggestion.field, index: suggestion.index, suggestion: suggestion.text };
+
+        findClasses(DRUG_CLASSES, suggestion.text, true).forEach(drug => {
+            patient.allergies.forEach(allergy => {
+                if (allergy.classes.includes(drug.id)) {
+                    flags.push({
+                        type: 'allergy', severity: 'major', ...at, matched: drug.matched, conflicts_with: allergy.item,
+                        message: `Listed allergy: ${allergy.item} (${drug.label})`
+                    });
+                }
+                table.cross_reactions
+                    .filter(rule => rule.suggestion === drug.id && allergy.classes.includes(rule.allergy))
+                    .forEach(rule => flags.push({
+                        type: 'allergy', severity: rule.severity, ...at, matched: drug.matched, conflicts_with: allergy.item, message: rule.message
+                    }));
+            });
+
+            patient.medications.forEach(medication => {
+                table.interactions
+                    .filter(rule => rule.suggestion === drug.id && medication.classes.includes(rule.medication))
+                    .forEach(rule => flags.push({
+                        type: 'interaction', severity: rule.severity, ...at, matched: drug.matched, conflicts_with: medication.item, message: rule.message
+                    }));
+            });
+
+            patient.conditions.forEach(condition => {
+                table.contraindications
+                    .filter(rule => rule.suggestion === drug.id && condition.classes.includes(rule.condition))
+                    .forEach(rule => flags.push({
+                        type: 'contraindication', severity: rule.severity, ...at, matched: drug.matched, conflicts_with: condition.item, message: rule.message
+                    }));
+            });
+        });
+
+        // Allergies the table has no class for are matched by name
+        patient.allergies.filter(allergy => allergy.pattern).forEach(allergy => {
+            const matched = findMatch(allergy.pattern, suggestion.text, true);
+            if (matched) {
+                flags.push({
+                    type: 'allergy', severity: 'major', ...at, matched, conflicts_with: allergy.item,
+                    message: `Listed allergy: ${allergy.item}`
+                });
+            }
+        });
+    });
+
+    return flags.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'major' ? -1 : 1));
+}
+
+module.exports = {
+    INTERACTION_TABLE_VERSION: table.version,
+    checkSuggestions
+};
@@ -0,0 +1,56 @@
+// ============================================
+// Triage Languages
+// ============================================
+// Languages a clinician can type symptoms in and read results in.
+// Codes are ISO 639-1. Only the free-text fields of a result are
+// translated: risk_level always stays one of the English enum values
+// (Low, Moderate, High, Critical) so dashboards aggregate correctly.
+
+const LANGUAGES = {
+    en: 'English',
+    hi: 'Hindi',
+    mr: 'Marathi',
+    bn: 'Bengali',
+    gu: 'Gujarati',
+    ta: 'Tamil',
+    te: 'Telugu',
+    kn: 'Kannada'
+};
+
+// Symptoms may also be sent as 'auto': the model works out the language
+// (useful for mixed script, e.g. Hindi typed in Latin letters)
+const AUTO_DETECT = 'auto';
+
+/**
+ * Reads and validates the language settings of a request
+ * Returns { languages: { input, output } } or { error }
+ */
+function parseLanguages({ input_language: input, output_language: output } = {}) {
+    const inputLanguage = input ? String(input).toLowerCase() : AUTO_DETECT;
+    const outputLanguage = output ? String(output).toLowerCase() : 'en';
+    const codes = Object.keys(LANGUAGES).join(', ');
+
+    if (inputLanguage !== AUTO_DETECT && !LANGUAGES[inputLanguage]) {
+        return { error: `input_language must be ${AUTO_DETECT} or one of: ${codes}` };
+    }
+    if (!LANGUAGES[outputLanguage]) {
+        return { error: `output_language must be one of: ${codes}` };
+    }
+
+    return { languages: { input: inputLanguage, output: outputLanguage } };
+}
+
+/**
+ * Describes a language code for the prompt, e.g. 'hi' -> 'Hindi'
+ */
+function languageName(code) {
+    if (code === AUTO_DETECT) return 'any language (detect it; it may be mixed or transliterated script)';
+    return LANGUAGES[code] || code;
+}
+
+module.exports = {
+    LANGUAGES,
+    AUTO_DETECT,
+    parseLanguages,
+    languageName
+};
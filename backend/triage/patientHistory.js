@@ -0,0 +1,75 @@
+// ============================================
+// Medications, Allergies and Chronic Conditions
+// ============================================
+// Optional lists from the patient record, sent with the triage request:
+//
+//   {
+//     medications: ['Warfarin 5 mg OD', 'Metformin 500 mg BD'],
+//     allergies: ['Penicillin'],
+//     conditions: ['Asthma', 'CKD stage 3']
+//   }
+//
+// Each may also be one comma-separated string ("warfarin, metformin").
+// They go into the prompt, and interactions.js checks the answer's
+// suggestions against them.
+
+const HISTORY_FIELDS = ['medications', 'allergies', 'conditions'];
+
+// Most items per list, and longest item
+const MAX_ITEMS = 30;
+const MAX_ITEM_LENGTH = 120;
+
+/**
+ * Reads one list: an array of strings or a comma/semicolon/newline
+ * separated string. Blank and repeated items are dropped.
+ * Returns { items } or { error }
+ */
+function parseList(value, field) {
+    if (value === undefined || value === null || value === '') {
+        return { items: [] };
+    }
+
+    let raw;
+    if (typeof value === 'string') {
+        raw = value.split(/[,;\n]/);
+    } else if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+        raw = value;
+    } else {
+        return { error: `${field} must be a list of text items or a comma-separated string` };
+    }
+
+    const items = [];
+    const seen = new Set();
+    for (const item of raw.map(i => i.trim()).filter(Boolean)) {
+        if (item.length > MAX_ITEM_LENGTH) {
+            return { error: `Each of ${field} must be at most ${MAX_ITEM_LENGTH} characters` };
+        }
+        if (!seen.has(item.toLowerCase())) {
+            seen.add(item.toLowerCase());
+            items.push(item);
+        }
+    }
+    if (items.length > MAX_ITEMS) {
+        return { error: `${field} can have at most ${MAX_ITEMS} items` };
+    }
+    return { items };
+}
+
+/**
+ * Reads medications, allergies and conditions from a request body
+ * Returns { history: { medications, allergies, conditions } } or { error }
+ */
+function parsePatientHistory(body) {
+    const history = {};
+    for (const field of HISTORY_FIELDS) {
+        const { items, error } = parseList((body || {})[field], field);
+        if (error) return { error };
+        history[field] = items;
+    }
+    return { history };
+}
+
+module.exports = {
+    HISTORY_FIELDS,
+    parsePatientHistory
+};
@@ -0,0 +1,539 @@
+// ============================================
+// Triage Pipeline
+// ============================================
+// Everything POST /analyze does, as plain functions, so other entry
+// points can run exactly the same analysis:
+//
+// 1. prepareTriageInput: validate the request, pick the population mode
+//    (age, sex, pregnancy), read the medication, allergy and condition
+//    lists, parse vitals, compute the early-warning score with that
+//    population's chart (no AI needed)
+// 2. runTriage: de-identify the input, prompt the AI provider, validate
+//    its JSON against the schema, re-prompt with the errors if needed,
+//    fall back to the offline rules (rules.js) if it never validates or
+//    the provider fails, re-identify the answer, then apply the
+//    vital-sign floor and flag suggestions that conflict with the
+//    patient's medications, allergies or conditions (interactions.js)
+//
+// runTriage can also report fields while the AI answer is still arriving
+// (onProgress), which /analyze/stream sends to the browser as events.
+//
+// Photos attached to the case (attachment_ids) are loaded by the caller
+// into prepared.images and only sent to providers that take images.
+
+const { parseVitals, formatVitals } = require('./vitals');
+const { calculateEarlyWarningScore, applyRiskFloor } = require('./earlyWarning');
+const { parseAIResponse, readPartialFields } = require('./schema');
+const { parseLanguages, languageName } = require('./languages');
+const { parsePatientProfile, populationGuidance } = require('./population');
+const { createRuleBasedResponse, RULES_VERSION } = require('./rules');
+const { buildContributingFactors } = require('./factors');
+const { parsePatientHistory } = require('./patientHistory');
+const { checkSuggestions } = require('./interactions');
+const { deidentify, reidentify } = require('../privacy/deidentify');
+const { parseAttachmentIds } = require('../attachments/attachmentStore');
+const logger = require('../logger');
+
+// Language tags such as "en", "en-IN" or "mr-Deva-IN"
+const LOCALE_PATTERN = /^[A-Za-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/;
+
+// Most follow-up questions and answers a request may carry
+const MAX_CLARIFICATIONS = 10;
+
+// ai_note for rule-based answers, by validation status
+const FALLBACK_NOTES = {
+    failed: 'The AI answer could not be validated, so this assessment comes from the offline rules (vital signs and red-flag symptoms).',
+    error: 'The AI service could not be reached, so this assessment comes from the offline rules (vital signs and red-flag symptoms).'
+};
+
+// photos.note when attached photos were not looked at
+const PHOTOS_SKIPPED_NOTES = {
+    provider: 'The AI model in use does not take photos, so this assessment is based on the text alone.',
+    rules: 'The offline rules do not look at photos, so this assessment is based on the text alone.'
+};
+
+/**
+ * Validates the request body and does all the work that needs no AI
+ *
+ * Returns either:
+ * - { error, details? }                      -> respond with 400
+ * - { input, locale, languages: { input, output }, population, history, vitals, normalisedVitals, earlyWarning,
+ *     attachmentIds, images }
+ *
+ * `input.age` is the age as text with its unit (e.g. "8 months"), and
+ * `population` is the mode picked from age, sex and pregnancy (see population.js),
+ * and `history` the { medications, allergies, conditions } lists (see patientHistory.js).
+ * `images` starts empty: the caller loads the photos named in `attachmentIds`.
+ */
+function prepareTriageInput(body) {
+    const { patientName, symptoms, vitals, locale, clarifications } = body || {};
+
+    // Validate input
+    if (!symptoms || typeof symptoms !== 'string' || symptoms.trim() === '') {
+        return { error: 'Symptoms are required for triage analysis' };
+    }
+    if (locale !== undefined && locale !== null && locale !== '' &&
+        (typeof locale !== 'string' || !LOCALE_PATTERN.test(locale))) {
+        return { error: 'locale must be a language tag such as en-IN or hi-IN' };
+    }
+
+    const { languages, error: languageError } = parseLanguages(body);
+    if (languageError) {
+        return { error: languageError };
+    }
+
+    const transcript = parseClarifications(clarifications);
+    if (transcript.error) {
+        return { error: transcript.error };
+    }
+
+    const profile = parsePatientProfile(body);
+    if (profile.error) {
+        return { error: profile.error };
+    }
+    const { population } = profile;
+
+    const { history, error: historyError } = parsePatientHistory(body);
+    if (historyError) {
+        return { error: historyError };
+    }
+
+    const { ids: attachmentIds, error: attachmentError } = parseAttachmentIds(body.attachment_ids);
+    if (attachmentError) {
+        return { error: attachmentError };
+    }
+
+    // Parse the vitals text into structured values and reject impossible ones
+    const parsed = parseVitals(vitals);
+    if (parsed.errors.length > 0) {
+        return {
+            error: 'Some vitals are not physically possible. Please check and correct them.',
+            details: parsed.errors
+        };
+    }
+
+    return {
+        input: {
+            patientName,
+            age: profile.age ? profile.age.text : undefined,
+            sex: population.sex,
+            pregnancy_status: population.pregnancy_status,
+            gestation_weeks: population.gestation_weeks,
+            ...history,
+            symptoms,
+            vitals,
+            clarifications: transcript.clarifications
+        },
+        locale: locale || null,
+        languages,
+        population,
+        history,
+        vitals: parsed.vitals,
+        normalisedVitals: formatVitals(parsed.vitals),
+        earlyWarning: calculateEarlyWarningScore(parsed.vitals, population.chart),
+        attachmentIds,
+        images: []
+    };
+}
+
+/**
+ * Checks the follow-up question transcript from clarifying-question mode
+ * Returns { clarifications: [{ question, answer }] } or { error }
+ */
+function parseClarifications(clarifications) {
+    if (clarifications === undefined || clarifications === null) {
+        return { clarifications: [] };
+    }
+    if (!Array.isArray(clarifications) || clarifications.length > MAX_CLARIFICATIONS) {
+        return { error: `clarifications must be a list of at most ${MAX_CLARIFICATIONS} questions and answers` };
+    }
+
+    const cleaned = [];
+    for (const item of clarifications) {
+        const question = item && typeof item.question === 'string' ? item.question.trim() : '';
+        const answer = item && typeof item.answer === 'string' ? item.answer.trim() : '';
+        if (!question || (item.answer !== undefined && item.answer !== null && typeof item.answer !== 'string')) {
+            return { error: 'Each clarification needs a question and a text answer (the answer may be empty)' };
+        }
+        cleaned.push({ question, answer });
+    }
+    return { clarifications: cleaned };
+}
+
+/**
+ * Template variables for a prepared request (see prompts/)
+ * `input` is the de-identified patient input
+ */
+function promptVariables(prepared, input) {
+    const { patientName, age, symptoms, vitals, clarifications, medications, allergies, conditions } = input;
+    const { population } = prepared;
+
+    return {
+        patient_name: patientName || 'Not provided',
+        age: age || 'Not provided',
+        sex: SEX_NAMES[population.sex],
+        pregnancy: describePregnancy(population),
+        population: population.label,
+        population_guidance: populationGuidance(population).map(line => `- ${line}`).join('\n'),
+        early_warning_chart: prepared.earlyWarning.chart_name,
+        medications: listOrNone(medications),
+        allergies: listOrNone(allergies),
+        conditions: listOrNone(conditions),
+        symptoms,
+        vitals: vitals || 'Not provided',
+        normalised_vitals: prepared.normalisedVitals || 'None recognised',
+        photos: prepared.images && prepared.images.length > 0 ? `${prepared.images.length} attached to this message` : '',
+        clarifications: (clarifications || [])
+            .map(c => `- Q: ${c.question}\n  A: ${c.answer || 'Not answered'}`)
+            .join('\n'),
+        locale: prepared.locale,
+        input_language: languageName(prepared.languages.input),
+        output_language: languageName(prepared.languages.output)
+    };
+}
+
+/**
+ * A history list as the prompt shows it
+ */
+function listOrNone(items) {
+    return items && items.length > 0 ? items.join(', ') : 'None recorded';
+}
+
+const SEX_NAMES = { female: 'Female', male: 'Male', other: 'Other', unknown: 'Not recorded' };
+
+/**
+ * Pregnancy status as the prompt shows it, e.g. "Pregnant, 32 weeks"
+ */
+function describePregnancy({ pregnancy_status: status, gestation_weeks: weeks }) {
+    if (status === 'pregnant') return weeks ? `Pregnant, ${weeks} weeks` : 'Pregnant';
+    return status === 'not_pregnant' ? 'Not pregnant' : 'Not recorded';
+}
+
+/**
+ * Builds the triage prompt from a template (the active one by default, see prompts/)
+ * `input` is the de-identified patient input
+ * Returns { version, hash, text }
+ */
+function buildTriagePrompt(prompts, prepared, input, version) {
+    return prompts.render(promptVariables(prepared, input), version);
+}
+
+/**
+ * Renders the prompt the AI would get for a request body, without calling it
+ * `extraVariables` fills variables that only some templates use (e.g. max_questions)
+ * Returns { error, details? } or { version, hash, text }
+ */
+function previewTriagePrompt(prompts, body, version, extraVariables = {}) {
+    const prepared = prepareTriageInput(body);
+    if (prepared.error) return prepared;
+    return prompts.render({ ...promptVariables(prepared, deidentify(prepared.input).input), ...extraVariables }, version);
+}
+
+/**
+ * Builds a follow-up prompt asking the model to fix its previous answer
+ */
+function buildRepairPrompt(originalPrompt, previousText, errors) {
+    return `${originalPrompt}
+
+Your previous response was:
+${previousText}
+
+It failed validation with these errors:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return the corrected JSON object only. Every field is required, every array must contain at least one item, and risk_score must fall inside the band for risk_level.`;
+}
+
+// Fields reported by the 'details' progress event
+const DETAIL_FIELDS = ['triage_recommendation', 'clinical_summary', 'tests_advised', 'first_aid_steps', 'when_to_refer'];
+
+/**
+ * Creates a callback that takes the model text received so far and calls
+ * onProgress(event, data) once for each group of fields as it completes:
+ * - 'risk':     { risk_level, risk_score, risk_override? } (vital-sign floor applied)
+ * - 'concerns': { key_concerns }
+ * - 'details':  newly completed DETAIL_FIELDS (may fire several times)
+ * Values are re-identified but not yet validated.
+ */
+function createProgressReporter(onProgress, prepared, mapping) {
+    const sent = new Set();
+
+    return text => {
+        const fields = readPartialFields(text);
+
+        if (!sent.has('risk') && fields.risk_level && fields.risk_score !== undefined) {
+            sent.add('risk');
+            const risk = { risk_level: fields.risk_level, risk_score: fields.risk_score };
+            applyRiskFloor(risk, prepared.earlyWarning);
+            delete risk.early_warning;
+            onProgress('risk', risk);
+        }
+
+        if (!sent.has('concerns') && fields.key_concerns) {
+            sent.add('concerns');
+            onProgress('concerns', reidentify({ key_concerns: fields.key_concerns }, mapping));
+        }
+
+        const details = {};
+        DETAIL_FIELDS.forEach(field => {
+            if (!sent.has(field) && fields[field] !== undefined) {
+                sent.add(field);
+                details[field] = fields[field];
+            }
+        });
+        if (Object.keys(details).length > 0) {
+            onProgress('details', reidentify(details, mapping));
+        }
+    };
+}
+
+/**
+ * Gets the model's answer, streaming it when the provider supports it and
+ * someone is listening for progress
+ */
+async function requestAnswer(provider, request, reportText) {
+    if (!reportText || typeof provider.stream !== 'function') {
+        return provider.generate(request);
+    }
+
+    let text = '';
+    for await (const chunk of provider.stream(request)) {
+        text += chunk;
+        reportText(text);
+    }
+    return text;
+}
+
+/**
+ * Runs the AI part of triage for a prepared input
+ *
+ * Options:
+ * - prompts: the prompt library (see prompts/) that builds the prompt
+ * - maxRepairAttempts: how many times to re-prompt with validation errors
+ *   before giving up and using the rule-based answer
+ * - onProgress(event, data): called with partial fields while the first
+ *   answer streams in (see createProgressReporter)
+ *
+ * Returns { triageData, trace }.
+ *
+ * triageData.source is 'ai', or 'rules' when the rule-based answer
+ * (rules.js) replaced an AI answer that failed.
+ *
+ * triageData always has a `validation` tag:
+ * {
+ *   status: 'valid' | 'repaired' | 'failed' | 'error'
+ *           (or 'skipped' from runRuleBasedTriage),
+ *   attempts: number,      // AI calls made
+ *   errors: [string],      // last validation errors (or the provider error, which
+ *                          // is logged but never shown in the clinical text)
+ *   repairs: [string]      // formatting fixes applied locally
+ * }
+ *
+ * trace records what the AI saw and said, with placeholders instead of
+ * patient identifiers, for the audit trail:
+ * {
+ *   redacted_input: object,     // de-identified input sent to the provider
+ *   prompt_version: string,
+ *   prompt_hash: string,        // hash of the template text, in case a version was edited
+ *   raw_responses: [string],    // raw model text, one per attempt
+ *   parsed_result: object|null, // validated AI output, before re-identification
+ *   fallback_used: boolean,
+ *   photos: [{ id, content_type, bytes, sent_to_ai }]   // never the image data
+ * }
+ */
+async function runTriage(provider, prepared, { prompts, maxRepairAttempts = 2, onProgress } = {}) {
+    // Patient identity never leaves the server: the AI only sees placeholders
+    const deidentified = deidentify(prepared.input);
+    // Photos only go to a model that takes images; the others triage the text alone
+    const images = provider.acceptsImages ? prepared.images || [] : [];
+    const builtPrompt = buildTriagePrompt(prompts, { ...prepared, images }, deidentified.input);
+    const prompt = builtPrompt.text;
+    const validation = { status: 'valid', attempts: 0, errors: [], repairs: [] };
+    const trace = {
+        redacted_input: redactedRequest(deidentified.input, prepared),
+        prompt_version: builtPrompt.version,
+        prompt_hash: builtPrompt.hash,
+        raw_responses: [],
+        parsed_result: null,
+        fallback_used: false,
+        photos: describePhotos(prepared, images.length > 0)
+    };
+
+    let triageData = null;
+    const reportText = onProgress ? createProgressReporter(onProgress, prepared, deidentified.mapping) : null;
+
+    try {
+        let currentPrompt = prompt;
+
+        while (validation.attempts <= maxRepairAttempts) {
+            validation.attempts++;
+
+            // Only the first answer is streamed; repairs replace it in the final result
+            const text = await requestAnswer(
+                provider,
+                { prompt: currentPrompt, input: deidentified.input, images },
+                validation.attempts === 1 ? reportText : null
+            );
+            logger.debug('ai_response', { attempt: validation.attempts, chars: text ? text.length : 0 });
+            trace.raw_responses.push(text);
+
+            const { data, errors, repairs } = parseAIResponse(text);
+            validation.repairs.push(...repairs);
+            validation.errors = errors;
+
+            if (errors.length === 0) {
+                triageData = data;
+                break;
+            }
+
+            logger.warn('ai_validation_failed', { attempt: validation.attempts, errors });
+            currentPrompt = buildRepairPrompt(prompt, text, errors);
+        }
+
+        if (triageData) {
+            if (validation.attempts > 1 || validation.repairs.length > 0) {
+                validation.status = 'repaired';
+            }
+            trace.parsed_result = JSON.parse(JSON.stringify(triageData));
+            // Put the real identifiers back for the clinician
+            reidentify(triageData, deidentified.mapping);
+            triageData.source = 'ai';
+        } else {
+            validation.status = 'failed';
+            trace.fallback_used = true;
+            triageData = createRuleBasedResponse(prepared, FALLBACK_NOTES.failed);
+        }
+    } catch (error) {
+        logger.error('ai_provider_error', {
+            provider: provider.name,
+            model: provider.model,
+            message: error.message
+        });
+
+        validation.status = 'error';
+        validation.errors = [error.message];
+        trace.fallback_used = true;
+
+        triageData = createRuleBasedResponse(prepared, FALLBACK_NOTES.error);
+    }
+
+    // Record which model and prompt produced it (or were tried, when the rules answered)
+    triageData.ai_provider = provider.name;
+    triageData.ai_model = provider.model;
+    triageData.prompt_version = builtPrompt.version;
+    triageData.deidentification = deidentified.summary;
+    setPhotoSummary(triageData, prepared, images.length > 0 ? null : 'provider');
+
+    return { triageData: finaliseTriage(triageData, prepared, validation), trace };
+}
+
+/**
+ * Triage from the rules alone, without calling the AI provider
+ * (e.g. when the daily AI quota is used up)
+ * Returns { triageData, trace } like runTriage
+ */
+function runRuleBasedTriage(prepared, reason) {
+    const triageData = createRuleBasedResponse(prepared, `Rule-based triage only: ${reason}`);
+    triageData.ai_provider = 'rules';
+    triageData.ai_model = RULES_VERSION;
+    triageData.prompt_version = null;
+    setPhotoSummary(triageData, prepared, 'rules');
+
+    const trace = {
+        redacted_input: redactedRequest(deidentify(prepared.input).input, prepared),
+        prompt_version: null,
+        prompt_hash: null,
+        raw_responses: [],
+        parsed_result: null,
+        fallback_used: true,
+        photos: describePhotos(prepared, false)
+    };
+
+    return {
+        triageData: finaliseTriage(triageData, prepared, { status: 'skipped', attempts: 0, errors: [], repairs: [] }),
+        trace
+    };
+}
+
+/**
+ * The attached photos as the audit trail records them: ids and sizes only
+ */
+function describePhotos(prepared, sent) {
+    return (prepared.images || []).map(image => ({
+        id: image.id,
+        content_type: image.contentType,
+        bytes: image.data.length,
+        sent_to_ai: sent
+    }));
+}
+
+/**
+ * Tells the clinician how many photos were attached and whether the AI
+ * looked at them (skipped: null, or a PHOTOS_SKIPPED_NOTES key)
+ */
+function setPhotoSummary(triageData, prepared, skipped) {
+    const attached = (prepared.images || []).length;
+    if (attached === 0) return;
+    triageData.photos = {
+        attached,
+        sent_to_ai: skipped ? 0 : attached,
+        ...(skipped ? { note: PHOTOS_SKIPPED_NOTES[skipped] } : {})
+    };
+}
+
+/**
+ * The de-identified request as it is stored for audit and replay
+ */
+function redactedRequest(input, prepared) {
+    return {
+        ...input,
+        locale: prepared.locale,
+        input_language: prepared.languages.input,
+        output_language: prepared.languages.output
+    };
+}
+
+/**
+ * Steps shared by AI and rule-based triage: tag the validation status,
+ * languages and population mode, apply the vital-sign floor, list the
+ * factors behind the score, flag conflicting suggestions and attach the
+ * structured vitals
+ */
+function finaliseTriage(triageData, prepared, validation) {
+    triageData.validation = validation;
+
+    // Languages, and the symptoms in English for records and dashboards.
+    // Without a translation from the AI, English input is its own.
+    triageData.input_language = prepared.languages.input;
+    triageData.output_language = prepared.languages.output;
+    if (typeof triageData.symptoms_english !== 'string' || !triageData.symptoms_english.trim()) {
+        triageData.symptoms_english = prepared.languages.input === 'en' ? prepared.input.symptoms : null;
+    }
+
+    // What the assessment was based on, besides the symptoms
+    triageData.clarifications = prepared.input.clarifications;
+
+    // Which population's vital thresholds and guidance were applied
+    triageData.population = { ...prepared.population };
+
+    // Never let the final risk level fall below what the vitals imply
+    applyRiskFloor(triageData, prepared.earlyWarning);
+
+    // Why this score: the AI's (or rules') factors plus the vitals that scored
+    triageData.contributing_factors = buildContributingFactors(triageData, prepared);
+
+    // Suggestions that clash with the patient's medications, allergies or conditions
+    triageData.interaction_flags = checkSuggestions(triageData, prepared.history, prepared.population);
+    triageData.vitals = prepared.vitals;
+
+    return triageData;
+}
+
+module.exports = {
+    prepareTriageInput,
+    runTriage,
+    runRuleBasedTriage,
+    buildTriagePrompt,
+    previewTriagePrompt,
+    promptVariables
+};
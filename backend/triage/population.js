@@ -0,0 +1,294 @@
+// ============================================
+// Population Modes (age, sex and pregnancy)
+// ============================================
+// Infants, children, older adults and pregnant patients have different
+// normal vitals and red flags. Each case is routed to a population mode
+// from its structured age, sex and pregnancy status:
+//
+//   { age: 8, age_unit: 'months', sex: 'female' }  -> infant
+//   { age: 29, sex: 'female', pregnancy_status: 'pregnant', gestation_weeks: 32 } -> pregnancy
+//
+// The mode picks the early warning chart the vitals are scored with
+// (see earlyWarning.js) and the guidance added to the triage prompt.
+// Without an age the case is treated as an adult, as before.
+
+const AGE_UNITS = ['years', 'months', 'weeks', 'days'];
+const SEXES = ['female', 'male', 'other', 'unknown'];
+const PREGNANCY_STATUSES = ['pregnant', 'not_pregnant', 'unknown'];
+
+// Months per unit, for comparing ages given in different units
+const MONTHS_PER_UNIT = { years: 12, months: 1, weeks: 12 / 52, days: 12 / 365 };
+
+const MAX_AGE_YEARS = 130;
+
+// Youngest age (in years) at which a pregnancy status is accepted
+const MIN_PREGNANCY_AGE_YEARS = 9;
+
+// Short unit names accepted in free-text ages ("8m", "2 yrs", "10 days")
+const UNIT_ALIASES = {
+    y: 'years', yr: 'years', yrs: 'years', year: 'years', years: 'years',
+    m: 'months', mo: 'months', mos: 'months', month: 'months', months: 'months',
+    w: 'weeks', wk: 'weeks', wks: 'weeks', week: 'weeks', weeks: 'weeks',
+    d: 'days', day: 'days', days: 'days'
+};
+
+// "45", "90+", "8 months", "8m", "2.5 yrs"
+const AGE_PATTERN = /^(\d+(?:\.\d+)?)\s*\+?\s*([a-z]*)$/i;
+// "2y 3m", "1 year 6 months"
+const YEARS_MONTHS_PATTERN = /^(\d+)\s*(?:y|yrs?|years?)\s*,?\s*(\d+)\s*(?:m|mos?|months?)$/i;
+
+/**
+ * Population modes, youngest first. `maxMonths` is the age (in months)
+ * the mode runs up to; `guidance` is added to the triage prompt.
+ */
+const POPULATION_MODES = {
+    young_infant: {
+        label: 'Young infant (under 3 months)',
+        maxMonths: 3,
+        chart: 'pews_young_infant',
+        guidance: [
+            'Normal ranges: heart rate 110-160, respiratory rate 30-50, systolic BP 70 or more.',
+            'A temperature of 38.0°C or more is a red flag at this age, even if the baby looks well.',
+            'Red flags: poor feeding, fewer wet nappies, lethargy or floppiness, weak or high-pitched cry, grunting, apnoea, bulging fontanelle, mottled or pale skin.',
+            'Young infants show few localising signs and deteriorate quickly: escalate early.'
+        ]
+    },
+    infant: {
+        label: 'Infant (3-11 months)',
+        maxMonths: 12,
+        chart: 'pews_infant',
+        guidance: [
+            'Normal ranges: heart rate 110-160, respiratory rate 30-50, systolic BP 70 or more.',
+            'A temperature of 39.0°C or more is a red flag up to 6 months.',
+            'Red flags: poor feeding, fewer wet nappies, lethargy or inconsolable crying, grunting, chest recession, bulging fontanelle, non-blanching rash.',
+            'Medicine doses and fluids depend on weight: say so wherever you advise them.'
+        ]
+    },
+    young_child: {
+        label: 'Young child (1-4 years)',
+        maxMonths: 60,
+        chart: 'pews_young_child',
+        guidance: [
+            'Normal ranges: heart rate 90-140, respiratory rate 20-40, systolic BP 80 or more.',
+            'Red flags: drowsiness, chest recession or grunting, dehydration (no urine for 12 hours, sunken eyes, no tears), non-blanching rash, neck stiffness, seizures, suspected foreign body or poisoning.',
+            'Medicine doses and fluids depend on weight: say so wherever you advise them.'
+        ]
+    },
+    child: {
+        label: 'Child (5-11 years)',
+        maxMonths: 144,
+        chart: 'pews_child',
+        guidance: [
+            'Normal ranges: heart rate 70-120, respiratory rate 16-30, systolic BP 90 or more.',
+            'Red flags: drowsiness, breathing difficulty, dehydration, non-blanching rash, neck stiffness, severe abdominal pain, seizures, suspected poisoning.',
+            'Medicine doses depend on weight: say so wherever you advise them.'
+        ]
+    },
+    adolescent: {
+        label: 'Adolescent (12-15 years)',
+        maxMonths: 192,
+        chart: 'pews_adolescent',
+        guidance: [
+            'Normal ranges: heart rate 60-110, respiratory rate 12-24, systolic BP 95 or more.',
+            'Consider pregnancy in girls of reproductive age with abdominal pain, vomiting or bleeding, and consider self-harm, substance use and safeguarding concerns.'
+        ]
+    },
+    adult: {
+        label: 'Adult',
+        maxMonths: 65 * 12,
+        chart: 'news2',
+        guidance: []
+    },
+    older_adult: {
+        label: 'Older adult (65 or over)',
+        maxMonths: Infinity,
+        chart: 'news2',
+        guidance: [
+            'Presentations are often atypical: infection, heart attack or abdominal emergencies may show only as confusion, falls, weakness or eating less, and fever may be absent.',
+            'New confusion is a red flag (delirium). Ask about anticoagulants after any fall or head injury, and about other medicines (polypharmacy).',
+            'Lower the threshold for escalation.'
+        ]
+    },
+    pregnancy: {
+        label: 'Pregnancy',
+        chart: 'meows',
+        guidance: [
+            'Normal pregnancy raises the heart rate and respiratory rate a little and lowers blood pressure in mid-pregnancy.',
+            'Red flags: BP 140/90 or more, especially with headache, visual disturbance or upper abdominal pain (pre-eclampsia); seizures; vaginal bleeding; abdominal pain; leaking fluid; reduced fetal movements; breathlessness or chest pain (pulmonary embolism); fever (sepsis).',
+            'In early pregnancy, abdominal pain or bleeding may be an ectopic pregnancy.',
+            'Only advise medicines that are safe in pregnancy.'
+        ]
+    }
+};
+
+/**
+ * Whether a value was left out of the request
+ */
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Reads the patient's age from `age` (a number or text such as "8 months")
+ * and an optional `age_unit`
+ *
+ * Returns { age: null } when no age was given, { age: { value, unit, months, text } }
+ * or { error }
+ */
+function parseAge(age, ageUnit) {
+    if (isBlank(age)) return { age: null };
+    if (!isBlank(ageUnit) && !AGE_UNITS.includes(ageUnit)) {
+        return { error: `age_unit must be one of: ${AGE_UNITS.join(', ')}` };
+    }
+
+    const error = { error: 'age must be a number of years, or a number with a unit such as "8 months"' };
+    let value;
+    let unit;
+    let months;
+
+    const text = String(age).trim();
+    const combined = text.match(YEARS_MONTHS_PATTERN);
+    if (typeof age === 'number') {
+        value = age;
+        unit = ageUnit || 'years';
+    } else if (combined) {
+        months = Number(combined[1]) * 12 + Number(combined[2]);
+        value = months;
+        unit = 'months';
+    } else {
+        const match = text.match(AGE_PATTERN);
+        if (!match) return error;
+        value = Number(match[1]);
+        unit = match[2] ? UNIT_ALIASES[match[2].toLowerCase()] : (ageUnit || 'years');
+        if (!unit) return error;
+    }
+
+    if (!Number.isFinite(value) || value < 0) return error;
+    if (months === undefined) months = value * MONTHS_PER_UNIT[unit];
+    if (months > MAX_AGE_YEARS * 12) {
+        return { error: `age must be under ${MAX_AGE_YEARS} years` };
+    }
+
+    return {
+        age: {
+            value,
+            unit,
+            months,
+            text: `${value} ${value === 1 ? unit.slice(0, -1) : unit}`
+        }
+    };
+}
+
+/**
+ * Checks sex, pregnancy status and weeks of gestation against each other
+ * and the age
+ * Returns { sex, pregnancy: { status, gestation_weeks } } or { error }
+ */
+function parseSexAndPregnancy(body, age) {
+    const sex = isBlank(body.sex) ? 'unknown' : body.sex;
+    if (!SEXES.includes(sex)) {
+        return { error: `sex must be one of: ${SEXES.join(', ')}` };
+    }
+
+    const status = isBlank(body.pregnancy_status) ? 'unknown' : body.pregnancy_status;
+    if (!PREGNANCY_STATUSES.includes(status)) {
+        return { error: `pregnancy_status must be one of: ${PREGNANCY_STATUSES.join(', ')}` };
+    }
+
+    let gestationWeeks = null;
+    if (!isBlank(body.gestation_weeks)) {
+        gestationWeeks = Number(body.gestation_weeks);
+        if (status !== 'pregnant') {
+            return { error: 'gestation_weeks can only be given when pregnancy_status is pregnant' };
+        }
+        if (!Number.isInteger(gestationWeeks) || gestationWeeks < 1 || gestationWeeks > 45) {
+            return { error: 'gestation_weeks must be a whole number of weeks from 1 to 45' };
+        }
+    }
+
+    if (status === 'pregnant') {
+        if (sex === 'male') {
+            return { error: 'pregnancy_status cannot be pregnant when sex is male. Please check both fields.' };
+        }
+        if (age && age.months < MIN_PREGNANCY_AGE_YEARS * 12) {
+            return { error: `pregnancy_status cannot be pregnant for a patient aged ${age.text}. Please check both fields.` };
+        }
+    }
+
+    return { sex, pregnancy: { status, gestation_weeks: gestationWeeks } };
+}
+
+/**
+ * Picks the population mode for a parsed age, sex and pregnancy status
+ *
+ * Returns:
+ * {
+ *   mode: string,            // key of POPULATION_MODES, e.g. 'infant'
+ *   label: string,           // e.g. 'Infant (3-11 months)' or 'Pregnancy (32 weeks)'
+ *   chart: string,           // early warning chart id, e.g. 'pews_infant'
+ *   age: string|null,        // e.g. '8 months'
+ *   age_months: number|null,
+ *   sex: string,
+ *   pregnancy_status: string,
+ *   gestation_weeks: number|null
+ * }
+ */
+function determinePopulation(age, sex, pregnancy) {
+    let mode;
+    if (pregnancy.status === 'pregnant') {
+        mode = 'pregnancy';
+    } else if (!age) {
+        mode = 'adult';
+    } else {
+        mode = Object.keys(POPULATION_MODES)
+            .find(key => POPULATION_MODES[key].maxMonths !== undefined && age.months < POPULATION_MODES[key].maxMonths);
+    }
+
+    const definition = POPULATION_MODES[mode];
+    let label = definition.label;
+    if (mode === 'pregnancy' && pregnancy.gestation_weeks) label += ` (${pregnancy.gestation_weeks} weeks)`;
+    if (!age && mode === 'adult') label += ' (age not recorded)';
+
+    return {
+        mode,
+        label,
+        chart: definition.chart,
+        age: age ? age.text : null,
+        age_months: age ? Math.round(age.months * 10) / 10 : null,
+        sex,
+        pregnancy_status: pregnancy.status,
+        gestation_weeks: pregnancy.gestation_weeks
+    };
+}
+
+/**
+ * Reads age, age_unit, sex, pregnancy_status and gestation_weeks from a
+ * request body and picks the population mode
+ * Returns { age, population } (see parseAge, determinePopulation) or { error }
+ */
+function parsePatientProfile(body) {
+    const { age, error: ageError } = parseAge(body.age, body.age_unit);
+    if (ageError) return { error: ageError };
+
+    const profile = parseSexAndPregnancy(body, age);
+    if (profile.error) return { error: profile.error };
+
+    return { age, population: determinePopulation(age, profile.sex, profile.pregnancy) };
+}
+
+/**
+ * Population-specific points for the triage prompt (empty for adults)
+ */
+function populationGuidance(population) {
+    return POPULATION_MODES[population.mode].guidance;
+}
+
+module.exports = {
+    POPULATION_MODES,
+    AGE_UNITS,
+    SEXES,
+    PREGNANCY_STATUSES,
+    parseAge,
+    parsePatientProfile,
+    populationGuidance
+};
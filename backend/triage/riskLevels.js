@@ -0,0 +1,43 @@
+// ============================================
+// Risk Levels
+// ============================================
+// The four triage levels used everywhere in CareCompass, lowest first,
+// with the 0-100 score band each one covers.
+
+const RISK_LEVELS = ['Low', 'Moderate', 'High', 'Critical'];
+
+const RISK_SCORE_BANDS = {
+    Low: { min: 0, max: 25 },
+    Moderate: { min: 26, max: 50 },
+    High: { min: 51, max: 75 },
+    Critical: { min: 76, max: 100 }
+};
+
+/**
+ * Returns the position of a level in RISK_LEVELS (-1 if unknown)
+ */
+function riskLevelRank(level) {
+    return RISK_LEVELS.indexOf(level);
+}
+
+/**
+ * Returns the higher of two risk levels
+ */
+function maxRiskLevel(a, b) {
+    return riskLevelRank(a) >= riskLevelRank(b) ? a : b;
+}
+
+/**
+ * Returns the risk level whose band contains the given score
+ */
+function riskLevelForScore(score) {
+    return RISK_LEVELS.find(level => score <= RISK_SCORE_BANDS[level].max) || 'Critical';
+}
+
+module.exports = {
+    RISK_LEVELS,
+    RISK_SCORE_BANDS,
+    riskLevelRank,
+    maxRiskLevel,
+    riskLevelForScore
+};
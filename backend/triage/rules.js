@@ -0,0 +1,600 @@
+// ============================================
+// Offline Rule-Based Triage
+// ============================================
+// Used when the AI cannot give an answer (provider down, answers that
+// never validate, quota used up). Instead of one fixed answer, the
+// patient is assessed from:
+//
+// - the early warning score and individual vital signs
+// - a curated list of red-flag symptom keywords, e.g. "chest pain",
+//   "unresponsive", "heavy bleeding", some only for certain populations
+//   (a headache in pregnancy, a fever under 3 months) and some only in
+//   combination (abdominal pain and fainting in early pregnancy)
+//
+// The result is a full triage object tagged `source: 'rules'`. It is
+// deliberately conservative: it never goes below Moderate, because the
+// rules cannot rule anything out, and the first aid steps follow
+// standard protocols for the red flags it found.
+//
+// Keyword matching is simple: a keyword preceded by "no", "not",
+// "denies" or "without" within three words is ignored ("no chest pain"),
+// and anything described differently is missed. The clinician must
+// always assess the patient in full.
+
+const { RISK_SCORE_BANDS, maxRiskLevel, riskLevelRank } = require('./riskLevels');
+const { AUTO_DETECT } = require('./languages');
+
+// Shown as ai_model for rule-only triage, so saved cases say which rules were used
+const RULES_VERSION = 'red-flags-v2';
+
+// Never below this level: without the AI nothing can be ruled out
+const MINIMUM_LEVEL = 'Moderate';
+
+// Score given for each level, inside its band
+const LEVEL_SCORES = { Low: 20, Moderate: 45, High: 70, Critical: 90 };
+
+// Pregnancies recorded at up to this many weeks count as early (first trimester)
+const EARLY_PREGNANCY_WEEKS = 13;
+
+// Phrases that point to an early pregnancy nobody has recorded yet
+const EARLY_PREGNANCY_KEYWORDS = [
+    'missed period', 'missed periods', 'missed her period', 'late period', 'period late', 'period is late', 'weeks late',
+    'periods stopped', 'positive pregnancy test', 'pregnancy test positive', 'upt positive', 'early pregnancy'
+];
+
+/**
+ * Red-flag symptoms. Each entry:
+ * {
+ *   id, label,                // label is shown as a key concern
+ *   level,                    // minimum risk level when it is found
+ *   levels?: { <mode>: level },  // a different level for some population modes
+ *   populations?: [mode],     // only checked for these population modes
+ *   early_pregnancy?: true,   // only checked in early pregnancy, recorded or described
+ *   keywords: [string],       // lower case; spaces match any whitespace
+ *   also?: [[string]],        // further keyword lists that must each match too
+ *   tests: [string],
+ *   first_aid: [string]
+ * }
+ * A few common romanised Hindi terms are included next to the English ones.
+ */
+const RED_FLAGS = [
+    {
+        id: 'cardiac_arrest',
+        label: 'Not breathing or no pulse',
+        level: 'Critical',
+        keywords: ['not breathing', 'stopped breathing', 'no pulse', 'cardiac arrest', 'pulseless'],
+        tests: ['Cardiac monitor', 'Blood glucose'],
+        first_aid: [
+            'Call for help and start CPR (30 compressions to 2 breaths) if there is no normal breathing',
+            'Attach a defibrillator or AED as soon as one is available'
+        ]
+    },
+    {
+        id: 'unresponsive',
+        label: 'Unresponsive or reduced consciousness',
+        level: 'Critical',
+        keywords: ['unresponsive', 'unconscious', 'not responding', 'not waking', 'collapsed', 'behosh', 'behoshi'],
+        tests: ['Blood glucose', 'ECG', 'GCS'],
+        first_aid: [
+            'Check airway, breathing and circulation',
+            'Place in the recovery position if breathing normally',
+            'Check blood glucose and treat a low reading'
+        ]
+    },
+    {
+        id: 'severe_breathing',
+        label: 'Severe breathing difficulty',
+        level: 'Critical',
+        keywords: ['cannot breathe', "can't breathe", 'unable to breathe', 'gasping', 'choking', 'blue lips', 'cyanosis', 'cyanosed', 'grunting'],
+        tests: ['SpO2', 'Chest X-ray', 'Blood gas if available'],
+        first_aid: [
+            'Sit the patient upright',
+            'Give oxygen to keep SpO2 94-98% (88-92% if the patient has known COPD)',
+            'For choking: back blows and abdominal thrusts (chest thrusts under 1 year)'
+        ]
+    },
+    {
+        id: 'anaphylaxis',
+        label: 'Possible anaphylaxis',
+        level: 'Critical',
+        keywords: ['anaphylaxis', 'swollen tongue', 'tongue swelling', 'throat swelling', 'throat closing', 'swollen lips', 'lip swelling'],
+        tests: ['Blood pressure', 'SpO2'],
+        first_aid: [
+            'Give IM adrenaline (1 mg/mL) into the outer thigh at the age-appropriate dose: 0.5 mL adult, 0.3 mL age 6-12, 0.15 mL under 6',
+            'Lay the patient flat with legs raised, or sitting up if breathing is difficult',
+            'Repeat adrenaline after 5 minutes if there is no improvement'
+        ]
+    },
+    {
+        id: 'heavy_bleeding',
+        label: 'Heavy or uncontrolled bleeding',
+        level: 'Critical',
+        keywords: ['heavy bleeding', 'bleeding heavily', 'severe bleeding', 'uncontrolled bleeding', "won't stop bleeding", 'profuse bleeding', 'haemorrhage', 'hemorrhage'],
+        tests: ['Haemoglobin', 'Blood group and crossmatch', 'Blood pressure and heart rate every 5 minutes'],
+        first_aid: [
+            'Apply firm direct pressure to the bleeding point',
+            'Apply a tourniquet above a limb wound if pressure does not stop the bleeding',
+            'Insert a large-bore IV cannula and start fluids per shock protocol'
+        ]
+    },
+    {
+        id: 'stroke',
+        label: 'Possible stroke',
+        level: 'Critical',
+        keywords: ['slurred speech', 'facial droop', 'face drooping', 'one-sided weakness', 'weakness on one side', 'one side weak', 'sudden numbness', 'paralysis', 'lakwa'],
+        tests: ['Blood glucose', 'CT brain', 'ECG'],
+        first_aid: [
+            'Note the time the symptoms started or the patient was last seen well',
+            'Nothing by mouth until swallowing has been checked',
+            'Check blood glucose'
+        ]
+    },
+    {
+        id: 'seizure',
+        label: 'Seizure',
+        level: 'High',
+        levels: { pregnancy: 'Critical', young_infant: 'Critical' },
+        keywords: ['seizure', 'seizures', 'convulsion', 'convulsions', 'convulsing', 'fitting', 'fits', 'mirgi'],
+        tests: ['Blood glucose', 'Electrolytes'],
+        first_aid: [
+            'Protect the patient from injury and do not put anything in the mouth',
+            'Time the seizure; give benzodiazepine per protocol if it lasts over 5 minutes',
+            'Recovery position once the seizure stops'
+        ]
+    },
+    {
+        id: 'chest_pain',
+        label: 'Chest pain',
+        level: 'High',
+        keywords: ['chest pain', 'chest tightness', 'tight chest', 'crushing', 'pressure in chest', 'chest pressure', 'seene mein dard', 'seene me dard'],
+        tests: ['12-lead ECG within 10 minutes', 'Troponin', 'Blood pressure in both arms'],
+        first_aid: [
+            'Keep the patient at rest',
+            'Give aspirin 300 mg to chew unless allergic or bleeding, per chest pain protocol',
+            'Attach a cardiac monitor'
+        ]
+    },
+    {
+        id: 'breathlessness',
+        label: 'Breathlessness',
+        level: 'High',
+        keywords: ['shortness of breath', 'short of breath', 'breathless', 'breathlessness', 'difficulty breathing', 'difficulty in breathing', 'saans phoolna', 'saans lene mein takleef'],
+        tests: ['SpO2', 'Peak flow if asthmatic', 'Chest X-ray'],
+        first_aid: [
+            'Sit the patient upright',
+            'Give oxygen to keep SpO2 94-98% (88-92% if the patient has known COPD)'
+        ]
+    },
+    {
+        id: 'gi_bleeding',
+        label: 'Vomiting blood or black stools',
+        level: 'High',
+        keywords: ['vomiting blood', 'blood in vomit', 'haematemesis', 'hematemesis', 'black stools', 'black stool', 'melaena', 'melena', 'coughing blood', 'coughing up blood'],
+        tests: ['Haemoglobin', 'Blood group and crossmatch'],
+        first_aid: [
+            'Nothing by mouth',
+            'Insert an IV cannula and monitor blood pressure and heart rate'
+        ]
+    },
+    {
+        id: 'meningitis',
+        label: 'Possible meningitis or sepsis',
+        level: 'High',
+        keywords: ['neck stiffness', 'stiff neck', 'non-blanching rash', 'rash that does not fade', 'purpura', 'purpuric'],
+        tests: ['Blood culture', 'Full blood count', 'Lactate'],
+        first_aid: [
+            'Isolate the patient',
+            'Give the first dose of antibiotics per sepsis protocol without waiting for tests'
+        ]
+    },
+    {
+        id: 'severe_headache',
+        label: 'Sudden or severe headache',
+        level: 'High',
+        keywords: ['worst headache', 'thunderclap', 'sudden severe headache', 'sudden headache'],
+        tests: ['CT brain', 'Blood pressure'],
+        first_aid: ['Keep the patient lying quietly with the head raised', 'Repeat neurological observations every 15 minutes']
+    },
+    {
+        id: 'confusion',
+        label: 'New confusion or drowsiness',
+        level: 'High',
+        keywords: ['confused', 'confusion', 'disoriented', 'disorientated', 'drowsy', 'hard to wake', 'floppy', 'lethargic'],
+        tests: ['Blood glucose', 'Electrolytes', 'Infection screen'],
+        first_aid: ['Check blood glucose and treat a low reading', 'Do not leave the patient alone']
+    },
+    {
+        id: 'poisoning',
+        label: 'Poisoning, overdose or bite',
+        level: 'High',
+        keywords: ['poisoning', 'poison', 'overdose', 'pesticide', 'organophosphate', 'insecticide', 'snake bite', 'snakebite', 'scorpion sting', 'zeher'],
+        tests: ['Identify the substance or snake', 'Clotting test (20-minute whole blood) for snake bite'],
+        first_aid: [
+            'Keep the container or a description of the substance',
+            'For snake bite: keep the limb still and below the heart; no tourniquet, cutting or sucking',
+            'Do not induce vomiting'
+        ]
+    },
+    {
+        id: 'major_trauma',
+        label: 'Major trauma',
+        level: 'High',
+        keywords: ['road traffic accident', 'road accident', 'fall from height', 'fell from height', 'head injury', 'stab wound', 'stabbed', 'gunshot', 'severe burn', 'severe burns', 'electric shock'],
+        tests: ['Primary survey (ABCDE)', 'X-rays or FAST scan as indicated'],
+        first_aid: [
+            'Keep the neck still if a spinal injury is possible',
+            'Control bleeding with direct pressure',
+            'Cool burns with running water for 20 minutes and cover with cling film'
+        ]
+    },
+    {
+        id: 'self_harm',
+        label: 'Risk of suicide or self-harm',
+        level: 'High',
+        keywords: ['suicidal', 'suicide', 'wants to die', 'self-harm', 'self harm', 'harm himself', 'harm herself', 'harm themselves'],
+        tests: ['Mental health risk assessment'],
+        first_aid: ['Do not leave the patient alone', 'Remove anything that could be used for self-harm']
+    },
+    {
+        id: 'severe_abdominal_pain',
+        label: 'Severe abdominal pain',
+        level: 'High',
+        keywords: ['severe abdominal pain', 'severe stomach pain', 'severe pain in abdomen', 'rigid abdomen'],
+        tests: ['Urine pregnancy test if of childbearing age', 'Abdominal ultrasound', 'Lipase'],
+        first_aid: ['Nothing by mouth until assessed', 'Insert an IV cannula']
+    },
+    {
+        id: 'ectopic_pregnancy',
+        label: 'Possible ectopic pregnancy',
+        level: 'High',
+        early_pregnancy: true,
+        keywords: ['abdominal pain', 'stomach pain', 'pelvic pain', 'pain in abdomen', 'pain in lower abdomen', 'belly pain', 'pet dard', 'pet mein dard'],
+        also: [['faint', 'fainted', 'fainting', 'passed out', 'collapsed', 'dizzy', 'dizziness', 'light-headed', 'lightheaded', 'chakkar']],
+        tests: ['Urine pregnancy test', 'Pelvic ultrasound', 'Haemoglobin', 'Blood group and crossmatch'],
+        first_aid: [
+            'Lay the patient flat with legs raised if she feels faint',
+            'Insert a large-bore IV cannula and monitor blood pressure and heart rate every 15 minutes',
+            'Refer urgently for surgical or gynaecological assessment'
+        ]
+    },
+    {
+        id: 'dehydration',
+        label: 'Signs of dehydration',
+        level: 'Moderate',
+        levels: { young_infant: 'High', infant: 'High', young_child: 'High', older_adult: 'High' },
+        keywords: ['not passing urine', 'no urine', 'no wet nappies', 'fewer wet nappies', 'sunken eyes', 'not feeding', 'poor feeding', 'unable to drink', 'not drinking'],
+        tests: ['Electrolytes', 'Urine output'],
+        first_aid: ['Give oral rehydration solution in small frequent sips if the patient can drink', 'Record urine output']
+    },
+    {
+        id: 'fever',
+        label: 'Fever',
+        level: 'Moderate',
+        levels: { young_infant: 'High' },
+        keywords: ['fever', 'febrile', 'high temperature', 'bukhar', 'bukhaar'],
+        tests: ['Temperature', 'Full blood count', 'Malaria test in endemic areas'],
+        first_aid: ['Give paracetamol at the weight-appropriate dose', 'Remove excess clothing and encourage fluids']
+    },
+    {
+        id: 'pregnancy_warning',
+        label: 'Warning sign in pregnancy',
+        level: 'High',
+        populations: ['pregnancy'],
+        keywords: ['bleeding', 'abdominal pain', 'stomach pain', 'headache', 'blurred vision', 'swelling of face', 'reduced fetal movements', 'baby not moving', 'leaking fluid', 'waters broke', 'water broke'],
+        tests: ['Blood pressure', 'Urine protein', 'Fetal heart rate'],
+        first_aid: [
+            'Lay the patient on her left side',
+            'Check blood pressure and urine protein for pre-eclampsia'
+        ]
+    }
+];
+
+// A letter from any script but Latin (Devanagari, Tamil, ...)
+const NON_LATIN_LETTER = /(?!\p{Script=Latin})\p{L}/u;
+
+// Words that negate a keyword when they appear up to three words before it
+const NEGATIONS = new Set(['no', 'not', 'denies', 'denied', 'without', 'nil', 'never', 'absent']);
+
+/**
+ * Escapes a keyword for use in a regular expression, letting any
+ * whitespace match the spaces in it
+ */
+function keywordPattern(keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`(?:^|[^a-z])(${escaped})(?![a-z])`, 'gi');
+}
+
+const KEYWORD_PATTERNS = new Map(
+    [...RED_FLAGS.flatMap(flag => [flag.keywords, ...(flag.also || [])].flat()), ...EARLY_PREGNANCY_KEYWORDS]
+        .map(keyword => [keyword, keywordPattern(keyword)])
+);
+
+/**
+ * True if the text just before a match negates it ("no chest pain",
+ * "denies any chest pain"). The clause stops at punctuation and "but".
+ */
+function isNegated(before) {
+    const clause = before.split(/[.,;:!?\n]|\bbut\b|\bhowever\b/i).pop();
+    return clause.trim().toLowerCase().split(/\s+/).slice(-3).some(word => NEGATIONS.has(word));
+}
+
+/**
+ * Finds the keywords of a list in the text that are not negated
+ */
+function findKeywords(keywords, text) {
+    const found = [];
+    keywords.forEach(keyword => {
+        const pattern = KEYWORD_PATTERNS.get(keyword);
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const start = match.index + match[0].length - match[1].length;
+            if (!isNegated(text.slice(0, start))) {
+                found.push(match[1]);
+                break;
+            }
+        }
+    });
+    return found;
+}
+
+/**
+ * Whether the patient may be in early pregnancy: a recorded pregnancy of
+ * up to EARLY_PREGNANCY_WEEKS (or of unknown length), or one the text
+ * describes ("period 7 weeks late"). Returns the phrases that show it,
+ * or null.
+ */
+function findEarlyPregnancy(text, population) {
+    if (population.mode === 'pregnancy') {
+        const weeks = population.gestation_weeks;
+        if (!weeks) return ['pregnant'];
+        return weeks <= EARLY_PREGNANCY_WEEKS ? [`pregnant, ${weeks} weeks`] : null;
+    }
+    if (population.sex === 'male') return null;
+    const found = findKeywords(EARLY_PREGNANCY_KEYWORDS, text);
+    return found.length > 0 ? found : null;
+}
+
+/**
+ * Finds every keyword a red flag needs; returns the phrases matched, or
+ * an empty list if any part is missing
+ */
+function matchRedFlag(flag, text, population) {
+    const lists = [flag.keywords, ...(flag.also || [])].map(keywords => findKeywords(keywords, text));
+    if (flag.early_pregnancy) lists.push(findEarlyPregnancy(text, population) || []);
+    return lists.every(found => found.length > 0) ? lists.flat() : [];
+}
+
+/**
+ * Red flags found in the symptoms (and clarification answers)
+ * Returns [{ id, label, level, matched: [string] }], highest level first
+ */
+function findRedFlags(text, population) {
+    return RED_FLAGS
+        .filter(flag => !flag.populations || flag.populations.includes(population.mode))
+        .map(flag => ({ flag, matched: matchRedFlag(flag, text, population) }))
+        .filter(({ matched }) => matched.length > 0)
+        .map(({ flag, matched }) => ({
+            id: flag.id,
+            label: flag.label,
+            level: (flag.levels && flag.levels[population.mode]) || flag.level,
+            matched
+        }))
+        .sort((a, b) => riskLevelRank(b.level) - riskLevelRank(a.level));
+}
+
+/**
+ * Findings and first aid from individual vital signs that the early
+ * warning score marks as clearly abnormal (2 or more points), plus blood
+ * glucose, which the score does not include
+ * Returns [{ concern, level, tests, first_aid }]
+ */
+function vitalSignFindings(vitals, earlyWarning) {
+    const findings = [];
+    const scored = new Map(earlyWarning.parameters.map(p => [p.parameter, p]));
+    const abnormal = name => scored.has(name) && scored.get(name).points >= 2;
+    const levelFor = name => (scored.get(name).points >= 3 ? 'High' : 'Moderate');
+
+    if (abnormal('spo2')) {
+        findings.push({
+            concern: `Low oxygen saturation (SpO2 ${vitals.spo2}%)`,
+            level: levelFor('spo2'),
+            tests: ['Chest X-ray', 'Blood gas if available'],
+            first_aid: ['Give oxygen to keep SpO2 94-98% (88-92% if the patient has known COPD)']
+        });
+    }
+    if (abnormal('respiratory_rate')) {
+        findings.push({
+            concern: `Abnormal breathing rate (${vitals.respiratory_rate}/min)`,
+            level: levelFor('respiratory_rate'),
+            tests: ['SpO2'],
+            first_aid: ['Sit the patient upright unless the blood pressure is low, and watch the breathing closely']
+        });
+    }
+    if (abnormal('systolic_bp')) {
+        const low = vitals.systolic_bp < 120;
+        findings.push({
+            concern: low ? `Low blood pressure (${vitals.systolic_bp} mmHg systolic)` : `Very high blood pressure (${vitals.systolic_bp} mmHg systolic)`,
+            level: levelFor('systolic_bp'),
+            tests: low ? ['Lactate', 'Blood culture if infection is possible'] : ['ECG', 'Urine protein', 'Renal function'],
+            first_aid: low
+                ? ['Lay the patient flat with legs raised unless breathless', 'Insert an IV cannula and give fluids per shock protocol']
+                : ['Keep the patient resting and recheck the blood pressure in 15 minutes', 'Do not try to lower the blood pressure quickly']
+        });
+    }
+    if (abnormal('heart_rate')) {
+        findings.push({
+            concern: `Abnormal heart rate (${vitals.heart_rate} bpm)`,
+            level: levelFor('heart_rate'),
+            tests: ['12-lead ECG'],
+            first_aid: ['Attach a cardiac monitor']
+        });
+    }
+    if (abnormal('temperature')) {
+        const low = vitals.temperature < 37;
+        findings.push({
+            concern: low ? `Low temperature (${vitals.temperature}°C)` : `High temperature (${vitals.temperature}°C)`,
+            level: levelFor('temperature'),
+            tests: low ? ['Blood glucose'] : ['Blood culture', 'Full blood count'],
+            first_aid: low
+                ? ['Warm the patient with blankets and a warm room']
+                : ['Give paracetamol at the weight-appropriate dose', 'Remove excess clothing and encourage fluids']
+        });
+    }
+    if (abnormal('consciousness')) {
+        findings.push({
+            concern: `Not fully alert (${vitals.consciousness})`,
+            level: 'High',
+            tests: ['Blood glucose', 'GCS'],
+            first_aid: ['Protect the airway and place in the recovery position if breathing normally']
+        });
+    }
+    if (typeof vitals.glucose === 'number' && vitals.glucose < 4) {
+        findings.push({
+            concern: `Low blood glucose (${vitals.glucose} mmol/L)`,
+            level: vitals.glucose < 3 ? 'Critical' : 'High',
+            tests: ['Repeat blood glucose after 15 minutes'],
+            first_aid: ['If able to swallow give 15-20 g of fast-acting sugar; if not, give IV dextrose per hypoglycaemia protocol']
+        });
+    } else if (typeof vitals.glucose === 'number' && vitals.glucose > 20) {
+        findings.push({
+            concern: `Very high blood glucose (${vitals.glucose} mmol/L)`,
+            level: 'High',
+            tests: ['Urine or blood ketones', 'Electrolytes'],
+            first_aid: ['Insert an IV cannula and start fluids per DKA/HHS protocol']
+        });
+    }
+
+    return findings;
+}
+
+// What to do, by final level
+const LEVEL_GUIDANCE = {
+    Moderate: {
+        recommendation: 'Assess within 30-60 minutes and repeat the vital signs while the patient waits.',
+        referral: 'Refer if the vital signs worsen, a red-flag symptom appears, or the assessment finds a condition this facility cannot manage.',
+        first_aid: ['Repeat the vital signs every 30 minutes while waiting']
+    },
+    High: {
+        recommendation: 'Urgent assessment by a clinician within 10 minutes.',
+        referral: 'Refer urgently to a higher-level facility if the cause cannot be treated here or the patient does not improve quickly.',
+        first_aid: ['Insert an IV cannula', 'Repeat the vital signs every 15 minutes']
+    },
+    Critical: {
+        recommendation: 'Immediate assessment: move to the resuscitation area and call the senior clinician now.',
+        referral: 'Arrange immediate transfer to the nearest emergency facility once the patient is stabilised, if the care needed is not available here.',
+        first_aid: ['Attach continuous monitoring', 'Stay with the patient']
+    }
+};
+
+/**
+ * Adds items to a list, skipping ones already in it
+ */
+function addUnique(list, items) {
+    items.forEach(item => {
+        if (!list.includes(item)) list.push(item);
+    });
+    return list;
+}
+
+/**
+ * The text the keyword rules read: the symptoms and any clarification answers
+ */
+function textToScan(input) {
+    const answers = (input.clarifications || []).map(c => c.answer).filter(Boolean);
+    return [input.symptoms, ...answers].join('\n');
+}
+
+/**
+ * A one-paragraph summary of what the rules found
+ */
+function summarise(prepared, redFlags, findings) {
+    const { earlyWarning, population } = prepared;
+    const parts = ['Offline rule-based assessment: AI analysis was not available.'];
+
+    parts.push(redFlags.length > 0
+        ? `Red-flag symptoms recognised: ${redFlags.map(f => f.label.toLowerCase()).join(', ')}.`
+        : 'No red-flag symptoms were recognised in the text.');
+
+    if (earlyWarning.parameters.length > 0) {
+        parts.push(`Early warning score ${earlyWarning.score} (${earlyWarning.chart_name})${findings.length > 0
+            ? `, with ${findings.map(f => f.concern.charAt(0).toLowerCase() + f.concern.slice(1)).join(', ')}`
+            : ''}.`);
+    } else {
+        parts.push('No vital signs were recognised, so no early warning score could be calculated.');
+    }
+    parts.push(`Population: ${population.label}.`);
+
+    const { input: inputLanguage, output: outputLanguage } = prepared.languages;
+    const notEnglish = inputLanguage === AUTO_DETECT
+        ? NON_LATIN_LETTER.test(prepared.input.symptoms)
+        : inputLanguage !== 'en';
+    if (notEnglish) {
+        parts.push('The symptoms are not in English, so the keyword rules may have missed red flags.');
+    }
+    if (outputLanguage !== 'en') {
+        parts.push('The rules can only answer in English.');
+    }
+    parts.push('The rules only match keywords and vital-sign thresholds, so assess the patient in full.');
+
+    return parts.join(' ');
+}
+
+/**
+ * Builds a full triage answer from the rules alone
+ *
+ * `note` explains why the AI was not used and becomes ai_note.
+ * Returns the triage fields the AI would return, plus:
+ * {
+ *   source: 'rules',
+ *   rules_version: string,
+ *   red_flags: [{ id, label, level, matched: [string] }]
+ * }
+ */
+function createRuleBasedResponse(prepared, note) {
+    const { earlyWarning, population, vitals } = prepared;
+    const redFlags = findRedFlags(textToScan(prepared.input), population);
+    const findings = vitalSignFindings(vitals, earlyWarning);
+
+    let level = maxRiskLevel(MINIMUM_LEVEL, earlyWarning.implied_risk_level);
+    [...redFlags, ...findings].forEach(item => {
+        level = maxRiskLevel(level, item.level);
+    });
+    const guidance = LEVEL_GUIDANCE[level];
+
+    const keyConcerns = [...redFlags.map(f => f.label), ...findings.map(f => f.concern)];
+    if (keyConcerns.length === 0) {
+        keyConcerns.push('No red flags recognised by the offline rules', 'Full clinical assessment still needed');
+    }
+
+    const tests = addUnique([], redFlags.flatMap(f => RED_FLAGS.find(r => r.id === f.id).tests));
+    addUnique(tests, findings.flatMap(f => f.tests));
+    addUnique(tests, ['Full set of vital signs', 'Blood glucose']);
+
+    const firstAid = addUnique([], redFlags.flatMap(f => RED_FLAGS.find(r => r.id === f.id).first_aid));
+    addUnique(firstAid, findings.flatMap(f => f.first_aid));
+    addUnique(firstAid, guidance.first_aid);
+
+    return {
+        risk_level: level,
+        risk_score: Math.min(LEVEL_SCORES[level], RISK_SCORE_BANDS[level].max),
+        key_concerns: keyConcerns,
+        triage_recommendation: guidance.recommendation,
+        clinical_summary: summarise(prepared, redFlags, findings),
+        tests_advised: tests,
+        first_aid_steps: firstAid,
+        when_to_refer: guidance.referral,
+        ai_note: note,
+        source: 'rules',
+        rules_version: RULES_VERSION,
+        red_flags: redFlags
+    };
+}
+
+module.exports = {
+    RED_FLAGS,
+    RULES_VERSION,
+    keywordPattern,
+    findRedFlags,
+    createRuleBasedResponse
+};
@@ -0,0 +1,265 @@
+// ============================================
+// Triage Response Schema
+// ============================================
+// Validates the JSON object the AI returns for /analyze. Every field the
+// frontend renders (and Firestore stores) is checked: types, enum values,
+// the 0-100 score range and non-empty arrays.
+
+const { RISK_LEVELS, RISK_SCORE_BANDS } = require('./riskLevels');
+
+const REQUIRED_STRINGS = ['triage_recommendation', 'clinical_summary', 'when_to_refer'];
+const REQUIRED_ARRAYS = ['key_concerns', 'tests_advised', 'first_aid_steps'];
+// Returned by newer prompt templates; checked only when present
+const OPTIONAL_STRINGS = ['symptoms_english'];
+
+// contributing_factors (triage-v6 and later): what pushed the score up or down
+const FACTOR_INPUT_TYPES = ['vital', 'symptom', 'age', 'sex', 'pregnancy', 'history', 'other'];
+const FACTOR_DIRECTIONS = ['raises', 'lowers'];
+const FACTOR_WEIGHT = { min: 1, max: 5 };
+const DIRECTION_SYNONYMS = { increases: 'raises', up: 'raises', decreases: 'lowers', down: 'lowers', reduces: 'lowers' };
+
+/**
+ * Extracts the JSON object from raw model text
+ * Takes the content between the first { and the last } so markdown
+ * fences or a sentence before the JSON do not break parsing.
+ *
+ * Returns { data } on success or { error } on failure.
+ */
+function extractJSON(text) {
+    if (typeof text !== 'string') {
+        return { error: 'Response was empty' };
+    }
+
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+
+    if (start === -1 || end === -1 || end < start) {
+        return { error: 'No JSON object found in the response' };
+    }
+
+    try {
+        const data = JSON.parse(text.substring(start, end + 1));
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            return { error: 'Response JSON is not an object' };
+        }
+        return { data };
+    } catch (error) {
+        return { error: `Response is not valid JSON: ${error.message}` };
+    }
+}
+
+/**
+ * Fixes harmless formatting differences in place, so a response is not
+ * rejected (and re-prompted) for them:
+ * - risk_level in the wrong case ("high" -> "High")
+ * - risk_score given as a numeric string ("72" -> 72), rounded to an integer
+ * - a single string where an array is expected ("ECG" -> ["ECG"])
+ * - contributing factor directions and weights written loosely
+ *   ("Increases" -> "raises", "3" -> 3)
+ *
+ * Returns the list of repairs that were made.
+ */
+function normaliseTriageData(data) {
+    const repairs = [];
+
+    if (typeof data.risk_level === 'string') {
+        const level = RISK_LEVELS.find(l => l.toLowerCase() === data.risk_level.trim().toLowerCase());
+        if (level && level !== data.risk_level) {
+            repairs.push(`risk_level "${data.risk_level}" normalised to "${level}"`);
+            data.risk_level = level;
+        }
+    }
+
+    if (typeof data.risk_score === 'string' && data.risk_score.trim() !== '' && !Number.isNaN(Number(data.risk_score))) {
+        repairs.push(`risk_score "${data.risk_score}" converted to a number`);
+        data.risk_score = Number(data.risk_score);
+    }
+    if (typeof data.risk_score === 'number' && !Number.isInteger(data.risk_score)) {
+        repairs.push(`risk_score ${data.risk_score} rounded`);
+        data.risk_score = Math.round(data.risk_score);
+    }
+
+    REQUIRED_ARRAYS.forEach(field => {
+        if (typeof data[field] === 'string' && data[field].trim() !== '') {
+            repairs.push(`${field} wrapped in an array`);
+            data[field] = [data[field]];
+        }
+    });
+
+    if (Array.isArray(data.contributing_factors)) {
+        data.contributing_factors.forEach((factor, i) => {
+            if (!factor || typeof factor !== 'object') return;
+            if (typeof factor.direction === 'string') {
+                const lower = factor.direction.trim().toLowerCase();
+                const direction = DIRECTION_SYNONYMS[lower] || lower;
+                if (direction !== factor.direction && FACTOR_DIRECTIONS.includes(direction)) {
+                    repairs.push(`contributing_factors[${i}].direction "${factor.direction}" normalised to "${direction}"`);
+                    factor.direction = direction;
+                }
+            }
+            if (typeof factor.input_type === 'string' && factor.input_type !== factor.input_type.trim().toLowerCase()) {
+                factor.input_type = factor.input_type.trim().toLowerCase();
+                repairs.push(`contributing_factors[${i}].input_type lower-cased`);
+            }
+            if (typeof factor.weight === 'string' && factor.weight.trim() !== '' && !Number.isNaN(Number(factor.weight))) {
+                repairs.push(`contributing_factors[${i}].weight converted to a number`);
+                factor.weight = Number(factor.weight);
+            }
+            if (typeof factor.weight === 'number' && !Number.isInteger(factor.weight)) {
+                repairs.push(`contributing_factors[${i}].weight rounded`);
+                factor.weight = Math.round(factor.weight);
+            }
+        });
+    }
+
+    return repairs;
+}
+
+/**
+ * Validates a parsed triage object against the schema
+ * Returns an array of human-readable errors (empty if valid)
+ */
+function validateTriageData(data) {
+    const errors = [];
+
+    if (!RISK_LEVELS.includes(data.risk_level)) {
+        errors.push(`risk_level must be one of ${RISK_LEVELS.join(', ')} (got ${JSON.stringify(data.risk_level)})`);
+    }
+
+    if (typeof data.risk_score !== 'number' || Number.isNaN(data.risk_score)) {
+        errors.push(`risk_score must be a number (got ${JSON.stringify(data.risk_score)})`);
+    } else if (data.risk_score < 0 || data.risk_score > 100) {
+        errors.push(`risk_score must be between 0 and 100 (got ${data.risk_score})`);
+    } else if (RISK_LEVELS.includes(data.risk_level)) {
+        const band = RISK_SCORE_BANDS[data.risk_level];
+        if (data.risk_score < band.min || data.risk_score > band.max) {
+            errors.push(`risk_score ${data.risk_score} does not match risk_level ${data.risk_level} (${band.min}-${band.max})`);
+        }
+    }
+
+    REQUIRED_STRINGS.forEach(field => {
+        if (typeof data[field] !== 'string' || data[field].trim() === '') {
+            errors.push(`${field} must be a non-empty string`);
+        }
+    });
+
+    REQUIRED_ARRAYS.forEach(field => {
+        if (!Array.isArray(data[field]) || data[field].length === 0) {
+            errors.push(`${field} must be a non-empty array of strings`);
+        } else if (data[field].some(item => typeof item !== 'string' || item.trim() === '')) {
+            errors.push(`${field} must only contain non-empty strings`);
+        }
+    });
+
+    OPTIONAL_STRINGS.forEach(field => {
+        if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+            errors.push(`${field} must be a string if given`);
+        }
+    });
+
+    if (data.contributing_factors !== undefined && data.contributing_factors !== null) {
+        errors.push(...validateContributingFactors(data.contributing_factors));
+    }
+
+    return errors;
+}
+
+/**
+ * Validates the optional contributing_factors list
+ * Returns an array of errors (empty if valid)
+ */
+function validateContributingFactors(factors) {
+    if (!Array.isArray(factors)) {
+        return ['contributing_factors must be an array if given'];
+    }
+
+    const errors = [];
+    factors.forEach((factor, i) => {
+        const where = `contributing_factors[${i}]`;
+        if (!factor || typeof factor !== 'object' || Array.isArray(factor)) {
+            errors.push(`${where} must be an object`);
+            return;
+        }
+        if (!FACTOR_INPUT_TYPES.includes(factor.input_type)) {
+            errors.push(`${where}.input_type must be one of ${FACTOR_INPUT_TYPES.join(', ')}`);
+        }
+        if (typeof factor.input !== 'string' || factor.input.trim() === '') {
+            errors.push(`${where}.input must be a non-empty string`);
+        }
+        if (!FACTOR_DIRECTIONS.includes(factor.direction)) {
+            errors.push(`${where}.direction must be one of ${FACTOR_DIRECTIONS.join(', ')}`);
+        }
+        if (!Number.isInteger(factor.weight) || factor.weight < FACTOR_WEIGHT.min || factor.weight > FACTOR_WEIGHT.max) {
+            errors.push(`${where}.weight must be a whole number from ${FACTOR_WEIGHT.min} to ${FACTOR_WEIGHT.max}`);
+        }
+        if (factor.explanation !== undefined && typeof factor.explanation !== 'string') {
+            errors.push(`${where}.explanation must be a string if given`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Parses raw model text into a triage object and validates it
+ *
+ * Returns { data, errors, repairs }:
+ * - data: the parsed object (null if the text had no valid JSON)
+ * - errors: schema errors (empty if valid)
+ * - repairs: formatting fixes applied by normaliseTriageData
+ */
+function parseAIResponse(text) {
+    const { data, error } = extractJSON(text);
+    if (error) {
+        return { data: null, errors: [error], repairs: [] };
+    }
+
+    const repairs = normaliseTriageData(data);
+    return { data, errors: validateTriageData(data), repairs };
+}
+
+/**
+ * Reads the fields that are already complete in a partial (still
+ * streaming) model response, e.g. '{"risk_level": "High", "risk_sc'
+ * gives { risk_level: 'High' }. Values are not validated; the final
+ * parseAIResponse on the whole text is what counts.
+ */
+function readPartialFields(text) {
+    const fields = {};
+    if (typeof text !== 'string') return fields;
+
+    const level = text.match(/"risk_level"\s*:\s*"([^"]*)"/);
+    if (level) {
+        const match = RISK_LEVELS.find(l => l.toLowerCase() === level[1].trim().toLowerCase());
+        if (match) fields.risk_level = match;
+    }
+
+    // A number is only complete once something follows it
+    const score = text.match(/"risk_score"\s*:\s*"?(\d+(?:\.\d+)?)"?\s*[,}\n]/);
+    if (score) fields.risk_score = Math.round(Number(score[1]));
+
+    REQUIRED_STRINGS.forEach(field => {
+        const match = text.match(new RegExp(`"${field}"\\s*:\\s*("(?:[^"\\\\]|\\\\.)*")`));
+        if (match) {
+            try { fields[field] = JSON.parse(match[1]); } catch (e) { /* not complete yet */ }
+        }
+    });
+
+    REQUIRED_ARRAYS.forEach(field => {
+        const match = text.match(new RegExp(`"${field}"\\s*:\\s*(\\[(?:[^\\]"]|"(?:[^"\\\\]|\\\\.)*")*\\])`));
+        if (match) {
+            try { fields[field] = JSON.parse(match[1]); } catch (e) { /* not complete yet */ }
+        }
+    });
+
+    return fields;
+}
+
+module.exports = {
+    FACTOR_INPUT_TYPES,
+    FACTOR_DIRECTIONS,
+    FACTOR_WEIGHT,
+    parseAIResponse,
+    readPartialFields,
+    validateTriageData,
+    extractJSON
+};
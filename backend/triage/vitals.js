@@ -0,0 +1,228 @@
+// ============================================
+// Vitals Parsing & Validation
+// ============================================
+// Turns the free-text vitals string into a structured object with
+// normalised units, e.g.
+//
+//   "BP 120/80, HR 98, T 101.3F, GRBS 180 mg/dl, GCS 14/15"
+//
+//   {
+//     raw: "BP 120/80, HR 98, T 101.3F, GRBS 180 mg/dl, GCS 14/15",
+//     systolic_bp: 120, diastolic_bp: 80,    // mmHg
+//     heart_rate: 98,                        // beats/min
+//     temperature: 38.5,                     // °C
+//     glucose: 10,                           // mmol/L
+//     gcs: 14,                               // 3-15
+//     consciousness: 'Confusion',
+//     conversions: ['Temperature 101.3°F converted to 38.5°C', ...]
+//   }
+//
+// Values that are not physically possible (HR 980, SpO2 120%, BP 80/120)
+// are returned as errors instead, so the clinician can correct them.
+//
+// Decimals may use a comma as well as a point ("T 37,5"), as many
+// thermometers and clinicians write them. A comma followed by a space
+// separates values ("T 37, HR 90").
+
+/**
+ * Units of every numeric field in the structured vitals object
+ */
+const VITAL_UNITS = {
+    heart_rate: 'bpm',
+    respiratory_rate: '/min',
+    systolic_bp: 'mmHg',
+    diastolic_bp: 'mmHg',
+    spo2: '%',
+    temperature: '°C',
+    gcs: '/15',
+    glucose: 'mmol/L'
+};
+
+/**
+ * Physically possible range for each field (after unit conversion)
+ */
+const PLAUSIBLE_RANGES = {
+    heart_rate: { min: 0, max: 300, label: 'Heart rate' },
+    respiratory_rate: { min: 0, max: 80, label: 'Respiratory rate' },
+    systolic_bp: { min: 20, max: 300, label: 'Systolic BP' },
+    diastolic_bp: { min: 10, max: 200, label: 'Diastolic BP' },
+    spo2: { min: 30, max: 100, label: 'SpO2' },
+    temperature: { min: 10, max: 46, label: 'Temperature' },
+    gcs: { min: 3, max: 15, label: 'GCS' },
+    glucose: { min: 0.5, max: 150, label: 'Glucose' }
+};
+
+// mg/dL per mmol/L for glucose
+const GLUCOSE_MGDL_PER_MMOL = 18;
+
+const PATTERNS = {
+    gcs: /\bGCS\s*[:=]?\s*(?:(\d{1,2})(?:\s*\/\s*15)?|E\s*(\d)\s*V\s*(\d)\s*M\s*(\d))/i,
+    bloodPressure: /\b(?:BP|blood\s*pressure|NIBP)\s*[:=]?\s*(\d{1,3})\s*\/\s*(\d{1,3})/i,
+    bareBloodPressure: /(?:^|[\s,;])(\d{2,3})\s*\/\s*(\d{2,3})(?:\s*mm\s*Hg)?(?![\d/])/i,
+    heartRate: /\b(?:HR|PR|pulse(?:\s*rate)?|heart\s*rate)\s*[:=]?\s*(\d{1,4})\b/i,
+    respiratoryRate: /\b(?:RR|resp(?:iratory)?\s*rate|resps?|respirations?)\s*[:=]?\s*(\d{1,3})\b/i,
+    spo2: /\b(?:SpO2|SpO₂|SaO2|O2\s*sats?|sats?|saturation)\s*[:=]?\s*(\d{1,3}(?:\.\d+|,\d{1,2}(?!\d))?)\s*%?/i,
+    temperature: /\b(?:T|temp(?:erature)?)\s*[:=]?\s*(\d{1,3}(?:\.\d+|,\d{1,2}(?!\d))?)\s*°?\s*([CF])?\b/i,
+    glucose: /\b(?:glucose|blood\s*sugar|sugar|BGL|BSL|CBG|RBS|GRBS|FBS)\s*[:=]?\s*(\d{1,4}(?:\.\d+|,\d{1,2}(?!\d))?)\s*(mmol\s*\/?\s*l|mg\s*\/?\s*dl)?/i,
+    supplementalOxygen: /\bon\s+(?:O2|oxygen)\b|\b\d+(?:\.\d+)?\s*L\s*\/?\s*min\b/i,
+    consciousness: /\b(?:AVPU\s*[:=]?\s*([AVPU])\b|(confus\w*|disorient\w*|drowsy|responds?\s+to\s+voice|responds?\s+to\s+pain|unresponsive))/i
+};
+
+/**
+ * Maps an AVPU letter or descriptive phrase to 'Alert' or the
+ * reduced level it describes
+ */
+function readConsciousness(match) {
+    const value = (match[1] || match[2]).toLowerCase();
+    if (value === 'a') return 'Alert';
+    if (value === 'v' || value.includes('voice')) return 'Voice';
+    if (value === 'p' || value.includes('pain')) return 'Pain';
+    if (value === 'u' || value.includes('unresponsive')) return 'Unresponsive';
+    return 'Confusion';
+}
+
+/**
+ * Reads a matched number, with a point or a comma as the decimal mark
+ */
+function readDecimal(text) {
+    return Number(text.replace(',', '.'));
+}
+
+/**
+ * Rounds to one decimal place
+ */
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Parses the free-text vitals string
+ *
+ * Returns { vitals, errors }:
+ * - vitals: structured object (always has `raw`; missing values are left out)
+ * - errors: [{ field, value, message }] for values that are not physically possible
+ */
+function parseVitals(text) {
+    const raw = typeof text === 'string' ? text.trim() : '';
+    const vitals = { raw };
+    const conversions = [];
+    const errors = [];
+
+    if (!raw) return { vitals, errors };
+
+    // GCS first, and blanked out, so "GCS 14/15" is not read as a blood pressure
+    let rest = raw;
+    const gcs = rest.match(PATTERNS.gcs);
+    if (gcs) {
+        vitals.gcs = gcs[1] !== undefined
+            ? Number(gcs[1])
+            : Number(gcs[2]) + Number(gcs[3]) + Number(gcs[4]);
+        rest = rest.replace(gcs[0], ' ');
+    }
+
+    const bp = rest.match(PATTERNS.bloodPressure) || rest.match(PATTERNS.bareBloodPressure);
+    if (bp) {
+        vitals.systolic_bp = Number(bp[1]);
+        vitals.diastolic_bp = Number(bp[2]);
+    }
+
+    const hr = rest.match(PATTERNS.heartRate);
+    if (hr) vitals.heart_rate = Number(hr[1]);
+
+    const rr = rest.match(PATTERNS.respiratoryRate);
+    if (rr) vitals.respiratory_rate = Number(rr[1]);
+
+    const spo2 = rest.match(PATTERNS.spo2);
+    if (spo2) {
+        let value = readDecimal(spo2[1]);
+        // Some oximeters report a fraction (0.94)
+        if (value > 0 && value <= 1) {
+            conversions.push(`SpO2 ${value} converted to ${round1(value * 100)}%`);
+            value = value * 100;
+        }
+        vitals.spo2 = round1(value);
+    }
+
+    const temp = rest.match(PATTERNS.temperature);
+    if (temp) {
+        const value = readDecimal(temp[1]);
+        const unit = temp[2] ? temp[2].toUpperCase() : null;
+        // Fahrenheit if marked, or if unmarked and only plausible as Fahrenheit
+        if (unit === 'F' || (!unit && value > 50)) {
+            vitals.temperature = round1((value - 32) * 5 / 9);
+            conversions.push(`Temperature ${value}°F converted to ${vitals.temperature}°C`);
+        } else {
+            vitals.temperature = value;
+        }
+    }
+
+    const glucose = rest.match(PATTERNS.glucose);
+    if (glucose) {
+        const value = readDecimal(glucose[1]);
+        const unit = glucose[2] ? glucose[2].toLowerCase().replace(/\s/g, '') : null;
+        // mg/dL if marked, or if unmarked and too high to be mmol/L
+        if ((unit && unit.startsWith('mg')) || (!unit && value > 35)) {
+            vitals.glucose = round1(value / GLUCOSE_MGDL_PER_MMOL);
+            conversions.push(`Glucose ${value} mg/dL converted to ${vitals.glucose} mmol/L`);
+        } else {
+            vitals.glucose = value;
+        }
+    }
+
+    if (PATTERNS.supplementalOxygen.test(rest)) vitals.on_oxygen = true;
+
+    const consciousness = rest.match(PATTERNS.consciousness);
+    if (consciousness) {
+        vitals.consciousness = readConsciousness(consciousness);
+    } else if (vitals.gcs !== undefined) {
+        vitals.consciousness = vitals.gcs === 15 ? 'Alert' : 'Confusion';
+    }
+
+    // Reject values that cannot physically occur
+    Object.keys(PLAUSIBLE_RANGES).forEach(field => {
+        if (vitals[field] === undefined) return;
+        const { min, max, label } = PLAUSIBLE_RANGES[field];
+        if (Number.isNaN(vitals[field]) || vitals[field] < min || vitals[field] > max) {
+            errors.push({
+                field,
+                value: vitals[field],
+                message: `${label} ${vitals[field]} ${VITAL_UNITS[field]} is outside the possible range (${min}-${max})`
+            });
+        }
+    });
+
+    if (vitals.systolic_bp !== undefined && vitals.diastolic_bp >= vitals.systolic_bp) {
+        errors.push({
+            field: 'diastolic_bp',
+            value: vitals.diastolic_bp,
+            message: `Blood pressure ${vitals.systolic_bp}/${vitals.diastolic_bp}: diastolic must be lower than systolic`
+        });
+    }
+
+    if (conversions.length > 0) vitals.conversions = conversions;
+
+    return { vitals, errors };
+}
+
+/**
+ * Formats structured vitals as one line with units, for prompts and logs
+ */
+function formatVitals(vitals) {
+    const parts = [];
+    if (vitals.systolic_bp !== undefined) parts.push(`BP ${vitals.systolic_bp}/${vitals.diastolic_bp} mmHg`);
+    if (vitals.heart_rate !== undefined) parts.push(`HR ${vitals.heart_rate} bpm`);
+    if (vitals.respiratory_rate !== undefined) parts.push(`RR ${vitals.respiratory_rate}/min`);
+    if (vitals.spo2 !== undefined) parts.push(`SpO2 ${vitals.spo2}%${vitals.on_oxygen ? ' on oxygen' : ''}`);
+    if (vitals.temperature !== undefined) parts.push(`Temp ${vitals.temperature}°C`);
+    if (vitals.gcs !== undefined) parts.push(`GCS ${vitals.gcs}/15`);
+    if (vitals.glucose !== undefined) parts.push(`Glucose ${vitals.glucose} mmol/L`);
+    if (vitals.consciousness && vitals.gcs === undefined) parts.push(`AVPU ${vitals.consciousness}`);
+    return parts.join(', ');
+}
+
+module.exports = {
+    parseVitals,
+    formatVitals,
+    VITAL_UNITS,
+    PLAUSIBLE_RANGES
+};
@@ -0,0 +1,47 @@
+// ============================================
+// CareCompass AI - Usage Limits
+// ============================================
+// Two layers protect the AI budget:
+// - Rate limits (rateLimiter.js): too many requests in a short window
+//   get a 429 with Retry-After.
+// - Daily AI quotas (usageTracker.js): once used up, /analyze answers
+//   with rule-based triage instead of calling the AI.
+
+const { createRateLimiter } = require('./rateLimiter');
+const { createUsageTracker } = require('./usageTracker');
+
+const SCOPE_MESSAGES = {
+    user: 'Too many triage requests from your account.',
+    ip: 'Too many triage requests from this site.',
+    global: 'The triage service is busy.'
+};
+
+/**
+ * Express middleware: enforces the rate limits and counts the request
+ * Must come after requireAuth (it limits per req.user.uid)
+ */
+function enforceRateLimit(rateLimiter, usageTracker) {
+    return (req, res, next) => {
+        const who = { uid: req.user.uid, ip: req.ip };
+        const limited = rateLimiter.check(who);
+
+        if (limited) {
+            usageTracker.record('rate_limited', who);
+            res.set('Retry-After', String(limited.retryAfterSeconds));
+            return res.status(429).json({
+                error: `${SCOPE_MESSAGES[limited.scope]} Please wait ${limited.retryAfterSeconds} seconds and try again.`,
+                limit: limited.scope,
+                retry_after_seconds: limited.retryAfterSeconds
+            });
+        }
+
+        usageTracker.record('requests', who);
+        next();
+    };
+}
+
+module.exports = {
+    createRateLimiter,
+    createUsageTracker,
+    enforceRateLimit
+};
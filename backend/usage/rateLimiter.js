@@ -0,0 +1,78 @@
+// ============================================
+// Rate Limiter
+// ============================================
+// Fixed-window request limits per clinician, per IP address (site) and
+// for the whole server. Counters live in memory, so they reset when the
+// server restarts. A limit of 0 means "no limit".
+
+/**
+ * Creates a rate limiter
+ *
+ * Options:
+ * - windowMs: length of each window in milliseconds
+ * - perUser:  max requests per clinician per window
+ * - perIp:    max requests per IP address per window
+ * - global:   max requests for the whole server per window
+ * - now:      clock function (for tests)
+ */
+function createRateLimiter({ windowMs, perUser, perIp, global, now = Date.now }) {
+    // key -> { count, resetAt }
+    const windows = new Map();
+
+    /**
+     * Counts a hit for the key and reports whether it is over the limit
+     */
+    function hit(key, limit) {
+        if (!limit) return { limited: false };
+
+        const time = now();
+        let entry = windows.get(key);
+        if (!entry || entry.resetAt <= time) {
+            entry = { count: 0, resetAt: time + windowMs };
+            windows.set(key, entry);
+        }
+
+        entry.count++;
+        return {
+            limited: entry.count > limit,
+            retryAfterSeconds: Math.ceil((entry.resetAt - time) / 1000)
+        };
+    }
+
+    /**
+     * Drops expired windows so the map does not grow forever
+     */
+    function prune() {
+        const time = now();
+        windows.forEach((entry, key) => {
+            if (entry.resetAt <= time) windows.delete(key);
+        });
+    }
+
+    /**
+     * Checks all three limits for one request
+     * Returns null if allowed, or { scope, retryAfterSeconds } if limited
+     */
+    function check({ uid, ip }) {
+        const checks = [
+            { scope: 'user', key: `user:${uid}`, limit: perUser },
+            { scope: 'ip', key: `ip:${ip}`, limit: perIp },
+            { scope: 'global', key: 'global', limit: global }
+        ];
+
+        for (const { scope, key, limit } of checks) {
+            const result = hit(key, limit);
+            if (result.limited) {
+                return { scope, retryAfterSeconds: result.retryAfterSeconds };
+            }
+        }
+        return null;
+    }
+
+    const pruneTimer = setInterval(prune, windowMs);
+    pruneTimer.unref();
+
+    return { check };
+}
+
+module.exports = { createRateLimiter };
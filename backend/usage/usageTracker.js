@@ -0,0 +1,117 @@
+// ============================================
+// Usage Tracker & Daily AI Quotas
+// ============================================
+// Counts today's triage requests and AI calls per clinician, per IP
+// address and in total, and enforces the daily AI-call quotas. When a
+// quota is used up, /analyze switches to rule-based triage instead of
+// failing. Counters reset at midnight UTC (and on server restart).
+
+/**
+ * Returns today's date (UTC) as YYYY-MM-DD
+ */
+function utcDay(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Creates an empty counter set
+ */
+function emptyCounters() {
+    return { requests: 0, ai_calls: 0, rule_based: 0, rate_limited: 0 };
+}
+
+/**
+ * Creates a usage tracker
+ *
+ * Options:
+ * - dailyQuotaPerUser: max AI calls per clinician per day (0 = no limit)
+ * - dailyQuotaGlobal:  max AI calls for the whole server per day (0 = no limit)
+ * - now:               clock function (for tests)
+ */
+function createUsageTracker({ dailyQuotaPerUser, dailyQuotaGlobal, now = Date.now }) {
+    let day = utcDay(now());
+    let totals = emptyCounters();
+    let users = new Map();
+    let ips = new Map();
+
+    /**
+     * Starts a fresh day if the date has changed
+     */
+    function rollover() {
+        const today = utcDay(now());
+        if (today !== day) {
+            day = today;
+            totals = emptyCounters();
+            users = new Map();
+            ips = new Map();
+        }
+    }
+
+    /**
+     * Returns the counters for a key, creating them if needed
+     */
+    function countersFor(map, key) {
+        if (!map.has(key)) map.set(key, emptyCounters());
+        return map.get(key);
+    }
+
+    /**
+     * Adds to a counter for the user, the IP and the total
+     */
+    function record(counter, { uid, ip }, amount = 1) {
+        rollover();
+        totals[counter] += amount;
+        if (uid) countersFor(users, uid)[counter] += amount;
+        if (ip) countersFor(ips, ip)[counter] += amount;
+    }
+
+    /**
+     * Checks whether the user may make another AI call today
+     * Returns null if allowed, or { scope, limit } for the exhausted quota
+     */
+    function checkAIQuota(uid) {
+        rollover();
+        if (dailyQuotaGlobal && totals.ai_calls >= dailyQuotaGlobal) {
+            return { scope: 'global', limit: dailyQuotaGlobal };
+        }
+        if (dailyQuotaPerUser && countersFor(users, uid).ai_calls >= dailyQuotaPerUser) {
+            return { scope: 'user', limit: dailyQuotaPerUser };
+        }
+        return null;
+    }
+
+    /**
+     * Today's usage, for the admin summary endpoint
+     */
+    function summary() {
+        rollover();
+        const remaining = used => (dailyQuotaPerUser ? Math.max(dailyQuotaPerUser - used, 0) : null);
+
+        return {
+            date: day,
+            quotas: {
+                ai_calls_per_user: dailyQuotaPerUser || null,
+                ai_calls_global: dailyQuotaGlobal || null
+            },
+            totals: {
+                ...totals,
+                ai_calls_remaining: dailyQuotaGlobal ? Math.max(dailyQuotaGlobal - totals.ai_calls, 0) : null
+            },
+            users: Array.from(users, ([uid, counters]) => ({
+                uid,
+                ...counters,
+                ai_calls_remaining: remaining(counters.ai_calls)
+            })).sort((a, b) => b.requests - a.requests),
+            ips: Array.from(ips, ([ip, counters]) => ({ ip, ...counters }))
+                .sort((a, b) => b.requests - a.requests)
+        };
+    }
+
+    return {
+        record,
+        checkAIQuota,
+        summary
+    };
+}
+
+module.exports = { createUsageTracker };
@@ -29,6 +29,34 @@ const firebaseConfig = {
     appId: "1:504870912156:web:cc6992e67345355e6f6d59"
 };
 
+// Settings for each place the app is served from. Local development talks
+// to a backend on this machine (e.g. started with AI_PROVIDER=mock),
+// everything else uses the live server.
+//
+// recordsBackend is where patients and cases are kept:
+// - 'firestore': the app reads and writes Firestore itself
+// - 'api':       through the backend's /records endpoints, which check every
+//                record and keep them in Firestore or a local SQLite file
+//                (RECORDS_BACKEND on the server)
+const ENVIRONMENTS = {
+    local: {
+        backendUrl: 'http://localhost:3000',
+        recordsBackend: 'firestore'
+    },
+    live: {
+        backendUrl: 'https://carecompass-backend-jhll.onrender.com',
+        recordsBackend: 'firestore'
+    }
+};
+
+const APP_CONFIG = ENVIRONMENTS[['localhost', '127.0.0.1'].includes(window.location.hostname) ? 'local' : 'live'];
+if (!['firestore', 'api'].includes(APP_CONFIG.recordsBackend)) {
+    throw new Error(`recordsBackend must be 'firestore' or 'api', not '${APP_CONFIG.recordsBackend}'`);
+}
+
+const BACKEND_URL = APP_CONFIG.backendUrl;
+const RECORDS_BACKEND = APP_CONFIG.recordsBackend;
+
 // Initialize Firebase
 firebase.initializeApp(firebaseConfig);
 const auth = firebase.auth();
@@ -44,7 +72,38 @@ let currentCaseData = null; // Stores the last analyzed case
 let isLoadingPatients = false; // Loading flag for patients
 let isSavingCase = false; // Guard for saving operations
 let dashboardCases = []; // Cached cases for dashboard filtering
+let pendingQuestions = null; // Follow-up questions shown under #symptoms, awaiting answers
+let waitingRegistrations = []; // Front-desk registrations waiting for triage
+let currentRegistration = null; // { id, mrn } of the registration the form was started from
+let smsCases = []; // Cases texted in by field workers, waiting for review
+let currentSmsCase = null; // { id, reference } of the text-message case the form was started from
+let casePhotos = []; // Photos attached on the intake form: { id, thumbUrl }
+let photoUploadsPending = 0; // Photos still being prepared or uploaded
 const ADMIN_CODE = 'ADMIN2024'; // Secret code for admin registration
+const AGE_UNITS = ['years', 'months', 'weeks', 'days']; // Units of the age field (as the backend takes them)
+
+// Headings of the results card in each results language (English is the
+// fallback). Risk levels are stored in English and only translated for display.
+const RESULT_LABELS = {
+    en: {
+        draft: 'Draft Assessment', title: 'AI Triage Summary', riskScore: 'Triage Risk Score',
+        recommendation: 'Triage Recommendation', summary: 'Initial Summary', concerns: 'Clinical Concerns',
+        tests: 'Diagnostic Pointers', firstAid: 'Stabilization', referral: 'Referral Pathway',
+        Low: 'Low', Moderate: 'Moderate', High: 'High', Critical: 'Critical'
+    },
+    hi: {
+        draft: 'प्रारंभिक आकलन', title: 'एआई ट्राइएज सारांश', riskScore: 'ट्राइएज जोखिम स्कोर',
+        recommendation: 'ट्राइएज सिफ़ारिश', summary: 'प्रारंभिक सारांश', concerns: 'नैदानिक चिंताएँ',
+        tests: 'सुझाई गई जाँचें', firstAid: 'प्राथमिक उपचार', referral: 'रेफ़रल मार्ग',
+        Low: 'कम', Moderate: 'मध्यम', High: 'उच्च', Critical: 'गंभीर'
+    },
+    mr: {
+        draft: 'प्राथमिक मूल्यांकन', title: 'एआय ट्रायज सारांश', riskScore: 'ट्रायज जोखीम गुण',
+        recommendation: 'ट्रायज शिफारस', summary: 'प्राथमिक सारांश', concerns: 'वैद्यकीय चिंता',
+        tests: 'सुचवलेल्या तपासण्या', firstAid: 'प्रथमोपचार', referral: 'संदर्भ मार्ग',
+        Low: 'कमी', Moderate: 'मध्यम', High: 'उच्च', Critical: 'गंभीर'
+    }
+};
 
 // ============================================
 // AUTH FUNCTIONS
@@ -280,6 +339,8 @@ function showMainApp() {
 
     // Load initial data
     loadExistingPatients();
+    loadWaitingList();
+    loadSmsCases();
     loadPatientRecords();
     loadDashboardStats();
 }
@@ -317,6 +378,187 @@ function getErrorMessage(errorCode) {
     return messages[errorCode] || 'An error occurred. Please try again.';
 }
 
+/**
+ * Build request headers for the backend API
+ * The backend verifies the signed-in user's Firebase ID token
+ */
+async function getAuthHeaders() {
+    const token = await currentUser.getIdToken();
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+    };
+}
+
+// ============================================
+// RECORD STORAGE
+// ============================================
+// Every patient and case read or write goes through these functions, so
+// the app can use Firestore directly or the backend's /records endpoints
+// (recordsBackend in ENVIRONMENTS above). Records come back as { id, ...fields };
+// createdAt is a Firestore Timestamp or an ISO string (formatDate and
+// toExportRecord handle both).
+
+/**
+ * Call a /records endpoint and return its JSON (throws with the
+ * server's reason, including validation details)
+ */
+async function recordsRequest(method, path, body) {
+    const response = await fetch(`${BACKEND_URL}/records${path}`, {
+        method,
+        headers: await getAuthHeaders(),
+        body: body ? JSON.stringify(body) : undefined
+    });
+    if (response.status === 204) return null;
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const details = (result.details || []).join('; ');
+        throw new Error(`${result.error || `Request failed (${response.status})`}${details ? `: ${details}` : ''}`);
+    }
+    return result;
+}
+
+/**
+ * The clinician's patients (all patients for admins), newest first
+ */
+async function listPatientRecords() {
+    if (RECORDS_BACKEND === 'api') {
+        return (await recordsRequest('GET', '/patients')).patients;
+    }
+
+    let query = db.collection('patients');
+    if (currentUserRole !== 'admin') {
+        query = query.where('doctorId', '==', currentUser.uid);
+    }
+    const snapshot = await query.orderBy('createdAt', 'desc').get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * The clinician's own patients with exactly this name
+ */
+async function findOwnPatientsByName(name) {
+    let patients;
+    if (RECORDS_BACKEND === 'api') {
+        patients = (await recordsRequest('GET', `/patients?name=${encodeURIComponent(name)}&doctor_id=${encodeURIComponent(currentUser.uid)}`)).patients;
+    } else {
+        // Filter by doctorId in memory to avoid needing an index
+        const snapshot = await db.collection('patients').where('name', '==', name).get();
+        patients = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+    return patients.filter(p => p.doctorId === currentUser.uid);
+}
+
+/**
+ * One patient, or null
+ */
+async function getPatientRecord(patientId) {
+    if (RECORDS_BACKEND === 'api') {
+        try {
+            return await recordsRequest('GET', `/patients/${encodeURIComponent(patientId)}`);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    const patientDoc = await db.collection('patients').doc(patientId).get();
+    return patientDoc.exists ? { id: patientDoc.id, ...patientDoc.data() } : null;
+}
+
+/**
+ * Save a new patient for the signed-in clinician. Returns its id.
+ */
+async function createPatientRecord(fields) {
+    if (RECORDS_BACKEND === 'api') {
+        return (await recordsRequest('POST', '/patients', fields)).id;
+    }
+
+    const patientRef = await db.collection('patients').add({
+        ...fields,
+        doctorId: currentUser.uid,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    return patientRef.id;
+}
+
+/**
+ * Change some fields of a patient
+ */
+async function updatePatientRecord(patientId, changes) {
+    if (RECORDS_BACKEND === 'api') {
+        await recordsRequest('PATCH', `/patients/${encodeURIComponent(patientId)}`, changes);
+        return;
+    }
+
+    await db.collection('patients').doc(patientId).set({
+        ...changes,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+}
+
+/**
+ * Save a new case for the signed-in clinician. Returns its id.
+ */
+async function createCaseRecord(fields) {
+    if (RECORDS_BACKEND === 'api') {
+        return (await recordsRequest('POST', '/cases', fields)).id;
+    }
+
+    const caseRef = await db.collection('cases').add({
+        ...fields,
+        doctorId: currentUser.uid,
+        isActive: true,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    return caseRef.id;
+}
+
+/**
+ * Change some fields of a case (the clinician name, or isActive)
+ */
+async function updateCaseRecord(caseId, changes) {
+    if (RECORDS_BACKEND === 'api') {
+        await recordsRequest('PATCH', `/cases/${encodeURIComponent(caseId)}`, changes);
+        return;
+    }
+
+    await db.collection('cases').doc(caseId).update(changes);
+}
+
+/**
+ * The clinician's cases (all cases for admins), newest first, optionally
+ * for one patient
+ */
+async function listCaseRecords({ patientId } = {}) {
+    if (RECORDS_BACKEND === 'api') {
+        const query = patientId ? `?patient_id=${encodeURIComponent(patientId)}` : '';
+        return (await recordsRequest('GET', `/cases${query}`)).cases;
+    }
+
+    let query = db.collection('cases');
+    if (currentUserRole !== 'admin') {
+        query = query.where('doctorId', '==', currentUser.uid);
+    }
+    if (patientId) {
+        // Equality filters only (sorted below), so no extra index is needed
+        query = query.where('patientId', '==', patientId);
+        const snapshot = await query.get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => timestampMillis(b.createdAt) - timestampMillis(a.createdAt));
+    }
+    const snapshot = await query.orderBy('createdAt', 'desc').get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Milliseconds of a saved date (Firestore Timestamp or ISO string), for sorting
+ */
+function timestampMillis(value) {
+    if (!value) return 0;
+    return value.toDate ? value.toDate().getTime() : new Date(value).getTime();
+}
+
 // ============================================
 // NAVIGATION FUNCTIONS
 // ============================================
@@ -349,6 +591,8 @@ function switchTab(tabName) {
 
     if (tabName === 'newCase') {
         document.getElementById('newCaseTab')?.classList.add('active');
+        loadWaitingList();
+        loadSmsCases();
     } else if (tabName === 'records') {
         document.getElementById('recordsTab')?.classList.add('active');
         loadPatientRecords();
@@ -373,7 +617,7 @@ function handlePatientTypeChange() {
     if (patientType === 'new') {
         newFields.classList.remove('hidden');
         existingFields.classList.add('hidden');
-        document.getElementById('patientAge').value = '';
+        clearPatientProfileFields();
         document.getElementById('patientName').value = '';
     } else {
         newFields.classList.add('hidden');
@@ -389,20 +633,7 @@ async function loadExistingPatients() {
     isLoadingPatients = true;
 
     try {
-        let query = db.collection('patients');
-        if (currentUserRole !== 'admin') {
-            query = query.where('doctorId', '==', currentUser.uid);
-        }
-
-        const snapshot = await query.orderBy('createdAt', 'desc').get();
-        allPatientsList = [];
-
-        snapshot.forEach(doc => {
-            allPatientsList.push({
-                id: doc.id,
-                ...doc.data()
-            });
-        });
+        allPatientsList = await listPatientRecords();
 
         console.log(`Cached ${allPatientsList.length} patients for search`);
     } catch (error) {
@@ -449,11 +680,11 @@ function handlePatientSearch() {
             }
 
             return `
-                <div class="search-result-item" onclick="selectPatientFromSearch('${p.id}', '${p.name.replace(/'/g, "\\'")}', '${p.age || ''}')">
+                <div class="search-result-item" onclick="selectPatientFromSearch('${p.id}', '${p.name.replace(/'/g, "\\'")}')">
                     <div class="search-icon-circle">👤</div>
                     <div class="search-result-content">
                         <span class="search-result-name">${displayName}</span>
-                        <span class="search-result-meta">Age: ${p.age || 'N/A'} • ID: ...${p.id.slice(-5)}</span>
+                        <span class="search-result-meta">Age: ${formatAge(p.age, p.ageUnit)} • ID: ...${p.id.slice(-5)}</span>
                     </div>
                 </div>
             `;
@@ -486,16 +717,16 @@ function clearPatientSearch() {
 
     // Reset selection hidden fields
     document.getElementById('existingPatientId').value = '';
-    document.getElementById('patientAge').value = '';
+    clearPatientProfileFields();
 }
 
 /**
  * Select a patient from search results
  */
-function selectPatientFromSearch(id, name, age) {
+function selectPatientFromSearch(id, name) {
     document.getElementById('existingPatientId').value = id;
     document.getElementById('patientSearchInput').value = name;
-    document.getElementById('patientAge').value = age;
+    setPatientProfileFields(allPatientsList.find(p => p.id === id) || {});
 
     // Hide results
     document.getElementById('patientSearchResults').classList.remove('active');
@@ -503,27 +734,125 @@ function selectPatientFromSearch(id, name, age) {
 }
 
 /**
- * Handle selection of an existing patient (auto-populate age)
+ * Handle selection of an existing patient (auto-populate age and sex)
  */
 async function handleExistingPatientSelection() {
     const patientId = document.getElementById('existingPatientSelect').value;
     if (!patientId) return;
 
     try {
-        const patientDoc = await db.collection('patients').doc(patientId).get();
-        if (patientDoc.exists) {
-            const patientData = patientDoc.data();
-            if (patientData.age) {
-                document.getElementById('patientAge').value = patientData.age;
-            } else {
-                document.getElementById('patientAge').value = '';
-            }
+        const patient = await getPatientRecord(patientId);
+        if (patient) {
+            setPatientProfileFields(patient);
         }
     } catch (error) {
         console.error('Error fetching patient age:', error);
     }
 }
 
+/**
+ * Fill age, age unit, sex, medications, allergies and conditions from a
+ * saved patient record.
+ * Pregnancy changes between visits, so it is always asked again.
+ */
+function setPatientProfileFields(patientData) {
+    document.getElementById('patientAge').value = patientData.age || '';
+    document.getElementById('patientAgeUnit').value = AGE_UNITS.includes(patientData.ageUnit) ? patientData.ageUnit : 'years';
+    document.getElementById('patientSex').value = patientData.sex || 'unknown';
+    document.getElementById('pregnancyStatus').value = 'unknown';
+    document.getElementById('gestationWeeks').value = '';
+    updatePregnancyFields();
+    document.getElementById('patientMedications').value = (patientData.medications || []).join(', ');
+    document.getElementById('patientAllergies').value = (patientData.allergies || []).join(', ');
+    document.getElementById('patientConditions').value = (patientData.conditions || []).join(', ');
+}
+
+/**
+ * Clear age, sex, pregnancy, medication, allergy and condition fields
+ */
+function clearPatientProfileFields() {
+    setPatientProfileFields({});
+}
+
+/**
+ * Hide pregnancy for male patients, and ask for weeks of gestation
+ * only when the patient is pregnant
+ */
+function updatePregnancyFields() {
+    const sex = document.getElementById('patientSex').value;
+    const pregnancyStatus = document.getElementById('pregnancyStatus');
+
+    if (sex === 'male') pregnancyStatus.value = 'unknown';
+    document.getElementById('pregnancyStatusField').classList.toggle('hidden', sex === 'male');
+
+    const pregnant = pregnancyStatus.value === 'pregnant';
+    document.getElementById('gestationWeeksField').classList.toggle('hidden', !pregnant);
+    if (!pregnant) document.getElementById('gestationWeeks').value = '';
+}
+
+/**
+ * Read age, sex and pregnancy from the form as /analyze request fields
+ */
+function readPatientProfile() {
+    const gestationWeeks = document.getElementById('gestationWeeks').value.trim();
+    return {
+        age: document.getElementById('patientAge').value.trim(),
+        age_unit: document.getElementById('patientAgeUnit').value,
+        sex: document.getElementById('patientSex').value,
+        pregnancy_status: document.getElementById('pregnancyStatus').value,
+        gestation_weeks: gestationWeeks ? Number(gestationWeeks) : null
+    };
+}
+
+/**
+ * Read the comma-separated medication, allergy and condition fields as
+ * /analyze request fields
+ */
+function readPatientHistory() {
+    const readList = id => document.getElementById(id).value.split(/[,;]/).map(item => item.trim()).filter(Boolean);
+    return {
+        medications: readList('patientMedications'),
+        allergies: readList('patientAllergies'),
+        conditions: readList('patientConditions')
+    };
+}
+
+/**
+ * Sex and pregnancy line for the case modal (empty if neither was recorded)
+ */
+function buildPatientProfileLine(caseData) {
+    const parts = [];
+    if (caseData.patientSex && caseData.patientSex !== 'unknown') {
+        parts.push(caseData.patientSex.charAt(0).toUpperCase() + caseData.patientSex.slice(1));
+    }
+    if (caseData.pregnancyStatus === 'pregnant') {
+        parts.push(caseData.gestationWeeks ? `Pregnant, ${caseData.gestationWeeks} weeks` : 'Pregnant');
+    } else if (caseData.pregnancyStatus === 'not_pregnant') {
+        parts.push('Not pregnant');
+    }
+    return parts.length > 0 ? `<div class="text-xs font-bold text-slate-400 mt-1">${parts.join(' • ')}</div>` : '';
+}
+
+/**
+ * Medications, allergies and conditions for the case modal (empty if
+ * none were recorded, as for cases saved before these fields existed)
+ */
+function buildPatientHistoryHTML(caseData) {
+    const lists = [['Medications', caseData.medications], ['Allergies', caseData.allergies], ['Conditions', caseData.conditions]]
+        .filter(([, items]) => items && items.length > 0);
+    return lists.map(([label, items]) => `
+        <div class="text-xs font-medium text-slate-500 mt-1"><span class="font-bold text-slate-400">${label}:</span> ${escapeHTML(items.join(', '))}</div>
+    `).join('');
+}
+
+/**
+ * Format a saved age for display: "45", or "8 months" for infants
+ */
+function formatAge(age, unit) {
+    if (!age && age !== 0) return 'N/A';
+    return unit && unit !== 'years' ? `${age} ${unit}` : `${age}`;
+}
+
 /**
  * Submit a new case for AI analysis (doesn't save yet)
  */
@@ -531,11 +860,15 @@ async function submitCase() {
     const patientType = document.querySelector('input[name="patientType"]:checked').value;
     const symptoms = document.getElementById('symptoms').value.trim();
     const vitals = document.getElementById('vitals').value.trim();
+    const inputLanguage = document.getElementById('inputLanguage').value;
+    const outputLanguage = document.getElementById('outputLanguage').value;
 
-    let patientName, patientAge, patientId;
+    let patientName, patientId;
 
-    // Age is now always pulled from the persistent input field
-    patientAge = document.getElementById('patientAge').value.trim();
+    // Age, sex and pregnancy are always pulled from the persistent fields
+    const profile = readPatientProfile();
+    const patientAge = profile.age;
+    const history = readPatientHistory();
 
     if (patientType === 'new') {
         patientName = document.getElementById('patientName').value.trim();
@@ -560,41 +893,125 @@ async function submitCase() {
         return;
     }
 
+    if (photoUploadsPending > 0) {
+        showCaseError('Please wait until the photos have finished uploading');
+        return;
+    }
+
     // Show loading
     document.getElementById('analyzingSpinner').classList.remove('hidden');
     document.getElementById('analyzeBtn').classList.add('hidden');
     clearCaseError();
 
+    const requestBody = {
+        patientName,
+        ...profile,
+        ...history,
+        symptoms,
+        vitals,
+        input_language: inputLanguage,
+        output_language: outputLanguage,
+        attachment_ids: casePhotos.map(photo => photo.id)
+    };
+
     try {
-        // Call backend AI analysis
-        const response = await fetch('https://carecompass-backend-jhll.onrender.com/analyze', {
+        if (pendingQuestions) {
+            // Second step: send the answers to the follow-up questions with the case
+            requestBody.clarifications = collectClarificationAnswers();
+        } else if (document.getElementById('clarifyMode').checked) {
+            // First step: ask the AI whether it needs to know anything else
+            const questions = await requestClarifyingQuestions(requestBody);
+            if (questions.length > 0) {
+                showClarifyingQuestions(questions);
+                document.getElementById('analyzingSpinner').classList.add('hidden');
+                document.getElementById('analyzeBtn').classList.remove('hidden');
+                return;
+            }
+        }
+
+        // Call backend AI analysis. The streaming endpoint sends each part
+        // of the assessment as soon as it is known (Server-Sent Events).
+        const response = await fetch(`${BACKEND_URL}/analyze/stream`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                patientName,
-                age: patientAge,
-                symptoms,
-                vitals
-            })
+            headers: await getAuthHeaders(),
+            body: JSON.stringify(requestBody)
+        });
+
+        // Validation errors (e.g. impossible vitals) come back as 400,
+        // an expired or missing sign-in as 401
+        if (!response.ok) {
+            const result = await response.json();
+            const details = (result.details || []).map(d => d.message).join('; ');
+            document.getElementById('analyzingSpinner').classList.add('hidden');
+            document.getElementById('analyzeBtn').classList.remove('hidden');
+            showCaseError(details ? `${result.error} ${details}` : (result.error || 'Analysis failed.'));
+            return;
+        }
+
+        let result = null;
+        let streamError = null;
+        let earlyWarning = null;
+
+        await readTriageStream(response, (event, data) => {
+            if (event === 'vitals') {
+                // Rule-based flags are ready: show the results card and fill it in as parts arrive
+                document.getElementById('analyzingSpinner').classList.add('hidden');
+                document.getElementById('analyzeBtn').classList.remove('hidden');
+                showPendingTriageResults(outputLanguage);
+                earlyWarning = data.early_warning;
+                renderPopulationBadge(data.population);
+                renderEarlyWarningSection(data);
+            } else if (event === 'risk') {
+                renderRiskSection(data);
+                // Show the override notice if the vital-sign rules raised the risk
+                renderEarlyWarningSection({ ...data, early_warning: earlyWarning });
+            } else if (event === 'concerns') {
+                renderConcernsSection(data);
+            } else if (event === 'details') {
+                renderDetailsSection(data);
+            } else if (event === 'result') {
+                result = data;
+            } else if (event === 'error') {
+                streamError = data.error;
+            }
         });
 
-        const triageData = await response.json();
+        if (!result) {
+            throw new Error(streamError || 'The triage stream ended without a result');
+        }
+
+        // The backend returns the parsed vitals next to the triage fields.
+        // Keep them on the case itself so they can be charted and queried.
+        const { vitals: parsedVitals, ...triageData } = result;
 
-        // Store current case data (but don't save to database yet)
+        // Store current case data (but don't save to database yet).
+        // Only this final, validated object is ever saved.
         currentCaseData = {
             patientType,
             patientName,
             patientAge,
+            patientAgeUnit: profile.age_unit,
+            patientSex: profile.sex,
+            pregnancyStatus: profile.pregnancy_status,
+            gestationWeeks: profile.gestation_weeks,
+            ...history, // medications, allergies, conditions
             patientId,
+            registration: currentRegistration, // Front-desk registration this case closes, if any
+            smsCase: currentSmsCase, // Text-message case this case adopts, if any
             symptoms,
-            vitals,
+            symptomsEnglish: triageData.symptoms_english || null,
+            inputLanguage: triageData.input_language || inputLanguage,
+            outputLanguage: triageData.output_language || outputLanguage,
+            clarifications: triageData.clarifications || [],
+            vitals: parsedVitals || { raw: vitals },
+            attachmentIds: requestBody.attachment_ids,
             triageData
         };
 
-        // Display results (the function handles showing/hiding cards)
+        // Display the final results (replaces the streamed previews)
         displayTriageResults(triageData);
+        setSaveButtonReady(true);
+        clearClarifyingQuestions();
 
         // Hide loading
         document.getElementById('analyzingSpinner').classList.add('hidden');
@@ -603,10 +1020,115 @@ async function submitCase() {
         console.error('Error submitting case:', error);
         document.getElementById('analyzingSpinner').classList.add('hidden');
         document.getElementById('analyzeBtn').classList.remove('hidden');
+        // Go back to the form if a half-streamed assessment is showing
+        document.getElementById('intakeForm').classList.remove('hidden');
+        document.getElementById('triageResults').classList.add('hidden');
         showCaseError('Failed to analyze case. Please check if the backend server is running.');
     }
 }
 
+/**
+ * Ask the backend which follow-up questions it needs before triage
+ * Returns the questions (empty if none are needed or the request failed)
+ */
+async function requestClarifyingQuestions(requestBody) {
+    try {
+        const response = await fetch(`${BACKEND_URL}/analyze/clarify`, {
+            method: 'POST',
+            headers: await getAuthHeaders(),
+            body: JSON.stringify(requestBody)
+        });
+        if (!response.ok) return [];
+
+        const result = await response.json();
+        return result.questions || [];
+    } catch (error) {
+        // Questions are optional; go straight to triage
+        console.error('Error requesting follow-up questions:', error);
+        return [];
+    }
+}
+
+/**
+ * Show the follow-up questions under the symptoms box, each with an answer field
+ */
+function showClarifyingQuestions(questions) {
+    pendingQuestions = questions;
+
+    const container = document.getElementById('clarifyingQuestions');
+    container.innerHTML = `
+        <div class="p-5 bg-medical-50 border border-medical-100 rounded-2xl space-y-4">
+            <div class="text-[10px] font-black text-medical-700 uppercase tracking-widest">A few questions before triage</div>
+            ${questions.map((q, i) => `
+                <div>
+                    <label for="clarifyAnswer-${i}" class="block text-sm font-bold text-slate-700 mb-1">${escapeHTML(q.question)}</label>
+                    ${q.reason ? `<div class="text-[11px] font-medium text-slate-400 mb-1.5">${escapeHTML(q.reason)}</div>` : ''}
+                    <input type="text" id="clarifyAnswer-${i}"
+                        class="w-full px-4 py-2.5 rounded-xl border-2 border-slate-100 bg-white focus:border-medical-600 outline-none transition-all text-sm"
+                        placeholder="Answer (leave blank if unknown)">
+                </div>
+            `).join('')}
+            <button type="button" onclick="submitCase()" class="text-xs font-bold text-slate-500 hover:text-medical-600 underline decoration-dotted">
+                Skip questions and triage now
+            </button>
+        </div>
+    `;
+    container.classList.remove('hidden');
+    document.getElementById('analyzeBtn').textContent = '🚀 Submit Answers & Triage';
+}
+
+/**
+ * Read the answers to the follow-up questions as a transcript
+ */
+function collectClarificationAnswers() {
+    return (pendingQuestions || []).map((q, i) => {
+        const input = document.getElementById(`clarifyAnswer-${i}`);
+        return { question: q.question, answer: input ? input.value.trim() : '' };
+    });
+}
+
+/**
+ * Remove the follow-up questions and restore the analyze button
+ */
+function clearClarifyingQuestions() {
+    pendingQuestions = null;
+    const container = document.getElementById('clarifyingQuestions');
+    container.innerHTML = '';
+    container.classList.add('hidden');
+    document.getElementById('analyzeBtn').textContent = '🚀 Perform AI Clinical Triage';
+}
+
+/**
+ * Read a Server-Sent Events response from /analyze/stream and call
+ * onEvent(event, data) for each event as it arrives
+ */
+async function readTriageStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = block => {
+        let event = 'message';
+        const dataLines = [];
+        block.split('\n').forEach(line => {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+        });
+        if (dataLines.length > 0) onEvent(event, JSON.parse(dataLines.join('\n')));
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach(dispatch);
+    }
+    if (buffer.trim()) dispatch(buffer);
+}
+
 /**
  * Save the analyzed case to database
  */
@@ -627,55 +1149,94 @@ async function saveCase() {
     }
 
     try {
-        const { patientType, patientName, patientAge, patientId, symptoms, vitals, triageData } = currentCaseData;
+        const { patientType, patientName, patientAge, patientAgeUnit, patientSex, pregnancyStatus, gestationWeeks, medications, allergies, conditions, patientId, registration, smsCase, symptoms, symptomsEnglish, inputLanguage, outputLanguage, clarifications, vitals, attachmentIds, triageData } = currentCaseData;
 
         let finalPatientId = patientId;
+        let createdPatient = false;
 
         // If this is a new patient, create patient record
         if (patientType === 'new') {
-            // Check if a patient with this name exists (filter by doctorId in memory to avoid index requirement)
-            const existingCheck = await db.collection('patients')
-                .where('name', '==', patientName)
-                .get();
-
-            const myExistingPatient = existingCheck.docs.find(doc => doc.data().doctorId === currentUser.uid);
+            // Check if one of this clinician's patients already has this name
+            const [myExistingPatient] = await findOwnPatientsByName(patientName);
 
             if (myExistingPatient) {
                 const confirmNew = confirm(`⚠️ Warning: A patient named "${patientName}" already exists in your records. Do you want to create a NEW record anyway? \n\nClick Cancel to use the existing record instead.`);
                 if (!confirmNew) {
                     finalPatientId = myExistingPatient.id;
                 } else {
-                    const patientRef = await db.collection('patients').add({
+                    finalPatientId = await createPatientRecord({
                         name: patientName,
                         age: patientAge,
-                        doctorId: currentUser.uid,
-                        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+                        ageUnit: patientAgeUnit,
+                        sex: patientSex,
+                        medications: medications || [],
+                        allergies: allergies || [],
+                        conditions: conditions || [],
+                        ...(registration && registration.mrn ? { clinicalRef: registration.mrn } : {}) // Hospital MRN from the front desk
                     });
-                    finalPatientId = patientRef.id;
+                    createdPatient = true;
                 }
             } else {
-                const patientRef = await db.collection('patients').add({
+                finalPatientId = await createPatientRecord({
                     name: patientName,
                     age: patientAge,
-                    doctorId: currentUser.uid,
-                    createdAt: firebase.firestore.FieldValue.serverTimestamp()
+                    ageUnit: patientAgeUnit,
+                    sex: patientSex,
+                    medications: medications || [],
+                    allergies: allergies || [],
+                    conditions: conditions || [],
+                    ...(registration && registration.mrn ? { clinicalRef: registration.mrn } : {})
                 });
-                finalPatientId = patientRef.id;
+                createdPatient = true;
             }
         }
 
-        // Save case to Firestore
-        await db.collection('cases').add({
+        // An existing patient's record keeps the latest lists from this visit
+        if (finalPatientId && !createdPatient) {
+            await updatePatientRecord(finalPatientId, {
+                medications: medications || [],
+                allergies: allergies || [],
+                conditions: conditions || []
+            });
+        }
+
+        // Save the case (doctorId, isActive and createdAt are set by the store)
+        const caseFields = {
             patientId: finalPatientId,
             patientName: patientName,
             patientAge: patientAge,
-            symptoms: symptoms,
-            vitals: vitals,
-            doctorId: currentUser.uid,
+            patientAgeUnit: patientAgeUnit, // 'years', 'months', 'weeks' or 'days'
+            patientSex: patientSex,
+            pregnancyStatus: pregnancyStatus,
+            gestationWeeks: gestationWeeks,
+            medications: medications || [], // As recorded at this visit
+            allergies: allergies || [],
+            conditions: conditions || [],
+            populationMode: triageData.population ? triageData.population.mode : null, // Which vital thresholds were applied
+            symptoms: symptoms, // As typed, in the original language
+            symptomsEnglish: symptomsEnglish, // English version for review and search
+            inputLanguage: inputLanguage,
+            outputLanguage: outputLanguage,
+            clarifications: clarifications || [], // Follow-up questions and answers the triage used
+            vitals: vitals, // Structured: { raw, heart_rate, systolic_bp, spo2, ... }
+            attachmentIds: attachmentIds || [], // Photos stored by the backend (see /attachments)
             triageData: triageData,
-            isActive: true,
-            createdAt: firebase.firestore.FieldValue.serverTimestamp()
-        });
+            promptVersion: triageData.prompt_version || null // Prompt template that produced the assessment
+        };
+        const caseId = await createCaseRecord(caseFields);
+
+        // The records API raises critical-case alerts itself; a case saved
+        // straight to Firestore is reported to the backend
+        if (RECORDS_BACKEND === 'firestore') {
+            raiseCaseAlert(caseId, caseFields);
+        }
+
+        if (registration) {
+            markRegistrationTriaged(registration.id, caseId);
+        }
+        if (smsCase) {
+            markSmsCaseAdopted(smsCase.id, caseId);
+        }
 
         // Show success message
         alert('✅ Case saved successfully!');
@@ -708,10 +1269,101 @@ function displayTriageResults(triageData) {
     // Hide form, show results
     document.getElementById('intakeForm').classList.add('hidden');
     document.getElementById('triageResults').classList.remove('hidden');
+    applyResultLabels(triageData.output_language);
+
+    renderPopulationBadge(triageData.population);
+    renderRiskSection(triageData);
+    renderConcernsSection(triageData);
+    renderDetailsSection(triageData);
+
+    // Warn if the AI output failed schema validation (offline rules in use)
+    const validationNotice = document.getElementById('validationNotice');
+    validationNotice.innerHTML = buildValidationNoticeHTML(triageData);
+    validationNotice.classList.toggle('hidden', !validationNotice.innerHTML);
+
+    const interactionNotice = document.getElementById('interactionNotice');
+    interactionNotice.innerHTML = buildInteractionFlagsHTML(triageData);
+    interactionNotice.classList.toggle('hidden', !interactionNotice.innerHTML);
+
+    const photoNotice = document.getElementById('photoNotice');
+    photoNotice.innerHTML = buildPhotoNoticeHTML(triageData);
+    photoNotice.classList.toggle('hidden', !photoNotice.innerHTML);
+
+    renderEarlyWarningSection(triageData);
+    renderFactorsSection(triageData, currentCaseData && currentCaseData.symptoms);
+}
+
+/**
+ * Show the results card with placeholders while the assessment streams in.
+ * Saving stays disabled until the final, validated result arrives.
+ */
+function showPendingTriageResults(language) {
+    document.getElementById('intakeForm').classList.add('hidden');
+    document.getElementById('triageResults').classList.remove('hidden');
+    applyResultLabels(language);
+
+    const pending = '<span class="animate-pulse text-slate-400">Analyzing...</span>';
+    const riskBadge = document.getElementById('riskBadge');
+    riskBadge.textContent = '--';
+    riskBadge.className = 'text-xl font-black px-8 py-3 rounded-2xl uppercase tracking-tighter bg-slate-100 text-slate-400 animate-pulse';
+    document.getElementById('riskScore').textContent = '--';
+    document.getElementById('keyConcerns').innerHTML = `<li class="text-sm">${pending}</li>`;
+    ['triageRecommendation', 'clinicalSummary', 'testsAdvised', 'firstAid', 'referralTo'].forEach(id => {
+        document.getElementById(id).innerHTML = pending;
+    });
+
+    const validationNotice = document.getElementById('validationNotice');
+    validationNotice.innerHTML = '';
+    validationNotice.classList.add('hidden');
+    const interactionNotice = document.getElementById('interactionNotice');
+    interactionNotice.innerHTML = '';
+    interactionNotice.classList.add('hidden');
+    const photoNotice = document.getElementById('photoNotice');
+    photoNotice.innerHTML = '';
+    photoNotice.classList.add('hidden');
+
+    setSaveButtonReady(false);
+}
+
+/**
+ * Enable the save button (ready for a new case) or disable it while streaming
+ */
+function setSaveButtonReady(ready) {
+    const saveBtn = document.getElementById('saveCaseBtn');
+    if (!saveBtn) return;
+
+    saveBtn.disabled = !ready;
+    saveBtn.style.background = '';
+    saveBtn.innerHTML = ready ? '💾 Commit to Patient History' : '<span class="animate-pulse">⏳ Waiting for full assessment...</span>';
+    if (ready) isSavingCase = false;
+}
+
+/**
+ * Label set for a results language (English if there is none for it)
+ */
+function resultLabels(language) {
+    return RESULT_LABELS[language] || RESULT_LABELS.en;
+}
+
+/**
+ * Translate the results card headings into the results language
+ */
+function applyResultLabels(language) {
+    const labels = resultLabels(language);
+    document.querySelectorAll('[data-result-label]').forEach(el => {
+        el.textContent = labels[el.dataset.resultLabel];
+    });
+    document.getElementById('triageResults').dataset.language = language || 'en';
+}
 
-    // Risk badge
+/**
+ * Risk badge and score
+ * The badge shows the level in the results language; colours use the English value
+ */
+function renderRiskSection(triageData) {
     const riskBadge = document.getElementById('riskBadge');
-    riskBadge.textContent = triageData.risk_level;
+    const labels = resultLabels(document.getElementById('triageResults').dataset.language);
+    riskBadge.textContent = labels[triageData.risk_level] || triageData.risk_level;
 
     // Set risk color based on level
     const riskLevel = triageData.risk_level.toLowerCase();
@@ -726,55 +1378,338 @@ function displayTriageResults(triageData) {
 
     // Risk score
     document.getElementById('riskScore').textContent = triageData.risk_score;
+}
 
-    // Key concerns
+/**
+ * Key concerns list
+ */
+function renderConcernsSection(triageData) {
     const concernsList = document.getElementById('keyConcerns');
     concernsList.innerHTML = '';
-    triageData.key_concerns.forEach(concern => {
+    (triageData.key_concerns || []).forEach(concern => {
         const li = document.createElement('li');
         li.className = 'flex items-start gap-3 text-rose-900 text-sm font-bold bg-white/50 p-3 rounded-xl border border-rose-100/50';
         li.innerHTML = `<span class="text-rose-400 mt-0.5">•</span> <span>${concern}</span>`;
         concernsList.appendChild(li);
     });
+}
 
+/**
+ * Recommendation, summary, tests, first aid and referral
+ * Only the fields present are updated, so streamed parts can arrive one at a time
+ */
+function renderDetailsSection(triageData) {
     // Triage recommendation
-    document.getElementById('triageRecommendation').textContent = triageData.triage_recommendation;
+    if ('triage_recommendation' in triageData) {
+        document.getElementById('triageRecommendation').textContent = triageData.triage_recommendation;
+    }
 
     // Clinical summary
-    document.getElementById('clinicalSummary').textContent = triageData.clinical_summary;
+    if ('clinical_summary' in triageData) {
+        document.getElementById('clinicalSummary').textContent = triageData.clinical_summary;
+    }
 
     // Tests advised
-    document.getElementById('testsAdvised').textContent = (triageData.tests_advised && triageData.tests_advised.length > 0)
-        ? triageData.tests_advised.join(', ')
-        : 'No specific tests recommended';
+    if ('tests_advised' in triageData) {
+        document.getElementById('testsAdvised').textContent = (triageData.tests_advised && triageData.tests_advised.length > 0)
+            ? triageData.tests_advised.join(', ')
+            : 'No specific tests recommended';
+    }
 
     // First aid steps
-    document.getElementById('firstAid').textContent = (triageData.first_aid_steps && triageData.first_aid_steps.length > 0)
-        ? triageData.first_aid_steps.join('. ')
-        : 'No immediate first aid required';
+    if ('first_aid_steps' in triageData) {
+        document.getElementById('firstAid').textContent = (triageData.first_aid_steps && triageData.first_aid_steps.length > 0)
+            ? triageData.first_aid_steps.join('. ')
+            : 'No immediate first aid required';
+    }
 
     // Referral
-    document.getElementById('referralTo').textContent = triageData.when_to_refer || 'N/A';
+    if ('when_to_refer' in triageData) {
+        document.getElementById('referralTo').textContent = triageData.when_to_refer || 'N/A';
+    }
 }
 
 /**
- * Reset the case form to create another case
+ * Early warning score (rule-based, from vitals)
  */
-function resetCaseForm() {
-    // Show form, hide results
-    document.getElementById('intakeForm').classList.remove('hidden');
-    document.getElementById('triageResults').classList.add('hidden');
-
-    // Clear form fields
-    document.getElementById('patientName').value = '';
-    document.getElementById('patientAge').value = '';
-    document.getElementById('symptoms').value = '';
-    document.getElementById('vitals').value = '';
-    // Clear search and selection fields (dropdown was removed in refactor)
-    const searchInput = document.getElementById('patientSearchInput');
-    const existingId = document.getElementById('existingPatientId');
-    if (searchInput) searchInput.value = '';
-    if (existingId) existingId.value = '';
+function renderEarlyWarningSection(triageData) {
+    const earlyWarningPanel = document.getElementById('earlyWarningPanel');
+    earlyWarningPanel.innerHTML = buildEarlyWarningHTML(triageData);
+    earlyWarningPanel.classList.toggle('hidden', !triageData.early_warning);
+}
+
+/**
+ * Population mode badge under the results title
+ */
+function renderPopulationBadge(population) {
+    const badge = document.getElementById('populationBadge');
+    badge.innerHTML = buildPopulationBadgeHTML(population);
+    badge.classList.toggle('hidden', !population);
+}
+
+/**
+ * Build a badge naming the population mode (age band or pregnancy) and
+ * the early warning chart its vital thresholds came from
+ */
+function buildPopulationBadgeHTML(population) {
+    if (!population) return '';
+
+    let color = 'bg-slate-100 text-slate-600 border-slate-200';
+    if (population.mode === 'pregnancy') color = 'bg-pink-50 text-pink-700 border-pink-200';
+    else if (population.mode === 'older_adult') color = 'bg-amber-50 text-amber-700 border-amber-200';
+    else if (population.chart && population.chart.startsWith('pews')) color = 'bg-sky-50 text-sky-700 border-sky-200';
+
+    return `
+        <span class="inline-flex items-center gap-1.5 px-3 py-1 rounded-full border text-[11px] font-bold ${color}" title="Vital thresholds and guidance used for this population">
+            👥 ${population.label}
+        </span>
+    `;
+}
+
+/**
+ * Build a warning if the AI output never passed schema validation
+ * Returns an empty string for valid (or repaired) output
+ */
+function buildValidationNoticeHTML(triageData) {
+    const validation = triageData.validation;
+    if (!validation || validation.status === 'valid' || validation.status === 'repaired') return '';
+
+    let reason;
+    if (validation.status === 'skipped') reason = `AI analysis was skipped (${triageData.ai_note || 'rule-based triage only'}).`;
+    else if (validation.status === 'error') reason = 'The AI service could not be reached.';
+    else reason = `The AI output failed validation after ${validation.attempts} attempt${validation.attempts > 1 ? 's' : ''}.`;
+
+    // Cases saved before the offline rules existed have no source
+    const fromRules = triageData.source === 'rules';
+    const shown = fromRules
+        ? 'This assessment comes from the offline rules (vital signs and red-flag symptoms).'
+        : 'A standard fallback assessment is shown.';
+    const redFlags = fromRules && triageData.red_flags && triageData.red_flags.length > 0
+        ? `<div class="mt-2 font-medium">Red flags recognised: ${triageData.red_flags.map(f => f.label).join(', ')}</div>`
+        : '';
+
+    return `
+        <div class="p-4 bg-amber-50 border border-amber-200 rounded-2xl text-xs font-bold text-amber-800 leading-relaxed">
+            ${fromRules ? '<span class="inline-block mb-2 px-2 py-0.5 rounded-full bg-amber-100 border border-amber-300 text-[10px] font-black uppercase tracking-widest">Source: rules</span><br>' : ''}
+            ⚠️ ${reason} ${shown} Review manually before acting on it.
+            ${redFlags}
+        </div>
+    `;
+}
+
+/**
+ * Build the early warning score block (and the override notice, if the
+ * vital-sign rules raised the AI risk level)
+ */
+function buildEarlyWarningHTML(triageData) {
+    const ews = triageData.early_warning;
+    if (!ews) return '';
+
+    const scored = ews.parameters.filter(p => p.points > 0);
+    const override = triageData.risk_override;
+
+    return `
+        ${override ? `
+            <div class="p-4 mb-3 bg-rose-50 border border-rose-200 rounded-2xl text-xs font-bold text-rose-700 leading-relaxed">
+                ⚠️ Risk raised from ${override.from_level} to ${override.to_level} by vital-sign rules: ${override.rule}
+            </div>
+        ` : ''}
+        <div class="p-4 bg-slate-50 rounded-2xl border border-slate-100">
+            <div class="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1">Early Warning Score (Vitals${ews.chart_name ? ` • ${ews.chart_name}` : ''})</div>
+            <div class="text-sm font-black text-slate-800">
+                ${ews.score} • Rules imply at least ${ews.implied_risk_level}
+            </div>
+            ${scored.length > 0
+                ? `<ul class="mt-2 space-y-1">${scored.map(p => `<li class="text-xs font-medium text-slate-500">• ${p.rule}</li>`).join('')}</ul>`
+                : '<div class="text-xs font-medium text-slate-400 mt-1">No abnormal vitals scored.</div>'}
+        </div>
+    `;
+}
+
+// Where a flagged suggestion sits in the assessment
+const SUGGESTION_FIELD_LABELS = {
+    triage_recommendation: 'Recommendation',
+    first_aid_steps: 'First aid step',
+    tests_advised: 'Test'
+};
+
+/**
+ * Build the warning for suggestions that conflict with the patient's
+ * medications, allergies or conditions (empty if none were flagged)
+ */
+function buildInteractionFlagsHTML(triageData) {
+    const flags = triageData.interaction_flags || [];
+    if (flags.length === 0) return '';
+
+    return `
+        <div class="p-4 bg-rose-50 border border-rose-200 rounded-2xl text-xs text-rose-800 leading-relaxed">
+            <div class="font-black mb-2">⚠️ ${flags.length} suggestion${flags.length > 1 ? 's conflict' : ' conflicts'} with the patient's medications, allergies or conditions. Check before acting on ${flags.length > 1 ? 'them' : 'it'}.</div>
+            <ul class="space-y-2">
+                ${flags.map(f => `
+                    <li>
+                        <span class="inline-block px-2 py-0.5 mr-1 rounded-full border text-[10px] font-black uppercase tracking-widest ${f.severity === 'major' ? 'bg-rose-100 border-rose-300' : 'bg-amber-100 border-amber-300 text-amber-800'}">${f.severity} ${f.type}</span>
+                        <span class="font-bold">${escapeHTML(f.message)}</span>
+                        <div class="font-medium text-rose-700">${SUGGESTION_FIELD_LABELS[f.field] || f.field}${f.index !== null ? ` ${f.index + 1}` : ''}: "${escapeHTML(f.suggestion)}" (${escapeHTML(f.matched)} • ${escapeHTML(f.conflicts_with)})</div>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+/**
+ * Build the notice for attached photos the AI did not look at
+ * (empty if there were none, or the AI saw them all)
+ */
+function buildPhotoNoticeHTML(triageData) {
+    const photos = triageData.photos;
+    if (!photos || !photos.note) return '';
+
+    return `
+        <div class="p-4 bg-slate-50 border border-slate-200 rounded-2xl text-xs font-bold text-slate-600 leading-relaxed">
+            📷 ${photos.attached} photo${photos.attached > 1 ? 's' : ''} attached. ${escapeHTML(photos.note)} Look at the photos yourself before acting on it.
+        </div>
+    `;
+}
+
+// How each kind of vital is named in the "why this score" panel
+const VITAL_FACTOR_LABELS = {
+    heart_rate: v => `Heart rate ${v.heart_rate} bpm`,
+    respiratory_rate: v => `Respiratory rate ${v.respiratory_rate}/min`,
+    systolic_bp: v => `Systolic BP ${v.systolic_bp} mmHg`,
+    diastolic_bp: v => `Diastolic BP ${v.diastolic_bp} mmHg`,
+    spo2: v => `SpO2 ${v.spo2}%`,
+    temperature: v => `Temperature ${v.temperature}°C`,
+    consciousness: v => `Consciousness: ${v.consciousness}`,
+    glucose: v => `Glucose ${v.glucose} mmol/L`,
+    on_oxygen: () => 'On supplemental oxygen',
+    vitals: () => 'Vital signs'
+};
+
+const FACTOR_ORIGINS = {
+    ai: 'AI',
+    early_warning_score: 'Vitals score',
+    rules: 'Offline rules'
+};
+
+/**
+ * Escape text for use inside HTML
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Readable name for a contributing factor's input
+ */
+function describeFactorInput(factor, vitals) {
+    if (factor.input_type === 'vital') {
+        const label = VITAL_FACTOR_LABELS[factor.input];
+        const measured = vitals && vitals[factor.input] !== undefined;
+        // 'vitals' (all normal) and 'on_oxygen' need no value
+        if (label && (measured || factor.input === 'vitals' || factor.input === 'on_oxygen')) return label(vitals);
+        return factor.input;
+    }
+    if (factor.input_type === 'symptom') return `"${factor.input}"`;
+    const kind = factor.input_type.charAt(0).toUpperCase() + factor.input_type.slice(1);
+    return factor.input_type === 'other' ? factor.input : `${kind}: ${factor.input}`;
+}
+
+/**
+ * The symptoms text with the phrases behind the score highlighted
+ * (rose for phrases that raised it, green for ones that lowered it)
+ */
+function buildHighlightedSymptomsHTML(symptoms, factors) {
+    if (!symptoms) return '';
+    const spans = (factors || [])
+        .flatMap(f => (f.spans || []).map(([start, end]) => ({ start, end, direction: f.direction })))
+        .filter(span => span.start >= 0 && span.end <= symptoms.length && span.start < span.end)
+        .sort((a, b) => a.start - b.start);
+
+    let html = '';
+    let position = 0;
+    spans.forEach(span => {
+        if (span.start < position) return; // overlaps a phrase already highlighted
+        const colour = span.direction === 'lowers' ? 'bg-emerald-100 text-emerald-800' : 'bg-rose-100 text-rose-800';
+        html += escapeHTML(symptoms.slice(position, span.start));
+        html += `<mark class="${colour} rounded px-0.5">${escapeHTML(symptoms.slice(span.start, span.end))}</mark>`;
+        position = span.end;
+    });
+    return html + escapeHTML(symptoms.slice(position));
+}
+
+/**
+ * Build the "why this score" panel: each factor's input, direction and
+ * approximate weight (1-5), with the symptom phrases highlighted
+ * Pass `symptoms` to show the highlighted symptoms text under the list
+ */
+function buildFactorsHTML(triageData, symptoms) {
+    const factors = triageData.contributing_factors || [];
+    if (factors.length === 0) return '';
+    const highlighted = symptoms && factors.some(f => (f.spans || []).length > 0);
+
+    return `
+        <div class="p-4 bg-slate-50 rounded-2xl border border-slate-100">
+            <div class="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-2">Why this score</div>
+            <ul class="space-y-2">
+                ${factors.map(f => `
+                    <li class="flex items-start gap-3 text-xs">
+                        <span class="font-black ${f.direction === 'lowers' ? 'text-emerald-600' : 'text-rose-600'}" title="${f.direction === 'lowers' ? 'Lowers' : 'Raises'} the score">${f.direction === 'lowers' ? '▼' : '▲'}</span>
+                        <div class="flex-1">
+                            <div class="font-bold text-slate-700">
+                                ${escapeHTML(describeFactorInput(f, triageData.vitals))}
+                                <span class="ml-1 text-[10px] font-black text-slate-400 uppercase tracking-wider">${FACTOR_ORIGINS[f.origin] || f.origin}</span>
+                            </div>
+                            ${f.explanation ? `<div class="font-medium text-slate-500">${escapeHTML(f.explanation)}</div>` : ''}
+                        </div>
+                        <span class="shrink-0 tracking-widest text-slate-400" title="Approximate weight ${f.weight} of 5">${'●'.repeat(f.weight)}${'○'.repeat(Math.max(0, 5 - f.weight))}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            ${highlighted ? `
+                <div class="mt-3 p-3 bg-white rounded-xl border border-slate-100 text-xs text-slate-600 leading-relaxed whitespace-pre-line">${buildHighlightedSymptomsHTML(symptoms, factors)}</div>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * "Why this score" panel in the results card
+ */
+function renderFactorsSection(triageData, symptoms) {
+    const factorsPanel = document.getElementById('factorsPanel');
+    factorsPanel.innerHTML = buildFactorsHTML(triageData, symptoms);
+    factorsPanel.classList.toggle('hidden', !factorsPanel.innerHTML);
+}
+
+/**
+ * Reset the case form to create another case
+ */
+function resetCaseForm() {
+    // Show form, hide results
+    document.getElementById('intakeForm').classList.remove('hidden');
+    document.getElementById('triageResults').classList.add('hidden');
+
+    // Clear form fields
+    document.getElementById('patientName').value = '';
+    clearPatientProfileFields();
+    document.getElementById('symptoms').value = '';
+    document.getElementById('vitals').value = '';
+    clearClarifyingQuestions();
+    clearCasePhotos();
+    currentRegistration = null;
+    renderWaitingList();
+    currentSmsCase = null;
+    renderSmsCases();
+    // Clear search and selection fields (dropdown was removed in refactor)
+    const searchInput = document.getElementById('patientSearchInput');
+    const existingId = document.getElementById('existingPatientId');
+    if (searchInput) searchInput.value = '';
+    if (existingId) existingId.value = '';
 
     // Reset to new patient
     document.querySelector('input[name="patientType"][value="new"]').checked = true;
@@ -802,6 +1737,578 @@ function clearCaseError() {
     errorDiv.classList.remove('show');
 }
 
+// ============================================
+// CASE PHOTOS
+// ============================================
+// Photos are drawn upright and shrunk in the browser, uploaded to the
+// backend (which removes location and camera details and keeps them next
+// to the case), and sent with the triage request by id.
+
+const MAX_CASE_PHOTOS = 4;
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_PHOTO_FILE_BYTES = 20 * 1024 * 1024; // Before shrinking
+const PHOTO_MAX_SIDE = 1600;
+const PHOTO_THUMBNAIL_SIDE = 320;
+
+const photoUrlCache = new Map(); // "<id>:thumbnail" or "<id>:full" -> object URL
+
+/**
+ * Draw a picture onto a white canvas at most maxSide pixels wide and high
+ * and return it as a JPEG data URL
+ */
+function drawPhoto(bitmap, maxSide, quality) {
+    const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const context = canvas.getContext('2d');
+    // Transparent PNG areas would turn black in a JPEG
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', quality);
+}
+
+/**
+ * Shrink a picked photo and upload it with its thumbnail
+ * Returns { id, thumbUrl }
+ */
+async function uploadCasePhoto(file) {
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const image = drawPhoto(bitmap, PHOTO_MAX_SIDE, 0.85);
+    const thumbnail = drawPhoto(bitmap, PHOTO_THUMBNAIL_SIDE, 0.7);
+    bitmap.close();
+
+    const response = await fetch(`${BACKEND_URL}/attachments`, {
+        method: 'POST',
+        headers: await getAuthHeaders(),
+        body: JSON.stringify({ image, thumbnail })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || `Upload failed (${response.status})`);
+    return { id: result.id, thumbUrl: thumbnail };
+}
+
+/**
+ * Check and upload the photos picked on the intake form
+ */
+async function handleCasePhotoInput(input) {
+    const files = Array.from(input.files || []);
+    input.value = '';
+    clearCaseError();
+
+    const room = MAX_CASE_PHOTOS - casePhotos.length - photoUploadsPending;
+    if (files.length > room) {
+        showCaseError(`A case can have at most ${MAX_CASE_PHOTOS} photos`);
+        return;
+    }
+    const invalid = files.find(file => !PHOTO_TYPES.includes(file.type) || file.size > MAX_PHOTO_FILE_BYTES);
+    if (invalid) {
+        showCaseError(`"${invalid.name}" cannot be attached: use a JPEG, PNG or WebP photo under ${MAX_PHOTO_FILE_BYTES / 1024 / 1024} MB`);
+        return;
+    }
+
+    photoUploadsPending += files.length;
+    renderCasePhotos();
+    await Promise.all(files.map(async file => {
+        try {
+            casePhotos.push(await uploadCasePhoto(file));
+        } catch (error) {
+            console.error('Error uploading photo:', error);
+            showCaseError(`Could not attach "${file.name}": ${error.message}`);
+        } finally {
+            photoUploadsPending -= 1;
+            renderCasePhotos();
+        }
+    }));
+}
+
+/**
+ * Show the attached photos (and those still uploading) under the form
+ */
+function renderCasePhotos() {
+    const list = document.getElementById('casePhotoList');
+    if (!list) return;
+
+    list.innerHTML = `
+        ${casePhotos.map(photo => `
+            <div class="relative">
+                <img src="${photo.thumbUrl}" alt="Attached photo" class="w-20 h-20 object-cover rounded-xl border border-slate-200">
+                <button type="button" onclick="removeCasePhoto('${photo.id}')" title="Remove this photo"
+                    class="absolute -top-2 -right-2 w-6 h-6 rounded-full bg-slate-900 text-white text-xs font-black">×</button>
+            </div>
+        `).join('')}
+        ${Array.from({ length: photoUploadsPending }, () => `
+            <div class="w-20 h-20 rounded-xl border border-slate-200 bg-slate-100 animate-pulse flex items-center justify-center text-[10px] font-bold text-slate-400">Uploading</div>
+        `).join('')}
+    `;
+    list.classList.toggle('hidden', casePhotos.length === 0 && photoUploadsPending === 0);
+}
+
+/**
+ * Take a photo off the case (the uploaded copy stays unused on the server)
+ */
+function removeCasePhoto(photoId) {
+    casePhotos = casePhotos.filter(photo => photo.id !== photoId);
+    renderCasePhotos();
+}
+
+/**
+ * Remove all photos from the intake form
+ */
+function clearCasePhotos() {
+    casePhotos = [];
+    renderCasePhotos();
+}
+
+/**
+ * Fetch a stored photo (or its thumbnail) with the clinician's sign-in
+ * and return an object URL for it
+ */
+async function loadPhotoUrl(attachmentId, { thumbnail = false } = {}) {
+    const key = `${attachmentId}:${thumbnail ? 'thumbnail' : 'full'}`;
+    if (!photoUrlCache.has(key)) {
+        const path = `/attachments/${encodeURIComponent(attachmentId)}${thumbnail ? '/thumbnail' : ''}`;
+        const response = await fetch(`${BACKEND_URL}${path}`, { headers: await getAuthHeaders() });
+        if (!response.ok) throw new Error(`Photo failed to load (${response.status})`);
+        photoUrlCache.set(key, URL.createObjectURL(await response.blob()));
+    }
+    return photoUrlCache.get(key);
+}
+
+/**
+ * Build the row of thumbnails for a saved case; the pictures are loaded
+ * by loadPhotoThumbnails once the row is on screen
+ */
+function buildPhotoThumbnailsHTML(attachmentIds, size = 'w-16 h-16') {
+    return (attachmentIds || []).map(id => `
+        <img data-attachment-id="${escapeHTML(id)}" alt="Case photo" title="Open the full photo"
+            onclick="event.stopPropagation(); openCasePhoto('${escapeHTML(id)}')"
+            class="${size} object-cover rounded-xl border border-slate-200 bg-slate-100 cursor-pointer hover:border-medical-600 transition-colors">
+    `).join('');
+}
+
+/**
+ * Load the thumbnails built by buildPhotoThumbnailsHTML inside container
+ */
+function loadPhotoThumbnails(container) {
+    container.querySelectorAll('img[data-attachment-id]:not([src])').forEach(async img => {
+        try {
+            img.src = await loadPhotoUrl(img.dataset.attachmentId, { thumbnail: true });
+        } catch (error) {
+            console.warn('Could not load a case photo:', error);
+            img.alt = 'Photo unavailable';
+        }
+    });
+}
+
+/**
+ * Open the full photo in a new tab
+ */
+async function openCasePhoto(attachmentId) {
+    // Opened before the download so the browser does not block it as a popup
+    const view = window.open('', '_blank');
+    try {
+        const url = await loadPhotoUrl(attachmentId);
+        if (view) view.location.href = url;
+    } catch (error) {
+        console.error('Error opening photo:', error);
+        if (view) view.close();
+        alert('❌ Could not open the photo. Please try again.');
+    }
+}
+
+// ============================================
+// FRONT-DESK WAITING LIST
+// ============================================
+
+/**
+ * Load the patients the front desk registered (HL7 ADT) who are waiting
+ * for triage. The card stays hidden when nobody is waiting or the
+ * backend has no intake configured.
+ */
+async function loadWaitingList() {
+    const card = document.getElementById('waitingListCard');
+    try {
+        const response = await fetch(`${BACKEND_URL}/intake/registrations`, { headers: await getAuthHeaders() });
+        if (!response.ok) throw new Error(`Waiting list failed (${response.status})`);
+        waitingRegistrations = (await response.json()).registrations || [];
+    } catch (error) {
+        console.warn('Could not load the waiting list:', error);
+        waitingRegistrations = [];
+    }
+
+    if (currentRegistration && !waitingRegistrations.some(r => r.id === currentRegistration.id)) {
+        currentRegistration = null;
+    }
+    card.classList.toggle('hidden', waitingRegistrations.length === 0);
+    renderWaitingList();
+}
+
+/**
+ * Render the waiting list, marking the registration being triaged
+ */
+function renderWaitingList() {
+    document.getElementById('waitingList').innerHTML = waitingRegistrations.map(registration => {
+        const patient = registration.patient || {};
+        const visit = registration.visit || {};
+        const details = [
+            patient.age !== null && patient.age !== undefined ? `Age ${formatAge(patient.age, patient.age_unit)}` : null,
+            patient.sex && patient.sex !== 'unknown' ? patient.sex : null,
+            patient.mrn ? `MRN ${patient.mrn}` : null,
+            visit.location,
+            `registered ${new Date(registration.registered_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        ].filter(Boolean).map(escapeHTML).join(' • ');
+        const selected = currentRegistration && currentRegistration.id === registration.id;
+
+        return `
+            <div class="flex items-center justify-between gap-4 p-3 rounded-2xl border ${selected ? 'border-medical-600 bg-medical-50' : 'border-slate-100 bg-slate-50/50'}">
+                <div class="min-w-0">
+                    <div class="text-sm font-bold text-slate-800">${escapeHTML(patient.name || 'Unknown patient')}</div>
+                    <div class="text-xs font-medium text-slate-500">${details}</div>
+                    ${visit.reason ? `<div class="text-xs font-medium text-slate-400 italic">${escapeHTML(visit.reason)}</div>` : ''}
+                </div>
+                <div class="flex items-center gap-3 shrink-0">
+                    <button onclick="pickRegistration('${registration.id}')"
+                        class="text-xs font-bold text-medical-600 hover:underline">${selected ? '✓ In progress' : 'Start triage'}</button>
+                    <button onclick="dismissRegistration('${registration.id}')"
+                        class="text-xs font-bold text-slate-400 hover:text-red-500">Dismiss</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Start a case for a waiting patient: use their saved record when the
+ * MRN (stored as the clinical reference) or the name matches, else fill
+ * in a new patient from the registration
+ */
+function pickRegistration(registrationId) {
+    const registration = waitingRegistrations.find(r => r.id === registrationId);
+    if (!registration || !registration.patient) return;
+    const patient = registration.patient;
+
+    const match = allPatientsList.find(p => patient.mrn && p.clinicalRef === patient.mrn)
+        || allPatientsList.find(p => p.name && p.name.toLowerCase() === patient.name.toLowerCase());
+
+    document.querySelector(`input[name="patientType"][value="${match ? 'existing' : 'new'}"]`).checked = true;
+    handlePatientTypeChange();
+    if (match) {
+        selectPatientFromSearch(match.id, match.name);
+    } else {
+        document.getElementById('patientName').value = patient.name;
+    }
+
+    // The registration's date of birth gives today's age; allergies add to any already known
+    if (patient.age !== null && patient.age !== undefined) {
+        document.getElementById('patientAge').value = patient.age;
+        document.getElementById('patientAgeUnit').value = AGE_UNITS.includes(patient.age_unit) ? patient.age_unit : 'years';
+    }
+    if (patient.sex && patient.sex !== 'unknown') {
+        document.getElementById('patientSex').value = patient.sex;
+        updatePregnancyFields();
+    }
+    const allergies = [...readPatientHistory().allergies, ...(patient.allergies || [])];
+    document.getElementById('patientAllergies').value = [...new Set(allergies)].join(', ');
+
+    const symptoms = document.getElementById('symptoms');
+    if (!symptoms.value.trim() && registration.visit && registration.visit.reason) {
+        symptoms.value = registration.visit.reason;
+    }
+
+    currentRegistration = { id: registration.id, mrn: patient.mrn || null };
+    renderWaitingList();
+    document.getElementById('intakeForm').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Take a patient off the waiting list without a case (e.g. they left)
+ */
+async function dismissRegistration(registrationId) {
+    if (!confirm('Remove this patient from the waiting list without a triage?')) return;
+    try {
+        const response = await fetch(`${BACKEND_URL}/intake/registrations/${registrationId}/dismiss`, {
+            method: 'POST',
+            headers: await getAuthHeaders()
+        });
+        if (!response.ok) throw new Error(`Dismiss failed (${response.status})`);
+    } catch (error) {
+        console.error('Error dismissing registration:', error);
+        alert('❌ Could not update the waiting list. Please try again.');
+    }
+    loadWaitingList();
+}
+
+/**
+ * Tell the backend a waiting patient's case was saved, so they leave the list
+ * (the case is saved either way; a failure here only leaves them listed)
+ */
+async function markRegistrationTriaged(registrationId, caseId) {
+    try {
+        const response = await fetch(`${BACKEND_URL}/intake/registrations/${registrationId}/triaged`, {
+            method: 'POST',
+            headers: await getAuthHeaders(),
+            body: JSON.stringify({ case_id: caseId })
+        });
+        if (!response.ok) throw new Error(`Update failed (${response.status})`);
+    } catch (error) {
+        console.warn('Could not close the registration:', error);
+    }
+    loadWaitingList();
+}
+
+// ============================================
+// TEXT-MESSAGE CASES
+// ============================================
+// Community health workers text cases to the clinic's SMS number. The
+// backend triages them and replies straight away; each one waits here
+// until a clinician reviews it and saves it as a case of their own.
+
+/**
+ * Load the text-message cases waiting for review. The card stays hidden
+ * when there are none.
+ */
+async function loadSmsCases() {
+    const card = document.getElementById('smsCasesCard');
+    try {
+        const response = await fetch(`${BACKEND_URL}/sms-cases`, { headers: await getAuthHeaders() });
+        if (!response.ok) throw new Error(`Text-message cases failed (${response.status})`);
+        smsCases = (await response.json()).cases || [];
+    } catch (error) {
+        console.warn('Could not load the text-message cases:', error);
+        smsCases = [];
+    }
+
+    if (currentSmsCase && !smsCases.some(c => c.id === currentSmsCase.id)) {
+        currentSmsCase = null;
+    }
+    card.classList.toggle('hidden', smsCases.length === 0);
+    renderSmsCases();
+}
+
+/**
+ * Render the text-message cases with the risk the reply gave, marking
+ * the one being reviewed
+ */
+function renderSmsCases() {
+    document.getElementById('smsCaseList').innerHTML = smsCases.map(smsCase => {
+        const request = smsCase.request || {};
+        const triage = smsCase.triage || {};
+        const risk = calculateTrend([{ triageData: triage }]);
+        const details = [
+            `Age ${formatAge(request.age, request.age_unit)}${['weeks', 'days'].includes(request.age_unit) ? ` ${request.age_unit}` : ''}`,
+            request.sex && request.sex !== 'unknown' ? request.sex : null,
+            request.pregnancy_status === 'pregnant' ? 'pregnant' : null,
+            `Ref ${smsCase.reference}`,
+            `from ${smsCase.sender}`,
+            `received ${new Date(smsCase.received_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        ].filter(Boolean).map(escapeHTML).join(' • ');
+        const selected = currentSmsCase && currentSmsCase.id === smsCase.id;
+
+        return `
+            <div class="flex items-center justify-between gap-4 p-3 rounded-2xl border ${selected ? 'border-medical-600 bg-medical-50' : 'border-slate-100 bg-slate-50/50'}">
+                <div class="min-w-0">
+                    <div class="text-sm font-bold text-slate-800">
+                        ${escapeHTML(smsCase.patient_name || 'Unnamed patient')}
+                        <span class="ml-2 px-2 py-0.5 rounded-full text-[10px] font-bold ${risk.class}">${escapeHTML(`${triage.risk_level} ${triage.risk_score}`)}</span>
+                    </div>
+                    <div class="text-xs font-medium text-slate-500">${details}</div>
+                    <div class="text-xs font-medium text-slate-400 italic">${escapeHTML(request.symptoms || '')}</div>
+                    ${smsCase.reply ? `<div class="text-xs font-medium text-slate-400">Reply sent: ${escapeHTML(smsCase.reply)}</div>` : ''}
+                </div>
+                <div class="flex items-center gap-3 shrink-0">
+                    <button onclick="pickSmsCase('${smsCase.id}')"
+                        class="text-xs font-bold text-medical-600 hover:underline">${selected ? '✓ In review' : 'Review'}</button>
+                    <button onclick="dismissSmsCase('${smsCase.id}')"
+                        class="text-xs font-bold text-slate-400 hover:text-red-500">Dismiss</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Fill the form from a text-message case so the clinician can check it,
+ * add what the field worker could not send, and analyze it again.
+ * A named patient the clinician already has is picked as existing.
+ */
+function pickSmsCase(smsCaseId) {
+    const smsCase = smsCases.find(c => c.id === smsCaseId);
+    if (!smsCase) return;
+    const request = smsCase.request || {};
+
+    const match = smsCase.patient_name
+        && allPatientsList.find(p => p.name && p.name.toLowerCase() === smsCase.patient_name.toLowerCase());
+    document.querySelector(`input[name="patientType"][value="${match ? 'existing' : 'new'}"]`).checked = true;
+    handlePatientTypeChange();
+    if (match) {
+        selectPatientFromSearch(match.id, match.name);
+    } else {
+        document.getElementById('patientName').value = smsCase.patient_name || '';
+    }
+
+    // The age keeps the unit it was texted in (a newborn's 10d stays 10 days)
+    document.getElementById('patientAge').value = request.age;
+    document.getElementById('patientAgeUnit').value = request.age_unit || 'years';
+    document.getElementById('patientSex').value = request.sex || 'unknown';
+    document.getElementById('pregnancyStatus').value = request.pregnancy_status || 'unknown';
+    updatePregnancyFields();
+    document.getElementById('gestationWeeks').value = request.gestation_weeks || '';
+    document.getElementById('symptoms').value = request.symptoms || '';
+    document.getElementById('vitals').value = request.vitals || '';
+
+    currentSmsCase = { id: smsCase.id, reference: smsCase.reference };
+    renderSmsCases();
+    document.getElementById('intakeForm').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Remove a text-message case without saving it (e.g. a test or a repeat)
+ */
+async function dismissSmsCase(smsCaseId) {
+    if (!confirm('Remove this text-message case without saving it?')) return;
+    try {
+        const response = await fetch(`${BACKEND_URL}/sms-cases/${smsCaseId}/dismiss`, {
+            method: 'POST',
+            headers: await getAuthHeaders()
+        });
+        if (!response.ok) throw new Error(`Dismiss failed (${response.status})`);
+    } catch (error) {
+        console.error('Error dismissing text-message case:', error);
+        alert('❌ Could not update the text-message cases. Please try again.');
+    }
+    loadSmsCases();
+}
+
+/**
+ * Tell the backend a text-message case was saved as a case, so it leaves
+ * the list (the case is saved either way; a failure only leaves it listed)
+ */
+async function markSmsCaseAdopted(smsCaseId, caseId) {
+    try {
+        const response = await fetch(`${BACKEND_URL}/sms-cases/${smsCaseId}/adopt`, {
+            method: 'POST',
+            headers: await getAuthHeaders(),
+            body: JSON.stringify({ case_id: caseId })
+        });
+        if (!response.ok) throw new Error(`Update failed (${response.status})`);
+    } catch (error) {
+        console.warn('Could not close the text-message case:', error);
+    }
+    loadSmsCases();
+}
+
+// ============================================
+// CRITICAL-CASE ALERTS
+// ============================================
+// The backend pages the people on call (webhook, email, SMS) when a case
+// at or above its alert level is saved, and the case modal shows whether
+// someone has acknowledged it.
+
+/**
+ * Report a case saved to Firestore so the backend can raise its alert
+ * (the backend decides whether the risk level calls for one)
+ */
+async function raiseCaseAlert(caseId, caseFields) {
+    try {
+        const response = await fetch(`${BACKEND_URL}/alerts`, {
+            method: 'POST',
+            headers: await getAuthHeaders(),
+            body: JSON.stringify({ case_id: caseId, case: caseFields })
+        });
+        if (!response.ok) throw new Error(`Alert failed (${response.status})`);
+    } catch (error) {
+        console.warn('Could not raise the alert for this case:', error);
+    }
+}
+
+/**
+ * Load the alert raised for a case and show it in the case modal
+ * (nothing is shown if the case raised none)
+ */
+async function loadCaseAlert(caseId) {
+    const container = document.getElementById('modalAlertStatus');
+    if (!container || !caseId) return;
+    try {
+        const response = await fetch(`${BACKEND_URL}/alerts?case_id=${encodeURIComponent(caseId)}`, { headers: await getAuthHeaders() });
+        if (!response.ok) throw new Error(`Alert lookup failed (${response.status})`);
+        const [alert] = (await response.json()).alerts || [];
+        // The modal may show another case by now
+        if (currentCaseData && currentCaseData.id === caseId) renderCaseAlert(alert || null);
+    } catch (error) {
+        console.warn('Could not load the alert for this case:', error);
+    }
+}
+
+/**
+ * Render the alert box: who was notified and whether it was acknowledged
+ */
+function renderCaseAlert(alert) {
+    const container = document.getElementById('modalAlertStatus');
+    if (!container) return;
+    if (!alert) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const channelNames = { webhook: 'Webhook', email: 'Email', sms: 'SMS' };
+    const statusIcons = { sent: '✓', pending: '…', failed: '✗', cancelled: '–' };
+    const deliveries = alert.deliveries.map(d => `
+        <span class="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-white border border-slate-200 text-[10px] font-bold ${d.status === 'failed' ? 'text-red-600' : 'text-slate-600'}"
+            title="${escapeHTML(d.target)}${d.last_error ? ` – ${escapeHTML(d.last_error)}` : ''}">
+            ${statusIcons[d.status] || ''} ${channelNames[d.channel] || escapeHTML(d.channel)}: ${escapeHTML(d.status)}${d.attempts > 1 ? ` (${d.attempts} tries)` : ''}
+        </span>
+    `).join('');
+    const raisedAt = new Date(alert.created_at).toLocaleString();
+    const repeats = alert.repeat_case_ids.length > 0
+        ? ` Also covers ${alert.repeat_case_ids.length} later case(s) for this patient.` : '';
+
+    if (alert.acknowledged_at) {
+        const by = alert.acknowledged_by || {};
+        container.innerHTML = `
+            <div class="mb-6 p-4 rounded-2xl border border-emerald-200 bg-emerald-50">
+                <div class="text-sm font-bold text-emerald-800">✅ ${escapeHTML(alert.risk_level)} alert acknowledged by ${escapeHTML(by.name || 'a clinician')}${by.via === 'link' ? ' (from the alert message)' : ''}</div>
+                <div class="text-xs font-medium text-emerald-700 mt-1">Raised ${raisedAt}, acknowledged ${new Date(alert.acknowledged_at).toLocaleString()}.${repeats}</div>
+                ${deliveries ? `<div class="flex flex-wrap gap-2 mt-2">${deliveries}</div>` : ''}
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="mb-6 p-4 rounded-2xl border border-red-200 bg-red-50 flex items-start justify-between gap-4">
+            <div class="min-w-0">
+                <div class="text-sm font-bold text-red-800">🚨 ${escapeHTML(alert.risk_level)} alert raised, not acknowledged yet</div>
+                <div class="text-xs font-medium text-red-700 mt-1">Raised ${raisedAt}.${repeats}${deliveries ? '' : ' No alert channels are configured on the server: only shown here.'}</div>
+                ${deliveries ? `<div class="flex flex-wrap gap-2 mt-2">${deliveries}</div>` : ''}
+            </div>
+            <button onclick="acknowledgeCaseAlert('${alert.id}')"
+                class="shrink-0 px-4 py-2 rounded-xl bg-red-600 hover:bg-red-700 text-white text-xs font-bold">Acknowledge</button>
+        </div>
+    `;
+}
+
+/**
+ * Acknowledge the alert shown in the case modal (stops any retries)
+ */
+async function acknowledgeCaseAlert(alertId) {
+    try {
+        const response = await fetch(`${BACKEND_URL}/alerts/${alertId}/acknowledge`, {
+            method: 'POST',
+            headers: await getAuthHeaders(),
+            body: JSON.stringify({ name: currentUser.displayName || currentUser.email })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `Acknowledge failed (${response.status})`);
+        renderCaseAlert(result);
+    } catch (error) {
+        console.error('Error acknowledging alert:', error);
+        alert('❌ Could not acknowledge the alert: ' + error.message);
+    }
+}
+
 // ============================================
 // PATIENT RECORDS FUNCTIONS
 // ============================================
@@ -815,14 +2322,9 @@ async function loadPatientRecords() {
         recordsList.innerHTML = '<p>Loading patient records...</p>';
 
         // Get all cases associated with this doctor (or all if admin)
-        let casesQuery = db.collection('cases');
-        if (currentUserRole !== 'admin') {
-            casesQuery = casesQuery.where('doctorId', '==', currentUser.uid);
-        }
-
-        const casesSnapshot = await casesQuery.orderBy('createdAt', 'desc').get();
+        const cases = await listCaseRecords();
 
-        if (casesSnapshot.empty) {
+        if (cases.length === 0) {
             recordsList.innerHTML = '<p style="color: #64748b;">No patient records found.</p>';
             return;
         }
@@ -831,20 +2333,17 @@ async function loadPatientRecords() {
 
         // Group cases by patient name
         const groups = {};
-        casesSnapshot.forEach(doc => {
-            const data = doc.data();
+        cases.forEach(data => {
             const name = data.patientName;
             if (!groups[name]) {
                 groups[name] = {
                     name: name,
                     age: data.patientAge,
+                    ageUnit: data.patientAgeUnit,
                     cases: []
                 };
             }
-            groups[name].cases.push({
-                id: doc.id,
-                ...data
-            });
+            groups[name].cases.push(data);
         });
 
         // Create cards for each group
@@ -856,7 +2355,7 @@ async function loadPatientRecords() {
             // as a reference for the accordion toggle
             const dummyPatientId = group.cases[0].patientId || `group-${group.name.replace(/\s+/g, '-')}`;
 
-            const patientCard = createPatientCard({ name: group.name, age: group.age }, dummyPatientId, group.cases, trend);
+            const patientCard = createPatientCard({ name: group.name, age: group.age, ageUnit: group.ageUnit }, dummyPatientId, group.cases, trend);
             recordsList.appendChild(patientCard);
         });
 
@@ -897,12 +2396,23 @@ function createPatientCard(patient, patientId, cases, trend) {
 
     const meta = document.createElement('div');
     meta.className = 'text-xs font-bold text-slate-400';
-    meta.textContent = `Age: ${patient.age || 'N/A'} • ${cases.length} visit${cases.length > 1 ? 's' : ''}`;
+    meta.textContent = `Age: ${formatAge(patient.age, patient.ageUnit)} • ${cases.length} visit${cases.length > 1 ? 's' : ''}`;
 
     nameDiv.appendChild(topRow);
     nameDiv.appendChild(meta);
 
+    // Whole history as a FHIR Bundle, for handing over to a hospital EHR
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'text-[10px] font-black px-3 py-1.5 rounded-lg border border-slate-200 text-slate-500 uppercase tracking-wider hover:border-medical-600 hover:text-medical-600 transition-colors';
+    exportBtn.textContent = 'Export FHIR';
+    exportBtn.title = 'Download this patient\'s full history as a FHIR R4 Bundle';
+    exportBtn.onclick = (e) => {
+        e.stopPropagation();
+        exportPatientHistoryFHIR(cases[0].patientId, cases);
+    };
+
     header.appendChild(nameDiv);
+    header.appendChild(exportBtn);
 
     const timeline = document.createElement('div');
     timeline.className = 'patient-timeline max-h-0 overflow-hidden bg-slate-50/50 transition-all duration-300 ease-in-out';
@@ -931,6 +2441,13 @@ function createPatientCard(patient, patientId, cases, trend) {
         leftSide.appendChild(date);
         leftSide.appendChild(summary);
 
+        if ((caseData.attachmentIds || []).length > 0) {
+            const photos = document.createElement('div');
+            photos.className = 'flex gap-2 mt-2';
+            photos.innerHTML = buildPhotoThumbnailsHTML(caseData.attachmentIds, 'w-10 h-10');
+            leftSide.appendChild(photos);
+        }
+
         const riskIndicator = document.createElement('div');
         const riskLevel = caseData.triageData.risk_level.toLowerCase();
         let indicatorColor = 'bg-slate-200';
@@ -962,6 +2479,8 @@ function togglePatientTimeline(patientId) {
         timeline.style.maxHeight = null;
     } else {
         timeline.style.maxHeight = timeline.scrollHeight + "px";
+        // Photos are only downloaded once someone looks at the visits
+        loadPhotoThumbnails(timeline);
     }
 }
 
@@ -999,6 +2518,27 @@ function calculateTrend(cases) {
     return { text: riskLevel + arrow, class: riskClass };
 }
 
+/**
+ * Format vitals for display
+ * Handles structured vitals objects and legacy free-text strings
+ */
+function formatVitals(vitals) {
+    if (!vitals) return 'No vitals recorded in this session.';
+    if (typeof vitals === 'string') return vitals;
+
+    const parts = [];
+    if (vitals.systolic_bp !== undefined) parts.push(`BP ${vitals.systolic_bp}/${vitals.diastolic_bp} mmHg`);
+    if (vitals.heart_rate !== undefined) parts.push(`HR ${vitals.heart_rate} bpm`);
+    if (vitals.respiratory_rate !== undefined) parts.push(`RR ${vitals.respiratory_rate}/min`);
+    if (vitals.spo2 !== undefined) parts.push(`SpO2 ${vitals.spo2}%${vitals.on_oxygen ? ' (O2)' : ''}`);
+    if (vitals.temperature !== undefined) parts.push(`Temp ${vitals.temperature}°C`);
+    if (vitals.gcs !== undefined) parts.push(`GCS ${vitals.gcs}/15`);
+    if (vitals.glucose !== undefined) parts.push(`Glucose ${vitals.glucose} mmol/L`);
+
+    if (parts.length === 0) return vitals.raw || 'No vitals recorded in this session.';
+    return parts.join(' • ');
+}
+
 /**
  * Format Firestore timestamp to readable date
  */
@@ -1033,9 +2573,9 @@ async function showCaseModal(caseData) {
     let displayRef = caseData.patientId;
     if (caseData.patientId) {
         try {
-            const patientDoc = await db.collection('patients').doc(caseData.patientId).get();
-            if (patientDoc.exists && patientDoc.data().clinicalRef) {
-                displayRef = patientDoc.data().clinicalRef;
+            const patient = await getPatientRecord(caseData.patientId);
+            if (patient && patient.clinicalRef) {
+                displayRef = patient.clinicalRef;
             }
         } catch (error) {
             console.error('Error fetching clinical ref:', error);
@@ -1051,15 +2591,23 @@ async function showCaseModal(caseData) {
     else if (riskLevel === 'moderate') riskColor = 'text-amber-600 bg-amber-50 border-amber-100';
 
     modalContent.innerHTML = `
+        ${buildValidationNoticeHTML(triageData) ? `<div class="mb-6">${buildValidationNoticeHTML(triageData)}</div>` : ''}
+        ${buildInteractionFlagsHTML(triageData) ? `<div class="mb-6">${buildInteractionFlagsHTML(triageData)}</div>` : ''}
+        ${buildPhotoNoticeHTML(triageData) ? `<div class="mb-6">${buildPhotoNoticeHTML(triageData)}</div>` : ''}
+        <div id="modalAlertStatus"></div>
+
         <div class="grid grid-cols-1 md:grid-cols-2 gap-8 mb-8">
             <div class="space-y-4">
                 <div class="p-4 bg-slate-50 rounded-2xl border border-slate-100">
                     <div class="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1">Patient Details</div>
                     <div class="text-lg font-black text-slate-800">${caseData.patientName}</div>
                     <div class="text-sm font-bold text-slate-500">
-                        Age: ${caseData.patientAge || 'N/A'} • 
+                        Age: ${formatAge(caseData.patientAge, caseData.patientAgeUnit)} • 
                         Ref: <span id="modalRefDisplay" class="cursor-pointer hover:text-medical-600 underline decoration-dotted transition-colors" onclick="editClinicalRef('${caseData.patientId}', '${displayRef}')">${displayRef}</span>
                     </div>
+                    ${buildPatientProfileLine(caseData)}
+                    ${buildPatientHistoryHTML(caseData)}
+                    ${triageData.population ? `<div class="mt-2">${buildPopulationBadgeHTML(triageData.population)}</div>` : ''}
                 </div>
                 <div class="p-4 bg-slate-50 rounded-2xl border border-slate-100">
                     <div class="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1">Recording Clinician</div>
@@ -1092,16 +2640,43 @@ async function showCaseModal(caseData) {
                     <span class="w-8 h-8 rounded-lg bg-slate-100 flex items-center justify-center text-xs">🩺</span>
                     Clinical Presentation
                 </h3>
-                <div class="p-5 bg-white rounded-2xl border border-slate-100 text-slate-600 text-sm leading-relaxed whitespace-pre-line shadow-sm">
-                    ${caseData.symptoms}
-                </div>
+                <div class="p-5 bg-white rounded-2xl border border-slate-100 text-slate-600 text-sm leading-relaxed whitespace-pre-line shadow-sm">${buildHighlightedSymptomsHTML(caseData.symptoms, triageData.contributing_factors)}</div>
+                ${caseData.symptomsEnglish && caseData.symptomsEnglish !== caseData.symptoms ? `
+                    <div class="mt-3 p-4 bg-slate-50 rounded-2xl border border-slate-100">
+                        <div class="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1">English Version</div>
+                        <div class="text-slate-600 text-sm leading-relaxed whitespace-pre-line">${caseData.symptomsEnglish}</div>
+                    </div>
+                ` : ''}
+                ${(caseData.clarifications || []).length > 0 ? `
+                    <div class="mt-3 p-4 bg-slate-50 rounded-2xl border border-slate-100">
+                        <div class="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-2">Follow-up Questions</div>
+                        <ul class="space-y-2">
+                            ${caseData.clarifications.map(c => `
+                                <li class="text-sm">
+                                    <div class="font-bold text-slate-700">${escapeHTML(c.question)}</div>
+                                    <div class="text-slate-500">${c.answer ? escapeHTML(c.answer) : '<span class="italic text-slate-400">Not answered</span>'}</div>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
+                ${(caseData.attachmentIds || []).length > 0 ? `
+                    <div class="mt-3 p-4 bg-slate-50 rounded-2xl border border-slate-100">
+                        <div class="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-2">Photos</div>
+                        <div class="flex flex-wrap gap-3">${buildPhotoThumbnailsHTML(caseData.attachmentIds, 'w-24 h-24')}</div>
+                    </div>
+                ` : ''}
             </section>
 
+            ${triageData.early_warning ? `<section>${buildEarlyWarningHTML(triageData)}</section>` : ''}
+
+            ${buildFactorsHTML(triageData) ? `<section>${buildFactorsHTML(triageData)}</section>` : ''}
+
             <section class="grid grid-cols-1 md:grid-cols-2 gap-6">
                 <div>
                     <h3 class="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-3 ml-1">Vitals Matrix</h3>
                     <div class="p-4 bg-slate-50 rounded-2xl border border-slate-100 text-sm font-bold text-slate-700">
-                        ${caseData.vitals || 'No vitals recorded in this session.'}
+                        ${formatVitals(caseData.vitals)}
                     </div>
                 </div>
                 <div>
@@ -1124,7 +2699,7 @@ async function showCaseModal(caseData) {
                     <div class="p-4 bg-rose-50/50 rounded-2xl">
                         <div class="text-[10px] font-black text-rose-400 uppercase tracking-widest mb-2">Primary Red Flags</div>
                         <ul class="space-y-2">
-                            ${triageData.key_concerns.map(c => `<li class="text-xs font-bold text-rose-900 flex items-start gap-2"><span>•</span> ${c}</li>`).join('')}
+                            ${(triageData.key_concerns || []).map(c => `<li class="text-xs font-bold text-rose-900 flex items-start gap-2"><span>•</span> ${c}</li>`).join('')}
                         </ul>
                     </div>
                 </div>
@@ -1137,6 +2712,8 @@ async function showCaseModal(caseData) {
     `;
 
     modal.classList.add('active');
+    loadPhotoThumbnails(modalContent);
+    loadCaseAlert(caseData.id);
 }
 
 /**
@@ -1152,10 +2729,7 @@ async function editClinicalRef(patientId, currentRef) {
             const refDisplay = document.getElementById('modalRefDisplay');
             refDisplay.textContent = 'Updating...';
 
-            await db.collection('patients').doc(patientId).update({
-                clinicalRef: newRef,
-                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
-            });
+            await updatePatientRecord(patientId, { clinicalRef: newRef });
 
             refDisplay.textContent = newRef;
             // Update the onclick to store the new ref for subsequent prompts
@@ -1184,9 +2758,7 @@ async function editClinicianName(caseId, currentName) {
             const clinicianDisplay = document.getElementById('modalClinicianDisplay');
             clinicianDisplay.textContent = 'Updating...';
 
-            await db.collection('cases').doc(caseId).update({
-                clinicianName: newName
-            });
+            await updateCaseRecord(caseId, { clinicianName: newName });
 
             clinicianDisplay.textContent = newName;
             clinicianDisplay.setAttribute('onclick', `editClinicianName('${caseId}', '${newName}')`);
@@ -1209,10 +2781,125 @@ function closeModal() {
 }
 
 /**
- * Export case as PDF (uses browser print)
+ * Download the case in the modal as a PDF report made by the backend,
+ * with all the patient's visits if "Include patient history" is ticked
+ */
+async function exportCasePDF() {
+    if (!currentCaseData) return;
+    const button = document.getElementById('exportPdfBtn');
+    button.disabled = true;
+
+    try {
+        const body = {
+            case: toExportRecord(currentCaseData),
+            patient: await loadPatientForExport(currentCaseData.patientId)
+        };
+        if (document.getElementById('pdfIncludeHistory').checked) {
+            body.history = (await loadPatientCasesForExport(currentCaseData)).map(toExportRecord);
+        }
+        await downloadExport('/export/pdf/case', body, 'case-report.pdf');
+    } catch (error) {
+        console.error('Error exporting PDF:', error);
+        alert(`❌ ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * A saved document as the export endpoints expect it (Firestore
+ * timestamps as ISO strings)
+ */
+function toExportRecord(data) {
+    const record = { ...data };
+    ['createdAt', 'updatedAt'].forEach(field => {
+        if (record[field] && typeof record[field].toDate === 'function') {
+            record[field] = record[field].toDate().toISOString();
+        }
+    });
+    return record;
+}
+
+/**
+ * The patient document for an export, or an empty object if there is none
+ */
+async function loadPatientForExport(patientId) {
+    if (!patientId) return {};
+    try {
+        const patient = await getPatientRecord(patientId);
+        return patient ? toExportRecord(patient) : {};
+    } catch (error) {
+        console.error('Error fetching patient for export:', error);
+        return {};
+    }
+}
+
+/**
+ * All saved cases of the case's patient (just the case itself if it has
+ * no patient record)
+ */
+async function loadPatientCasesForExport(caseData) {
+    if (!caseData.patientId) return [caseData];
+
+    return listCaseRecords({ patientId: caseData.patientId });
+}
+
+/**
+ * POST to an export endpoint and download the file it returns
  */
-function exportCasePDF() {
-    window.print();
+async function downloadExport(path, body, fallbackName) {
+    const response = await fetch(`${BACKEND_URL}${path}`, {
+        method: 'POST',
+        headers: await getAuthHeaders(),
+        body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || `Export failed (${response.status})`);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="?([^"]+)"?/);
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : fallbackName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Export the case in the modal as a FHIR R4 Bundle
+ */
+async function exportCaseFHIR() {
+    if (!currentCaseData) return;
+    const button = document.getElementById('exportFhirBtn');
+    button.disabled = true;
+
+    try {
+        const patient = await loadPatientForExport(currentCaseData.patientId);
+        await downloadExport('/export/fhir/case', { case: toExportRecord(currentCaseData), patient }, 'case.fhir.json');
+    } catch (error) {
+        console.error('Error exporting case:', error);
+        alert(`❌ ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Export a patient's full history (all their cases) as one FHIR R4 Bundle
+ */
+async function exportPatientHistoryFHIR(patientId, cases) {
+    try {
+        const patient = await loadPatientForExport(patientId);
+        await downloadExport('/export/fhir/patient', { patient, cases: cases.map(toExportRecord) }, 'history.fhir.json');
+    } catch (error) {
+        console.error('Error exporting patient history:', error);
+        alert(`❌ ${error.message}`);
+    }
 }
 
 // ============================================
@@ -1224,15 +2911,10 @@ function exportCasePDF() {
  */
 async function loadDashboardStats() {
     try {
-        // Query cases based on role
-        let casesQuery = db.collection('cases');
-        if (currentUserRole !== 'admin') {
-            casesQuery = casesQuery.where('doctorId', '==', currentUser.uid);
-        }
-
-        // We use just orderBy to be resilient to missing 'isActive' flags on old data
-        // and to avoid needing complex composite indexes immediately.
-        const snapshot = await casesQuery.orderBy('createdAt', 'desc').get();
+        // Cases based on role. We don't filter on isActive in the query, to be
+        // resilient to missing 'isActive' flags on old data and to avoid
+        // needing complex composite indexes immediately.
+        const cases = await listCaseRecords();
 
         dashboardCases = [];
         let critical = 0;
@@ -1240,14 +2922,11 @@ async function loadDashboardStats() {
         let moderate = 0;
         let low = 0;
 
-        snapshot.forEach(doc => {
-            const data = doc.data();
-
+        cases.forEach(caseData => {
             // Resilience: If a case is explicitly marked inactive, skip it.
             // Otherwise, treat as active (handles legacy data missing the flag).
-            if (data.isActive === false) return;
+            if (caseData.isActive === false) return;
 
-            const caseData = { id: doc.id, ...data };
             dashboardCases.push(caseData);
 
             const riskLevel = caseData.triageData.risk_level;
@@ -1407,4 +3086,4 @@ document.getElementById('adminUpgradeModal').addEventListener('click', function
 });
 
 console.log('CareCompass AI initialized');
-console.log('Connect to live backend: https://carecompass-backend-jhll.onrender.com');
+console.log(`Connected to backend: ${BACKEND_URL}`);